@@ -5,10 +5,15 @@
  * - Detecting device capabilities
  * - Setting up appropriate controls for VR or Desktop/Mobile
  * - Handling transitions between VR and non-VR modes
+ * - Switching to free-fly without colliders for multiplayer spectators
  */
 
 import DeviceManager from '../managers/DeviceManager.js';
 import LookModeManager from '../managers/LookModeManager.js';
+import MultiplayerManager from '../managers/MultiplayerManager.js';
+
+// Rig components a spectator goes without: they push objects and keep the user on the ground
+const SPECTATOR_REMOVED_COMPONENTS = ['player-collider', 'jump-collider', 'jump-control'];
 
 const ControlManager = {
   schema: {
@@ -39,6 +44,14 @@ const ControlManager = {
     // Initialize state
     this.isVRMode = false;
     this.isMobile = false;
+    this.isSpectator = false;
+    this.spectatorSaved = null; // What spectating removed, to put back afterwards
+
+    // Spectating can be chosen when multiplayer starts or switched at any time
+    this.onSpectatorChanged = this.onSpectatorChanged.bind(this);
+    document.addEventListener('multiplayer-initialized', this.onSpectatorChanged);
+    document.addEventListener('multiplayer-spectator-changed', this.onSpectatorChanged);
+    this.onSpectatorChanged();
 
     // Set up event listeners for VR mode changes
     this.sceneEl.addEventListener('enter-vr', () => {
@@ -173,6 +186,8 @@ const ControlManager = {
       console.error("Handy controls entity not found!");
     }
 
+    this.applySpectatorMovement();
+
     console.log("VR Mode Setup Complete.");
   },
 
@@ -249,6 +264,8 @@ const ControlManager = {
       sceneEl.setAttribute('desktop-mobile-controls', '');
     }
 
+    this.applySpectatorMovement();
+
     console.log("Desktop/Mobile Mode Setup Complete.");
   },
 
@@ -277,6 +294,70 @@ const ControlManager = {
     console.log("Desktop/Mobile Mode Components Removed.");
   },
 
+  /**
+   * Follow MultiplayerManager's spectator setting
+   */
+  onSpectatorChanged: function() {
+    this.setSpectatorMode(MultiplayerManager.spectator);
+  },
+
+  /**
+   * Switch between spectating and taking part
+   * A spectator flies freely (no navmesh, no gravity, no jumping) and has no
+   * colliders, so it can't push physics objects; ownership is refused by
+   * PhysicsSyncManager as well.
+   * @param {boolean} spectator - True to spectate
+   */
+  setSpectatorMode: function(spectator) {
+    if (spectator === this.isSpectator) return;
+    this.isSpectator = spectator;
+    console.log(`Control Manager: ${spectator ? 'Spectating' : 'Taking part'}`);
+
+    const rig = this.cameraRig;
+    if (!rig) return;
+
+    if (spectator) {
+      this.spectatorSaved = { components: {}, bodies: [] };
+      SPECTATOR_REMOVED_COMPONENTS.forEach(name => {
+        if (rig.hasAttribute(name)) {
+          this.spectatorSaved.components[name] = rig.getDOMAttribute(name);
+          rig.removeAttribute(name);
+        }
+      });
+
+      // The kinematic fingertips push objects in VR
+      if (this.handyControlsEntity) {
+        this.handyControlsEntity.querySelectorAll('[physx-body]').forEach(el => {
+          this.spectatorSaved.bodies.push({ el, body: el.getDOMAttribute('physx-body') });
+          el.removeAttribute('physx-body');
+        });
+      }
+    } else if (this.spectatorSaved) {
+      Object.entries(this.spectatorSaved.components).forEach(([name, value]) => {
+        rig.setAttribute(name, value);
+      });
+      this.spectatorSaved.bodies.forEach(({ el, body }) => el.setAttribute('physx-body', body));
+      this.spectatorSaved = null;
+    }
+
+    this.applySpectatorMovement();
+  },
+
+  /**
+   * Let spectators fly off the navmesh; call after (re)adding movement components
+   */
+  applySpectatorMovement: function() {
+    const rig = this.cameraRig;
+    if (!rig) return;
+
+    if (rig.hasAttribute('simple-navmesh-constraint')) {
+      rig.setAttribute('simple-navmesh-constraint', 'enabled', !this.isSpectator);
+    }
+    if (rig.hasAttribute('movement-controls')) {
+      rig.setAttribute('movement-controls', 'fly', this.isSpectator);
+    }
+  },
+
   /**
    * Clean up event listeners
    */
@@ -284,6 +365,8 @@ const ControlManager = {
     // Clean up event listeners
     this.sceneEl.removeEventListener('enter-vr', this.onEnterVR);
     this.sceneEl.removeEventListener('exit-vr', this.onExitVR);
+    document.removeEventListener('multiplayer-initialized', this.onSpectatorChanged);
+    document.removeEventListener('multiplayer-spectator-changed', this.onSpectatorChanged);
 
     // Remove any active mode components
     this.removeVRMode();
@@ -9,6 +9,7 @@
  */
 
 import DeviceManager from '../managers/DeviceManager.js';
+import MultiplayerManager from '../managers/MultiplayerManager.js';
 import PhysicsUtils from '../utils/PhysicsUtils.js';
 import InteractionUtils from '../utils/InteractionUtils.js';
 import StateMachine from '../utils/StateMachine.js';
@@ -81,12 +82,25 @@ const DesktopMobileControls = {
               return 'idle';
             }
 
+            // Still waiting for the multiplayer world snapshot; stay idle
+            if (el.is('sync-pending')) {
+              return;
+            }
+
+            // Spectators watch; they don't move things
+            if (MultiplayerManager.isSpectator()) {
+              return;
+            }
+
             // Store element and original physics state
             this.setData('heldObject', el);
             const originalState = PhysicsUtils.convertToKinematic(el);
             console.log('Original physics state:', originalState);
             this.setData('originalPhysicsState', originalState);
 
+            // Let the sleep manager and physics sync know (claims network ownership)
+            el.sceneEl.emit('grab-start', { target: el, el: el });
+
             // Initialize camera rotation tracking
             const camera = document.querySelector('#camera');
             if (camera) {
@@ -131,6 +145,7 @@ const DesktopMobileControls = {
 
             // Restore original physics state
             PhysicsUtils.restoreOriginalState(heldObject, originalState);
+            heldObject.sceneEl.emit('grab-end', { target: heldObject, el: heldObject });
 
             // Clean up
             component._removeTickFunction();
@@ -247,6 +262,7 @@ const DesktopMobileControls = {
 
             // Restore original physics state with velocity
             PhysicsUtils.restoreOriginalState(heldObject, originalState, throwVelocity);
+            heldObject.sceneEl.emit('grab-end', { target: heldObject, el: heldObject });
 
             // Clean up
             component._removeTickFunction();
@@ -441,6 +457,9 @@ const DesktopMobileControls = {
     // Bind context menu prevention
     this.onContextMenu = this.onContextMenu.bind(this);
 
+    // Bind multiplayer ownership handling
+    this.onOwnershipDenied = this.onOwnershipDenied.bind(this);
+
     // Add event listeners
     window.addEventListener('click', this.onClick);
     window.addEventListener('mousedown', this.onMouseDown);
@@ -452,6 +471,9 @@ const DesktopMobileControls = {
     window.addEventListener('touchend', this.onTouchEnd);
     window.addEventListener('contextmenu', this.onContextMenu);
 
+    // Another user already holds the object we just grabbed
+    this.el.sceneEl.addEventListener('sync-ownership-denied', this.onOwnershipDenied);
+
     // Initialize cursor visual
     const cursor = document.querySelector('#camera > #cursor');
     if (cursor) {
@@ -470,6 +492,7 @@ const DesktopMobileControls = {
     window.removeEventListener('touchstart', this.onTouchStart);
     window.removeEventListener('touchend', this.onTouchEnd);
     window.removeEventListener('contextmenu', this.onContextMenu);
+    this.el.sceneEl.removeEventListener('sync-ownership-denied', this.onOwnershipDenied);
 
     // Remove tick function
     this._removeTickFunction();
@@ -487,6 +510,22 @@ const DesktopMobileControls = {
 
   // Event Handlers
 
+  /**
+   * Drop the held object when physics sync refuses us ownership of it
+   * @param {CustomEvent} evt - The sync-ownership-denied event
+   */
+  onOwnershipDenied: function (evt) {
+    const heldObject = this.stateMachine.getData('heldObject');
+    if (!heldObject || heldObject !== evt.detail.el) return;
+
+    if (this.stateMachine.is('charging')) {
+      this.stateMachine.transition('onCancel');
+    }
+    if (this.stateMachine.is('holding')) {
+      this.stateMachine.transition('onDrop');
+    }
+  },
+
   onClick: function (evt) {
     if (DeviceManager.isMobile) return;
     if (!this.stateMachine.is('idle')) return;
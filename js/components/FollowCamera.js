@@ -0,0 +1,277 @@
+/**
+ * FollowCamera - Looks through another user's eyes in multiplayer sessions
+ *
+ * This component:
+ * - Moves the camera rig so our camera sits where the followed user's is,
+ *   easing towards the pose their avatar plays back (MultiplayerManager's
+ *   followPeer(), or a presenter's "follow me")
+ * - Outside VR, turns the view with theirs; in VR only the position follows,
+ *   since turning a headset wearer's view for them makes them sick
+ * - Switches off look-controls, movement-controls and the navmesh constraint
+ *   while following, and back on afterwards
+ * - Breaks out on Escape, Space or a movement key on desktop, on the banner's
+ *   Stop button, or on a push of a thumbstick in VR
+ * - Shows a banner: whom we follow, who presents (with a button to rejoin
+ *   after breaking out), or that we present
+ */
+
+import MultiplayerManager from '../managers/MultiplayerManager.js';
+
+const BANNER_ID = 'follow-camera-banner';
+
+// Keys that hand the view back (KeyboardEvent.code)
+const BREAK_OUT_KEYS = new Set([
+  'Escape', 'Space', 'KeyW', 'KeyA', 'KeyS', 'KeyD',
+  'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'
+]);
+
+// Thumbstick deflection that counts as wanting to move
+const THUMBSTICK_THRESHOLD = 0.5;
+
+// Reusable objects for the per-frame work
+const tempPosition = new THREE.Vector3();
+const tempCameraPosition = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const tempRigQuaternion = new THREE.Quaternion();
+const tempEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+const FollowCamera = {
+  schema: {
+    smoothing: { type: 'number', default: 150 }, // Time constant of the easing towards the followed pose, in ms
+    followRotation: { type: 'boolean', default: true } // Turn with the followed view (never in VR)
+  },
+
+  init: function() {
+    this.targetId = null; // Peer we follow, or null
+
+    this.onFollowChanged = this.onFollowChanged.bind(this);
+    this.onModeChanged = this.onModeChanged.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onThumbstick = this.onThumbstick.bind(this);
+    this.updateBanner = this.updateBanner.bind(this);
+
+    this.banner = this.createBanner();
+
+    document.addEventListener('multiplayer-follow-changed', this.onFollowChanged);
+    document.addEventListener('multiplayer-presence-changed', this.updateBanner);
+    this.el.sceneEl.addEventListener('enter-vr', this.onModeChanged);
+    this.el.sceneEl.addEventListener('exit-vr', this.onModeChanged);
+    this.el.sceneEl.addEventListener('thumbstickmoved', this.onThumbstick);
+    window.addEventListener('keydown', this.onKeyDown);
+  },
+
+  remove: function() {
+    document.removeEventListener('multiplayer-follow-changed', this.onFollowChanged);
+    document.removeEventListener('multiplayer-presence-changed', this.updateBanner);
+    this.el.sceneEl.removeEventListener('enter-vr', this.onModeChanged);
+    this.el.sceneEl.removeEventListener('exit-vr', this.onModeChanged);
+    this.el.sceneEl.removeEventListener('thumbstickmoved', this.onThumbstick);
+    window.removeEventListener('keydown', this.onKeyDown);
+
+    if (this.targetId) {
+      this.resumeControls();
+    }
+    if (this.banner.parentNode) {
+      this.banner.parentNode.removeChild(this.banner);
+    }
+  },
+
+  tick: function(time, delta) {
+    if (!this.targetId) return;
+
+    const entity = document.querySelector(`#peer-${this.targetId}`);
+    const avatar = entity && entity.components['peer-avatar'];
+    const rig = this.el.sceneEl.querySelector('#cameraRig');
+    const camera = this.el.sceneEl.querySelector('#camera');
+    if (!avatar || !avatar.hasPose || !rig || !camera) return;
+
+    const head = avatar.head.object3D;
+    const ease = 1 - Math.exp(-(delta || 0) / this.data.smoothing);
+
+    // Move the rig by however far our camera is from theirs; the rig sits in the scene root
+    head.getWorldPosition(tempPosition).sub(camera.object3D.getWorldPosition(tempCameraPosition));
+    rig.object3D.position.addScaledVector(tempPosition, ease);
+
+    if (!this.data.followRotation || this.el.sceneEl.is('vr-mode')) return;
+
+    // Camera rotation inside the rig that gives their world rotation
+    head.getWorldQuaternion(tempQuaternion);
+    rig.object3D.getWorldQuaternion(tempRigQuaternion).invert().multiply(tempQuaternion);
+    camera.object3D.quaternion.slerp(tempRigQuaternion, ease);
+  },
+
+  /**
+   * Start or stop following as MultiplayerManager says
+   * @param {CustomEvent} evt - The multiplayer-follow-changed event
+   */
+  onFollowChanged: function(evt) {
+    const following = evt.detail.following;
+    if (following && !this.targetId) {
+      this.suspendControls();
+    } else if (!following && this.targetId) {
+      this.resumeControls();
+    }
+    this.targetId = following;
+    this.updateBanner();
+  },
+
+  /**
+   * Entering or leaving VR sets the controls up afresh; switch them off again
+   */
+  onModeChanged: function() {
+    if (this.targetId) {
+      this.suspendControls();
+    }
+  },
+
+  /**
+   * Hand the view back on a break-out key
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  onKeyDown: function(event) {
+    if (!this.targetId || !BREAK_OUT_KEYS.has(event.code)) return;
+    if (event.target && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+
+    MultiplayerManager.stopFollowing();
+  },
+
+  /**
+   * Hand the view back when a thumbstick is pushed in VR
+   * @param {CustomEvent} evt - The thumbstickmoved event (bubbles up from the controller)
+   */
+  onThumbstick: function(evt) {
+    if (!this.targetId) return;
+
+    const { x, y } = evt.detail;
+    if (Math.abs(x) > THUMBSTICK_THRESHOLD || Math.abs(y) > THUMBSTICK_THRESHOLD) {
+      MultiplayerManager.stopFollowing();
+    }
+  },
+
+  /**
+   * Switch off everything that moves or turns the view ourselves
+   */
+  suspendControls: function() {
+    const rig = this.el.sceneEl.querySelector('#cameraRig');
+    const camera = this.el.sceneEl.querySelector('#camera');
+
+    if (camera && camera.hasAttribute('look-controls')) {
+      camera.setAttribute('look-controls', 'enabled', false);
+    }
+    if (rig && rig.hasAttribute('movement-controls')) {
+      rig.setAttribute('movement-controls', 'enabled', false);
+    }
+    if (rig && rig.hasAttribute('simple-navmesh-constraint')) {
+      rig.setAttribute('simple-navmesh-constraint', 'enabled', false);
+    }
+  },
+
+  /**
+   * Give the view back, keeping the direction we were looking in
+   */
+  resumeControls: function() {
+    const sceneEl = this.el.sceneEl;
+    const rig = sceneEl.querySelector('#cameraRig');
+    const camera = sceneEl.querySelector('#camera');
+
+    // look-controls turns the camera from its own pitch and yaw; start those where we are
+    const lookControls = camera && camera.components['look-controls'];
+    if (lookControls && !sceneEl.is('vr-mode')) {
+      if (lookControls.pitchObject && lookControls.yawObject) {
+        tempEuler.setFromQuaternion(camera.object3D.quaternion, 'YXZ');
+        lookControls.pitchObject.rotation.x = tempEuler.x;
+        lookControls.yawObject.rotation.y = tempEuler.y;
+      }
+      camera.setAttribute('look-controls', 'enabled', true);
+    }
+    if (rig && rig.hasAttribute('movement-controls')) {
+      rig.setAttribute('movement-controls', 'enabled', true);
+    }
+    if (rig && rig.hasAttribute('simple-navmesh-constraint')) {
+      rig.setAttribute('simple-navmesh-constraint', 'enabled', true);
+    }
+
+    // Spectators keep flying free
+    const controlManager = sceneEl.components['control-manager'];
+    if (controlManager) {
+      controlManager.applySpectatorMovement();
+    }
+  },
+
+  /**
+   * Show whom we follow, who presents, or that we present
+   */
+  updateBanner: function() {
+    const following = MultiplayerManager.followingId;
+    const presenter = MultiplayerManager.presenterId;
+    const name = peerId => {
+      const peer = MultiplayerManager.peers.find(p => p.id === peerId);
+      return (peer && peer.appearance && peer.appearance.name) || peerId;
+    };
+
+    let text = '';
+    let buttonLabel = '';
+    let action = null;
+    if (MultiplayerManager.isPresenting()) {
+      text = 'You are presenting: everyone follows your view';
+      buttonLabel = 'Stop presenting';
+      action = () => MultiplayerManager.stopPresenting();
+    } else if (following) {
+      text = following === presenter
+        ? `Following ${name(following)}'s presentation (Esc or move to leave)`
+        : `Following ${name(following)} (Esc or move to stop)`;
+      buttonLabel = 'Stop';
+      action = () => MultiplayerManager.stopFollowing();
+    } else if (presenter) {
+      text = `${name(presenter)} is presenting`;
+      buttonLabel = 'Follow';
+      action = () => MultiplayerManager.followPresenter();
+    }
+
+    this.banner.style.display = text ? 'flex' : 'none';
+    this.bannerText.textContent = text;
+    this.bannerButton.textContent = buttonLabel;
+    this.bannerAction = action;
+  },
+
+  /**
+   * Create the banner at the top of the screen
+   * @returns {HTMLElement} The banner
+   */
+  createBanner: function() {
+    const banner = document.createElement('div');
+    banner.id = BANNER_ID;
+    banner.style.position = 'fixed';
+    banner.style.top = '10px';
+    banner.style.left = '50%';
+    banner.style.transform = 'translateX(-50%)';
+    banner.style.alignItems = 'center';
+    banner.style.gap = '10px';
+    banner.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    banner.style.color = 'white';
+    banner.style.fontFamily = 'Arial, sans-serif';
+    banner.style.fontSize = '14px';
+    banner.style.padding = '6px 12px';
+    banner.style.borderRadius = '5px';
+    banner.style.zIndex = '1000';
+    banner.style.display = 'none';
+
+    this.bannerText = document.createElement('span');
+    banner.appendChild(this.bannerText);
+
+    this.bannerButton = document.createElement('button');
+    this.bannerButton.style.padding = '4px 10px';
+    this.bannerButton.addEventListener('click', () => {
+      if (this.bannerAction) {
+        this.bannerAction();
+      }
+    });
+    banner.appendChild(this.bannerButton);
+    this.bannerAction = null;
+
+    document.body.appendChild(banner);
+    return banner;
+  }
+};
+
+export default FollowCamera;
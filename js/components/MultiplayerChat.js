@@ -0,0 +1,417 @@
+/**
+ * MultiplayerChat - Text chat and quick emotes for multiplayer sessions
+ *
+ * This component:
+ * - Shows recent chat messages and an input on desktop; Enter opens the
+ *   input, Enter again sends and hands the keyboard back to the game
+ * - On mobile, a Chat button opens the input at the top of the screen, so
+ *   the on-screen keyboard doesn't cover it; sending closes it again
+ * - In VR, fills the wrist panel (#my-interface, drawn by the html mesh on
+ *   #left-no-magnet) with recent messages, quick phrases and emote buttons
+ * - Opens a radial emote menu (wave, thumbs up, point) with a key on
+ *   desktop or the Emote button on mobile
+ *
+ * Messages go out on the reliable channel via MultiplayerManager.sendChat()
+ * and show as speech bubbles over the sender's avatar; emotes play on the
+ * sender's avatar for everyone. The UI only appears while connected.
+ */
+
+import MultiplayerManager from '../managers/MultiplayerManager.js';
+import DeviceManager from '../managers/DeviceManager.js';
+
+const PANEL_ID = 'multiplayer-chat-panel';
+const WRIST_PANEL_ID = 'my-interface'; // Drawn by the html mesh on #left-no-magnet
+
+// Radius of the emote menu's circle of buttons, in px
+const EMOTE_MENU_RADIUS = 70;
+
+const MultiplayerChat = {
+  schema: {
+    openKey: { type: 'string', default: 'Enter' }, // KeyboardEvent.code that focuses the input
+    emoteKey: { type: 'string', default: 'KeyE' }, // KeyboardEvent.code that toggles the emote menu
+    visibleMessages: { type: 'number', default: 6 }, // Recent messages shown
+    quickPhrases: { type: 'array', default: ['Hi!', 'Over here!', 'Yes', 'No', 'Thanks!', 'One moment'] } // Wrist panel buttons
+  },
+
+  init: function() {
+    this.isActive = false;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onSessionChanged = this.onSessionChanged.bind(this);
+    this.render = this.render.bind(this);
+
+    this.panel = this.createPanel();
+    this.emoteMenu = this.createEmoteMenu();
+    this.mobileButtons = this.createMobileButtons();
+    this.wristPanel = this.createWristPanel();
+
+    window.addEventListener('keydown', this.onKeyDown);
+    document.addEventListener('multiplayer-chat', this.render);
+    document.addEventListener('multiplayer-connected', this.onSessionChanged);
+    document.addEventListener('multiplayer-disconnected', this.onSessionChanged);
+    document.addEventListener('multiplayer-resumed', this.onSessionChanged);
+
+    this.onSessionChanged();
+  },
+
+  update: function() {
+    this.renderWristButtons();
+    this.render();
+  },
+
+  remove: function() {
+    window.removeEventListener('keydown', this.onKeyDown);
+    document.removeEventListener('multiplayer-chat', this.render);
+    document.removeEventListener('multiplayer-connected', this.onSessionChanged);
+    document.removeEventListener('multiplayer-disconnected', this.onSessionChanged);
+    document.removeEventListener('multiplayer-resumed', this.onSessionChanged);
+
+    [this.panel, this.emoteMenu, this.mobileButtons].forEach(element => {
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+    this.wristPanel.innerHTML = '';
+  },
+
+  /**
+   * Send a chat message
+   * @param {string} text - The message
+   * @returns {boolean} False if nothing was sent
+   */
+  send: function(text) {
+    return MultiplayerManager.sendChat(text);
+  },
+
+  /**
+   * Open the input for typing
+   */
+  openInput: function() {
+    if (!this.isActive) return;
+
+    // The pointer is locked to the scene on desktop; the input needs it back
+    if (document.pointerLockElement && document.exitPointerLock) {
+      document.exitPointerLock();
+    }
+    this.form.style.display = 'flex';
+    this.input.focus();
+  },
+
+  /**
+   * Close the input and give the keyboard back to the game
+   */
+  closeInput: function() {
+    this.input.value = '';
+    this.input.blur();
+    if (this.isMobile()) {
+      this.form.style.display = 'none';
+    }
+  },
+
+  /**
+   * Show or hide the radial emote menu
+   * @param {boolean} [open] - Force open or closed; toggles if omitted
+   */
+  toggleEmoteMenu: function(open) {
+    const show = open !== undefined ? open : this.emoteMenu.style.display === 'none';
+    this.emoteMenu.style.display = show && this.isActive ? 'block' : 'none';
+  },
+
+  /**
+   * Play an emote for everyone and close the menu
+   * @param {string} emote - The emote ID
+   */
+  emote: function(emote) {
+    MultiplayerManager.sendEmote(emote);
+    this.toggleEmoteMenu(false);
+  },
+
+  /**
+   * @returns {boolean} True on phones and tablets (checked late; DeviceManager initializes asynchronously)
+   */
+  isMobile: function() {
+    return DeviceManager.isMobile;
+  },
+
+  /**
+   * Show the UI while connected, and lay it out for the device
+   */
+  onSessionChanged: function() {
+    this.isActive = MultiplayerManager.isConnected;
+    const mobile = this.isMobile();
+
+    this.panel.style.display = this.isActive ? 'block' : 'none';
+    this.mobileButtons.style.display = this.isActive && mobile ? 'flex' : 'none';
+    if (mobile) {
+      // Top of the screen, clear of the on-screen keyboard and the touch controls
+      this.panel.style.top = '10px';
+      this.panel.style.bottom = '';
+      this.panel.style.right = '10px';
+      this.form.style.display = 'none';
+    } else {
+      this.panel.style.top = '';
+      this.panel.style.bottom = '10px';
+      this.panel.style.right = '';
+      this.form.style.display = 'flex';
+    }
+    if (!this.isActive) {
+      this.toggleEmoteMenu(false);
+    }
+    this.render();
+  },
+
+  /**
+   * Open the input or the emote menu from the keyboard
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  onKeyDown: function(event) {
+    if (!this.isActive || event.repeat) return;
+    if (event.target && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+
+    // While the emote menu is open, number keys pick an emote
+    if (this.emoteMenu.style.display !== 'none') {
+      const emotes = MultiplayerManager.getEmotes();
+      const index = /^Digit\d$/.test(event.code) ? parseInt(event.code.slice(5), 10) - 1 : -1;
+      if (emotes[index]) {
+        this.emote(emotes[index].id);
+        return;
+      }
+      if (event.code === 'Escape') {
+        this.toggleEmoteMenu(false);
+        return;
+      }
+    }
+
+    if (event.code === this.data.openKey) {
+      event.preventDefault();
+      this.openInput();
+    } else if (event.code === this.data.emoteKey) {
+      this.toggleEmoteMenu();
+    }
+  },
+
+  /**
+   * Create the DOM panel: recent messages over an input
+   * @returns {HTMLElement} The panel
+   */
+  createPanel: function() {
+    const panel = document.createElement('div');
+    panel.id = PANEL_ID;
+    panel.style.position = 'fixed';
+    panel.style.left = '10px';
+    panel.style.maxWidth = '360px';
+    panel.style.padding = '8px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    panel.style.borderRadius = '5px';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '13px';
+    panel.style.zIndex = '1000';
+    panel.style.display = 'none';
+
+    this.log = document.createElement('div');
+    this.log.style.wordBreak = 'break-word';
+    panel.appendChild(this.log);
+
+    // A form, so the mobile keyboard's send key submits it
+    this.form = document.createElement('form');
+    this.form.style.display = 'flex';
+    this.form.style.marginTop = '5px';
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.maxLength = 200;
+    this.input.placeholder = 'Press Enter to chat';
+    this.input.setAttribute('enterkeyhint', 'send');
+    this.input.style.flex = '1';
+    this.form.appendChild(this.input);
+    const sendButton = document.createElement('button');
+    sendButton.type = 'submit';
+    sendButton.textContent = 'Send';
+    sendButton.style.marginLeft = '5px';
+    // Keep the input focused (and the mobile keyboard up) when tapping Send
+    sendButton.addEventListener('mousedown', event => event.preventDefault());
+    this.form.appendChild(sendButton);
+    panel.appendChild(this.form);
+
+    this.form.addEventListener('submit', event => {
+      event.preventDefault();
+      this.send(this.input.value);
+      this.closeInput();
+    });
+
+    // Typing must not move, jump or talk; keep keys away from the game's window listeners
+    this.input.addEventListener('keydown', event => {
+      event.stopPropagation();
+      if (event.code === 'Escape') {
+        this.closeInput();
+      }
+    });
+    this.input.addEventListener('blur', () => {
+      if (this.isMobile()) {
+        this.form.style.display = 'none';
+      }
+    });
+
+    document.body.appendChild(panel);
+    return panel;
+  },
+
+  /**
+   * Create the radial emote menu, centered on the screen
+   * @returns {HTMLElement} The menu
+   */
+  createEmoteMenu: function() {
+    const size = EMOTE_MENU_RADIUS * 2 + 80;
+    const menu = document.createElement('div');
+    menu.id = 'multiplayer-emote-menu';
+    menu.style.position = 'fixed';
+    menu.style.left = '50%';
+    menu.style.top = '50%';
+    menu.style.width = `${size}px`;
+    menu.style.height = `${size}px`;
+    menu.style.marginLeft = `${-size / 2}px`;
+    menu.style.marginTop = `${-size / 2}px`;
+    menu.style.borderRadius = '50%';
+    menu.style.backgroundColor = 'rgba(0, 0, 0, 0.4)';
+    menu.style.fontFamily = 'Arial, sans-serif';
+    menu.style.zIndex = '1001';
+    menu.style.display = 'none';
+
+    const place = (element, angle, radius) => {
+      element.style.position = 'absolute';
+      element.style.left = `${size / 2 + Math.cos(angle) * radius}px`;
+      element.style.top = `${size / 2 + Math.sin(angle) * radius}px`;
+      element.style.transform = 'translate(-50%, -50%)';
+      menu.appendChild(element);
+    };
+
+    const emotes = MultiplayerManager.getEmotes();
+    emotes.forEach(({ id, label }, i) => {
+      const button = document.createElement('button');
+      button.textContent = `${i + 1} ${label}`;
+      button.addEventListener('click', () => this.emote(id));
+      // Clockwise from the top
+      place(button, -Math.PI / 2 + i * 2 * Math.PI / emotes.length, EMOTE_MENU_RADIUS);
+    });
+
+    const close = document.createElement('button');
+    close.textContent = 'X';
+    close.title = 'Close';
+    close.addEventListener('click', () => this.toggleEmoteMenu(false));
+    place(close, 0, 0);
+
+    document.body.appendChild(menu);
+    return menu;
+  },
+
+  /**
+   * Create the Chat and Emote buttons for touch screens
+   * @returns {HTMLElement} The button bar
+   */
+  createMobileButtons: function() {
+    const bar = document.createElement('div');
+    bar.id = 'multiplayer-chat-buttons';
+    bar.style.position = 'fixed';
+    bar.style.left = '10px';
+    bar.style.top = '40%';
+    bar.style.flexDirection = 'column';
+    bar.style.gap = '8px';
+    bar.style.zIndex = '1000';
+    bar.style.display = 'none';
+
+    const button = (label, onClick) => {
+      const element = document.createElement('button');
+      element.textContent = label;
+      element.style.padding = '10px 14px';
+      element.style.fontSize = '14px';
+      element.addEventListener('click', onClick);
+      bar.appendChild(element);
+    };
+    // Focus synchronously in the tap, or mobile browsers won't raise the keyboard
+    button('Chat', () => this.openInput());
+    button('Emote', () => this.toggleEmoteMenu());
+
+    document.body.appendChild(bar);
+    return bar;
+  },
+
+  /**
+   * Fill the wrist panel the html mesh on #left-no-magnet draws in VR
+   * It has to stay in the document to be drawn, so it is moved off screen.
+   * @returns {HTMLElement} The panel
+   */
+  createWristPanel: function() {
+    let panel = document.getElementById(WRIST_PANEL_ID);
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = WRIST_PANEL_ID;
+      document.body.appendChild(panel);
+    }
+    panel.style.position = 'fixed';
+    panel.style.left = '-10000px';
+    panel.style.top = '0';
+    panel.style.width = '300px';
+    panel.style.padding = '8px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'Arial, sans-serif';
+    panel.style.fontSize = '14px';
+
+    this.wristTitle = document.createElement('div');
+    this.wristTitle.style.fontWeight = 'bold';
+    panel.appendChild(this.wristTitle);
+
+    this.wristLog = document.createElement('div');
+    this.wristLog.style.marginTop = '4px';
+    this.wristLog.style.wordBreak = 'break-word';
+    panel.appendChild(this.wristLog);
+
+    this.wristButtons = document.createElement('div');
+    this.wristButtons.style.marginTop = '6px';
+    panel.appendChild(this.wristButtons);
+
+    return panel;
+  },
+
+  /**
+   * Lay out the quick phrase and emote buttons on the wrist panel
+   */
+  renderWristButtons: function() {
+    this.wristButtons.innerHTML = '';
+
+    const button = (label, onClick) => {
+      const element = document.createElement('button');
+      element.textContent = label;
+      element.style.margin = '2px';
+      element.addEventListener('click', onClick);
+      this.wristButtons.appendChild(element);
+    };
+    this.data.quickPhrases.forEach(phrase => button(phrase, () => this.send(phrase)));
+    this.wristButtons.appendChild(document.createElement('br'));
+    MultiplayerManager.getEmotes().forEach(({ id, label }) => button(label, () => this.emote(id)));
+  },
+
+  /**
+   * Show the most recent messages on the DOM and wrist panels
+   */
+  render: function() {
+    const messages = MultiplayerManager.chatLog.slice(-this.data.visibleMessages);
+    [this.log, this.wristLog].forEach(log => {
+      log.innerHTML = '';
+      messages.forEach(message => {
+        const line = document.createElement('div');
+        const name = document.createElement('span');
+        name.textContent = `${message.name}: `;
+        name.style.fontWeight = 'bold';
+        name.style.color = message.isLocal ? '#88ddff' : '#ffdd88';
+        line.appendChild(name);
+        line.appendChild(document.createTextNode(message.text));
+        log.appendChild(line);
+      });
+    });
+
+    this.wristTitle.textContent = this.isActive ? 'Chat' : 'Chat (offline)';
+  }
+};
+
+export default MultiplayerChat;
@@ -0,0 +1,328 @@
+/**
+ * NetworkStatsHud - Live overlay showing the health of the multiplayer session
+ *
+ * This component:
+ * - Shows a DOM panel on desktop and mobile, and the same panel as an HTML
+ *   mesh in front of the camera in VR (via aframe-htmlmesh)
+ * - Lists each peer's RTT, jitter, loss, bytes in/out, synced objects and
+ *   interpolation buffer depth, under the session's negotiated tick rate
+ * - Toggles with a key on the keyboard or the menu button in VR
+ *
+ * Numbers come from PhysicsSyncManager (RTT, loss, tick rate, objects), the
+ * transport's traffic counters and each avatar's jitter buffer. The panel is
+ * only refreshed while it is visible.
+ */
+
+import MultiplayerManager from '../managers/MultiplayerManager.js';
+
+const PANEL_ID = 'network-stats-hud';
+
+// Column widths of the peer table, in characters
+const COLUMNS = [
+  { title: 'Peer', width: 10 },
+  { title: 'RTT', width: 6 },
+  { title: 'Jitter', width: 7 },
+  { title: 'Loss', width: 6 },
+  { title: 'In kB/s', width: 8 },
+  { title: 'Out kB/s', width: 9 },
+  { title: 'Objects', width: 8 },
+  { title: 'Buffer', width: 0 }
+];
+
+const NetworkStatsHud = {
+  schema: {
+    visible: { type: 'boolean', default: false },
+    toggleKey: { type: 'string', default: 'Backquote' }, // KeyboardEvent.code
+    vrToggleEvent: { type: 'string', default: 'menudown' }, // Controller event that toggles it in VR
+    updateInterval: { type: 'number', default: 500 } // ms
+  },
+
+  init: function() {
+    this.panel = this.createPanel();
+    this.vrEntity = null;
+    this.lastUpdate = 0;
+    this.lastCounters = null; // Transport stats at the last refresh, for rates
+    this.lastCountersTime = 0;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onEnterVR = this.onEnterVR.bind(this);
+    this.onExitVR = this.onExitVR.bind(this);
+    this.toggle = this.toggle.bind(this);
+
+    window.addEventListener('keydown', this.onKeyDown);
+    this.el.sceneEl.addEventListener('enter-vr', this.onEnterVR);
+    this.el.sceneEl.addEventListener('exit-vr', this.onExitVR);
+    this.el.sceneEl.addEventListener(this.data.vrToggleEvent, this.toggle);
+
+    if (this.el.sceneEl.is('vr-mode')) {
+      this.onEnterVR();
+    }
+  },
+
+  update: function(oldData) {
+    if (oldData.vrToggleEvent && oldData.vrToggleEvent !== this.data.vrToggleEvent) {
+      this.el.sceneEl.removeEventListener(oldData.vrToggleEvent, this.toggle);
+      this.el.sceneEl.addEventListener(this.data.vrToggleEvent, this.toggle);
+    }
+
+    this.panel.style.display = this.data.visible ? 'block' : 'none';
+    if (this.vrEntity) {
+      this.vrEntity.setAttribute('visible', this.data.visible);
+    }
+    if (this.data.visible) {
+      this.lastUpdate = 0; // Refresh on the next tick
+    }
+  },
+
+  remove: function() {
+    window.removeEventListener('keydown', this.onKeyDown);
+    this.el.sceneEl.removeEventListener('enter-vr', this.onEnterVR);
+    this.el.sceneEl.removeEventListener('exit-vr', this.onExitVR);
+    this.el.sceneEl.removeEventListener(this.data.vrToggleEvent, this.toggle);
+
+    this.onExitVR();
+    if (this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+  },
+
+  tick: function(time) {
+    if (!this.data.visible || time - this.lastUpdate < this.data.updateInterval) return;
+    this.lastUpdate = time;
+
+    this.panel.textContent = this.render();
+  },
+
+  /**
+   * Show or hide the overlay
+   */
+  toggle: function() {
+    this.el.setAttribute('network-stats-hud', 'visible', !this.data.visible);
+  },
+
+  /**
+   * Create the DOM panel
+   * It stays in the document in VR too, where the HTML mesh draws it.
+   * @returns {HTMLElement} The panel
+   */
+  createPanel: function() {
+    const panel = document.createElement('div');
+    panel.id = PANEL_ID;
+    panel.style.position = 'fixed';
+    panel.style.top = '10px';
+    panel.style.right = '10px';
+    panel.style.padding = '8px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    panel.style.borderRadius = '5px';
+    panel.style.color = 'white';
+    panel.style.fontFamily = 'monospace';
+    panel.style.fontSize = '12px';
+    panel.style.whiteSpace = 'pre';
+    panel.style.pointerEvents = 'none';
+    panel.style.zIndex = '1000';
+    panel.style.display = 'none';
+    document.body.appendChild(panel);
+    return panel;
+  },
+
+  /**
+   * Build the overlay text
+   * @returns {string} The lines of the overlay
+   */
+  render: function() {
+    const sync = this.el.sceneEl.components['physics-sync-manager'];
+    const transport = MultiplayerManager.transport;
+    const rates = this.sampleRates(transport);
+    const lines = [];
+
+    let status = 'offline';
+    if (MultiplayerManager.isReconnecting) {
+      status = 'reconnecting';
+    } else if (MultiplayerManager.isConnected) {
+      status = `room ${MultiplayerManager.room}`;
+    }
+    lines.push(`Network: ${status}, ${MultiplayerManager.peers.length} peer(s)`);
+
+    if (sync) {
+      let local = 0;
+      sync.syncedObjects.forEach(syncObj => {
+        if (sync.isLocallyAuthoritative(syncObj)) local++;
+      });
+      lines.push(`Tick rate ${sync.negotiatedTickRate || '-'} Hz, render delay ${Math.round(sync.calculateRenderDelay())} ms`);
+      lines.push(`Synced objects ${sync.syncedObjects.size} (${local} simulated here), host ${sync.getHostId()}`);
+    }
+    lines.push(`Total in ${formatRate(rates.total.in)} kB/s, out ${formatRate(rates.total.out)} kB/s`);
+
+    const dropped = MultiplayerManager.droppedMessages;
+    if (dropped.total > 0) {
+      const reasons = Object.entries(dropped.reasons)
+        .filter(([, count]) => count > 0)
+        .map(([reason, count]) => `${count} ${reason}`);
+      lines.push(`Dropped messages ${dropped.total} (${reasons.join(', ')})`);
+    }
+
+    if (MultiplayerManager.peers.length === 0) return lines.join('\n');
+
+    lines.push('');
+    lines.push(formatRow(COLUMNS.map(column => column.title)));
+    MultiplayerManager.peers.forEach(peer => {
+      lines.push(formatRow(this.getPeerRow(peer.id, sync, rates.peers[peer.id])));
+    });
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Collect one peer's numbers
+   * @param {string} peerId - The peer
+   * @param {Object} [sync] - The physics-sync-manager component, if present
+   * @param {Object} [rates] - The peer's { in, out } rates in bytes/s
+   * @returns {string[]} The row's cells, in COLUMNS order
+   */
+  getPeerRow: function(peerId, sync, rates) {
+    const syncPeer = sync && sync.connectedPeers.get(peerId);
+    const latency = sync && sync.networkLatencies.get(peerId);
+
+    // Avatar jitter: how irregularly its position updates arrive
+    const entity = document.querySelector(`#peer-${peerId}`);
+    const avatar = entity && entity.components['peer-avatar'];
+    const jitterBuffer = avatar && avatar.buffer;
+
+    // Objects this peer simulates, and how deep their interpolation buffers run
+    let owned = 0;
+    let buffered = 0;
+    if (sync) {
+      sync.syncedObjects.forEach(syncObj => {
+        const authority = syncObj.authority || sync.getHostId();
+        if (authority !== peerId) return;
+        owned++;
+        buffered += syncObj.interpolationBuffer.length;
+      });
+    }
+
+    const buffer = [];
+    if (owned > 0) {
+      buffer.push(`obj ${(buffered / owned).toFixed(1)}`);
+    }
+    if (jitterBuffer) {
+      buffer.push(`avatar ${jitterBuffer.snapshots.length} @ ${Math.round(jitterBuffer.playoutDelay)}ms`);
+    }
+
+    // Loss is measured from snapshot acks, which the JSON wire format doesn't have
+    const loss = syncPeer && syncPeer.bandwidth && sync.data.wireFormat !== 'json'
+      ? `${Math.round(syncPeer.bandwidth.loss * 100)}%`
+      : '-';
+
+    return [
+      peerId.slice(0, COLUMNS[0].width - 1),
+      latency !== undefined ? String(Math.round(latency)) : '-',
+      jitterBuffer ? String(Math.round(jitterBuffer.jitter)) : '-',
+      loss,
+      rates ? formatRate(rates.in) : '-',
+      rates ? formatRate(rates.out) : '-',
+      syncPeer && syncPeer.priorities ? `${owned}/${syncPeer.priorities.size}` : String(owned),
+      buffer.join(', ') || '-'
+    ];
+  },
+
+  /**
+   * Turn the transport's byte counters into rates since the last refresh
+   * @param {Object} [transport] - The multiplayer transport
+   * @returns {Object} { total: { in, out }, peers: { peerId: { in, out } } } in bytes/s
+   */
+  sampleRates: function(transport) {
+    const now = performance.now();
+    const stats = transport && transport.stats;
+    const rates = { total: { in: 0, out: 0 }, peers: {} };
+
+    const previous = this.lastCounters;
+    const seconds = (now - this.lastCountersTime) / 1000;
+    this.lastCounters = stats ? snapshotCounters(stats) : null;
+    this.lastCountersTime = now;
+
+    // First sample, or a reconnect replaced the transport and its counters
+    if (!stats || !previous || previous.stats !== stats || seconds <= 0) return rates;
+
+    const rate = (current, last) => Math.max(0, current - last) / seconds;
+    rates.total.in = rate(stats.bytesReceived, previous.bytesReceived);
+    rates.total.out = rate(stats.bytesSent, previous.bytesSent);
+
+    Object.entries(stats.peers || {}).forEach(([peerId, peerStats]) => {
+      const last = previous.peers[peerId] || { bytesReceived: 0, bytesSent: 0 };
+      rates.peers[peerId] = {
+        in: rate(peerStats.bytesReceived, last.bytesReceived),
+        out: rate(peerStats.bytesSent, last.bytesSent)
+      };
+    });
+
+    return rates;
+  },
+
+  /**
+   * Toggle the overlay from the keyboard
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  onKeyDown: function(event) {
+    if (event.code !== this.data.toggleKey || event.repeat) return;
+    if (event.target && /^(INPUT|TEXTAREA)$/.test(event.target.tagName)) return;
+    this.toggle();
+  },
+
+  /**
+   * Show the panel as a mesh in front of the camera; the DOM isn't visible in VR
+   */
+  onEnterVR: function() {
+    const camera = this.el.sceneEl.querySelector('#camera') || this.el.sceneEl.camera && this.el.sceneEl.camera.el;
+    if (!camera || this.vrEntity) return;
+
+    this.vrEntity = document.createElement('a-entity');
+    this.vrEntity.setAttribute('html', `html: #${PANEL_ID}`);
+    this.vrEntity.setAttribute('position', '0 -0.2 -0.8');
+    this.vrEntity.setAttribute('scale', '0.6 0.6 0.6');
+    this.vrEntity.setAttribute('visible', this.data.visible);
+    camera.appendChild(this.vrEntity);
+  },
+
+  /**
+   * Back to the DOM panel
+   */
+  onExitVR: function() {
+    if (!this.vrEntity) return;
+    if (this.vrEntity.parentNode) {
+      this.vrEntity.parentNode.removeChild(this.vrEntity);
+    }
+    this.vrEntity = null;
+  }
+};
+
+/**
+ * Copy the byte counters, so the next refresh can compute rates
+ * @param {Object} stats - Transport stats
+ * @returns {Object} The copy (keeps a reference to stats to detect a new transport)
+ */
+function snapshotCounters(stats) {
+  const peers = {};
+  Object.entries(stats.peers || {}).forEach(([peerId, peerStats]) => {
+    peers[peerId] = { bytesReceived: peerStats.bytesReceived, bytesSent: peerStats.bytesSent };
+  });
+  return { stats, bytesReceived: stats.bytesReceived, bytesSent: stats.bytesSent, peers };
+}
+
+/**
+ * @param {number} bytesPerSecond - A rate in bytes/s
+ * @returns {string} The rate in kB/s
+ */
+function formatRate(bytesPerSecond) {
+  return (bytesPerSecond / 1000).toFixed(1);
+}
+
+/**
+ * Pad cells into aligned columns
+ * @param {string[]} cells - One cell per column
+ * @returns {string} The row
+ */
+function formatRow(cells) {
+  return cells.map((cell, i) => COLUMNS[i].width ? cell.padEnd(COLUMNS[i].width) : cell).join('');
+}
+
+export default NetworkStatsHud;
@@ -0,0 +1,468 @@
+/**
+ * PeerAvatar - Renders a remote user as a head, body and two hands
+ *
+ * This component:
+ * - Builds a simple primitive avatar (head, body, hands, name tag)
+ * - Buffers replicated world-space poses and plays them back smoothly (addSnapshot())
+ * - Poses the head and hands directly via setPose()
+ * - Rests the hands beside the body for peers without tracked hands (desktop/mobile)
+ * - Applies the per-user appearance (name and colors) from its schema
+ * - Shows a ring around the head while the peer is speaking (setSpeaking())
+ * - Shows chat messages in a speech bubble (showBubble())
+ * - Plays emotes (wave, thumbs up, point) with the right hand (playEmote())
+ * - Draws the peer's shared pointer as a beam in its color (setPointer())
+ * - Hides the body while `hidden` (spectators, users following someone's view)
+ *
+ * The entity itself stays at the scene origin; the parts are posed in world space.
+ *
+ * Buffered poses are rendered a short, adaptive delay in the past and
+ * interpolated with PhysicsSyncManager.interpolateStates, so a peer moves
+ * smoothly between the 100 ms position updates. When packets stop arriving
+ * the avatar keeps moving along its last heading for a moment, then eases
+ * back once data resumes. Jumps larger than SNAP_DISTANCE (teleports) snap
+ * instead of gliding.
+ */
+
+import PhysicsSyncManager from './PhysicsSyncManager.js';
+import JitterBuffer from '../network/JitterBuffer.js';
+
+// Reusable objects to avoid allocations every pose update
+const tempEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+const tempOffset = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const upAxis = new THREE.Vector3(0, 1, 0);
+const forwardAxis = new THREE.Vector3(0, 0, -1);
+const tempDirection = new THREE.Vector3();
+
+// Where hands rest relative to the head when the peer has no tracked hands
+const REST_HAND_OFFSET = { x: 0.25, y: -0.65, z: -0.1 };
+const BODY_OFFSET_Y = -0.55;
+
+// Head movement between two snapshots beyond which the avatar snaps, in meters
+const SNAP_DISTANCE = 1.5;
+
+// Time constant for easing out the error left by extrapolation, in ms
+const CORRECTION_TIME = 100;
+
+// How long a chat bubble stays up: a base time plus some per character, in ms
+const BUBBLE_BASE_TIME = 3000;
+const BUBBLE_TIME_PER_CHAR = 60;
+const BUBBLE_MAX_TIME = 10000;
+
+// A pointer beam with no update for this long is hidden (the stop was lost), in ms
+const POINTER_TIMEOUT = 1000;
+
+// Emote animations of the right hand: how long they run (ms) and where the
+// hand is held, relative to the body (wave, thumbs-up) or the head (point)
+const EMOTES = {
+  'wave': { duration: 2000, offset: { x: 0.3, y: 0.6, z: -0.05 } },
+  'thumbs-up': { duration: 1500, offset: { x: 0.15, y: 0.25, z: -0.35 } },
+  'point': { duration: 2000, offset: { x: 0.2, y: -0.15, z: -0.45 } }
+};
+
+const PeerAvatar = {
+  schema: {
+    name: { type: 'string', default: '' },
+    color: { type: 'color', default: '#00aaff' }, // Head and body color
+    handColor: { type: 'color', default: '#ffd2b3' },
+    showName: { type: 'boolean', default: true },
+    hidden: { type: 'boolean', default: false } // No head, body, hands or name; chat and pointer still show
+  },
+
+  init: function() {
+    // Head: sphere with a dark visor so facing direction is readable
+    this.head = document.createElement('a-entity');
+    this.head.setAttribute('geometry', 'primitive: sphere; radius: 0.12');
+    this.head.classList.add('peer-avatar-head');
+    const visor = document.createElement('a-entity');
+    visor.setAttribute('geometry', 'primitive: box; width: 0.18; height: 0.06; depth: 0.04');
+    visor.setAttribute('material', 'color: #111; shader: flat');
+    visor.setAttribute('position', '0 0.02 -0.1');
+    this.head.appendChild(visor);
+    this.el.appendChild(this.head);
+
+    // Body: follows the head position, but only its yaw
+    this.body = document.createElement('a-entity');
+    this.body.setAttribute('geometry', 'primitive: cylinder; radius: 0.16; height: 0.6');
+    this.el.appendChild(this.body);
+
+    // Name tag sits above the body so it doesn't tilt with head pitch
+    this.nameTag = document.createElement('a-text');
+    this.nameTag.setAttribute('align', 'center');
+    this.nameTag.setAttribute('side', 'double');
+    this.nameTag.setAttribute('scale', '0.5 0.5 0.5');
+    this.nameTag.setAttribute('position', `0 ${-BODY_OFFSET_Y + 0.28} 0`);
+    this.body.appendChild(this.nameTag);
+
+    // Speaking indicator: a flat ring around the head, level with the body's yaw
+    this.speakingRing = document.createElement('a-entity');
+    this.speakingRing.setAttribute('geometry', 'primitive: ring; radiusInner: 0.16; radiusOuter: 0.19');
+    this.speakingRing.setAttribute('material', 'color: #44ff88; shader: flat; side: double; opacity: 0.8; transparent: true');
+    this.speakingRing.setAttribute('position', `0 ${-BODY_OFFSET_Y} 0`);
+    this.speakingRing.setAttribute('rotation', '-90 0 0');
+    this.speakingRing.setAttribute('visible', false);
+    this.body.appendChild(this.speakingRing);
+
+    // Chat bubble above the name tag; the plane sizes itself to the text
+    this.bubble = document.createElement('a-entity');
+    this.bubble.setAttribute('geometry', 'primitive: plane; width: auto; height: auto');
+    this.bubble.setAttribute('material', 'color: #ffffff; shader: flat; side: double; opacity: 0.9; transparent: true');
+    this.bubble.setAttribute('text', 'color: #111111; align: center; wrapCount: 24; width: 0.6; side: double; zOffset: 0.001');
+    this.bubble.setAttribute('position', `0 ${-BODY_OFFSET_Y + 0.5} 0`);
+    this.bubble.setAttribute('visible', false);
+    this.body.appendChild(this.bubble);
+    this.bubbleTimer = null;
+
+    // Pointer: a unit-height beam, stretched between origin and target, and a dot where it hits
+    this.pointerBeam = document.createElement('a-entity');
+    this.pointerBeam.setAttribute('geometry', 'primitive: cylinder; radius: 0.006; height: 1; segmentsRadial: 6');
+    this.pointerBeam.setAttribute('visible', false);
+    this.el.appendChild(this.pointerBeam);
+    this.pointerDot = document.createElement('a-entity');
+    this.pointerDot.setAttribute('geometry', 'primitive: sphere; radius: 0.03');
+    this.pointerDot.setAttribute('visible', false);
+    this.el.appendChild(this.pointerDot);
+    this.pointerUpdated = 0; // When the beam was last moved; 0 while hidden
+
+    // Hands
+    this.hands = {
+      left: this._createHand(),
+      right: this._createHand()
+    };
+
+    this.hasPose = false;
+    this.emote = null; // { name, startTime } while an emote plays
+
+    // Incoming poses, played back from tick()
+    this.buffer = new JitterBuffer({ interval: 100 });
+    this.wasExtrapolating = false;
+    this.correction = new THREE.Vector3(); // Offset still being eased out
+  },
+
+  update: function() {
+    const material = `color: ${this.data.color}; roughness: 0.6`;
+    this.head.setAttribute('material', material);
+    this.body.setAttribute('material', `${material}; visible: ${!this.data.hidden}`);
+    this.head.setAttribute('visible', !this.data.hidden);
+    this.hands.left.setAttribute('visible', !this.data.hidden);
+    this.hands.right.setAttribute('visible', !this.data.hidden);
+
+    const handMaterial = `color: ${this.data.handColor}; roughness: 0.6`;
+    this.hands.left.setAttribute('material', handMaterial);
+    this.hands.right.setAttribute('material', handMaterial);
+
+    const pointerMaterial = `color: ${this.data.color}; shader: flat; opacity: 0.7; transparent: true`;
+    this.pointerBeam.setAttribute('material', pointerMaterial);
+    this.pointerDot.setAttribute('material', pointerMaterial);
+
+    this.nameTag.setAttribute('value', this.data.name);
+    this.nameTag.setAttribute('visible', this.data.showName && !!this.data.name && !this.data.hidden);
+    if (this.data.hidden) {
+      this.speakingRing.setAttribute('visible', false);
+    }
+  },
+
+  remove: function() {
+    clearTimeout(this.bubbleTimer);
+    [this.head, this.body, this.hands.left, this.hands.right, this.pointerBeam, this.pointerDot].forEach(part => {
+      if (part && part.parentNode) {
+        part.parentNode.removeChild(part);
+      }
+    });
+  },
+
+  tick: function(time, delta) {
+    if (this.pointerUpdated && performance.now() - this.pointerUpdated > POINTER_TIMEOUT) {
+      this.setPointer(null);
+    }
+
+    const sample = this.buffer.sample();
+    if (!sample) return;
+
+    const { from, to, alpha } = sample;
+    let head;
+    if (tempOffset.copy(to.head.position).sub(from.head.position).length() > SNAP_DISTANCE) {
+      // Teleported: gliding across would look wrong
+      head = to.head;
+      this.correction.set(0, 0, 0);
+    } else {
+      head = PhysicsSyncManager.interpolateStates(from.head, to.head, alpha);
+    }
+
+    // Extrapolation guessed wrong; ease from where we drew the head
+    if (this.wasExtrapolating && !sample.extrapolating && this.hasPose) {
+      this.correction.copy(this.head.object3D.position).sub(head.position);
+      if (this.correction.length() > SNAP_DISTANCE) {
+        this.correction.set(0, 0, 0);
+      }
+    }
+    this.wasExtrapolating = sample.extrapolating;
+    this.correction.multiplyScalar(Math.exp(-(delta || 0) / CORRECTION_TIME));
+
+    this._applyPose(
+      this._withCorrection(head),
+      this._withCorrection(this._sampleHand(from.leftHand, to.leftHand, alpha)),
+      this._withCorrection(this._sampleHand(from.rightHand, to.rightHand, alpha))
+    );
+  },
+
+  /**
+   * Queue a replicated pose for smooth playback
+   * @param {Object} pose - The pose, as for setPose()
+   * @param {number} [timestamp] - Sender's timestamp in ms; arrival time if missing
+   */
+  addSnapshot: function(pose, timestamp) {
+    if (!pose || !pose.position) return;
+
+    const arrivalTime = performance.now();
+    this.buffer.push(Number.isFinite(timestamp) ? timestamp : arrivalTime, {
+      head: {
+        position: { x: pose.position.x, y: pose.position.y, z: pose.position.z },
+        quaternion: this._rotationToQuaternion(pose.rotation)
+      },
+      leftHand: pose.leftHand || null,
+      rightHand: pose.rightHand || null
+    }, arrivalTime);
+  },
+
+  /**
+   * Pose the avatar from replicated data immediately, bypassing the buffer
+   * @param {Object} pose - The pose
+   * @param {Object} pose.position - Head world position {x, y, z}
+   * @param {Object} pose.rotation - Head world rotation in degrees {x, y, z}
+   * @param {Object} [pose.leftHand] - Left hand {position, quaternion}, or null if not tracked
+   * @param {Object} [pose.rightHand] - Right hand {position, quaternion}, or null if not tracked
+   */
+  setPose: function(pose) {
+    if (!pose || !pose.position) return;
+
+    this.buffer.reset();
+    this.correction.set(0, 0, 0);
+    this._applyPose(
+      {
+        position: pose.position,
+        quaternion: pose.rotation ? this._rotationToQuaternion(pose.rotation) : null
+      },
+      pose.leftHand,
+      pose.rightHand
+    );
+  },
+
+  /**
+   * Show or hide the speaking indicator
+   * @param {boolean} speaking - Whether the peer is speaking
+   */
+  setSpeaking: function(speaking) {
+    this.speakingRing.setAttribute('visible', !!speaking && !this.data.hidden);
+  },
+
+  /**
+   * Show a chat message over the avatar for a while
+   * @param {string} text - The message
+   */
+  showBubble: function(text) {
+    clearTimeout(this.bubbleTimer);
+    this.bubble.setAttribute('text', 'value', text);
+    this.bubble.setAttribute('visible', true);
+
+    const duration = Math.min(BUBBLE_MAX_TIME, BUBBLE_BASE_TIME + text.length * BUBBLE_TIME_PER_CHAR);
+    this.bubbleTimer = setTimeout(() => {
+      this.bubble.setAttribute('visible', false);
+    }, duration);
+  },
+
+  /**
+   * Draw the peer's pointer beam, or hide it
+   * @param {Object|null} origin - World position the beam starts at {x, y, z}, or null to hide
+   * @param {Object} [target] - World position it ends at {x, y, z}
+   */
+  setPointer: function(origin, target) {
+    if (!origin) {
+      this.pointerUpdated = 0;
+      this.pointerBeam.setAttribute('visible', false);
+      this.pointerDot.setAttribute('visible', false);
+      return;
+    }
+
+    const beam = this.pointerBeam.object3D;
+    tempDirection.set(target.x - origin.x, target.y - origin.y, target.z - origin.z);
+    const length = tempDirection.length();
+    if (length < 0.001) return;
+
+    beam.position.set((origin.x + target.x) / 2, (origin.y + target.y) / 2, (origin.z + target.z) / 2);
+    beam.quaternion.setFromUnitVectors(upAxis, tempDirection.divideScalar(length));
+    beam.scale.set(1, length, 1);
+    this.pointerDot.object3D.position.set(target.x, target.y, target.z);
+
+    this.pointerBeam.setAttribute('visible', true);
+    this.pointerDot.setAttribute('visible', true);
+    this.pointerUpdated = performance.now();
+  },
+
+  /**
+   * Play an emote; it takes over the right hand until it ends
+   * @param {string} name - 'wave', 'thumbs-up' or 'point'
+   */
+  playEmote: function(name) {
+    if (!EMOTES[name]) return;
+    this.emote = { name, startTime: performance.now() };
+  },
+
+  /**
+   * Pose the head, body and hands
+   * @param {Object} head - Head {position, quaternion}; a null quaternion keeps the current one
+   * @param {Object|null} leftHand - Left hand {position, quaternion}, or null if not tracked
+   * @param {Object|null} rightHand - Right hand {position, quaternion}, or null if not tracked
+   * @private
+   */
+  _applyPose: function(head, leftHand, rightHand) {
+    // Head
+    const headObj = this.head.object3D;
+    headObj.position.set(head.position.x, head.position.y, head.position.z);
+    if (head.quaternion) {
+      headObj.quaternion.set(head.quaternion.x, head.quaternion.y, head.quaternion.z, head.quaternion.w);
+    }
+
+    // Body: below the head, yaw only
+    const body = this.body.object3D;
+    body.position.copy(headObj.position);
+    body.position.y += BODY_OFFSET_Y;
+    tempEuler.setFromQuaternion(headObj.quaternion, 'YXZ');
+    body.quaternion.setFromAxisAngle(upAxis, tempEuler.y);
+
+    // Hands
+    this._poseHand(this.hands.left, leftHand, -1);
+    this._poseHand(this.hands.right, rightHand, 1);
+    if (this.emote) {
+      this._poseEmote();
+    }
+
+    this.hasPose = true;
+  },
+
+  /**
+   * Interpolate a hand between two snapshots
+   * @param {Object|null} hand1 - Earlier hand pose
+   * @param {Object|null} hand2 - Later hand pose
+   * @param {number} alpha - Interpolation factor
+   * @returns {Object|null} The hand pose, or null if not tracked
+   * @private
+   */
+  _sampleHand: function(hand1, hand2, alpha) {
+    // Tracking started or stopped between the snapshots: nothing to blend
+    if (!hand1 || !hand2) return hand2;
+    return PhysicsSyncManager.interpolateStates(hand1, hand2, alpha);
+  },
+
+  /**
+   * Apply the pending extrapolation correction to a pose
+   * @param {Object|null} pose - Pose {position, quaternion}
+   * @returns {Object|null} A corrected copy of the pose
+   * @private
+   */
+  _withCorrection: function(pose) {
+    if (!pose || !pose.position) return pose;
+    return {
+      position: {
+        x: pose.position.x + this.correction.x,
+        y: pose.position.y + this.correction.y,
+        z: pose.position.z + this.correction.z
+      },
+      quaternion: pose.quaternion
+    };
+  },
+
+  /**
+   * Convert a replicated rotation to a quaternion
+   * @param {Object} [rotation] - Rotation in degrees {x, y, z}
+   * @returns {Object} Quaternion {x, y, z, w}
+   * @private
+   */
+  _rotationToQuaternion: function(rotation) {
+    const r = rotation || { x: 0, y: 0, z: 0 };
+    tempEuler.set(
+      THREE.MathUtils.degToRad(r.x),
+      THREE.MathUtils.degToRad(r.y),
+      THREE.MathUtils.degToRad(r.z),
+      'YXZ'
+    );
+    tempQuaternion.setFromEuler(tempEuler);
+    return { x: tempQuaternion.x, y: tempQuaternion.y, z: tempQuaternion.z, w: tempQuaternion.w };
+  },
+
+  /**
+   * Create one hand entity
+   * @returns {Element} The hand entity
+   * @private
+   */
+  _createHand: function() {
+    const hand = document.createElement('a-entity');
+    hand.setAttribute('geometry', 'primitive: box; width: 0.08; height: 0.03; depth: 0.12');
+    hand.classList.add('peer-avatar-hand');
+    this.el.appendChild(hand);
+    return hand;
+  },
+
+  /**
+   * Pose a hand from tracked data, or rest it beside the body
+   * @param {Element} hand - The hand entity
+   * @param {Object|null} handPose - Tracked pose {position, quaternion}
+   * @param {number} side - -1 for left, 1 for right
+   * @private
+   */
+  _poseHand: function(hand, handPose, side) {
+    const obj = hand.object3D;
+
+    if (handPose && handPose.position && handPose.quaternion) {
+      obj.position.set(handPose.position.x, handPose.position.y, handPose.position.z);
+      obj.quaternion.set(handPose.quaternion.x, handPose.quaternion.y, handPose.quaternion.z, handPose.quaternion.w);
+      return;
+    }
+
+    // No tracked hand: hang it at the side of the body
+    const body = this.body.object3D;
+    tempOffset.set(REST_HAND_OFFSET.x * side, REST_HAND_OFFSET.y - BODY_OFFSET_Y, REST_HAND_OFFSET.z);
+    tempOffset.applyQuaternion(body.quaternion);
+    obj.position.copy(body.position).add(tempOffset);
+    obj.quaternion.copy(body.quaternion);
+  },
+
+  /**
+   * Pose the right hand for the emote that is playing
+   * @private
+   */
+  _poseEmote: function() {
+    const emote = EMOTES[this.emote.name];
+    const elapsed = performance.now() - this.emote.startTime;
+    if (elapsed > emote.duration) {
+      this.emote = null;
+      return;
+    }
+
+    const seconds = elapsed / 1000;
+    const hand = this.hands.right.object3D;
+    // Pointing follows the head's aim; the others are held in front of the body
+    const frame = this.emote.name === 'point' ? this.head.object3D : this.body.object3D;
+
+    tempOffset.set(emote.offset.x, emote.offset.y, emote.offset.z).applyQuaternion(frame.quaternion);
+    hand.position.copy(frame.position).add(tempOffset);
+    hand.quaternion.copy(frame.quaternion);
+
+    switch (this.emote.name) {
+      case 'wave':
+        // Rock side to side
+        tempQuaternion.setFromAxisAngle(forwardAxis, Math.sin(seconds * 10) * 0.6);
+        hand.quaternion.multiply(tempQuaternion);
+        break;
+
+      case 'thumbs-up':
+        // Upright, with a little bounce
+        tempQuaternion.setFromAxisAngle(forwardAxis, Math.PI / 2);
+        hand.quaternion.multiply(tempQuaternion);
+        hand.position.y += Math.abs(Math.sin(seconds * 6)) * 0.04;
+        break;
+    }
+  }
+};
+
+export default PeerAvatar;
@@ -6,8 +6,82 @@
  * - Negotiates a common physics tick rate with all connected clients
  * - Implements interpolation and prediction for smooth physics
  * - Synchronizes physics states across the network
+ * - Arbitrates ownership of grabbed objects between peers
+ * - Brings late joiners up to date and replicates runtime spawn/despawn
+ * - Keeps a shared session clock so timestamps compare across machines
+ * - Sends each peer only the objects near it, nearby ones more often
+ * - Keeps each peer's traffic within a bandwidth budget measured from RTT and loss
+ * - Enforces the moderator's permissions: frozen users own nothing, locked objects only the host owns
  */
 
+import MultiplayerManager from '../managers/MultiplayerManager.js';
+import SnapshotCodec from '../network/SnapshotCodec.js';
+import Protocol from '../network/Protocol.js';
+import PhysicsUtils from '../utils/PhysicsUtils.js';
+import NetworkClock from '../network/NetworkClock.js';
+import SpatialGrid from '../utils/SpatialGrid.js';
+
+// Ownership requests for the same object arriving within this window are
+// treated as a conflict and resolved by (requestTime, peerId)
+const OWNERSHIP_CONFLICT_WINDOW = 50; // ms
+
+// A thrown/dropped object is handed back once it has been this still for this long
+const REST_LINEAR_THRESHOLD = 0.05; // m/s
+const REST_ANGULAR_THRESHOLD = 0.1; // rad/s
+const REST_DURATION = 500; // ms
+const MAX_FLIGHT_DURATION = 10000; // ms, release even if it never settles
+
+// Snapshots kept per peer as delta baselines (sent and received)
+const SNAPSHOT_HISTORY = 32;
+
+// States kept per object for interpolation, and how long one is kept after it arrived
+const INTERPOLATION_BUFFER_SIZE = 10;
+const INTERPOLATION_BUFFER_AGE = 1000; // ms
+
+// A late joiner goes live without the world snapshot after this long
+const WORLD_SNAPSHOT_TIMEOUT = 5000; // ms
+
+// A spawn from the world snapshot that hasn't loaded after this long is applied without it
+const SPAWN_LOAD_TIMEOUT = 2000; // ms
+
+// Runtime spawns one user may have in the world at once
+const MAX_SPAWNS_PER_PEER = 32;
+
+// Distributed authority: how often ownership is rebalanced, how much closer
+// another user must be before an object moves to them, and how close two
+// bounding spheres must be to count as touching
+const DISTRIBUTED_CHECK_INTERVAL = 250; // ms
+const PROXIMITY_HYSTERESIS = 0.5; // m
+const CONTACT_MARGIN = 0.05; // m
+const DEFAULT_OBJECT_RADIUS = 0.25; // m, until the model has loaded
+
+// A peer we have heard from that goes quiet this long is treated as gone
+// for host election (pings go out every 2 s)
+const PEER_TIMEOUT = 6000; // ms
+
+// Interest management: objects within INTEREST_NEAR_DISTANCE of a peer sync
+// at the full rate, falling to INTEREST_MIN_RATE at interestRadius. Objects
+// that are held, in flight or changed hands recently sync TOUCH_BOOST times as often.
+const INTEREST_CELL_SIZE = 5; // m
+const INTEREST_NEAR_DISTANCE = 3; // m
+const INTEREST_MIN_RATE = 0.1;
+const TOUCH_BOOST = 2;
+const TOUCH_BOOST_DURATION = 2000; // ms
+
+// Bandwidth budgeting: each peer's budget (kbit/s) backs off when snapshots
+// go unacknowledged or the round trip grows, and creeps back up while
+// updates are being deferred for lack of room
+const MIN_BANDWIDTH = 32; // kbit/s
+const BANDWIDTH_INCREASE = 0.1; // Of maxBandwidth, per stats period
+const BANDWIDTH_DECREASE = 0.7; // Factor on congestion
+const LOSS_THRESHOLD = 0.05;
+const RTT_INFLATION = 50; // ms above twice the lowest RTT seen that counts as queueing
+const MIN_LOSS_SAMPLES = 5;
+const BURST_DURATION = 250; // ms of budget that may be sent in one go
+const SNAPSHOT_OVERHEAD = 150; // bytes per message besides the objects (envelope, IDs, base64)
+const INITIAL_BYTES_PER_OBJECT = 48;
+const LINK_SHARE = 0.25; // Of a peer's reported downlink that physics may use
+
 const PhysicsSyncManager = {
   schema: {
     enabled: { type: 'boolean', default: true },
@@ -17,6 +91,10 @@ const PhysicsSyncManager = {
     interpolation: { type: 'boolean', default: true }, // Enable interpolation for smoother visuals
     authorityMode: { type: 'string', default: 'host', oneOf: ['host', 'distributed'] }, // Physics authority model
     syncInterval: { type: 'number', default: 100 }, // How often to sync in ms
+    wireFormat: { type: 'string', default: 'binary', oneOf: ['binary', 'json'] }, // 'json' sends readable per-object states for debugging
+    maxBandwidth: { type: 'number', default: 1000 }, // Physics traffic limit per peer in kbit/s (0 = unlimited)
+    interestManagement: { type: 'boolean', default: true }, // Only send peers the objects near them
+    interestRadius: { type: 'number', default: 15 }, // Objects further than this from a peer (m) are not sent to it
     debug: { type: 'boolean', default: false } // Enable debug logging
   },
 
@@ -29,10 +107,30 @@ const PhysicsSyncManager = {
     this.negotiatedTickRate = null;
     this.localCapabilities = {};
     this.syncedObjects = new Map();
+    this.nextNetId = 0; // Compact per-sender object IDs used in binary snapshots
+    this.interestGrid = new SpatialGrid(INTEREST_CELL_SIZE); // Objects we simulate, by position
     this.lastSyncTime = 0;
     this.lastLatencyCheckTime = 0;
+    this.lastStatsTime = 0;
+    this.lastAuthorityCheckTime = 0;
     this.networkLatencies = new Map();
     this.isHost = false;
+    this.hostId = null; // Elected host, null while not in a session
+    this.isModerator = false;
+    this.moderatorId = null; // Elected moderator (see electModerator), null while not in a session
+    this.sessionMembers = []; // User IDs in join order, including the local user
+    this.ownershipRequests = new Map(); // objectId -> { requests, timer } (arbiter side)
+    this.pendingOwnership = new Map(); // objectId -> requestTime (requester side)
+    this.frozenPeers = new Set(); // Users the host has barred from owning objects
+    this.lockedObjects = new Set(); // Objects only the host may own
+    this.spawnedEntities = new Map(); // objectId -> spawn descriptor, for late joiners
+    this.spawners = new Map(); // objectId -> who spawned it, for MAX_SPAWNS_PER_PEER
+    this.despawnedIds = new Set(); // Scene-authored objects removed at runtime
+    this.spawnCount = 0;
+    this.worldState = 'live'; // 'pending' while a late joiner waits for the world snapshot
+    this.worldProvider = null;
+    this.worldTimeout = null;
+    this.frozenObjects = new Map(); // el -> { originalState, velocity } while pending
     this.initAttempts = 0; 
     this.maxInitAttempts = 10; // Increased attempts, will be controlled by tick
 
@@ -46,6 +144,15 @@ const PhysicsSyncManager = {
     this.onPhysicsMessage = this.onPhysicsMessage.bind(this);
     this.initializeSync = this.initializeSync.bind(this);
     this.onPhysXCustomStarted = this.onPhysXCustomStarted.bind(this); // Bind new handler
+    this.requestOwnership = this.requestOwnership.bind(this);
+    this.releaseOwnership = this.releaseOwnership.bind(this);
+    this.onGrabStart = this.onGrabStart.bind(this);
+    this.onGrabEnd = this.onGrabEnd.bind(this);
+    this.onMultiplayerConnected = this.onMultiplayerConnected.bind(this);
+    this.onMultiplayerDisconnected = this.onMultiplayerDisconnected.bind(this);
+    this.onMultiplayerResumed = this.onMultiplayerResumed.bind(this);
+    this.onHostChanged = this.onHostChanged.bind(this);
+    this.onRolesChanged = this.onRolesChanged.bind(this);
 
     console.log('PhysicsSyncManager: Component instance created. Waiting for physics system in tick and physx-started event.');
 
@@ -56,6 +163,24 @@ const PhysicsSyncManager = {
     this.el.sceneEl.addEventListener('peer-connected', this.onPeerConnect);
     this.el.sceneEl.addEventListener('peer-disconnected', this.onPeerDisconnect);
     this.el.sceneEl.addEventListener('physics-message', this.onPhysicsMessage);
+
+    // Grabbing an object claims it; letting go starts the hand-back
+    this.el.sceneEl.addEventListener('grab-start', this.onGrabStart);
+    this.el.sceneEl.addEventListener('grab-end', this.onGrabEnd);
+
+    // Joining a session that is already running needs the world snapshot
+    document.addEventListener('multiplayer-connected', this.onMultiplayerConnected);
+    document.addEventListener('multiplayer-disconnected', this.onMultiplayerDisconnected);
+    document.addEventListener('multiplayer-resumed', this.onMultiplayerResumed);
+
+    // The host picks the tick rate
+    this.el.sceneEl.addEventListener('host-changed', this.onHostChanged);
+
+    // Spectators don't host and the headless host doesn't moderate; re-elect
+    // when someone starts or stops spectating or turns out to be headless
+    document.addEventListener('multiplayer-spectator-changed', this.onRolesChanged);
+    document.addEventListener('multiplayer-presence-changed', this.onRolesChanged);
+    document.addEventListener('multiplayer-peer-headless', this.onRolesChanged);
   },
 
   tick: function(time, timeDelta) {
@@ -164,6 +289,8 @@ const PhysicsSyncManager = {
     // Measure network latency periodically
     if (time - this.lastLatencyCheckTime > 2000) {
       this.measureNetworkLatency();
+      this.checkPeerTimeouts();
+      this.updateBandwidth(time - this.lastLatencyCheckTime);
       this.lastLatencyCheckTime = time;
 
       // Adjust tick rate if using adaptive sync
@@ -172,9 +299,19 @@ const PhysicsSyncManager = {
       }
     }
 
+    // Hand back thrown/dropped objects once they settle
+    this.checkReleasedObjects();
+
+    // Move objects to whoever is best placed to simulate them
+    if (this.data.authorityMode === 'distributed' &&
+        time - this.lastAuthorityCheckTime > DISTRIBUTED_CHECK_INTERVAL) {
+      this.updateDistributedAuthority();
+      this.lastAuthorityCheckTime = time;
+    }
+
     // Sync physics states
     if (time - this.lastSyncTime > this.data.syncInterval) {
-      this.syncAllObjects();
+      this.syncAllObjects(time - this.lastSyncTime);
       this.lastSyncTime = time;
     }
 
@@ -198,6 +335,7 @@ const PhysicsSyncManager = {
       this.localCapabilities = this.localCapabilities || { recommendedTickRate: 30 }; // Ensure defaults, e.g., 30Hz
       this.isInitialized = true; 
       console.error('PhysicsSyncManager: Forced initialization with defaults due to unexpected physics system unavailability in initializeSync.');
+      this.onSyncReady();
       this.el.emit('physics-sync-ready', { capabilities: this.localCapabilities });
       return;
     }
@@ -211,6 +349,7 @@ const PhysicsSyncManager = {
       this.setPhysicsTickRate(this.localCapabilities.recommendedTickRate);
       this.isInitialized = true;
       console.log('PhysicsSyncManager: Fully initialized with local capabilities:', this.localCapabilities);
+      this.onSyncReady();
       this.el.emit('physics-sync-ready', { capabilities: this.localCapabilities });
     } else {
       // This case should ideally not be hit if detectDeviceCapabilities in tick() succeeded.
@@ -220,12 +359,14 @@ const PhysicsSyncManager = {
           this.setPhysicsTickRate(this.localCapabilities.recommendedTickRate);
           this.isInitialized = true;
           console.log('PhysicsSyncManager: Re-detected and initialized capabilities:', this.localCapabilities);
+          this.onSyncReady();
           this.el.emit('physics-sync-ready', { capabilities: this.localCapabilities });
       }).catch(finalError => {
           console.error('PhysicsSyncManager: Final attempt to detect capabilities failed.', finalError);
           this.localCapabilities = { /* ... hardcoded default values ... */ };
           this.isInitialized = true; // Initialize with failsafe defaults
           console.log('PhysicsSyncManager: Initialized with HARDCODED default capabilities due to final error.');
+          this.onSyncReady();
           this.el.emit('physics-sync-ready', { capabilities: this.localCapabilities });
       });
     }
@@ -272,7 +413,8 @@ const PhysicsSyncManager = {
       recommendedTickRate,
       maxTickRate: this.data.maxTickRate,
       minTickRate: this.data.minTickRate,
-      devicePerformanceScore: await this.measureDevicePerformance()
+      devicePerformanceScore: await this.measureDevicePerformance(),
+      connection: this.detectConnection()
     };
 
     if (this.data.debug || !this.isInitialized) { // Log if debug or first time
@@ -285,6 +427,22 @@ const PhysicsSyncManager = {
     return this.localCapabilities;
   },
 
+  /**
+   * Describe the network connection, where the browser exposes it
+   * (Network Information API; Chromium-based browsers only)
+   * @returns {Object|null} { type, effectiveType, downlink (Mbit/s) }, or null if unknown
+   */
+  detectConnection: function() {
+    const connection = navigator.connection;
+    if (!connection) return null;
+
+    return {
+      type: connection.type || null,
+      effectiveType: connection.effectiveType || null,
+      downlink: connection.downlink || null
+    };
+  },
+
   /**
    * Estimate screen refresh rate
    * @returns {Promise<number>} Estimated refresh rate
@@ -357,6 +515,9 @@ const PhysicsSyncManager = {
   negotiateTickRate: function() {
     if (!this.isInitialized || this.connectedPeers.size === 0) return;
 
+    // In host mode only the host decides; everyone else waits for physics-tick-rate
+    if (this.data.authorityMode === 'host' && !this.isHost) return;
+
     // Collect all capabilities
     const allCapabilities = [this.localCapabilities];
     this.connectedPeers.forEach(peer => {
@@ -446,6 +607,7 @@ const PhysicsSyncManager = {
    */
   adaptTickRate: function() {
     if (!this.data.adaptiveSync || !this.negotiatedTickRate) return;
+    if (this.data.authorityMode === 'host' && !this.isHost) return;
 
     // Calculate average latency
     let totalLatency = 0;
@@ -519,8 +681,14 @@ const PhysicsSyncManager = {
     this.syncedObjects.set(id, {
       el: el,
       lastSyncTime: 0,
+      netId: this.nextNetId++ & 0xFFFF,
       authority: options.authority || null, // Who has authority over this object
+      held: false, // Whether the authority is currently holding it
+      releaseTime: 0, // When the authority let go (0 while held or unowned)
+      restStartTime: 0, // When it was first seen at rest after release
+      touchTime: 0, // When it last changed hands, for interest priority
       interpolationBuffer: [], // Buffer for interpolation
+      absentOwner: null, // Owner it was taken from when they stopped responding, for reclaims
       options: {
         syncPosition: options.syncPosition !== false,
         syncRotation: options.syncRotation !== false,
@@ -547,6 +715,8 @@ const PhysicsSyncManager = {
 
     if (this.syncedObjects.has(id)) {
       this.syncedObjects.delete(id);
+      this.interestGrid.remove(id);
+      this.connectedPeers.forEach(peer => peer.priorities.delete(id));
 
       if (this.data.debug) {
         console.log(`PhysicsSyncManager: Unregistered object: ${id}`);
@@ -566,9 +736,23 @@ const PhysicsSyncManager = {
       id: peerId,
       capabilities: evt.detail.capabilities || null,
       lastSyncTime: 0,
-      latency: 0
+      latency: 0,
+      lastHeard: null, // Set by the first message; peers still loading never time out
+      timedOut: false,
+      // Binary snapshot state: what we sent them and what they sent us
+      outgoing: { nextSequence: 0, ackedSequence: null, sent: new Map() },
+      incoming: { latestSequence: null, received: new Map(), netIds: new Map() },
+      // Interest management: objectId -> accumulated priority, for objects near them
+      priorities: new Map(),
+      bandwidth: this.createBandwidthState()
     });
 
+    // Newcomers join at the back of the line for host
+    if (!this.sessionMembers.includes(peerId)) {
+      this.sessionMembers.push(peerId);
+    }
+    this.electHost('joined');
+
     if (this.data.debug) {
       console.log(`PhysicsSyncManager: Peer connected: ${peerId}`);
     }
@@ -579,6 +763,11 @@ const PhysicsSyncManager = {
       capabilities: this.localCapabilities
     });
 
+    // Newcomers play by the moderator's rules from the start
+    if (this.isModerator && (this.frozenPeers.size > 0 || this.lockedObjects.size > 0)) {
+      this.sendMessageToPeer(peerId, this.createPermissionsMessage());
+    }
+
     // Renegotiate tick rate with all peers
     this.negotiateTickRate();
   },
@@ -593,6 +782,19 @@ const PhysicsSyncManager = {
     // Remove from connected peers
     if (this.connectedPeers.has(peerId)) {
       this.connectedPeers.delete(peerId);
+      this.networkLatencies.delete(peerId);
+      NetworkClock.removePeer(peerId);
+      this.sessionMembers = this.sessionMembers.filter(id => id !== peerId);
+
+      // A departing host's objects are handed over by the election
+      this.electHost('disconnected');
+
+      // Objects any other peer owned are nobody's now
+      this.syncedObjects.forEach((syncObj, objectId) => {
+        if (syncObj.authority === peerId) {
+          this.setOwnership(objectId, null, false);
+        }
+      });
 
       if (this.data.debug) {
         console.log(`PhysicsSyncManager: Peer disconnected: ${peerId}`);
@@ -608,16 +810,28 @@ const PhysicsSyncManager = {
    * @param {Event} evt - The physics-message event
    */
   onPhysicsMessage: function(evt) {
+    const receivedAt = performance.now();
     const message = evt.detail;
     const senderId = message.senderId;
 
     if (!message || !message.type) return;
 
+    const peer = this.connectedPeers.get(senderId);
+    if (peer) {
+      peer.lastHeard = performance.now();
+      if (peer.timedOut) {
+        peer.timedOut = false;
+        console.log(`PhysicsSyncManager: ${senderId} is responding again`);
+        this.electHost('recovered');
+      }
+    }
+
     switch (message.type) {
       case 'physics-capabilities':
         // Update peer capabilities
         if (this.connectedPeers.has(senderId)) {
           this.connectedPeers.get(senderId).capabilities = message.capabilities;
+          this.clampBandwidth(this.connectedPeers.get(senderId));
 
           if (this.data.debug) {
             console.log(`PhysicsSyncManager: Received capabilities from ${senderId}:`, message.capabilities);
@@ -631,7 +845,7 @@ const PhysicsSyncManager = {
       case 'physics-tick-rate':
         // Update tick rate if received from authority
         // In host mode, only the host can set the tick rate
-        if (this.data.authorityMode === 'host' && !this.isHost) {
+        if (this.data.authorityMode === 'host' && !this.isHost && senderId === this.hostId) {
           this.setPhysicsTickRate(message.tickRate);
           this.negotiatedTickRate = message.tickRate;
 
@@ -646,23 +860,91 @@ const PhysicsSyncManager = {
         this.applyPhysicsState(message.objectId, message.state, senderId);
         break;
 
+      case 'physics-snapshot':
+        this.onSnapshot(senderId, message.snapshot);
+        break;
+
+      case 'physics-snapshot-ack':
+        this.onSnapshotAck(senderId, message.sequence);
+        break;
+
+      case 'physics-ownership-request':
+        this.onOwnershipRequest(message.objectId, senderId, message.requestTime);
+        break;
+
+      case 'physics-ownership-changed':
+        // Checked before the permissions, so a frozen user can't hand
+        // anything to someone allowed to own it
+        if (!this.mayAnnounceOwnership(message.objectId, senderId)) break;
+        // An owner that was frozen, or locked out of the object, may only let go
+        if (message.owner && !this.canOwn(message.objectId, senderId)) break;
+        // Sent before the sender heard it may not own this any more
+        if (!this.canOwn(message.objectId, message.owner)) break;
+        this.setOwnership(message.objectId, message.owner, message.held);
+        break;
+
+      case 'physics-ownership-denied':
+        this.onOwnershipDenied(message.objectId, message.owner);
+        break;
+
+      case 'physics-ownership-reclaim':
+        this.onOwnershipReclaim(message.objectIds, senderId);
+        break;
+
+      case 'physics-world-request':
+        // Only the host provides the world, so a request can't make everyone send it
+        if (this.isHost) {
+          this.sendWorldSnapshot(senderId);
+        }
+        break;
+
+      case 'physics-world-snapshot':
+        this.applyWorldSnapshot(message, senderId);
+        break;
+
+      case 'physics-entity-spawn':
+        // The spawner owns what it spawns, whoever the message names
+        if (this.maySpawn(message.entity.id, senderId)) {
+          this.createSpawnedEntity(message.entity, message.owner ? senderId : null, senderId);
+        }
+        break;
+
+      case 'physics-entity-despawn':
+        if (this.mayDespawn(message.objectId, senderId)) {
+          this.removeEntity(message.objectId);
+        }
+        break;
+
+      case 'physics-permissions':
+        if (senderId === this.moderatorId && !this.isModerator) {
+          this.applyPermissions(message.frozen, message.locked);
+        }
+        break;
+
       case 'physics-ping':
-        // Respond to ping with pong
+        // Respond with our local receive and send times for clock sync
         this.sendMessageToPeer(senderId, {
           type: 'physics-pong',
-          timestamp: message.timestamp
+          pingSentAt: message.sentAt,
+          receivedAt: receivedAt,
+          sentAt: performance.now(),
+          epoch: NetworkClock.getEpoch()
         });
         break;
 
       case 'physics-pong':
-        // Calculate latency
-        const latency = performance.now() - message.timestamp;
         if (this.connectedPeers.has(senderId)) {
+          NetworkClock.addSample(senderId, message.pingSentAt, message.receivedAt, message.sentAt, receivedAt);
+          // The host's epoch is everyone's (the headless host's is always 0)
+          NetworkClock.adoptEpoch(senderId, Number.isFinite(message.epoch) ? message.epoch : 0);
+
+          const latency = NetworkClock.getRoundTripTime(senderId);
+          if (latency === null) break;
           this.connectedPeers.get(senderId).latency = latency;
           this.networkLatencies.set(senderId, latency);
 
           if (this.data.debug && this.data.adaptiveSync) {
-            console.log(`PhysicsSyncManager: Latency to ${senderId}: ${latency.toFixed(2)}ms`);
+            console.log(`PhysicsSyncManager: RTT to ${senderId}: ${latency.toFixed(2)}ms, clock offset: ${NetworkClock.getOffset(senderId).toFixed(2)}ms`);
           }
         }
         break;
@@ -675,9 +957,9 @@ const PhysicsSyncManager = {
    * @param {Object} message - The message to send
    */
   sendMessageToPeer: function(peerId, message) {
-    // Add sender ID and timestamp
-    message.senderId = this.el.sceneEl.systems.multiplayer?.localId || 'local';
-    message.timestamp = performance.now();
+    // Add sender ID and session timestamp
+    message.senderId = this.getLocalId();
+    message.timestamp = NetworkClock.now();
 
     // Emit event for multiplayer system to handle
     this.el.sceneEl.emit('send-to-peer', {
@@ -691,9 +973,9 @@ const PhysicsSyncManager = {
    * @param {Object} message - The message to broadcast
    */
   broadcastMessage: function(message) {
-    // Add sender ID and timestamp
-    message.senderId = this.el.sceneEl.systems.multiplayer?.localId || 'local';
-    message.timestamp = performance.now();
+    // Add sender ID and session timestamp
+    message.senderId = this.getLocalId();
+    message.timestamp = NetworkClock.now();
 
     // Emit event for multiplayer system to handle
     this.el.sceneEl.emit('broadcast-message', {
@@ -719,11 +1001,13 @@ const PhysicsSyncManager = {
     const state = this.getObjectPhysicsState(el);
 
     // Broadcast state to all peers
-    this.broadcastMessage({
+    const message = {
       type: 'physics-state',
       objectId: objectId,
       state: state
-    });
+    };
+    this.broadcastMessage(message);
+    this.connectedPeers.forEach((peer, peerId) => this.recordSent(peerId, message, 1));
 
     // Update last sync time
     syncObj.lastSyncTime = performance.now();
@@ -770,8 +1054,8 @@ const PhysicsSyncManager = {
       state.angularVelocity = angularVelocity;
     }
 
-    // Add timestamp
-    state.timestamp = performance.now();
+    // Add timestamp (session clock, so receivers can compare it with theirs)
+    state.timestamp = NetworkClock.now();
 
     return state;
   },
@@ -788,6 +1072,9 @@ const PhysicsSyncManager = {
     const syncObj = this.syncedObjects.get(objectId);
     const el = syncObj.el;
 
+    // Frozen until the world snapshot is applied
+    if (this.worldState === 'pending') return;
+
     // Skip if no physics body
     const bodyComponent = el.components['physx-body'];
     if (!bodyComponent || !bodyComponent.rigidBody) return;
@@ -797,17 +1084,34 @@ const PhysicsSyncManager = {
       // This peer doesn't have authority, ignore update
       return;
     }
+    if (!syncObj.authority && senderId !== this.getHostId()) {
+      // Unowned objects are simulated by the host
+      return;
+    }
 
     // If using interpolation, add to buffer
     if (syncObj.options.interpolate) {
-      syncObj.interpolationBuffer.push({
+      // Keyed by when the sender sampled it (session clock), kept in order
+      // since unreliable states can arrive out of order
+      const timestamp = Number.isFinite(state.timestamp) ? state.timestamp : NetworkClock.now();
+      const buffer = syncObj.interpolationBuffer;
+      let index = buffer.length;
+      while (index > 0 && buffer[index - 1].timestamp > timestamp) {
+        index--;
+      }
+      const receivedAt = performance.now();
+      buffer.splice(index, 0, {
         state: state,
-        timestamp: performance.now()
+        timestamp: timestamp,
+        receivedAt: receivedAt
       });
 
-      // Limit buffer size
-      if (syncObj.interpolationBuffer.length > 10) {
-        syncObj.interpolationBuffer.shift();
+      // Evict by arrival, not by position: a state stamped far in the past
+      // still sorts to the front, and must not push out newer arrivals
+      syncObj.interpolationBuffer = buffer.filter(entry => receivedAt - entry.receivedAt <= INTERPOLATION_BUFFER_AGE);
+      while (syncObj.interpolationBuffer.length > INTERPOLATION_BUFFER_SIZE) {
+        const oldest = syncObj.interpolationBuffer.reduce((a, b) => (b.receivedAt < a.receivedAt ? b : a));
+        syncObj.interpolationBuffer.splice(syncObj.interpolationBuffer.indexOf(oldest), 1);
       }
     } else {
       // Direct application without interpolation
@@ -869,14 +1173,19 @@ const PhysicsSyncManager = {
       // Skip if not using interpolation or buffer is too small
       if (!syncObj.options.interpolate || syncObj.interpolationBuffer.length < 2) return;
 
+      // Our own simulation drives objects we own
+      if (syncObj.authority === this.getLocalId()) return;
+
       const buffer = syncObj.interpolationBuffer;
-      const now = performance.now();
+      const now = NetworkClock.now();
 
-      // Find the two states to interpolate between
-      let state1 = buffer[0].state;
-      let state2 = buffer[1].state;
-      let t1 = buffer[0].timestamp;
-      let t2 = buffer[1].timestamp;
+      // Find the two states to interpolate between; past the newest state
+      // we hold the newest one
+      const last = buffer.length - 1;
+      let state1 = buffer[last - 1].state;
+      let state2 = buffer[last].state;
+      let t1 = buffer[last - 1].timestamp;
+      let t2 = buffer[last].timestamp;
 
       // Find the appropriate states based on render delay
       const renderDelay = this.calculateRenderDelay();
@@ -893,7 +1202,7 @@ const PhysicsSyncManager = {
       }
 
       // Calculate interpolation factor
-      const alpha = Math.max(0, Math.min(1, (targetTime - t1) / (t2 - t1)));
+      const alpha = t2 > t1 ? Math.max(0, Math.min(1, (targetTime - t1) / (t2 - t1))) : 1;
 
       // Create interpolated state
       const interpolatedState = this.interpolateStates(state1, state2, alpha);
@@ -984,7 +1293,7 @@ const PhysicsSyncManager = {
   calculateRenderDelay: function() {
     if (this.networkLatencies.size === 0) return 100; // Default delay
 
-    // Calculate average latency
+    // Calculate average round-trip time
     let totalLatency = 0;
     let count = 0;
 
@@ -995,9 +1304,9 @@ const PhysicsSyncManager = {
 
     const avgLatency = totalLatency / count;
 
-    // Add buffer to average latency
-    // Higher latency = more buffer needed
-    let renderDelay = avgLatency * 1.5;
+    // States are stamped on the session clock when sampled. They arrive about
+    // half a round trip later, and the next one is a sync interval behind that.
+    let renderDelay = avgLatency / 2 + this.data.syncInterval * 1.5;
 
     // Ensure minimum and maximum values
     renderDelay = Math.max(50, Math.min(renderDelay, 300));
@@ -1013,54 +1322,1884 @@ const PhysicsSyncManager = {
     this.connectedPeers.forEach((peer, peerId) => {
       this.sendMessageToPeer(peerId, {
         type: 'physics-ping',
-        timestamp: performance.now()
+        sentAt: performance.now() // Local clock; the session clock is derived from these
       });
     });
   },
 
   /**
    * Sync all registered objects
+   * Every object we simulate gains priority for each peer every sync tick,
+   * faster when it has a higher `priority` option, is close to the peer or
+   * was recently touched. Objects whose accumulated priority has reached 1
+   * are due; they are sent highest priority first, as many as the peer's
+   * bandwidth budget allows, and the rest keep their priority for next time.
+   * @param {number} elapsed - Time since the last sync in ms
    */
-  syncAllObjects: function() {
+  syncAllObjects: function(elapsed) {
+    // Our copy of the world is stale until the snapshot arrives
+    if (this.worldState === 'pending') return;
+
+    const now = performance.now();
+    // A long frame shouldn't flush every distant object at once
+    const step = Math.min(elapsed / this.data.syncInterval, 2);
+
+    // Only the authority sends an object's state
+    const authoritative = [];
     this.syncedObjects.forEach((syncObj, objectId) => {
-      // Check if it's time to sync this object based on priority
-      const timeSinceLastSync = performance.now() - syncObj.lastSyncTime;
-      const syncInterval = this.data.syncInterval / (1 + syncObj.options.priority * 0.5);
+      if (!this.isLocallyAuthoritative(syncObj)) {
+        this.interestGrid.remove(objectId);
+        return;
+      }
+      authoritative.push(objectId);
+      if (this.data.interestManagement) {
+        this.interestGrid.update(objectId, syncObj.el.object3D.getWorldPosition(new THREE.Vector3()));
+      }
+    });
+
+    const participants = this.data.interestManagement ? this.getParticipantPositions() : null;
+    const plan = new Map(); // peerId -> object IDs to send that peer
+
+    this.connectedPeers.forEach((peer, peerId) => {
+      const relevant = this.getRelevantObjects(participants && participants.get(peerId), authoritative);
+
+      // Objects that left the area start over if they come back
+      peer.priorities.forEach((value, objectId) => {
+        if (!relevant.has(objectId)) {
+          peer.priorities.delete(objectId);
+        }
+      });
+
+      const due = [];
+      relevant.forEach((distance, objectId) => {
+        const syncObj = this.syncedObjects.get(objectId);
+        // Objects entering the area are sent right away
+        const accumulated = peer.priorities.has(objectId)
+          ? peer.priorities.get(objectId) + step * this.getSyncRate(syncObj, distance, now)
+          : 1;
+
+        peer.priorities.set(objectId, accumulated);
+        if (accumulated >= 1) {
+          due.push(objectId);
+        }
+      });
 
-      if (timeSinceLastSync >= syncInterval) {
-        this.syncPhysicsState(objectId);
+      const selected = this.packToBudget(peer, due, elapsed);
+      selected.forEach(objectId => peer.priorities.set(objectId, 0));
+      if (selected.length > 0) {
+        plan.set(peerId, selected);
       }
     });
+
+    this.sendObjectsToPeers(plan);
   },
 
   /**
-   * Remove function called when component is removed
+   * Objects a peer should hear about, with their distance from it
+   * With interest management, that's the objects within interestRadius of
+   * the peer's avatar. Without it, or while the peer's position is unknown,
+   * it's everything we simulate.
+   * @param {THREE.Vector3} [position] - The peer's position
+   * @param {Array<string>} authoritative - IDs of the objects we simulate
+   * @returns {Map<string, number>} objectId -> distance in meters
    */
-  remove: function() {
-    // Clean up event listeners
-    this.el.sceneEl.removeEventListener('peer-connected', this.onPeerConnect);
-    this.el.sceneEl.removeEventListener('peer-disconnected', this.onPeerDisconnect);
-    this.el.sceneEl.removeEventListener('physics-message', this.onPhysicsMessage);
+  getRelevantObjects: function(position, authoritative) {
+    if (!this.data.interestManagement || !position) {
+      return new Map(authoritative.map(objectId => [objectId, 0]));
+    }
+    return this.interestGrid.query(position, this.data.interestRadius);
+  },
 
-    // Reset physics settings to defaults
-    const physics = this.el.sceneEl.systems.physx;
-    if (physics && physics.setFixedTimeStep) {
-      // Use a reasonable default
-      physics.setFixedTimeStep(1/60);
+  /**
+   * How fast an object gains priority for a peer, in sends per sync tick
+   * @param {Object} syncObj - The synced object entry
+   * @param {number} distance - Distance from the peer in meters
+   * @param {number} now - Current time (performance.now())
+   * @returns {number} The rate
+   */
+  getSyncRate: function(syncObj, distance, now) {
+    let rate = Math.max(0, 1 + syncObj.options.priority * 0.5);
+
+    if (distance > INTEREST_NEAR_DISTANCE) {
+      const range = Math.max(this.data.interestRadius - INTEREST_NEAR_DISTANCE, 0.001);
+      const falloff = Math.min(1, (distance - INTEREST_NEAR_DISTANCE) / range);
+      rate *= 1 - (1 - INTEREST_MIN_RATE) * falloff;
+    }
+
+    if (syncObj.held || syncObj.releaseTime || now - syncObj.touchTime < TOUCH_BOOST_DURATION) {
+      rate *= TOUCH_BOOST;
+    }
+
+    return rate;
+  },
+
+  /**
+   * Pick the due objects that fit in a peer's bandwidth budget this tick
+   * @param {Object} peer - The connected peer entry
+   * @param {Array<string>} due - IDs of the objects due for this peer
+   * @param {number} elapsed - Time since the last sync in ms
+   * @returns {Array<string>} The objects to send, highest priority first
+   */
+  packToBudget: function(peer, due, elapsed) {
+    const bandwidth = peer.bandwidth;
+    due.sort((a, b) => peer.priorities.get(b) - peer.priorities.get(a));
+
+    if (!this.data.maxBandwidth) {
+      bandwidth.sentUpdates += due.length;
+      return due;
+    }
+
+    // Token bucket: the budget refills continuously, with a small burst allowance
+    const bytesPerMs = bandwidth.budget / 8; // kbit/s = bit/ms
+    bandwidth.tokens = Math.min(bandwidth.tokens + bytesPerMs * elapsed, bytesPerMs * BURST_DURATION);
+
+    const room = Math.floor((bandwidth.tokens - SNAPSHOT_OVERHEAD) / bandwidth.bytesPerObject);
+    const selected = room > 0 ? due.slice(0, room) : [];
+
+    bandwidth.sentUpdates += selected.length;
+    bandwidth.deferredUpdates += due.length - selected.length;
+    return selected;
+  },
+
+  /**
+   * Charge a message against a peer's budget and send-rate statistics
+   * @param {string} peerId - The peer ID
+   * @param {Object} message - The message as sent
+   * @param {number} objectCount - Objects it carries
+   */
+  recordSent: function(peerId, message, objectCount) {
+    const peer = this.connectedPeers.get(peerId);
+    if (!peer) return;
+
+    const bytes = JSON.stringify(message).length;
+    const bandwidth = peer.bandwidth;
+    bandwidth.tokens -= bytes;
+    bandwidth.bytesSent += bytes;
+
+    if (objectCount > 0) {
+      const perObject = Math.max(1, (bytes - SNAPSHOT_OVERHEAD) / objectCount);
+      bandwidth.bytesPerObject += (perObject - bandwidth.bytesPerObject) * 0.1;
+    }
+  },
+
+  /**
+   * Fresh bandwidth state for a newly connected peer
+   * @returns {Object} The bandwidth state
+   */
+  createBandwidthState: function() {
+    const budget = this.data.maxBandwidth ? Math.max(MIN_BANDWIDTH, this.data.maxBandwidth / 2) : Infinity;
+    return {
+      budget, // kbit/s
+      tokens: 0, // Bytes we may send right now
+      bytesPerObject: INITIAL_BYTES_PER_OBJECT,
+      inFlight: new Map(), // Snapshot sequence -> time sent, until acked or given up on
+      acked: 0,
+      lost: 0,
+      loss: 0, // Smoothed fraction of snapshots lost
+      minRtt: null,
+      // Counters for the current stats period
+      bytesSent: 0,
+      sentUpdates: 0,
+      deferredUpdates: 0
+    };
+  },
+
+  /**
+   * Most a peer's budget may grow to
+   * Peers that report their downlink (mobile browsers mostly do) are held to
+   * a share of it, so a phone on a cellular connection isn't flooded.
+   * @param {Object} peer - The connected peer entry
+   * @returns {number} kbit/s
+   */
+  getBandwidthCap: function(peer) {
+    let cap = this.data.maxBandwidth || Infinity;
+    const connection = peer.capabilities && peer.capabilities.connection;
+    if (connection && connection.downlink) {
+      cap = Math.min(cap, connection.downlink * 1000 * LINK_SHARE);
     }
+    return Math.max(MIN_BANDWIDTH, cap);
+  },
+
+  /**
+   * Keep a peer's budget under its cap
+   * @param {Object} peer - The connected peer entry
+   */
+  clampBandwidth: function(peer) {
+    peer.bandwidth.budget = Math.min(peer.bandwidth.budget, this.getBandwidthCap(peer));
+  },
+
+  /**
+   * Adjust every peer's budget from its loss and RTT, and report
+   * Runs every stats period (2 s). Snapshots unacknowledged after two round
+   * trips count as lost. Loss above 5%, or a round trip well above the
+   * lowest seen (a queue building up somewhere), cuts the budget; otherwise
+   * it grows while there were updates it had no room for.
+   * Emits `physics-sync-stats` on the scene.
+   * @param {number} period - Time since the last update in ms
+   */
+  updateBandwidth: function(period) {
+    const now = performance.now();
+    const peers = [];
+    let totalRate = 0;
+
+    this.connectedPeers.forEach((peer, peerId) => {
+      const bandwidth = peer.bandwidth;
+      const rtt = peer.latency || 0;
+
+      const lossTimeout = Math.max(500, rtt * 2 + 200);
+      bandwidth.inFlight.forEach((sentAt, sequence) => {
+        if (now - sentAt > lossTimeout) {
+          bandwidth.inFlight.delete(sequence);
+          bandwidth.lost++;
+        }
+      });
+
+      const samples = bandwidth.acked + bandwidth.lost;
+      if (samples >= MIN_LOSS_SAMPLES) {
+        bandwidth.loss += (bandwidth.lost / samples - bandwidth.loss) * 0.5;
+        bandwidth.acked = 0;
+        bandwidth.lost = 0;
+      }
+
+      if (rtt > 0) {
+        bandwidth.minRtt = bandwidth.minRtt === null ? rtt : Math.min(bandwidth.minRtt, rtt);
+      }
+      const queueing = bandwidth.minRtt !== null && rtt > bandwidth.minRtt * 2 + RTT_INFLATION;
+
+      if (this.data.maxBandwidth) {
+        if (bandwidth.loss > LOSS_THRESHOLD || queueing) {
+          bandwidth.budget = Math.max(MIN_BANDWIDTH, bandwidth.budget * BANDWIDTH_DECREASE);
+        } else if (bandwidth.deferredUpdates > 0) {
+          bandwidth.budget += this.data.maxBandwidth * BANDWIDTH_INCREASE;
+        }
+        this.clampBandwidth(peer);
+      }
+
+      const updates = bandwidth.sentUpdates + bandwidth.deferredUpdates;
+      const sendRate = period > 0 ? (bandwidth.bytesSent * 8) / period : 0; // bit/ms = kbit/s
+      totalRate += sendRate;
+
+      peers.push({
+        peerId,
+        rtt,
+        loss: bandwidth.loss,
+        budget: Number.isFinite(bandwidth.budget) ? bandwidth.budget : null,
+        sendRate,
+        sentUpdates: bandwidth.sentUpdates,
+        deferredUpdates: bandwidth.deferredUpdates,
+        // Share of due updates that went out; below 1 means the budget is the limit
+        quality: updates > 0 ? bandwidth.sentUpdates / updates : 1
+      });
+
+      bandwidth.bytesSent = 0;
+      bandwidth.sentUpdates = 0;
+      bandwidth.deferredUpdates = 0;
+    });
 
     if (this.data.debug) {
-      console.log('PhysicsSyncManager: Component removed, reset physics to defaults');
+      peers.forEach(stats => {
+        console.log(`PhysicsSyncManager: ${stats.peerId} budget ${stats.budget === null ? 'unlimited' : stats.budget.toFixed(0) + ' kbit/s'}, sending ${stats.sendRate.toFixed(1)} kbit/s, loss ${(stats.loss * 100).toFixed(1)}%, quality ${(stats.quality * 100).toFixed(0)}%`);
+      });
     }
+
+    this.el.sceneEl.emit('physics-sync-stats', { peers, sendRate: totalRate });
   },
 
-  onPhysXCustomStarted: function() {
-    console.log('PhysicsSyncManager: Received physx-started event.');
-    this.physXEventFired = true;
-    // We don't immediately try to initialize here; 
-    // tick() will pick it up along with other readiness checks.
-  }
-};
+  /**
+   * Send the current state of several objects to every peer
+   * Uses one batched binary snapshot per peer, or one JSON physics-state
+   * message per object when wireFormat is 'json'.
+   * @param {Array<string>} objectIds - The object IDs
+   */
+  syncObjects: function(objectIds) {
+    if (objectIds.length === 0) return;
+
+    // Everyone is up to date; interest priorities start over
+    this.connectedPeers.forEach(peer => {
+      objectIds.forEach(objectId => {
+        if (peer.priorities.has(objectId)) {
+          peer.priorities.set(objectId, 0);
+        }
+      });
+    });
+
+    if (this.data.wireFormat === 'json') {
+      objectIds.forEach(objectId => this.syncPhysicsState(objectId));
+      return;
+    }
+
+    const states = this.captureStates(objectIds);
+    if (states.size === 0) return;
+
+    const timestamp = NetworkClock.now();
+    this.connectedPeers.forEach((peer, peerId) => {
+      this.sendSnapshot(peerId, peer.outgoing, states, timestamp);
+    });
+  },
+
+  /**
+   * Send each peer the current state of its own set of objects
+   * @param {Map<string, Array<string>>} plan - peerId -> object IDs
+   */
+  sendObjectsToPeers: function(plan) {
+    if (plan.size === 0) return;
+
+    const objectIds = new Set();
+    plan.forEach(ids => ids.forEach(objectId => objectIds.add(objectId)));
+
+    if (this.data.wireFormat === 'json') {
+      const states = new Map();
+      objectIds.forEach(objectId => {
+        const syncObj = this.syncedObjects.get(objectId);
+        const bodyComponent = syncObj && syncObj.el.components['physx-body'];
+        if (!bodyComponent || !bodyComponent.rigidBody) return;
+
+        states.set(objectId, this.getObjectPhysicsState(syncObj.el));
+        syncObj.lastSyncTime = performance.now();
+      });
+
+      plan.forEach((ids, peerId) => {
+        ids.forEach(objectId => {
+          if (!states.has(objectId)) return;
+          const message = {
+            type: 'physics-state',
+            objectId,
+            state: states.get(objectId)
+          };
+          this.sendMessageToPeer(peerId, message);
+          this.recordSent(peerId, message, 1);
+        });
+      });
+      return;
+    }
+
+    const states = this.captureStates([...objectIds]);
+    if (states.size === 0) return;
+
+    const timestamp = NetworkClock.now();
+    plan.forEach((ids, peerId) => {
+      const peer = this.connectedPeers.get(peerId);
+      if (!peer) return;
+
+      const peerStates = new Map();
+      ids.forEach(objectId => {
+        if (states.has(objectId)) {
+          peerStates.set(objectId, states.get(objectId));
+        }
+      });
+      this.sendSnapshot(peerId, peer.outgoing, peerStates, timestamp);
+    });
+  },
+
+  /**
+   * Quantize the current state of several objects for a snapshot
+   * @param {Array<string>} objectIds - The object IDs
+   * @returns {Map<string, Object>} objectId -> quantized state (objects without a body are left out)
+   */
+  captureStates: function(objectIds) {
+    // Quantize once; every peer gets a delta against its own acked baseline
+    const states = new Map();
+    const now = performance.now();
+    objectIds.forEach(objectId => {
+      const syncObj = this.syncedObjects.get(objectId);
+      const bodyComponent = syncObj && syncObj.el.components['physx-body'];
+      if (!bodyComponent || !bodyComponent.rigidBody) return;
+
+      states.set(objectId, SnapshotCodec.quantizeState(this.getObjectPhysicsState(syncObj.el)));
+      syncObj.lastSyncTime = now;
+    });
+    return states;
+  },
+
+  /**
+   * Encode and send one peer's snapshot
+   * @param {string} peerId - The peer ID
+   * @param {Object} outgoing - The peer's outgoing snapshot state
+   * @param {Map} states - objectId -> quantized state for this tick
+   * @param {number} timestamp - Snapshot time on the session clock
+   */
+  sendSnapshot: function(peerId, outgoing, states, timestamp) {
+    const baseline = outgoing.ackedSequence !== null ? outgoing.sent.get(outgoing.ackedSequence) : null;
+
+    // What the peer will hold after applying this snapshot: the baseline plus
+    // our changes. Objects we no longer sync drop out and get sent in full later.
+    const stored = new Map();
+    if (baseline) {
+      baseline.forEach((state, objectId) => {
+        if (this.syncedObjects.has(objectId)) {
+          stored.set(objectId, state);
+        }
+      });
+    }
+
+    const entries = [];
+    states.forEach((state, objectId) => {
+      const base = stored.get(objectId);
+      stored.set(objectId, state);
+
+      if (base && SnapshotCodec.statesEqual(base, state)) return;
+
+      entries.push({
+        netId: this.syncedObjects.get(objectId).netId,
+        // The peer only knows our netId for objects in a snapshot it acked
+        name: base ? null : objectId,
+        state,
+        base
+      });
+    });
+
+    if (entries.length === 0) return;
+
+    const sequence = outgoing.nextSequence;
+    outgoing.nextSequence = (sequence + 1) & 0xFFFF;
+
+    let snapshot;
+    try {
+      snapshot = SnapshotCodec.encode({
+        sequence,
+        baseline: baseline ? outgoing.ackedSequence : null,
+        timestamp,
+        entries
+      });
+    } catch (error) {
+      console.error('PhysicsSyncManager: Failed to encode snapshot:', error);
+      return;
+    }
+
+    outgoing.sent.set(sequence, stored);
+    if (outgoing.sent.size > SNAPSHOT_HISTORY) {
+      // Maps iterate in insertion order, so the first key is the oldest
+      outgoing.sent.delete(outgoing.sent.keys().next().value);
+    }
+
+    const message = {
+      type: 'physics-snapshot',
+      snapshot
+    };
+    this.sendMessageToPeer(peerId, message);
+
+    const peer = this.connectedPeers.get(peerId);
+    if (peer) {
+      // Unacknowledged snapshots are how we measure loss
+      peer.bandwidth.inFlight.set(sequence, performance.now());
+      this.recordSent(peerId, message, entries.length);
+    }
+  },
+
+  /**
+   * Handle a binary snapshot from a peer
+   * @param {string} senderId - The sender ID
+   * @param {string} encoded - The base64 encoded snapshot
+   */
+  onSnapshot: function(senderId, encoded) {
+    const peer = this.connectedPeers.get(senderId);
+    if (!peer || typeof encoded !== 'string') return;
+
+    const snapshot = SnapshotCodec.decode(encoded);
+    if (!snapshot) {
+      console.warn(`PhysicsSyncManager: Dropping unreadable snapshot from ${senderId}`);
+      return;
+    }
+
+    const incoming = peer.incoming;
+    let baseline = null;
+    if (snapshot.baseline !== null) {
+      baseline = incoming.received.get(snapshot.baseline);
+      if (!baseline) return; // Baseline already discarded; the sender falls back to full states
+    }
+
+    const stored = new Map(baseline || []);
+    const changed = [];
+
+    snapshot.entries.forEach(entry => {
+      if (entry.name) {
+        incoming.netIds.set(entry.netId, entry.name);
+      }
+      const objectId = incoming.netIds.get(entry.netId);
+      if (!objectId) return;
+
+      const state = SnapshotCodec.applyEntry(stored.get(objectId), entry);
+      if (!state) return;
+
+      stored.set(objectId, state);
+      changed.push(objectId);
+    });
+
+    incoming.received.set(snapshot.sequence, stored);
+    if (incoming.received.size > SNAPSHOT_HISTORY) {
+      incoming.received.delete(incoming.received.keys().next().value);
+    }
+
+    this.sendMessageToPeer(senderId, {
+      type: 'physics-snapshot-ack',
+      sequence: snapshot.sequence
+    });
+
+    // A late, out-of-order snapshot still serves as a baseline but is not applied
+    if (incoming.latestSequence !== null &&
+        !SnapshotCodec.isNewerSequence(snapshot.sequence, incoming.latestSequence)) {
+      return;
+    }
+    incoming.latestSequence = snapshot.sequence;
+
+    changed.forEach(objectId => {
+      const state = SnapshotCodec.dequantizeState(stored.get(objectId), snapshot.timestamp);
+      this.applyPhysicsState(objectId, state, senderId);
+    });
+  },
+
+  /**
+   * Handle a peer acknowledging one of our snapshots
+   * @param {string} senderId - The peer ID
+   * @param {number} sequence - The acknowledged sequence
+   */
+  onSnapshotAck: function(senderId, sequence) {
+    const peer = this.connectedPeers.get(senderId);
+    if (!peer || !peer.outgoing.sent.has(sequence)) return;
+
+    if (peer.bandwidth.inFlight.delete(sequence)) {
+      peer.bandwidth.acked++;
+    }
+
+    const outgoing = peer.outgoing;
+    if (outgoing.ackedSequence === null || SnapshotCodec.isNewerSequence(sequence, outgoing.ackedSequence)) {
+      outgoing.ackedSequence = sequence;
+    }
+  },
+
+  /**
+   * Get the local user ID used in sync messages
+   * @returns {string} The local ID
+   */
+  getLocalId: function() {
+    return MultiplayerManager.localId || 'local';
+  },
+
+  /**
+   * Get the ID of the session host
+   * @returns {string} The host ID (the local user when not in a session)
+   */
+  getHostId: function() {
+    return this.hostId || this.getLocalId();
+  },
+
+  /**
+   * Elect the host: the longest-present user that is still responding
+   * Every peer sees the same join order (the relay lists existing peers
+   * oldest first), so every peer elects the same host without extra messages.
+   * Spectators can't own bodies, so they are only elected when nobody else
+   * is left. If the host changes because the old one left, timed out or
+   * started spectating, the objects it owned go to the new host.
+   * @param {string} reason - Why the election ran (for the host-changed event)
+   */
+  electHost: function(reason) {
+    const localId = this.getLocalId();
+    const responding = this.sessionMembers.filter(id => {
+      // Members we haven't seen peer-connected for yet still count
+      const peer = this.connectedPeers.get(id);
+      return id === localId || !peer || !peer.timedOut;
+    });
+    const players = responding.filter(id => !MultiplayerManager.isSpectator(id));
+    const candidates = players.length > 0 ? players : responding;
+
+    const previousHostId = this.hostId;
+    const hostId = candidates[0] || localId;
+    this.hostId = hostId;
+    this.isHost = hostId === localId;
+
+    // The host's clock is the session clock; states stamped on the old one
+    // don't order against new ones
+    if (NetworkClock.setReferencePeer(this.isHost ? null : hostId)) {
+      this.syncedObjects.forEach(syncObj => {
+        syncObj.interpolationBuffer.length = 0;
+      });
+    }
+
+    this.electModerator(responding, reason);
+
+    if (hostId === previousHostId) return;
+
+    if (previousHostId && !candidates.includes(previousHostId)) {
+      this.syncedObjects.forEach((syncObj, objectId) => {
+        if (syncObj.authority === previousHostId) {
+          this.setOwnership(objectId, hostId, false);
+          // Theirs again if they resume and reclaim it
+          syncObj.absentOwner = previousHostId;
+        }
+      });
+    }
+
+    console.log(`PhysicsSyncManager: Host is now ${hostId}${this.isHost ? ' (local)' : ''} (${reason})`);
+
+    this.el.sceneEl.emit('host-changed', {
+      hostId,
+      previousHostId,
+      isLocal: this.isHost,
+      reason
+    });
+  },
+
+  /**
+   * Elect the moderator, who may kick, mute, freeze and lock
+   * That is the host, unless the host is headless (server/physics-host.js
+   * has no one to moderate for it); then it is the longest-present person.
+   * As with the host, spectators only moderate when nobody else is left.
+   * Emits moderator-changed on the scene when the moderator changes.
+   * @param {string[]} responding - Session members still responding, in join order
+   * @param {string} reason - Why the election ran
+   */
+  electModerator: function(responding, reason) {
+    const people = responding.filter(id => !MultiplayerManager.isHeadless(id));
+    const players = people.filter(id => !MultiplayerManager.isSpectator(id));
+
+    const previousModeratorId = this.moderatorId;
+    const moderatorId = players[0] || people[0] || null;
+    this.moderatorId = moderatorId;
+    this.isModerator = moderatorId === this.getLocalId();
+    if (moderatorId === previousModeratorId) return;
+
+    if (this.data.debug) {
+      console.log(`PhysicsSyncManager: Moderator is now ${moderatorId}${this.isModerator ? ' (local)' : ''} (${reason})`);
+    }
+
+    this.el.sceneEl.emit('moderator-changed', {
+      moderatorId,
+      previousModeratorId,
+      isLocal: this.isModerator,
+      reason
+    });
+  },
+
+  /**
+   * Handle a host change
+   * @param {CustomEvent} evt - The host-changed event
+   */
+  onHostChanged: function(evt) {
+    if (evt.detail.isLocal) {
+      // Take over picking the tick rate
+      this.negotiateTickRate();
+    }
+  },
+
+  /**
+   * Re-elect the host and moderator when we or a peer start or stop
+   * spectating, or a peer turns out to be headless
+   * @param {CustomEvent} evt - The event that changed someone's role
+   */
+  onRolesChanged: function(evt) {
+    if (this.sessionMembers.length === 0) return; // Not in a session
+
+    this.electHost(evt.type === 'multiplayer-peer-headless' ? 'headless' : 'spectators');
+  },
+
+  /**
+   * Mark peers that have gone quiet and re-elect the host if needed
+   */
+  checkPeerTimeouts: function() {
+    const now = performance.now();
+    let changed = false;
+
+    this.connectedPeers.forEach((peer, peerId) => {
+      if (peer.timedOut || peer.lastHeard === null) return;
+      if (now - peer.lastHeard > PEER_TIMEOUT) {
+        peer.timedOut = true;
+        changed = true;
+        console.warn(`PhysicsSyncManager: No messages from ${peerId} for ${PEER_TIMEOUT}ms`);
+      }
+    });
+
+    if (changed) {
+      this.electHost('timeout');
+    }
+  },
+
+  /**
+   * Whether the local user should simulate and broadcast an object
+   * Owned objects belong to their owner; unowned objects belong to the host.
+   * @param {Object} syncObj - The synced object entry
+   * @returns {boolean} True if the local user is the authority
+   */
+  isLocallyAuthoritative: function(syncObj) {
+    if (syncObj.authority) {
+      return syncObj.authority === this.getLocalId();
+    }
+    return this.isHost;
+  },
+
+  /**
+   * Ask for ownership of an object, e.g. when the local user grabs it
+   * Ownership is granted immediately when uncontested; otherwise the current
+   * owner (or the host for unowned objects) decides. If the host has frozen
+   * us or locked the object, the request is denied straight away.
+   * @param {string|Element} idOrEl - The object ID or element
+   * @returns {boolean} False if the object can't be synced or we may not own it
+   */
+  requestOwnership: function(idOrEl) {
+    const el = typeof idOrEl === 'string' ? document.getElementById(idOrEl) : idOrEl;
+    let objectId = typeof idOrEl === 'string' ? idOrEl : idOrEl && idOrEl.id;
+
+    if (!this.syncedObjects.has(objectId)) {
+      objectId = this.registerObject(el);
+      if (!objectId) return false;
+    }
+
+    const syncObj = this.syncedObjects.get(objectId);
+    const localId = this.getLocalId();
+
+    if (!this.canOwn(objectId, localId)) {
+      // Later, so the grab that asked has finished setting up before it is undone
+      setTimeout(() => {
+        this.el.sceneEl.emit('sync-ownership-denied', {
+          objectId,
+          el: syncObj.el,
+          owner: syncObj.authority
+        });
+      }, 0);
+      return false;
+    }
+
+    // Already ours (e.g. re-grabbed mid-flight) or nobody to ask
+    if (syncObj.authority === localId || this.connectedPeers.size === 0) {
+      this.setOwnership(objectId, localId, true);
+      this.broadcastMessage({
+        type: 'physics-ownership-changed',
+        objectId,
+        owner: localId,
+        held: true
+      });
+      return true;
+    }
+
+    // On the session clock, so arbiters can compare requests from different peers
+    const requestTime = NetworkClock.now();
+    this.pendingOwnership.set(objectId, requestTime);
+
+    const arbiterId = syncObj.authority || this.getHostId();
+    if (arbiterId === localId) {
+      this.onOwnershipRequest(objectId, localId, requestTime);
+    } else {
+      this.sendMessageToPeer(arbiterId, {
+        type: 'physics-ownership-request',
+        objectId,
+        requestTime
+      });
+    }
+
+    if (this.data.debug) {
+      console.log(`PhysicsSyncManager: Requested ownership of ${objectId} from ${arbiterId}`);
+    }
+
+    return true;
+  },
+
+  /**
+   * Let go of an object, e.g. on throw or drop
+   * The local user stays the owner and keeps simulating the flight until the
+   * object comes to rest (see checkReleasedObjects).
+   * @param {string|Element} idOrEl - The object ID or element
+   */
+  releaseOwnership: function(idOrEl) {
+    const objectId = typeof idOrEl === 'string' ? idOrEl : idOrEl && idOrEl.id;
+    const syncObj = this.syncedObjects.get(objectId);
+    this.pendingOwnership.delete(objectId);
+
+    if (!syncObj || syncObj.authority !== this.getLocalId()) return;
+
+    this.setOwnership(objectId, syncObj.authority, false);
+    this.broadcastMessage({
+      type: 'physics-ownership-changed',
+      objectId,
+      owner: syncObj.authority,
+      held: false
+    });
+  },
+
+  /**
+   * Whether a peer may announce a new owner for an object
+   * Only the current owner gives an object away (grant, release, hand-over or
+   * hand-back); the host does so for unowned objects and when it revokes
+   * ownership. Anyone else's announcement is ignored.
+   * @param {string} objectId - The object ID
+   * @param {string} senderId - Who announced it
+   * @returns {boolean} True if the announcement counts
+   */
+  mayAnnounceOwnership: function(objectId, senderId) {
+    const syncObj = this.syncedObjects.get(objectId);
+    if (!syncObj) return false;
+
+    return senderId === syncObj.authority || senderId === this.getHostId();
+  },
+
+  /**
+   * Arbiter side: collect an ownership request and resolve conflicts
+   * @param {string} objectId - The object ID
+   * @param {string} requesterId - Who is asking
+   * @param {number} requestTime - When they asked, on the session clock
+   */
+  onOwnershipRequest: function(objectId, requesterId, requestTime) {
+    const syncObj = this.syncedObjects.get(objectId);
+    const localId = this.getLocalId();
+    const isArbiter = syncObj &&
+      (syncObj.authority ? syncObj.authority === localId : this.isHost);
+
+    if (syncObj && !this.canOwn(objectId, requesterId)) {
+      this.denyOwnership(objectId, requesterId, syncObj.authority);
+      return;
+    }
+
+    if (syncObj && syncObj.authority === requesterId) {
+      // Ownership reached them before their request reached us (e.g. a
+      // distributed handover); confirm it and mark it held
+      this.setOwnership(objectId, requesterId, true);
+      this.broadcastMessage({
+        type: 'physics-ownership-changed',
+        objectId,
+        owner: requesterId,
+        held: true
+      });
+      return;
+    }
+
+    if (!isArbiter) {
+      // Stale request; tell the requester who actually owns it
+      this.denyOwnership(objectId, requesterId, syncObj ? syncObj.authority : null);
+      return;
+    }
+
+    let entry = this.ownershipRequests.get(objectId);
+    if (!entry) {
+      entry = {
+        requests: [],
+        timer: setTimeout(() => this.resolveOwnershipRequests(objectId), OWNERSHIP_CONFLICT_WINDOW)
+      };
+      this.ownershipRequests.set(objectId, entry);
+    }
+    entry.requests.push({
+      requesterId,
+      requestTime: Number.isFinite(requestTime) ? requestTime : NetworkClock.now()
+    });
+  },
+
+  /**
+   * Arbiter side: grant the earliest request and deny the rest
+   * Ties on requestTime go to the lowest peer ID, so every arbiter would pick
+   * the same winner.
+   * @param {string} objectId - The object ID
+   */
+  resolveOwnershipRequests: function(objectId) {
+    const entry = this.ownershipRequests.get(objectId);
+    this.ownershipRequests.delete(objectId);
+    const syncObj = this.syncedObjects.get(objectId);
+    if (!entry || !syncObj) return;
+
+    const requests = entry.requests.sort((a, b) =>
+      (a.requestTime - b.requestTime) || (a.requesterId < b.requesterId ? -1 : 1)
+    );
+
+    // A held object stays with its holder
+    const winner = syncObj.held && syncObj.authority
+      ? requests.find(r => r.requesterId === syncObj.authority)
+      : requests[0];
+
+    requests.forEach(request => {
+      if (request !== winner) {
+        this.denyOwnership(objectId, request.requesterId, winner ? winner.requesterId : syncObj.authority);
+      }
+    });
+
+    if (!winner) return;
+
+    this.setOwnership(objectId, winner.requesterId, true);
+    this.broadcastMessage({
+      type: 'physics-ownership-changed',
+      objectId,
+      owner: winner.requesterId,
+      held: true
+    });
+  },
+
+  /**
+   * Arbiter side: refuse an ownership request
+   * @param {string} objectId - The object ID
+   * @param {string} requesterId - Who asked
+   * @param {string|null} owner - Who owns it instead
+   */
+  denyOwnership: function(objectId, requesterId, owner) {
+    if (requesterId === this.getLocalId()) {
+      this.onOwnershipDenied(objectId, owner);
+      return;
+    }
+
+    this.sendMessageToPeer(requesterId, {
+      type: 'physics-ownership-denied',
+      objectId,
+      owner
+    });
+  },
+
+  /**
+   * Requester side: our request was refused
+   * @param {string} objectId - The object ID
+   * @param {string|null} owner - Who owns it instead
+   */
+  onOwnershipDenied: function(objectId, owner) {
+    if (!this.pendingOwnership.has(objectId)) return;
+    this.pendingOwnership.delete(objectId);
+
+    // Handed to us while the request was in flight
+    if (owner === this.getLocalId()) return;
+
+    const syncObj = this.syncedObjects.get(objectId);
+
+    if (this.data.debug) {
+      console.log(`PhysicsSyncManager: Ownership of ${objectId} denied (owner: ${owner})`);
+    }
+
+    // A reclaim after reconnecting lost to someone who picked it up meanwhile
+    if (syncObj && syncObj.authority === this.getLocalId() && owner) {
+      this.setOwnership(objectId, owner, true);
+    }
+
+    // Interaction components drop the object when they see this
+    this.el.sceneEl.emit('sync-ownership-denied', {
+      objectId,
+      el: syncObj ? syncObj.el : null,
+      owner
+    });
+  },
+
+  /**
+   * Apply an ownership change and notify listeners
+   * @param {string} objectId - The object ID
+   * @param {string|null} owner - The new owner, or null for unowned
+   * @param {boolean} held - Whether the owner is holding it
+   */
+  setOwnership: function(objectId, owner, held) {
+    const syncObj = this.syncedObjects.get(objectId);
+    if (!syncObj) return;
+
+    const previousOwner = syncObj.authority;
+    const wasHeld = syncObj.held;
+    const localId = this.getLocalId();
+
+    syncObj.authority = owner || null;
+    syncObj.absentOwner = null;
+    syncObj.held = !!(owner && held);
+    syncObj.releaseTime = owner && !held ? performance.now() : 0;
+    syncObj.restStartTime = 0;
+
+    if (owner === localId) {
+      this.pendingOwnership.delete(objectId);
+      // Our simulation takes over; drop remote states still queued
+      syncObj.interpolationBuffer.length = 0;
+    }
+
+    if (previousOwner === syncObj.authority && wasHeld === syncObj.held) return;
+
+    syncObj.touchTime = performance.now();
+
+    if (this.data.debug) {
+      console.log(`PhysicsSyncManager: Ownership of ${objectId}: ${previousOwner} -> ${syncObj.authority} (held: ${syncObj.held})`);
+    }
+
+    this.el.sceneEl.emit('sync-ownership-changed', {
+      objectId,
+      el: syncObj.el,
+      owner: syncObj.authority,
+      previousOwner,
+      held: syncObj.held,
+      isLocal: syncObj.authority === localId
+    });
+  },
+
+  /**
+   * Distributed mode: pass objects we simulate to a better-placed user
+   * Only the current authority ever gives an object away, so two users never
+   * claim the same object at once. Held objects stay with their holder.
+   * - Contact: when our object touches one simulated by someone else, one of
+   *   them simulates both. The holder of a held object wins, otherwise the
+   *   lowest user ID, so both sides reach the same answer.
+   * - Proximity: a free object that isn't touching anything moves to the
+   *   nearest user, if they are clearly closer than the current owner.
+   */
+  updateDistributedAuthority: function() {
+    if (this.worldState === 'pending' || this.connectedPeers.size === 0) return;
+
+    const localId = this.getLocalId();
+    const participants = this.getParticipantPositions();
+    const local = [];
+    const others = [];
+
+    this.syncedObjects.forEach((syncObj, objectId) => {
+      if (this.pendingOwnership.has(objectId)) return;
+
+      const entry = {
+        objectId,
+        syncObj,
+        owner: syncObj.authority || this.getHostId(),
+        position: syncObj.el.object3D.getWorldPosition(new THREE.Vector3()),
+        radius: this.getObjectRadius(syncObj)
+      };
+      (entry.owner === localId ? local : others).push(entry);
+    });
+
+    local.forEach(entry => {
+      if (entry.syncObj.held) return;
+
+      let touching = false;
+      let contactWinner = null;
+
+      [...local, ...others].forEach(other => {
+        if (other === entry || contactWinner) return;
+        const reach = entry.radius + other.radius + CONTACT_MARGIN;
+        if (entry.position.distanceToSquared(other.position) > reach * reach) return;
+
+        touching = true;
+        if (other.owner === localId) return;
+
+        if (other.syncObj.held || other.owner < localId) {
+          contactWinner = other.owner;
+        }
+      });
+
+      let newOwner = contactWinner;
+      if (!newOwner && !touching) {
+        newOwner = this.findNearestParticipant(entry.position, participants, localId);
+      }
+
+      if (newOwner && newOwner !== localId && this.canOwn(entry.objectId, newOwner)) {
+        this.handOverObject(entry.objectId, newOwner);
+      }
+    });
+  },
+
+  /**
+   * Give an object we simulate to another user
+   * @param {string} objectId - The object ID
+   * @param {string} newOwner - The user taking over
+   */
+  handOverObject: function(objectId, newOwner) {
+    // Our latest state is where their simulation starts
+    this.syncObjects([objectId]);
+
+    this.setOwnership(objectId, newOwner, false);
+    this.broadcastMessage({
+      type: 'physics-ownership-changed',
+      objectId,
+      owner: newOwner,
+      held: false
+    });
+  },
+
+  /**
+   * Head positions of everyone in the session
+   * @returns {Map<string, THREE.Vector3>} User ID -> world position
+   */
+  getParticipantPositions: function() {
+    const positions = new Map();
+
+    const camera = document.querySelector('#camera');
+    if (camera) {
+      positions.set(this.getLocalId(), camera.object3D.getWorldPosition(new THREE.Vector3()));
+    }
+
+    MultiplayerManager.peers.forEach(peer => {
+      if (peer.position && this.connectedPeers.has(peer.id)) {
+        positions.set(peer.id, new THREE.Vector3(peer.position.x, peer.position.y, peer.position.z));
+      }
+    });
+
+    return positions;
+  },
+
+  /**
+   * Find a user clearly closer to a position than its current owner
+   * @param {THREE.Vector3} position - The object's position
+   * @param {Map<string, THREE.Vector3>} participants - User ID -> position
+   * @param {string} ownerId - The current owner
+   * @returns {string|null} The closer user, or null to keep the current owner
+   */
+  findNearestParticipant: function(position, participants, ownerId) {
+    const ownerPosition = participants.get(ownerId);
+    if (!ownerPosition) return null;
+
+    let nearestId = null;
+    let nearestDistance = position.distanceTo(ownerPosition) - PROXIMITY_HYSTERESIS;
+
+    participants.forEach((participantPosition, participantId) => {
+      if (participantId === ownerId) return;
+      const distance = position.distanceTo(participantPosition);
+      if (distance < nearestDistance) {
+        nearestId = participantId;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearestId;
+  },
+
+  /**
+   * Bounding sphere radius of a synced object, cached once the model has loaded
+   * @param {Object} syncObj - The synced object entry
+   * @returns {number} Radius in meters
+   */
+  getObjectRadius: function(syncObj) {
+    if (syncObj.radius) return syncObj.radius;
+
+    const box = new THREE.Box3().setFromObject(syncObj.el.object3D);
+    if (box.isEmpty()) return DEFAULT_OBJECT_RADIUS;
+
+    syncObj.radius = box.getBoundingSphere(new THREE.Sphere()).radius;
+    return syncObj.radius;
+  },
+
+  /**
+   * Give up ownership of objects we threw or dropped once they come to rest
+   */
+  checkReleasedObjects: function() {
+    const localId = this.getLocalId();
+    const now = performance.now();
+
+    this.syncedObjects.forEach((syncObj, objectId) => {
+      if (syncObj.authority !== localId || syncObj.held || !syncObj.releaseTime) return;
+
+      const bodyComponent = syncObj.el.components['physx-body'];
+      const rigidBody = bodyComponent && bodyComponent.rigidBody;
+      let atRest = true;
+
+      if (rigidBody && rigidBody.getLinearVelocity && rigidBody.getAngularVelocity) {
+        const linear = rigidBody.getLinearVelocity();
+        const angular = rigidBody.getAngularVelocity();
+        const linearSpeed = Math.sqrt(linear.x * linear.x + linear.y * linear.y + linear.z * linear.z);
+        const angularSpeed = Math.sqrt(angular.x * angular.x + angular.y * angular.y + angular.z * angular.z);
+        atRest = linearSpeed < REST_LINEAR_THRESHOLD && angularSpeed < REST_ANGULAR_THRESHOLD;
+      }
+
+      if (!atRest) {
+        syncObj.restStartTime = 0;
+      } else if (!syncObj.restStartTime) {
+        syncObj.restStartTime = now;
+      }
+
+      const settled = syncObj.restStartTime && now - syncObj.restStartTime >= REST_DURATION;
+      const timedOut = now - syncObj.releaseTime >= MAX_FLIGHT_DURATION;
+
+      if (settled || timedOut) {
+        // Send one last state so everyone agrees on where it stopped
+        this.syncObjects([objectId]);
+
+        if (this.data.authorityMode === 'distributed') {
+          // Stays ours; proximity decides who simulates it next
+          syncObj.releaseTime = 0;
+          return;
+        }
+        this.setOwnership(objectId, null, false);
+        this.broadcastMessage({
+          type: 'physics-ownership-changed',
+          objectId,
+          owner: null,
+          held: false
+        });
+      }
+    });
+  },
+
+  /**
+   * Handle the local user grabbing an object
+   * @param {Event} evt - The grab-start event
+   */
+  onGrabStart: function(evt) {
+    const el = evt.detail.target || evt.detail.el;
+    if (!this.isInitialized || !el || !el.components['physx-body']) return;
+    this.requestOwnership(el);
+  },
+
+  /**
+   * Handle the local user letting go of an object
+   * @param {Event} evt - The grab-end event
+   */
+  onGrabEnd: function(evt) {
+    const el = evt.detail.target || evt.detail.el;
+    if (!this.isInitialized || !el) return;
+    this.releaseOwnership(el);
+  },
+
+  /**
+   * Register every pickupable physics object for synchronization
+   */
+  registerPickupables: function() {
+    this.el.sceneEl.querySelectorAll('.pickupable').forEach(el => {
+      if (el.id && this.syncedObjects.has(el.id)) return;
+      if (el.components['physx-body']) {
+        this.registerObject(el);
+      }
+    });
+  },
+
+  /**
+   * Called once physics sync is initialized
+   */
+  onSyncReady: function() {
+    this.registerPickupables();
+
+    // Connected before physics was ready; catch up now
+    if (this.worldState === 'pending') {
+      this.requestWorldSnapshot();
+    }
+  },
+
+  /**
+   * Handle joining a multiplayer session
+   * @param {CustomEvent} evt - The multiplayer-connected event
+   */
+  onMultiplayerConnected: function(evt) {
+    const peers = (evt.detail && evt.detail.peers) || [];
+
+    // The relay lists peers oldest first; we are the newest
+    this.sessionMembers = [...peers, this.getLocalId()];
+    this.electHost('connected');
+
+    if (peers.length === 0) return; // First in the room; our world is the world
+
+    // The host has the authoritative world
+    this.worldProvider = this.hostId;
+    this.worldState = 'pending';
+
+    if (this.isInitialized) {
+      this.requestWorldSnapshot();
+    }
+  },
+
+  /**
+   * Handle leaving the multiplayer session
+   */
+  onMultiplayerDisconnected: function() {
+    this.sessionMembers = [];
+    this.frozenPeers.clear();
+    this.lockedObjects.clear();
+    this.hostId = null;
+    this.isHost = false;
+    this.moderatorId = null;
+    this.isModerator = false;
+    NetworkClock.reset();
+
+    if (this.worldState === 'pending') {
+      this.goLive();
+    }
+  },
+
+  /**
+   * Handle resuming the session after a dropped connection
+   * Peers may have moved our held objects elsewhere while we were silent
+   * (e.g. to a new host), so claim them back.
+   */
+  onMultiplayerResumed: function() {
+    const localId = this.getLocalId();
+    const held = [];
+    this.syncedObjects.forEach((syncObj, objectId) => {
+      if (syncObj.authority === localId && syncObj.held) {
+        held.push(objectId);
+        // Lets a denial from whoever picked it up meanwhile reach us
+        this.pendingOwnership.set(objectId, NetworkClock.now());
+      }
+    });
+
+    if (held.length === 0) return;
+
+    if (this.data.debug) {
+      console.log(`PhysicsSyncManager: Reclaiming ${held.length} held object(s) after reconnecting`);
+    }
+    this.broadcastMessage({
+      type: 'physics-ownership-reclaim',
+      objectIds: held
+    });
+  },
+
+  /**
+   * Handle a resumed peer claiming back the objects it still holds
+   * A claim only counts for objects still the claimant's, or moved on
+   * because it was gone: unowned, or handed to the host when the claimant
+   * lost the host role. Anything else (picked up, or thrown and still in
+   * flight under someone else) stays with its owner; only that owner
+   * answers, so the claimant hears exactly one denial.
+   * @param {Array<string>} objectIds - The claimed objects
+   * @param {string} senderId - The peer that resumed
+   */
+  onOwnershipReclaim: function(objectIds, senderId) {
+    if (!Array.isArray(objectIds)) return;
+    const localId = this.getLocalId();
+
+    objectIds.forEach(objectId => {
+      const syncObj = this.syncedObjects.get(objectId);
+      if (!syncObj) return;
+
+      if (!this.canOwn(objectId, senderId)) {
+        // Frozen or locked while they were away; the host answers for everyone
+        if (this.isHost) {
+          this.denyOwnership(objectId, senderId, syncObj.authority);
+        }
+        return;
+      }
+
+      const reclaimable = !syncObj.authority ||
+        syncObj.authority === senderId ||
+        (syncObj.authority === this.getHostId() && syncObj.absentOwner === senderId);
+      if (!reclaimable) {
+        if (syncObj.authority === localId) {
+          this.denyOwnership(objectId, senderId, localId);
+        }
+        return;
+      }
+
+      this.setOwnership(objectId, senderId, true);
+    });
+  },
+
+  /**
+   * Whether the host's permissions let a user own an object
+   * Spectators may own nothing. Otherwise the host may own anything, frozen
+   * users nothing, and locked objects belong to the host alone. Nobody
+   * (null) is always allowed.
+   * @param {string} objectId - The object ID
+   * @param {string|null} userId - The would-be owner
+   * @returns {boolean} True if allowed
+   */
+  canOwn: function(objectId, userId) {
+    if (!userId) return true;
+    if (MultiplayerManager.isSpectator(userId)) return false;
+    if (userId === this.getHostId()) return true;
+    return !this.frozenPeers.has(userId) && !this.lockedObjects.has(objectId);
+  },
+
+  /**
+   * Stop or let a user pick up and move objects (moderator only)
+   * @param {string} userId - The user
+   * @param {boolean} frozen - True to freeze
+   * @returns {boolean} False if we are not the moderator
+   */
+  setPeerFrozen: function(userId, frozen) {
+    if (!this.isModerator) return false;
+
+    const frozenPeers = new Set(this.frozenPeers);
+    if (frozen) {
+      frozenPeers.add(userId);
+    } else {
+      frozenPeers.delete(userId);
+    }
+    return this.updatePermissions(frozenPeers, this.lockedObjects);
+  },
+
+  /**
+   * Lock an object so only the host can move it, or unlock it (moderator only)
+   * @param {string|Element} idOrEl - The object ID or element
+   * @param {boolean} locked - True to lock
+   * @returns {boolean} False if we are not the moderator or the object isn't synced
+   */
+  setObjectLocked: function(idOrEl, locked) {
+    const objectId = typeof idOrEl === 'string' ? idOrEl : idOrEl && idOrEl.id;
+    if (!this.isModerator || !this.syncedObjects.has(objectId)) return false;
+
+    const lockedObjects = new Set(this.lockedObjects);
+    if (locked) {
+      lockedObjects.add(objectId);
+    } else {
+      lockedObjects.delete(objectId);
+    }
+    return this.updatePermissions(this.frozenPeers, lockedObjects);
+  },
+
+  /**
+   * Moderator side: apply new permissions, tell everyone, and take back
+   * objects their owners may no longer hold
+   * @param {Set<string>} frozenPeers - Frozen users
+   * @param {Set<string>} lockedObjects - Locked objects
+   * @returns {boolean} False if we are not the moderator
+   */
+  updatePermissions: function(frozenPeers, lockedObjects) {
+    if (!this.isModerator) return false;
+
+    const revoked = this.applyPermissions(Array.from(frozenPeers), Array.from(lockedObjects));
+
+    // Permissions first, so nobody accepts a late claim on a revoked object
+    this.broadcastMessage(this.createPermissionsMessage());
+    revoked.forEach(objectId => {
+      this.broadcastMessage({
+        type: 'physics-ownership-changed',
+        objectId,
+        owner: null,
+        held: false
+      });
+    });
+    return true;
+  },
+
+  /**
+   * @returns {Object} The physics-permissions message for the current permissions
+   */
+  createPermissionsMessage: function() {
+    return {
+      type: 'physics-permissions',
+      frozen: Array.from(this.frozenPeers),
+      locked: Array.from(this.lockedObjects)
+    };
+  },
+
+  /**
+   * Adopt the moderator's permissions
+   * Objects whose owner may no longer own them become unowned; if we were
+   * holding one, interaction components drop it on sync-ownership-denied.
+   * @param {string[]} frozen - Frozen users
+   * @param {string[]} locked - Locked object IDs
+   * @returns {string[]} The objects that lost their owner
+   */
+  applyPermissions: function(frozen, locked) {
+    this.frozenPeers = new Set(frozen);
+    this.lockedObjects = new Set(locked);
+
+    const localId = this.getLocalId();
+    const revoked = [];
+    this.syncedObjects.forEach((syncObj, objectId) => {
+      if (this.canOwn(objectId, syncObj.authority)) return;
+
+      const wasLocal = syncObj.authority === localId;
+      this.setOwnership(objectId, null, false);
+      revoked.push(objectId);
+
+      if (wasLocal) {
+        this.el.sceneEl.emit('sync-ownership-denied', { objectId, el: syncObj.el, owner: null });
+      }
+    });
+
+    if (this.data.debug) {
+      console.log(`PhysicsSyncManager: Permissions: ${frozen.length} frozen user(s), ${locked.length} locked object(s)`);
+    }
+
+    this.el.sceneEl.emit('sync-permissions-changed', {
+      frozen: Array.from(this.frozenPeers),
+      locked: Array.from(this.lockedObjects),
+      isFrozen: this.frozenPeers.has(localId) && !this.isHost
+    });
+
+    return revoked;
+  },
+
+  /**
+   * Freeze local objects and ask the provider for the world snapshot
+   */
+  requestWorldSnapshot: function() {
+    // Hold everything still so nothing simulates from stale positions
+    this.syncedObjects.forEach(syncObj => this.freezeObject(syncObj.el));
+
+    this.sendMessageToPeer(this.worldProvider, { type: 'physics-world-request' });
+
+    clearTimeout(this.worldTimeout);
+    this.worldTimeout = setTimeout(() => {
+      if (this.worldState !== 'pending') return;
+      console.warn(`PhysicsSyncManager: No world snapshot from ${this.worldProvider}, going live with local state`);
+      this.goLive();
+    }, WORLD_SNAPSHOT_TIMEOUT);
+
+    if (this.data.debug) {
+      console.log(`PhysicsSyncManager: Requested world snapshot from ${this.worldProvider}`);
+    }
+  },
+
+  /**
+   * Send every registered object, ownership and runtime spawns to a late joiner
+   * @param {string} peerId - The joining peer
+   */
+  sendWorldSnapshot: function(peerId) {
+    const entries = [];
+    const ownership = [];
+
+    this.syncedObjects.forEach((syncObj, objectId) => {
+      const bodyComponent = syncObj.el.components['physx-body'];
+      if (bodyComponent && bodyComponent.rigidBody) {
+        entries.push({
+          netId: syncObj.netId,
+          name: objectId,
+          state: SnapshotCodec.quantizeState(this.getObjectPhysicsState(syncObj.el))
+        });
+      }
+      if (syncObj.authority) {
+        ownership.push({ objectId, owner: syncObj.authority, held: syncObj.held });
+      }
+    });
+
+    let snapshot;
+    try {
+      snapshot = SnapshotCodec.encode({ sequence: 0, baseline: null, timestamp: NetworkClock.now(), entries });
+    } catch (error) {
+      console.error('PhysicsSyncManager: Failed to encode world snapshot:', error);
+      return;
+    }
+
+    this.sendMessageToPeer(peerId, {
+      type: 'physics-world-snapshot',
+      entities: Array.from(this.spawnedEntities.values()),
+      despawned: Array.from(this.despawnedIds),
+      ownership,
+      snapshot
+    });
+
+    if (this.data.debug) {
+      console.log(`PhysicsSyncManager: Sent world snapshot to ${peerId} (${entries.length} objects)`);
+    }
+  },
+
+  /**
+   * Apply the world snapshot and go live
+   * @param {Object} message - The physics-world-snapshot message
+   * @param {string} senderId - The provider
+   */
+  applyWorldSnapshot: function(message, senderId) {
+    if (this.worldState !== 'pending' || senderId !== this.worldProvider) return;
+
+    (message.despawned || []).forEach(objectId => this.removeEntity(objectId));
+
+    // Runtime spawns have to load before their state can be applied
+    const spawned = (message.entities || [])
+      .map(entity => this.createSpawnedEntity(entity, null))
+      .filter(Boolean);
+
+    // A spawn that never loads mustn't keep us from going live
+    const loaded = spawned.map(el => new Promise(resolve => {
+      this.whenRegistered(el, resolve);
+      setTimeout(resolve, SPAWN_LOAD_TIMEOUT);
+    }));
+
+    Promise.all(loaded).then(() => {
+      if (this.worldState !== 'pending') return; // Timed out or disconnected meanwhile
+
+      const snapshot = SnapshotCodec.decode(message.snapshot);
+      if (snapshot) {
+        snapshot.entries.forEach(entry => {
+          const syncObj = this.syncedObjects.get(entry.name);
+          const quantized = SnapshotCodec.applyEntry(undefined, entry);
+          if (!syncObj || !quantized) return;
+
+          // Frozen objects are kinematic, so only the pose is set now;
+          // the velocity is applied when the body goes dynamic again
+          const state = SnapshotCodec.dequantizeState(quantized, snapshot.timestamp);
+          const el = syncObj.el;
+          this.freezeObject(el);
+          el.object3D.position.set(state.position.x, state.position.y, state.position.z);
+          el.object3D.quaternion.set(state.quaternion.x, state.quaternion.y, state.quaternion.z, state.quaternion.w);
+
+          const frozen = this.frozenObjects.get(el);
+          if (frozen) {
+            frozen.velocity = state.linearVelocity;
+          }
+        });
+      } else {
+        console.warn('PhysicsSyncManager: World snapshot unreadable, keeping local positions');
+      }
+
+      (message.ownership || []).forEach(entry => {
+        if (!entry || typeof entry.objectId !== 'string') return;
+        if (entry.owner !== null && typeof entry.owner !== 'string') return;
+        this.setOwnership(entry.objectId, entry.owner, !!entry.held);
+      });
+    }).catch(error => {
+      console.error('PhysicsSyncManager: Failed to apply world snapshot:', error);
+    }).then(() => {
+      if (this.worldState === 'pending') {
+        this.goLive();
+      }
+    });
+  },
+
+  /**
+   * Unfreeze local objects and start syncing
+   */
+  goLive: function() {
+    clearTimeout(this.worldTimeout);
+    this.worldState = 'live';
+    this.worldProvider = null;
+
+    this.frozenObjects.forEach(({ originalState, velocity }, el) => {
+      el.removeState('sync-pending');
+      const isMoving = velocity && (velocity.x || velocity.y || velocity.z);
+      PhysicsUtils.restoreOriginalState(el, originalState, isMoving ? velocity : null);
+    });
+    this.frozenObjects.clear();
+
+    console.log('PhysicsSyncManager: World in sync, physics objects are live');
+    this.el.sceneEl.emit('sync-world-ready', { objectCount: this.syncedObjects.size });
+  },
+
+  /**
+   * Make an object kinematic until the world snapshot is applied
+   * Objects the user is already holding are kinematic and left alone.
+   * @param {Element} el - The element
+   */
+  freezeObject: function(el) {
+    if (this.frozenObjects.has(el)) return;
+
+    const body = el.getAttribute('physx-body');
+    if (!body || body.type !== 'dynamic') return;
+
+    const originalState = PhysicsUtils.convertToKinematic(el);
+    if (originalState) {
+      this.frozenObjects.set(el, { originalState, velocity: null });
+      el.addState('sync-pending');
+    }
+  },
+
+  /**
+   * Create an entity at runtime and replicate it to every peer
+   * The spawner owns it until it comes to rest. Users who may not own
+   * objects (spectators, frozen users) can't spawn, and nobody can have more
+   * than MAX_SPAWNS_PER_PEER spawns at once.
+   * @param {Object} entity - Spawn descriptor
+   * @param {string} [entity.id] - Element ID (generated if omitted)
+   * @param {string} [entity.tag='a-entity'] - Element tag, e.g. 'a-gltf-model'
+   * @param {string} [entity.parent] - ID of the parent element (defaults to the scene)
+   * @param {Object} entity.attributes - Attribute name -> string value, e.g.
+   *   { class: 'pickupable', src: '#coinmesh', position: '0 1 0', 'physx-body': 'type: dynamic' }
+   * @returns {Element|null} The created element, or null if refused
+   */
+  spawnEntity: function(entity) {
+    const descriptor = {
+      id: entity.id || `${this.getLocalId()}-spawn-${this.spawnCount++}`,
+      tag: entity.tag || 'a-entity',
+      parent: entity.parent || null,
+      attributes: { ...(entity.attributes || {}) }
+    };
+    const owner = this.getLocalId();
+    if (!this.maySpawn(descriptor.id, owner)) return null;
+
+    const el = this.createSpawnedEntity(descriptor, owner, owner);
+    if (!el) return null;
+
+    this.broadcastMessage({
+      type: 'physics-entity-spawn',
+      entity: descriptor,
+      owner
+    });
+
+    return el;
+  },
+
+  /**
+   * Remove an entity and replicate the removal to every peer
+   * Only the object's owner (the host for unowned objects) may remove it.
+   * @param {string|Element} idOrEl - The object ID or element
+   * @returns {boolean} False if it isn't a synced or spawned object, or isn't ours to remove
+   */
+  despawnEntity: function(idOrEl) {
+    const objectId = typeof idOrEl === 'string' ? idOrEl : idOrEl && idOrEl.id;
+    if (!objectId || !this.mayDespawn(objectId, this.getLocalId())) return false;
+
+    this.removeEntity(objectId);
+    this.broadcastMessage({
+      type: 'physics-entity-despawn',
+      objectId
+    });
+    return true;
+  },
+
+  /**
+   * Whether a user may remove an object
+   * Only synced objects and runtime spawns can be removed, by their owner or
+   * by the host; the rest of the scene (camera, rig, static geometry) can't.
+   * @param {string} objectId - The object ID
+   * @param {string} userId - Who wants it removed
+   * @returns {boolean} True if allowed
+   */
+  mayDespawn: function(objectId, userId) {
+    const syncObj = this.syncedObjects.get(objectId);
+    if (!syncObj && !this.spawnedEntities.has(objectId)) return false;
+    if (userId === this.getHostId()) return true;
+
+    return !!(syncObj && syncObj.authority === userId);
+  },
+
+  /**
+   * Whether a user may spawn an object
+   * They must be allowed to own it (canOwn) and be under MAX_SPAWNS_PER_PEER.
+   * @param {string} objectId - The new object's ID
+   * @param {string} userId - The spawner
+   * @returns {boolean} True if allowed
+   */
+  maySpawn: function(objectId, userId) {
+    if (!this.canOwn(objectId, userId)) {
+      console.warn(`PhysicsSyncManager: Refused ${userId}'s spawn of ${objectId}: not allowed to own objects`);
+      return false;
+    }
+
+    let count = 0;
+    this.spawners.forEach(spawner => {
+      if (spawner === userId) count++;
+    });
+    if (count >= MAX_SPAWNS_PER_PEER) {
+      console.warn(`PhysicsSyncManager: Refused ${userId}'s spawn of ${objectId}: ${count} spawns already`);
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * Whether a spawn descriptor only creates what spawns may create
+   * Protocol.isSpawnAllowed checks the tag and attributes, with URLs that
+   * must point into the page's own origin; the parent must be inside the scene.
+   * @param {Object} descriptor - Spawn descriptor (see spawnEntity)
+   * @returns {boolean} True if it may be created
+   */
+  isSpawnAllowed: function(descriptor) {
+    if (!Protocol.isSpawnAllowed(descriptor, isPageUrl)) return false;
+
+    if (descriptor.parent) {
+      const parent = document.getElementById(descriptor.parent);
+      if (parent && !this.el.sceneEl.contains(parent)) return false;
+    }
+    return true;
+  },
+
+  /**
+   * Create an entity from a spawn descriptor without broadcasting it
+   * @param {Object} descriptor - Spawn descriptor (see spawnEntity)
+   * @param {string|null} owner - Initial owner
+   * @param {string} [spawnerId] - Who spawned it, counted against MAX_SPAWNS_PER_PEER
+   * @returns {Element|null} The created element, or null if it already exists
+   */
+  createSpawnedEntity: function(descriptor, owner, spawnerId) {
+    if (!descriptor || typeof descriptor.id !== 'string' || !descriptor.id) return null;
+    if (document.getElementById(descriptor.id)) return null;
+    if (!this.isSpawnAllowed(descriptor)) {
+      console.warn(`PhysicsSyncManager: Refused to spawn ${descriptor.id}: tag, attributes or parent not allowed`);
+      return null;
+    }
+
+    const parent = (descriptor.parent && document.getElementById(descriptor.parent)) || this.el.sceneEl;
+    const el = document.createElement(descriptor.tag || 'a-entity');
+    el.id = descriptor.id;
+    Object.entries(descriptor.attributes || {}).forEach(([name, value]) => {
+      el.setAttribute(name, value);
+    });
+
+    this.spawnedEntities.set(descriptor.id, descriptor);
+    if (spawnerId) {
+      this.spawners.set(descriptor.id, spawnerId);
+    }
+    parent.appendChild(el);
+
+    this.whenRegistered(el, () => {
+      if (owner) {
+        // Owned but not held: the spawner simulates it until it settles
+        this.setOwnership(descriptor.id, owner, false);
+      }
+    });
+
+    if (this.data.debug) {
+      console.log(`PhysicsSyncManager: Spawned ${descriptor.id}`);
+    }
+
+    return el;
+  },
+
+  /**
+   * Remove an entity locally without broadcasting
+   * Only synced objects and runtime spawns are removed.
+   * @param {string} objectId - The object ID
+   */
+  removeEntity: function(objectId) {
+    if (!this.syncedObjects.has(objectId) && !this.spawnedEntities.has(objectId)) return;
+    const el = document.getElementById(objectId);
+
+    this.unregisterObject(objectId);
+    if (this.spawnedEntities.has(objectId)) {
+      this.spawnedEntities.delete(objectId);
+      this.spawners.delete(objectId);
+    } else {
+      this.despawnedIds.add(objectId);
+    }
+
+    if (el) {
+      this.frozenObjects.delete(el);
+      if (el.parentNode) {
+        el.parentNode.removeChild(el);
+      }
+    }
+  },
+
+  /**
+   * Register an entity for sync once it has loaded
+   * Entities without a physx-body are not synced, but the callback still runs.
+   * @param {Element} el - The element
+   * @param {Function} callback - Called after registration
+   */
+  whenRegistered: function(el, callback) {
+    const register = () => {
+      if (el.components['physx-body'] && !this.syncedObjects.has(el.id)) {
+        this.registerObject(el);
+      }
+      callback();
+    };
+
+    if (el.hasLoaded) {
+      register();
+    } else {
+      el.addEventListener('loaded', register, { once: true });
+    }
+  },
+
+  /**
+   * Remove function called when component is removed
+   */
+  remove: function() {
+    // Clean up event listeners
+    this.el.sceneEl.removeEventListener('peer-connected', this.onPeerConnect);
+    this.el.sceneEl.removeEventListener('peer-disconnected', this.onPeerDisconnect);
+    this.el.sceneEl.removeEventListener('physics-message', this.onPhysicsMessage);
+    this.el.sceneEl.removeEventListener('grab-start', this.onGrabStart);
+    this.el.sceneEl.removeEventListener('grab-end', this.onGrabEnd);
+    document.removeEventListener('multiplayer-connected', this.onMultiplayerConnected);
+    document.removeEventListener('multiplayer-disconnected', this.onMultiplayerDisconnected);
+    document.removeEventListener('multiplayer-resumed', this.onMultiplayerResumed);
+    this.el.sceneEl.removeEventListener('host-changed', this.onHostChanged);
+    document.removeEventListener('multiplayer-spectator-changed', this.onRolesChanged);
+    document.removeEventListener('multiplayer-presence-changed', this.onRolesChanged);
+    document.removeEventListener('multiplayer-peer-headless', this.onRolesChanged);
+    clearTimeout(this.worldTimeout);
+
+    // Cancel pending ownership decisions
+    this.ownershipRequests.forEach(entry => clearTimeout(entry.timer));
+    this.ownershipRequests.clear();
+    this.interestGrid.clear();
+
+    // Reset physics settings to defaults
+    const physics = this.el.sceneEl.systems.physx;
+    if (physics && physics.setFixedTimeStep) {
+      // Use a reasonable default
+      physics.setFixedTimeStep(1/60);
+    }
+
+    if (this.data.debug) {
+      console.log('PhysicsSyncManager: Component removed, reset physics to defaults');
+    }
+  },
+
+  onPhysXCustomStarted: function() {
+    console.log('PhysicsSyncManager: Received physx-started event.');
+    this.physXEventFired = true;
+    // We don't immediately try to initialize here; 
+    // tick() will pick it up along with other readiness checks.
+  }
+};
+
+/**
+ * @param {string} url - A URL or an asset reference from a spawn descriptor
+ * @returns {boolean} True for asset references ('#id') and URLs on the page's own origin
+ */
+function isPageUrl(url) {
+  if (url.startsWith('#')) return true;
+  try {
+    return new URL(url, document.baseURI).origin === window.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
 
 // Export the component without registering it here
 // It will be registered in index.js
@@ -0,0 +1,524 @@
+/**
+ * SharedPointer - Laser pointer and ping markers that everyone in the session sees
+ *
+ * This component:
+ * - Toggles a pointer ray: from the camera through #cursor on desktop and
+ *   mobile, from the right controller in VR
+ * - Shares the ray with peers, who see it as a beam in our avatar color
+ *   (peer-avatar's setPointer())
+ * - Pings: drops a temporary marker where the ray hits, for everyone
+ * - Shows markers (ours and peers') with a sound, and an arrow at the edge
+ *   of the view pointing at any marker that is off screen
+ *
+ * Controls: toggleKey / pingKey on desktop, Pointer / Ping buttons on
+ * mobile, and in VR the trigger on vrPointerHand toggles the pointer while
+ * the trigger on vrPingHand pings (every other button jumps).
+ *
+ * The ray is cast against everything visible in the scene except our own
+ * rig, a few times per second while the pointer is on.
+ */
+
+import MultiplayerManager from '../managers/MultiplayerManager.js';
+import DeviceManager from '../managers/DeviceManager.js';
+
+// Markers shown at once; the oldest goes first
+const MAX_MARKERS = 10;
+
+// Minimum time between two pings, in ms
+const PING_COOLDOWN = 500;
+
+// The pointer is re-sent at least this often so peers don't time it out, in ms
+const POINTER_KEEPALIVE = 500;
+
+// Where off-screen marker arrows sit in front of the camera, in meters
+const INDICATOR_DISTANCE = 0.4;
+const INDICATOR_RADIUS = 0.12;
+
+// Reusable objects for the per-frame work
+const tempOrigin = new THREE.Vector3();
+const tempDirection = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const tempLocal = new THREE.Vector3();
+const upAxis = new THREE.Vector3(0, 1, 0);
+
+const SharedPointer = {
+  schema: {
+    toggleKey: { type: 'string', default: 'KeyL' }, // KeyboardEvent.code
+    pingKey: { type: 'string', default: 'KeyP' }, // KeyboardEvent.code
+    vrPointerHand: { type: 'selector', default: '#rightHand' }, // Its trigger toggles the pointer in VR
+    vrPingHand: { type: 'selector', default: '#leftHand' }, // Its trigger pings in VR
+    maxDistance: { type: 'number', default: 30 }, // Ray length in meters
+    sendInterval: { type: 'number', default: 66 }, // How often the ray is cast and shared, in ms
+    markerDuration: { type: 'number', default: 6000 }, // ms
+    sound: { type: 'boolean', default: true }
+  },
+
+  init: function() {
+    this.active = false;
+    this.lastCast = 0;
+    this.lastSent = 0;
+    this.lastSentTarget = null;
+    this.lastPing = 0;
+    this.hit = null; // Where the ray hits, or null
+    this.markers = []; // { el, cone, indicator, position, expires }
+    this.raycaster = new THREE.Raycaster();
+    this.audioContext = null;
+
+    // Our own ray: a beam (VR only) and a dot where it hits
+    this.beam = document.createElement('a-entity');
+    this.beam.setAttribute('geometry', 'primitive: cylinder; radius: 0.004; height: 1; segmentsRadial: 6');
+    this.beam.setAttribute('visible', false);
+    this.el.sceneEl.appendChild(this.beam);
+    this.dot = document.createElement('a-entity');
+    this.dot.setAttribute('geometry', 'primitive: sphere; radius: 0.02');
+    this.dot.setAttribute('visible', false);
+    this.el.sceneEl.appendChild(this.dot);
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onTriggerDown = this.onTriggerDown.bind(this);
+    this.onMarker = this.onMarker.bind(this);
+    this.onSessionChanged = this.onSessionChanged.bind(this);
+
+    this.mobileButtons = this.createMobileButtons();
+
+    window.addEventListener('keydown', this.onKeyDown);
+    this.el.sceneEl.addEventListener('triggerdown', this.onTriggerDown);
+    this.el.sceneEl.addEventListener('shared-marker', this.onMarker);
+    document.addEventListener('multiplayer-connected', this.onSessionChanged);
+    document.addEventListener('multiplayer-disconnected', this.onSessionChanged);
+  },
+
+  remove: function() {
+    window.removeEventListener('keydown', this.onKeyDown);
+    this.el.sceneEl.removeEventListener('triggerdown', this.onTriggerDown);
+    this.el.sceneEl.removeEventListener('shared-marker', this.onMarker);
+    document.removeEventListener('multiplayer-connected', this.onSessionChanged);
+    document.removeEventListener('multiplayer-disconnected', this.onSessionChanged);
+
+    this.setActive(false);
+    while (this.markers.length > 0) {
+      this.removeMarker(this.markers[0]);
+    }
+    [this.beam, this.dot, this.mobileButtons].forEach(element => {
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+  },
+
+  tick: function(time) {
+    if (this.active && time - this.lastCast >= this.data.sendInterval) {
+      this.lastCast = time;
+      this.updatePointer(time);
+    }
+    if (this.markers.length > 0) {
+      this.updateMarkers(time);
+    }
+  },
+
+  /**
+   * Turn the pointer on or off
+   * @param {boolean} active - Whether to point
+   */
+  setActive: function(active) {
+    if (active === this.active) return;
+    this.active = active;
+
+    if (active) {
+      const color = (MultiplayerManager.avatar && MultiplayerManager.avatar.color) || '#00aaff';
+      const material = `color: ${color}; shader: flat; opacity: 0.7; transparent: true`;
+      this.beam.setAttribute('material', material);
+      this.dot.setAttribute('material', material);
+      this.lastCast = 0;
+    } else {
+      this.beam.setAttribute('visible', false);
+      this.dot.setAttribute('visible', false);
+      this.hit = null;
+      this.lastSentTarget = null;
+      MultiplayerManager.sendPointer(null);
+    }
+
+    if (this.pointerButton) {
+      this.pointerButton.textContent = active ? 'Pointer off' : 'Pointer';
+    }
+    this.el.emit('shared-pointer-changed', { active });
+  },
+
+  /**
+   * Turn the pointer on if it's off, off if it's on
+   */
+  toggle: function() {
+    this.setActive(!this.active);
+  },
+
+  /**
+   * Drop a marker where the ray hits, for everyone
+   * @returns {boolean} False if the ray hits nothing, or pinging too fast
+   */
+  ping: function() {
+    const now = performance.now();
+    if (now - this.lastPing < PING_COOLDOWN) return false;
+
+    const ray = this.getRay();
+    const hit = ray && this.castRay(ray.origin, ray.direction);
+    if (!hit) return false;
+
+    this.lastPing = now;
+    return MultiplayerManager.sendMarker(hit);
+  },
+
+  /**
+   * Cast the ray, move our beam and share it
+   * @param {number} time - Scene time in ms
+   */
+  updatePointer: function(time) {
+    const ray = this.getRay();
+    if (!ray) return;
+
+    this.hit = this.castRay(ray.origin, ray.direction);
+    const target = this.hit || ray.origin.clone().addScaledVector(ray.direction, this.data.maxDistance);
+
+    this.dot.object3D.position.copy(target);
+    this.dot.setAttribute('visible', !!this.hit);
+
+    // From the eye a beam is just a point; only draw it from a controller
+    if (ray.fromController) {
+      const beam = this.beam.object3D;
+      const length = ray.origin.distanceTo(target);
+      beam.position.copy(ray.origin).lerp(target, 0.5);
+      beam.quaternion.setFromUnitVectors(upAxis, ray.direction);
+      beam.scale.set(1, length, 1);
+    }
+    this.beam.setAttribute('visible', ray.fromController);
+
+    // Share it when it moved, and often enough that peers don't time it out
+    const moved = !this.lastSentTarget || this.lastSentTarget.distanceToSquared(target) > 0.0001;
+    if (moved || time - this.lastSent >= POINTER_KEEPALIVE) {
+      MultiplayerManager.sendPointer(ray.origin, target);
+      this.lastSent = time;
+      this.lastSentTarget = target.clone();
+    }
+  },
+
+  /**
+   * Where the pointer ray starts and which way it goes
+   * @returns {Object|null} { origin, direction, fromController } in world space (new vectors)
+   */
+  getRay: function() {
+    const sceneEl = this.el.sceneEl;
+
+    // In VR: the controller's forward direction
+    const hand = this.data.vrPointerHand;
+    const trackedControls = hand && hand.components['tracked-controls'];
+    if (sceneEl.is('vr-mode') && trackedControls && trackedControls.controller) {
+      hand.object3D.getWorldPosition(tempOrigin);
+      hand.object3D.getWorldQuaternion(tempQuaternion);
+      tempDirection.set(0, 0, -1).applyQuaternion(tempQuaternion);
+      return { origin: tempOrigin.clone(), direction: tempDirection.clone(), fromController: true };
+    }
+
+    // Otherwise: from the eye through the cursor in the middle of the view
+    const camera = sceneEl.querySelector('#camera');
+    const cursor = sceneEl.querySelector('#cursor');
+    if (!camera) return null;
+
+    camera.object3D.getWorldPosition(tempOrigin);
+    if (cursor) {
+      cursor.object3D.getWorldPosition(tempDirection).sub(tempOrigin);
+    } else {
+      camera.object3D.getWorldQuaternion(tempQuaternion);
+      tempDirection.set(0, 0, -1).applyQuaternion(tempQuaternion);
+    }
+    return { origin: tempOrigin.clone(), direction: tempDirection.normalize().clone(), fromController: false };
+  },
+
+  /**
+   * Find the nearest visible surface along a ray
+   * @param {THREE.Vector3} origin - Ray start
+   * @param {THREE.Vector3} direction - Normalized ray direction
+   * @returns {THREE.Vector3|null} The hit point, or null if nothing is in range
+   */
+  castRay: function(origin, direction) {
+    this.raycaster.set(origin, direction);
+    this.raycaster.far = this.data.maxDistance;
+
+    const rig = this.el.sceneEl.querySelector('#cameraRig');
+    const ignored = [rig && rig.object3D, this.beam.object3D, this.dot.object3D]
+      .concat(this.markers.map(marker => marker.el.object3D));
+
+    const intersections = this.raycaster.intersectObject(this.el.sceneEl.object3D, true);
+    // Meshes only: lines and points are hit from far off the ray
+    const hit = intersections.find(intersection =>
+      intersection.object.isMesh && isShown(intersection.object, ignored));
+    return hit ? hit.point.clone() : null;
+  },
+
+  /**
+   * Show a marker from the scene's 'shared-marker' event
+   * @param {CustomEvent} evt - Detail { senderId, position, name, color, isLocal }
+   */
+  onMarker: function(evt) {
+    const { position, name, color } = evt.detail;
+    const material = `color: ${color}; shader: flat; side: double`;
+
+    const el = document.createElement('a-entity');
+    el.object3D.position.set(position.x, position.y, position.z);
+
+    const ring = document.createElement('a-entity');
+    ring.setAttribute('geometry', 'primitive: ring; radiusInner: 0.15; radiusOuter: 0.2');
+    ring.setAttribute('material', material);
+    ring.setAttribute('rotation', '-90 0 0');
+    el.appendChild(ring);
+
+    // Points down at the spot
+    const cone = document.createElement('a-entity');
+    cone.setAttribute('geometry', 'primitive: cone; radiusBottom: 0; radiusTop: 0.08; height: 0.2');
+    cone.setAttribute('material', material);
+    cone.setAttribute('position', '0 0.5 0');
+    el.appendChild(cone);
+
+    const label = document.createElement('a-text');
+    label.setAttribute('value', name);
+    label.setAttribute('align', 'center');
+    label.setAttribute('side', 'double');
+    label.setAttribute('color', color);
+    label.setAttribute('scale', '0.5 0.5 0.5');
+    label.setAttribute('position', '0 0.75 0');
+    el.appendChild(label);
+    this.el.sceneEl.appendChild(el);
+
+    // Arrow at the edge of the view, pointing at the marker while it's off screen
+    let indicator = null;
+    const camera = this.el.sceneEl.querySelector('#camera');
+    if (camera) {
+      indicator = document.createElement('a-entity');
+      indicator.setAttribute('geometry', 'primitive: cone; radiusBottom: 0.012; radiusTop: 0; height: 0.03');
+      indicator.setAttribute('material', `color: ${color}; shader: flat`);
+      indicator.setAttribute('visible', false);
+      camera.appendChild(indicator);
+    }
+
+    this.markers.push({
+      el,
+      cone,
+      indicator,
+      position: new THREE.Vector3(position.x, position.y, position.z),
+      expires: performance.now() + this.data.markerDuration
+    });
+    if (this.markers.length > MAX_MARKERS) {
+      this.removeMarker(this.markers[0]);
+    }
+
+    if (this.data.sound) {
+      this.playPingSound(position);
+    }
+  },
+
+  /**
+   * Animate markers, point arrows at the off-screen ones and remove expired ones
+   * @param {number} time - Scene time in ms
+   */
+  updateMarkers: function(time) {
+    const now = performance.now();
+    const camera = this.el.sceneEl.camera;
+
+    this.markers.slice().forEach(marker => {
+      if (now > marker.expires) {
+        this.removeMarker(marker);
+        return;
+      }
+
+      marker.cone.object3D.position.y = 0.5 + Math.sin(time / 250) * 0.05;
+      if (marker.indicator && camera) {
+        this.updateIndicator(marker, camera);
+      }
+    });
+  },
+
+  /**
+   * Show the marker's arrow if the marker is out of view, pointing towards it
+   * @param {Object} marker - The marker
+   * @param {THREE.Camera} camera - The scene camera
+   */
+  updateIndicator: function(marker, camera) {
+    tempLocal.copy(marker.position);
+    camera.worldToLocal(tempLocal);
+
+    // Inside 90% of the view: no arrow needed
+    const tanY = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * 0.9;
+    const tanX = tanY * camera.aspect;
+    const depth = -tempLocal.z;
+    const onScreen = depth > 0 &&
+      Math.abs(tempLocal.x) / depth < tanX &&
+      Math.abs(tempLocal.y) / depth < tanY;
+
+    marker.indicator.object3D.visible = !onScreen;
+    if (onScreen) return;
+
+    // Direction on the view plane; straight behind us, say "turn around" to the right
+    let x = tempLocal.x;
+    let y = tempLocal.y;
+    const length = Math.sqrt(x * x + y * y);
+    if (length < 0.0001) {
+      x = 1;
+      y = 0;
+    } else {
+      x /= length;
+      y /= length;
+    }
+
+    const indicator = marker.indicator.object3D;
+    indicator.position.set(x * INDICATOR_RADIUS, y * INDICATOR_RADIUS, -INDICATOR_DISTANCE);
+    indicator.rotation.set(0, 0, Math.atan2(y, x) - Math.PI / 2); // The cone points up (+Y)
+  },
+
+  /**
+   * Remove a marker and its arrow
+   * @param {Object} marker - The marker
+   */
+  removeMarker: function(marker) {
+    this.markers = this.markers.filter(m => m !== marker);
+    [marker.el, marker.indicator].forEach(element => {
+      if (element && element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+  },
+
+  /**
+   * Two short beeps, panned towards the marker
+   * @param {Object} position - Marker world position {x, y, z}
+   */
+  playPingSound: function(position) {
+    const context = MultiplayerManager.audioContext || this.getAudioContext();
+    if (!context) return;
+    if (context.state === 'suspended') {
+      context.resume().catch(() => {});
+    }
+
+    let output = context.destination;
+    const camera = this.el.sceneEl.camera;
+    if (camera && context.createStereoPanner) {
+      tempLocal.set(position.x, position.y, position.z);
+      camera.worldToLocal(tempLocal);
+      const panner = context.createStereoPanner();
+      panner.pan.value = Math.max(-1, Math.min(1, tempLocal.x / (tempLocal.length() || 1)));
+      panner.connect(output);
+      output = panner;
+    }
+
+    [[880, 0], [1320, 0.12]].forEach(([frequency, delay]) => {
+      const start = context.currentTime + delay;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(0.15, start + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.1);
+      oscillator.connect(gain);
+      gain.connect(output);
+      oscillator.start(start);
+      oscillator.stop(start + 0.11);
+    });
+  },
+
+  /**
+   * Our own audio context, for when voice chat hasn't created one
+   * @returns {AudioContext|null} The context, or null if Web Audio is unavailable
+   */
+  getAudioContext: function() {
+    if (!this.audioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      this.audioContext = new AudioContextClass();
+    }
+    return this.audioContext;
+  },
+
+  /**
+   * Toggle the pointer or ping from the keyboard
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  onKeyDown: function(event) {
+    if (event.repeat) return;
+    if (event.target && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+
+    if (event.code === this.data.toggleKey) {
+      this.toggle();
+    } else if (event.code === this.data.pingKey) {
+      this.ping();
+    }
+  },
+
+  /**
+   * Toggle the pointer or ping with a controller trigger in VR
+   * @param {Event} event - The triggerdown event (bubbles up from the controller)
+   */
+  onTriggerDown: function(event) {
+    if (!this.el.sceneEl.is('vr-mode')) return;
+
+    if (event.target === this.data.vrPointerHand) {
+      this.toggle();
+    } else if (event.target === this.data.vrPingHand) {
+      this.ping();
+    }
+  },
+
+  /**
+   * Show the touch buttons while connected; stop pointing when the session ends
+   */
+  onSessionChanged: function() {
+    const connected = MultiplayerManager.isConnected;
+    this.mobileButtons.style.display = connected && DeviceManager.isMobile ? 'flex' : 'none';
+    if (!connected) {
+      this.setActive(false);
+    }
+  },
+
+  /**
+   * Create the Pointer and Ping buttons for touch screens
+   * @returns {HTMLElement} The button bar
+   */
+  createMobileButtons: function() {
+    const bar = document.createElement('div');
+    bar.id = 'shared-pointer-buttons';
+    bar.style.position = 'fixed';
+    bar.style.left = '10px';
+    bar.style.top = '58%';
+    bar.style.flexDirection = 'column';
+    bar.style.gap = '8px';
+    bar.style.zIndex = '1000';
+    bar.style.display = 'none';
+
+    const button = (label, onClick) => {
+      const element = document.createElement('button');
+      element.textContent = label;
+      element.style.padding = '10px 14px';
+      element.style.fontSize = '14px';
+      element.addEventListener('click', onClick);
+      bar.appendChild(element);
+      return element;
+    };
+    this.pointerButton = button('Pointer', () => this.toggle());
+    button('Ping', () => this.ping());
+
+    document.body.appendChild(bar);
+    return bar;
+  }
+};
+
+/**
+ * Whether an intersected object is actually drawn and not one we skip
+ * @param {THREE.Object3D} object - The intersected object
+ * @param {THREE.Object3D[]} ignored - Subtrees to skip
+ * @returns {boolean} True if the object and all its ancestors are visible and none is ignored
+ */
+function isShown(object, ignored) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible || ignored.includes(node)) return false;
+  }
+  // Hidden through its material, like a hidden peer avatar's body
+  return !object.material || object.material.visible !== false;
+}
+
+export default SharedPointer;
@@ -0,0 +1,111 @@
+/**
+ * SpatialVoice - Drives voice chat from the scene
+ *
+ * This component:
+ * - Keeps the audio listener on the camera and each voice on its avatar's head, every frame
+ * - Applies the distance rolloff settings from its schema
+ * - Handles push-to-talk from the keyboard
+ * - Shows a speaking indicator on avatars whose voice is active
+ *
+ * Voice itself is set up by MultiplayerManager.enablePositionalAudio(),
+ * which has to be called from a user gesture. Until then this component
+ * does nothing.
+ */
+
+import MultiplayerManager from '../managers/MultiplayerManager.js';
+
+// Keep the indicator lit this long after the voice drops below the threshold,
+// so it doesn't flicker between words (ms)
+const SPEAKING_HOLD = 300;
+
+const SpatialVoice = {
+  schema: {
+    pushToTalk: { type: 'boolean', default: false },
+    pushToTalkKey: { type: 'string', default: 'KeyV' }, // KeyboardEvent.code
+    distanceModel: { type: 'string', default: 'inverse', oneOf: ['linear', 'inverse', 'exponential'] },
+    refDistance: { type: 'number', default: 1 }, // Meters before the voice starts to fade
+    maxDistance: { type: 'number', default: 20 },
+    rolloffFactor: { type: 'number', default: 1 },
+    speakingThreshold: { type: 'number', default: 0.02 } // RMS level that counts as speaking
+  },
+
+  init: function() {
+    this.lastSpoke = {}; // peerId -> time the voice was last above the threshold
+    this.speaking = {}; // peerId -> indicator currently shown
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onBlur = this.onBlur.bind(this);
+
+    window.addEventListener('keydown', this.onKeyDown);
+    window.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('blur', this.onBlur);
+  },
+
+  update: function() {
+    MultiplayerManager.setVoiceSettings({
+      distanceModel: this.data.distanceModel,
+      refDistance: this.data.refDistance,
+      maxDistance: this.data.maxDistance,
+      rolloffFactor: this.data.rolloffFactor
+    });
+    MultiplayerManager.setPushToTalk(this.data.pushToTalk);
+  },
+
+  remove: function() {
+    window.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('blur', this.onBlur);
+  },
+
+  tick: function(time) {
+    if (!MultiplayerManager.audioEnabled) return;
+
+    MultiplayerManager.updateSpatialAudio();
+
+    MultiplayerManager.peers.forEach(peer => {
+      if (MultiplayerManager.getPeerVoiceLevel(peer.id) > this.data.speakingThreshold) {
+        this.lastSpoke[peer.id] = time;
+      }
+
+      const speaking = this.lastSpoke[peer.id] !== undefined &&
+        time - this.lastSpoke[peer.id] < SPEAKING_HOLD;
+      if (speaking === !!this.speaking[peer.id]) return;
+
+      const entity = document.querySelector(`#peer-${peer.id}`);
+      const avatar = entity && entity.components['peer-avatar'];
+      if (avatar) {
+        avatar.setSpeaking(speaking);
+        this.speaking[peer.id] = speaking;
+      }
+    });
+  },
+
+  /**
+   * Start talking while the push-to-talk key is held
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  onKeyDown: function(event) {
+    if (event.code !== this.data.pushToTalkKey || event.repeat) return;
+    if (event.target && /^(INPUT|TEXTAREA)$/.test(event.target.tagName)) return;
+    MultiplayerManager.setTalking(true);
+  },
+
+  /**
+   * Stop talking when the push-to-talk key is released
+   * @param {KeyboardEvent} event - The keyup event
+   */
+  onKeyUp: function(event) {
+    if (event.code !== this.data.pushToTalkKey) return;
+    MultiplayerManager.setTalking(false);
+  },
+
+  /**
+   * The key-up is lost when the window loses focus; don't leave the mic open
+   */
+  onBlur: function() {
+    MultiplayerManager.setTalking(false);
+  }
+};
+
+export default SpatialVoice;
@@ -5,6 +5,7 @@
  * - Tracks grabbed state for objects
  * - Applies velocity when objects are released in VR
  * - Updates activity timestamps for sleep management
+ * - Clears the grabbed state if another user already owns the object
  */
 
 // Component implementation
@@ -13,10 +14,12 @@ const TogglePhysics = {
     // Set up event handlers
     this.onPickup = this.onPickup.bind(this);
     this.onPutdown = this.onPutdown.bind(this);
+    this.onOwnershipDenied = this.onOwnershipDenied.bind(this);
 
     // Add event listeners
     this.el.addEventListener('pickup', this.onPickup);
     this.el.addEventListener('putdown', this.onPutdown);
+    this.el.sceneEl.addEventListener('sync-ownership-denied', this.onOwnershipDenied);
 
     // Initialize last activity time for sleep management
     this.el.lastActivityTime = Date.now();
@@ -26,6 +29,7 @@ const TogglePhysics = {
     // Clean up event listeners
     this.el.removeEventListener('pickup', this.onPickup);
     this.el.removeEventListener('putdown', this.onPutdown);
+    this.el.sceneEl.removeEventListener('sync-ownership-denied', this.onOwnershipDenied);
   },
 
   /**
@@ -91,6 +95,19 @@ const TogglePhysics = {
         console.error('toggle-physics: Error applying velocity:', error);
       }
     }
+  },
+
+  /**
+   * Handle physics sync refusing us ownership of this object
+   * handy-controls has no way to force the hand open, so the owner's
+   * replicated state keeps winning until the user lets go.
+   * @param {Event} evt - The sync-ownership-denied event
+   */
+  onOwnershipDenied: function(evt) {
+    if (evt.detail.el !== this.el || !this.el.is('grabbed')) return;
+
+    console.warn(`toggle-physics: ${this.el.id} is held by ${evt.detail.owner}`);
+    this.el.removeState('grabbed');
   }
 };
 
@@ -21,6 +21,12 @@ import JumpControl from './JumpControl.js';
 import JumpCollider from './JumpCollider.js';
 import PlayerCollider from './PlayerCollider.js';
 import MagnetRangeDebug from './MagnetRangeDebug.js';
+import PeerAvatar from './PeerAvatar.js';
+import SpatialVoice from './SpatialVoice.js';
+import NetworkStatsHud from './NetworkStatsHud.js';
+import MultiplayerChat from './MultiplayerChat.js';
+import SharedPointer from './SharedPointer.js';
+import FollowCamera from './FollowCamera.js';
 
 // Define component mapping for registration
 export const componentMap = {
@@ -38,7 +44,13 @@ export const componentMap = {
   'jump-control': JumpControl,
   'jump-collider': JumpCollider,
   'player-collider': PlayerCollider,
-  'magnet-range-debug': MagnetRangeDebug
+  'magnet-range-debug': MagnetRangeDebug,
+  'peer-avatar': PeerAvatar,
+  'spatial-voice': SpatialVoice,
+  'network-stats-hud': NetworkStatsHud,
+  'multiplayer-chat': MultiplayerChat,
+  'shared-pointer': SharedPointer,
+  'follow-camera': FollowCamera
 };
 
 // Export components for potential direct usage
@@ -57,5 +69,11 @@ export {
   JumpControl,
   JumpCollider,
   PlayerCollider,
-  MagnetRangeDebug
+  MagnetRangeDebug,
+  PeerAvatar,
+  SpatialVoice,
+  NetworkStatsHud,
+  MultiplayerChat,
+  SharedPointer,
+  FollowCamera
 };
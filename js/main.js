@@ -8,6 +8,9 @@
 // Import managers
 import DeviceManager from './managers/DeviceManager.js';
 import LookModeManager from './managers/LookModeManager.js';
+import MultiplayerManager from './managers/MultiplayerManager.js';
+import NetworkSimulator from './network/NetworkSimulator.js';
+import SessionRecorder from './network/SessionRecorder.js';
 
 // Import utilities
 import PhysicsUtils from './utils/PhysicsUtils.js';
@@ -33,6 +36,12 @@ import {
   JumpControl,
   JumpCollider,
   PlayerCollider,
+  PeerAvatar,
+  SpatialVoice,
+  NetworkStatsHud,
+  MultiplayerChat,
+  SharedPointer,
+  FollowCamera,
   componentMap
 } from './components/index.js';
 
@@ -93,7 +102,6 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Initialize multiplayer capabilities if needed
-    // This is a placeholder for future multiplayer implementation
     if (window.location.search.includes('multiplayer=true')) {
       initializeMultiplayer();
     }
@@ -102,7 +110,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 /**
  * Initialize multiplayer capabilities
- * This will be expanded in future implementation
+ * Requires the relay server (node server/relay-server.js) to be running
  */
 function initializeMultiplayer() {
   console.log('Multiplayer mode requested - Setting up multiplayer environment');
@@ -165,6 +173,44 @@ function createMultiplayerUI() {
   });
   uiContainer.appendChild(disconnectButton);
 
+  // Voice button: the first click enables voice (needs a user gesture), later clicks mute
+  const voiceButton = document.createElement('button');
+  voiceButton.textContent = 'Enable Voice';
+  voiceButton.style.marginLeft = '5px';
+  voiceButton.style.padding = '5px 10px';
+  voiceButton.addEventListener('click', () => {
+    if (!MultiplayerManager.audioEnabled) {
+      MultiplayerManager.enablePositionalAudio();
+    } else {
+      MultiplayerManager.setMicMuted(!MultiplayerManager.micMuted);
+    }
+  });
+  uiContainer.appendChild(voiceButton);
+
+  // Stats button: same as the HUD's toggle key
+  const statsButton = document.createElement('button');
+  statsButton.textContent = 'Stats';
+  statsButton.style.marginLeft = '5px';
+  statsButton.style.padding = '5px 10px';
+  statsButton.addEventListener('click', () => {
+    const scene = document.querySelector('a-scene');
+    const hud = scene && scene.components && scene.components['network-stats-hud'];
+    if (hud) {
+      hud.toggle();
+    }
+  });
+  uiContainer.appendChild(statsButton);
+
+  uiContainer.appendChild(createRoomControls());
+  uiContainer.appendChild(createModerationPanel());
+  uiContainer.appendChild(createFollowPanel());
+  uiContainer.appendChild(createRecordingPanel());
+
+  // Only when a bad network is being simulated (?netsim=...)
+  if (MultiplayerManager.networkConditions) {
+    uiContainer.appendChild(createNetworkSimPanel());
+  }
+
   // Add event listeners to update UI
   document.addEventListener('multiplayer-initialized', (e) => {
     statusIndicator.textContent = `Multiplayer: Ready (ID: ${e.detail.localId})`;
@@ -175,67 +221,688 @@ function createMultiplayerUI() {
     statusIndicator.style.color = '#00ff00';
   });
 
+  // Emitted on the scene by PhysicsSyncManager; bubbles up to the document
+  document.addEventListener('host-changed', (e) => {
+    if (!MultiplayerManager.isConnected) return;
+    statusIndicator.textContent = e.detail.isLocal
+      ? 'Multiplayer: Connected (you are host)'
+      : `Multiplayer: Connected (host: ${e.detail.hostId})`;
+  });
+
+  document.addEventListener('voice-state-changed', (e) => {
+    const state = e.detail;
+    if (!state.hasMicrophone) {
+      voiceButton.textContent = state.enabled ? 'Voice: Listen only' : 'Enable Voice';
+    } else if (state.mutedByHost) {
+      voiceButton.textContent = 'Muted by moderator';
+    } else if (state.muted) {
+      voiceButton.textContent = 'Unmute';
+    } else {
+      voiceButton.textContent = state.pushToTalk && !state.transmitting ? 'Mute (push to talk)' : 'Mute';
+    }
+    voiceButton.style.color = state.transmitting ? '#00aa00' : '';
+  });
+
+  document.addEventListener('multiplayer-reconnecting', (e) => {
+    const seconds = Math.ceil(e.detail.delay / 1000);
+    statusIndicator.textContent = `Multiplayer: Connection lost, reconnecting in ${seconds}s (attempt ${e.detail.attempt})...`;
+    statusIndicator.style.color = '#ffaa00';
+  });
+
+  document.addEventListener('multiplayer-resumed', () => {
+    statusIndicator.textContent = 'Multiplayer: Reconnected';
+    statusIndicator.style.color = '#00ff00';
+  });
+
   document.addEventListener('multiplayer-disconnected', () => {
     statusIndicator.textContent = 'Multiplayer: Disconnected';
     statusIndicator.style.color = '#ff0000';
   });
 
+  document.addEventListener('multiplayer-error', (e) => {
+    statusIndicator.textContent = `Multiplayer: ${e.detail.error}`;
+    statusIndicator.style.color = '#ff0000';
+  });
+
+  document.addEventListener('multiplayer-kicked', (e) => {
+    statusIndicator.textContent = `Multiplayer: Removed from room ${e.detail.room} by the moderator`;
+    statusIndicator.style.color = '#ff0000';
+  });
+
+  document.addEventListener('multiplayer-peer-incompatible', (e) => {
+    statusIndicator.textContent = `Multiplayer: ${e.detail.peerId} runs an incompatible version (protocol ${e.detail.protocol})`;
+    statusIndicator.style.color = '#ffaa00';
+  });
+
   // Add to document
   document.body.appendChild(uiContainer);
 }
 
-// Create a proper MultiplayerManager module
-const MultiplayerManager = {
-  isConnected: false,
-  peers: [],
-  localId: null,
-
-  /**
-   * Initialize the multiplayer system
-   */
-  init: function() {
-    console.log('Initializing multiplayer manager');
-    // This will be implemented with WebRTC or WebSocket
-    this.localId = 'user_' + Math.floor(Math.random() * 10000);
-    console.log(`Generated local user ID: ${this.localId}`);
-
-    // Setup event listeners for multiplayer events
-    document.addEventListener('connect-multiplayer', this.connect.bind(this));
-    document.addEventListener('disconnect-multiplayer', this.disconnect.bind(this));
-
-    return this;
-  },
-
-  /**
-   * Connect to multiplayer server
-   */
-  connect: function() {
-    console.log('Connecting to multiplayer server...');
-    // This will be implemented with actual connection logic
-    setTimeout(() => {
-      this.isConnected = true;
-      console.log('Connected to multiplayer server (simulated)');
-
-      // Emit connected event
-      const event = new CustomEvent('multiplayer-connected');
-      document.dispatchEvent(event);
-    }, 1000);
-  },
-
-  /**
-   * Disconnect from multiplayer server
-   */
-  disconnect: function() {
-    console.log('Disconnecting from multiplayer server...');
-    // This will be implemented with actual disconnection logic
-    this.isConnected = false;
-    this.peers = [];
-
-    // Emit disconnected event
-    const event = new CustomEvent('multiplayer-disconnected');
-    document.dispatchEvent(event);
-  }
-};
+/**
+ * Create the room panel: current room, join by code, create, password, invite link and room list
+ * @returns {HTMLElement} The panel
+ */
+function createRoomControls() {
+  const panel = document.createElement('div');
+  panel.id = 'multiplayer-rooms';
+  panel.style.marginTop = '10px';
+  panel.style.borderTop = '1px solid rgba(255, 255, 255, 0.3)';
+  panel.style.paddingTop = '10px';
+
+  const roomLabel = document.createElement('div');
+  roomLabel.textContent = `Room: ${MultiplayerManager.room}`;
+  panel.appendChild(roomLabel);
+
+  // Join by code
+  const codeRow = document.createElement('div');
+  codeRow.style.marginTop = '5px';
+  const codeInput = document.createElement('input');
+  codeInput.type = 'text';
+  codeInput.placeholder = 'Room code';
+  codeInput.size = 10;
+  codeRow.appendChild(codeInput);
+  // Used to get into protected rooms, and protects rooms we create
+  const passwordInput = document.createElement('input');
+  passwordInput.type = 'password';
+  passwordInput.placeholder = 'Password (optional)';
+  passwordInput.size = 12;
+  passwordInput.style.marginLeft = '5px';
+  codeRow.appendChild(passwordInput);
+  const joinButton = document.createElement('button');
+  joinButton.textContent = 'Join';
+  joinButton.style.marginLeft = '5px';
+  joinButton.addEventListener('click', () => {
+    if (codeInput.value.trim()) {
+      MultiplayerManager.joinRoom(codeInput.value, { password: passwordInput.value });
+    }
+  });
+  codeRow.appendChild(joinButton);
+  panel.appendChild(codeRow);
+
+  // Create a new room with a size limit
+  const createRow = document.createElement('div');
+  createRow.style.marginTop = '5px';
+  const sizeInput = document.createElement('input');
+  sizeInput.type = 'number';
+  sizeInput.min = '1';
+  sizeInput.max = '32';
+  sizeInput.value = '8';
+  sizeInput.title = 'Max people in the room';
+  sizeInput.style.width = '3em';
+  createRow.appendChild(sizeInput);
+  const createButton = document.createElement('button');
+  createButton.textContent = 'Create Room';
+  createButton.style.marginLeft = '5px';
+  createButton.addEventListener('click', () => {
+    MultiplayerManager.createRoom({
+      maxPeers: parseInt(sizeInput.value, 10) || undefined,
+      password: passwordInput.value
+    });
+  });
+  createRow.appendChild(createButton);
+  const inviteButton = document.createElement('button');
+  inviteButton.textContent = 'Copy Invite';
+  inviteButton.style.marginLeft = '5px';
+  inviteButton.addEventListener('click', () => {
+    const link = MultiplayerManager.getInviteLink();
+    const done = () => { inviteButton.textContent = 'Copied!'; };
+    const fallback = () => window.prompt('Invite link:', link);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link).then(done, fallback);
+    } else {
+      fallback();
+    }
+    setTimeout(() => { inviteButton.textContent = 'Copy Invite'; }, 2000);
+  });
+  createRow.appendChild(inviteButton);
+  panel.appendChild(createRow);
+
+  // Rooms on the relay
+  const listHeader = document.createElement('div');
+  listHeader.style.marginTop = '5px';
+  const refreshButton = document.createElement('button');
+  refreshButton.textContent = 'Refresh Rooms';
+  listHeader.appendChild(refreshButton);
+  panel.appendChild(listHeader);
+
+  const roomList = document.createElement('ul');
+  roomList.style.margin = '5px 0 0 0';
+  roomList.style.paddingLeft = '18px';
+  roomList.style.maxHeight = '120px';
+  roomList.style.overflowY = 'auto';
+  panel.appendChild(roomList);
+
+  const refreshRooms = () => {
+    MultiplayerManager.listRooms().then(rooms => {
+      roomList.innerHTML = '';
+      if (rooms.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'No open rooms';
+        roomList.appendChild(empty);
+      }
+      rooms.forEach(room => {
+        const item = document.createElement('li');
+        const full = room.occupants >= room.maxPeers;
+        item.textContent = `${room.name} (${room.occupants}/${room.maxPeers})${room.protected ? ' [password]' : ''}`;
+        item.style.cursor = full ? 'default' : 'pointer';
+        item.style.opacity = full ? '0.5' : '1';
+        if (room.name === MultiplayerManager.room) {
+          item.style.fontWeight = 'bold';
+        } else if (!full) {
+          item.addEventListener('click', () => {
+            MultiplayerManager.joinRoom(room.name, { password: passwordInput.value });
+          });
+        }
+        roomList.appendChild(item);
+      });
+    }).catch(error => {
+      console.warn('Could not fetch room list:', error);
+      roomList.innerHTML = '<li>Room list unavailable</li>';
+    });
+  };
+  refreshButton.addEventListener('click', refreshRooms);
+
+  document.addEventListener('multiplayer-connected', (e) => {
+    const limit = e.detail.maxPeers ? ` (max ${e.detail.maxPeers})` : '';
+    roomLabel.textContent = `Room: ${e.detail.room}${limit}`;
+    refreshRooms();
+  });
+
+  return panel;
+}
+
+/**
+ * Create the moderation panel, shown only to the moderator: kick, mute
+ * and freeze users, and lock objects so only the host can move them
+ * @returns {HTMLElement} The panel
+ */
+function createModerationPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'multiplayer-moderation';
+  panel.style.marginTop = '10px';
+  panel.style.borderTop = '1px solid rgba(255, 255, 255, 0.3)';
+  panel.style.paddingTop = '10px';
+  panel.style.fontSize = '12px';
+  panel.style.display = 'none';
+
+  const title = document.createElement('div');
+  title.textContent = 'Moderation';
+  title.style.fontWeight = 'bold';
+  panel.appendChild(title);
+
+  const peerList = document.createElement('div');
+  peerList.style.maxHeight = '120px';
+  peerList.style.overflowY = 'auto';
+  panel.appendChild(peerList);
+
+  // Object locks
+  const lockRow = document.createElement('div');
+  lockRow.style.marginTop = '5px';
+  const objectSelect = document.createElement('select');
+  lockRow.appendChild(objectSelect);
+  const lockButton = document.createElement('button');
+  lockButton.style.marginLeft = '5px';
+  lockRow.appendChild(lockButton);
+  const lockAllButton = document.createElement('button');
+  lockAllButton.textContent = 'Lock all';
+  lockAllButton.style.marginLeft = '5px';
+  lockRow.appendChild(lockAllButton);
+  const unlockAllButton = document.createElement('button');
+  unlockAllButton.textContent = 'Unlock all';
+  unlockAllButton.style.marginLeft = '5px';
+  lockRow.appendChild(unlockAllButton);
+  panel.appendChild(lockRow);
+
+  const getSync = () => {
+    const scene = document.querySelector('a-scene');
+    return scene && scene.components && scene.components['physics-sync-manager'];
+  };
+
+  const button = (label, onClick) => {
+    const element = document.createElement('button');
+    element.textContent = label;
+    element.style.marginLeft = '5px';
+    element.addEventListener('click', onClick);
+    return element;
+  };
+
+  const render = () => {
+    const sync = getSync();
+    panel.style.display = MultiplayerManager.isModerator() ? '' : 'none';
+    if (panel.style.display === 'none') return;
+
+    peerList.innerHTML = '';
+    if (MultiplayerManager.peers.length === 0) {
+      peerList.textContent = 'Nobody else is here';
+    }
+    MultiplayerManager.peers.forEach(peer => {
+      const muted = MultiplayerManager.mutedPeers.has(peer.id);
+      const frozen = !!sync && sync.frozenPeers.has(peer.id);
+
+      const row = document.createElement('div');
+      row.style.marginTop = '3px';
+      row.textContent = (peer.appearance && peer.appearance.name) || peer.id;
+      const kick = button('Kick', () => MultiplayerManager.kickPeer(peer.id));
+      kick.title = 'Disconnect this user. Only rooms that need ID-bound join tokens keep them out; elsewhere they can rejoin under a new ID.';
+      row.appendChild(kick);
+      row.appendChild(button(muted ? 'Unmute' : 'Mute', () => MultiplayerManager.setPeerMuted(peer.id, !muted)));
+      if (sync) {
+        row.appendChild(button(frozen ? 'Unfreeze' : 'Freeze', () => sync.setPeerFrozen(peer.id, !frozen)));
+      }
+      peerList.appendChild(row);
+    });
+
+    lockRow.style.display = sync ? '' : 'none';
+    if (!sync) return;
+
+    const selected = objectSelect.value;
+    objectSelect.innerHTML = '';
+    Array.from(sync.syncedObjects.keys()).sort().forEach(objectId => {
+      const option = document.createElement('option');
+      option.value = objectId;
+      option.textContent = `${sync.lockedObjects.has(objectId) ? '[locked] ' : ''}${objectId}`;
+      objectSelect.appendChild(option);
+    });
+    if (sync.syncedObjects.has(selected)) {
+      objectSelect.value = selected;
+    }
+    lockButton.textContent = sync.lockedObjects.has(objectSelect.value) ? 'Unlock' : 'Lock';
+  };
+
+  objectSelect.addEventListener('change', render);
+  lockButton.addEventListener('click', () => {
+    const sync = getSync();
+    if (sync && objectSelect.value) {
+      sync.setObjectLocked(objectSelect.value, !sync.lockedObjects.has(objectSelect.value));
+    }
+  });
+  lockAllButton.addEventListener('click', () => {
+    const sync = getSync();
+    if (sync) {
+      sync.updatePermissions(sync.frozenPeers, new Set(sync.syncedObjects.keys()));
+    }
+  });
+  unlockAllButton.addEventListener('click', () => {
+    const sync = getSync();
+    if (sync) {
+      sync.updatePermissions(sync.frozenPeers, new Set());
+    }
+  });
+
+  // Scene events (moderator-changed, peer-*, sync-permissions-changed) bubble up to the document
+  [
+    'moderator-changed', 'peer-connected', 'peer-disconnected', 'sync-permissions-changed',
+    'multiplayer-moderation-changed', 'multiplayer-connected', 'multiplayer-disconnected'
+  ].forEach(name => document.addEventListener(name, render));
+
+  return panel;
+}
+
+/**
+ * Create the view panel: spectate, follow another user's view, or present
+ * (ask everyone to follow ours)
+ * @returns {HTMLElement} The panel
+ */
+function createFollowPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'multiplayer-follow';
+  panel.style.marginTop = '10px';
+  panel.style.borderTop = '1px solid rgba(255, 255, 255, 0.3)';
+  panel.style.paddingTop = '10px';
+  panel.style.fontSize = '12px';
+
+  const title = document.createElement('div');
+  title.textContent = 'View';
+  title.style.fontWeight = 'bold';
+  panel.appendChild(title);
+
+  // Spectate: no avatar body, no grabbing or pushing, free flight
+  const optionsRow = document.createElement('div');
+  optionsRow.style.marginTop = '3px';
+  const spectatorLabel = document.createElement('label');
+  const spectatorCheckbox = document.createElement('input');
+  spectatorCheckbox.type = 'checkbox';
+  spectatorCheckbox.addEventListener('change', () => {
+    MultiplayerManager.setSpectator(spectatorCheckbox.checked);
+  });
+  spectatorLabel.appendChild(spectatorCheckbox);
+  spectatorLabel.appendChild(document.createTextNode(' Spectator'));
+  optionsRow.appendChild(spectatorLabel);
+  const presentButton = document.createElement('button');
+  presentButton.style.marginLeft = '10px';
+  presentButton.addEventListener('click', () => {
+    if (MultiplayerManager.isPresenting()) {
+      MultiplayerManager.stopPresenting();
+    } else {
+      MultiplayerManager.startPresenting();
+    }
+  });
+  optionsRow.appendChild(presentButton);
+  panel.appendChild(optionsRow);
+
+  const peerList = document.createElement('div');
+  panel.appendChild(peerList);
+
+  const render = () => {
+    spectatorCheckbox.checked = MultiplayerManager.spectator;
+    presentButton.textContent = MultiplayerManager.isPresenting() ? 'Stop presenting' : 'Present';
+    presentButton.disabled = !MultiplayerManager.isConnected;
+
+    peerList.innerHTML = '';
+    MultiplayerManager.peers.forEach(peer => {
+      const following = MultiplayerManager.followingId === peer.id;
+      const name = (peer.appearance && peer.appearance.name) || peer.id;
+
+      const row = document.createElement('div');
+      row.style.marginTop = '3px';
+      row.textContent = peer.spectator ? `${name} (spectating)` : name;
+      const followButton = document.createElement('button');
+      followButton.textContent = following ? 'Stop following' : 'Follow';
+      followButton.style.marginLeft = '5px';
+      followButton.addEventListener('click', () => {
+        if (following) {
+          MultiplayerManager.stopFollowing();
+        } else {
+          MultiplayerManager.followPeer(peer.id);
+        }
+      });
+      row.appendChild(followButton);
+      peerList.appendChild(row);
+    });
+  };
+
+  // Scene events (peer-*) bubble up to the document
+  [
+    'peer-connected', 'peer-disconnected', 'multiplayer-connected', 'multiplayer-disconnected',
+    'multiplayer-spectator-changed', 'multiplayer-follow-changed', 'multiplayer-presence-changed'
+  ].forEach(name => document.addEventListener(name, render));
+  render();
+
+  return panel;
+}
+
+/**
+ * Create the session recording panel: record and download traffic, and
+ * load a recording to replay with play/pause, speed and seek controls
+ * @returns {HTMLElement} The panel
+ */
+function createRecordingPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'multiplayer-recording';
+  panel.style.marginTop = '10px';
+  panel.style.borderTop = '1px solid rgba(255, 255, 255, 0.3)';
+  panel.style.paddingTop = '10px';
+  panel.style.fontSize = '12px';
+
+  const title = document.createElement('div');
+  title.textContent = 'Recording';
+  title.style.fontWeight = 'bold';
+  panel.appendChild(title);
+
+  const button = (label, onClick) => {
+    const element = document.createElement('button');
+    element.textContent = label;
+    element.style.marginRight = '5px';
+    element.addEventListener('click', onClick);
+    return element;
+  };
+
+  const formatTime = ms => {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  // Record and download
+  const recordRow = document.createElement('div');
+  recordRow.style.marginTop = '3px';
+  const recordButton = button('Record', () => {
+    if (MultiplayerManager.isRecording()) {
+      MultiplayerManager.stopRecording();
+    } else {
+      MultiplayerManager.startRecording();
+    }
+  });
+  const downloadButton = button('Download', () => MultiplayerManager.downloadRecording());
+  recordRow.appendChild(recordButton);
+  recordRow.appendChild(downloadButton);
+  panel.appendChild(recordRow);
+
+  const recordStatus = document.createElement('div');
+  panel.appendChild(recordStatus);
+
+  // Load a recording to replay
+  const loadRow = document.createElement('label');
+  loadRow.style.display = 'block';
+  loadRow.style.marginTop = '5px';
+  loadRow.textContent = 'Replay file ';
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.width = '14em';
+  loadRow.appendChild(fileInput);
+  panel.appendChild(loadRow);
+
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      MultiplayerManager.startReplay(SessionRecorder.parse(text));
+    }).catch(error => {
+      document.dispatchEvent(new CustomEvent('multiplayer-error', {
+        detail: { error: `Could not load recording: ${error.message}` }
+      }));
+    });
+    fileInput.value = '';
+  });
+
+  // Replay controls
+  const replayControls = document.createElement('div');
+  replayControls.style.marginTop = '5px';
+  replayControls.style.display = 'none';
+
+  const playButton = button('Play', () => {
+    const replay = MultiplayerManager.getReplay();
+    if (!replay) return;
+    if (replay.isPlaying) {
+      replay.pause();
+    } else if (replay.ended) {
+      MultiplayerManager.seekReplay(0);
+    } else {
+      replay.play();
+    }
+  });
+  replayControls.appendChild(playButton);
+
+  const speedSelect = document.createElement('select');
+  [0.25, 0.5, 1, 2, 4].forEach(speed => {
+    const option = document.createElement('option');
+    option.value = String(speed);
+    option.textContent = `${speed}x`;
+    speedSelect.appendChild(option);
+  });
+  speedSelect.value = '1';
+  speedSelect.addEventListener('change', () => {
+    const replay = MultiplayerManager.getReplay();
+    if (replay) {
+      replay.setSpeed(parseFloat(speedSelect.value));
+    }
+  });
+  replayControls.appendChild(speedSelect);
+  replayControls.appendChild(button('Stop replay', () => MultiplayerManager.stopReplay()));
+
+  const seekRow = document.createElement('div');
+  seekRow.style.marginTop = '3px';
+  const seekInput = document.createElement('input');
+  seekInput.type = 'range';
+  seekInput.min = '0';
+  seekInput.step = '100';
+  seekInput.style.width = '12em';
+  seekInput.style.verticalAlign = 'middle';
+  const timeLabel = document.createElement('span');
+  timeLabel.style.marginLeft = '5px';
+  seekRow.appendChild(seekInput);
+  seekRow.appendChild(timeLabel);
+  replayControls.appendChild(seekRow);
+  panel.appendChild(replayControls);
+
+  let seeking = false;
+  seekInput.addEventListener('input', () => { seeking = true; });
+  seekInput.addEventListener('change', () => {
+    seeking = false;
+    MultiplayerManager.seekReplay(parseFloat(seekInput.value));
+  });
+
+  const render = () => {
+    const recording = MultiplayerManager.isRecording();
+    const recorder = MultiplayerManager.recorder;
+    const replaying = !!MultiplayerManager.replayRecording;
+
+    recordButton.textContent = recording ? 'Stop recording' : 'Record';
+    recordButton.disabled = replaying;
+    downloadButton.disabled = !recorder || !recorder.hasRecording();
+    recordStatus.textContent = recorder && recorder.hasRecording()
+      ? `${recording ? 'Recording' : 'Recorded'} ${formatTime(recorder.getDuration())}, ${recorder.getEventCount()} events`
+      : '';
+
+    replayControls.style.display = replaying ? '' : 'none';
+    const replay = MultiplayerManager.getReplay();
+    if (!replay) return;
+
+    playButton.textContent = replay.isPlaying ? 'Pause' : (replay.ended ? 'Restart' : 'Play');
+    speedSelect.value = String(replay.speed);
+    seekInput.max = String(Math.ceil(replay.duration));
+    if (!seeking) {
+      seekInput.value = String(replay.position);
+    }
+    timeLabel.textContent = `${formatTime(replay.position)} / ${formatTime(replay.duration)}`;
+  };
+
+  ['multiplayer-recording-changed', 'multiplayer-replay-changed'].forEach(name => {
+    document.addEventListener(name, render);
+  });
+  setInterval(render, 250);
+  render();
+
+  return panel;
+}
+
+/**
+ * Create the network simulator debug panel: preset, conditions, sync tuning and live stats
+ * @returns {HTMLElement} The panel
+ */
+function createNetworkSimPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'network-sim-panel';
+  panel.style.marginTop = '10px';
+  panel.style.borderTop = '1px solid rgba(255, 255, 255, 0.3)';
+  panel.style.paddingTop = '10px';
+  panel.style.fontSize = '12px';
+
+  const title = document.createElement('div');
+  title.textContent = 'Network simulator';
+  title.style.fontWeight = 'bold';
+  panel.appendChild(title);
+
+  const addRow = (label, input) => {
+    const row = document.createElement('label');
+    row.style.display = 'block';
+    row.style.marginTop = '3px';
+    row.textContent = `${label} `;
+    row.appendChild(input);
+    panel.appendChild(row);
+    return input;
+  };
+
+  const numberInput = (value, step) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = String(step);
+    input.value = String(value);
+    input.style.width = '5em';
+    return input;
+  };
+
+  // Presets
+  const presetSelect = document.createElement('select');
+  const presets = NetworkSimulator.getPresets();
+  ['custom', ...Object.keys(presets)].forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    presetSelect.appendChild(option);
+  });
+  addRow('Preset', presetSelect);
+
+  // Conditions
+  const conditions = MultiplayerManager.networkConditions;
+  const inputs = {
+    latency: addRow('Latency (ms)', numberInput(conditions.latency, 5)),
+    jitter: addRow('Jitter (ms)', numberInput(conditions.jitter, 5)),
+    loss: addRow('Loss (0-1)', numberInput(conditions.loss, 0.01)),
+    reorder: addRow('Reorder (0-1)', numberInput(conditions.reorder, 0.01)),
+    bandwidth: addRow('Bandwidth (kbit/s, 0 = off)', numberInput(conditions.bandwidth, 50))
+  };
+
+  const applyConditions = () => {
+    const values = {};
+    Object.entries(inputs).forEach(([key, input]) => {
+      values[key] = parseFloat(input.value) || 0;
+    });
+    MultiplayerManager.setNetworkConditions(values);
+  };
+  Object.values(inputs).forEach(input => {
+    input.addEventListener('change', () => {
+      presetSelect.value = 'custom';
+      applyConditions();
+    });
+  });
+  presetSelect.addEventListener('change', () => {
+    const preset = presets[presetSelect.value];
+    if (!preset) return;
+    Object.entries(inputs).forEach(([key, input]) => {
+      input.value = String(preset[key]);
+    });
+    applyConditions();
+  });
+
+  // Sync tuning on the physics-sync-manager
+  const syncIntervalInput = addRow('Sync interval (ms)', numberInput(100, 10));
+  syncIntervalInput.addEventListener('change', () => {
+    const scene = document.querySelector('a-scene');
+    const value = parseFloat(syncIntervalInput.value);
+    if (scene && value > 0) {
+      scene.setAttribute('physics-sync-manager', 'syncInterval', value);
+    }
+  });
+
+  // Live stats
+  const statsLine = document.createElement('div');
+  statsLine.style.marginTop = '5px';
+  statsLine.style.whiteSpace = 'pre';
+  panel.appendChild(statsLine);
+
+  setInterval(() => {
+    const scene = document.querySelector('a-scene');
+    const sync = scene && scene.components && scene.components['physics-sync-manager'];
+    if (sync && document.activeElement !== syncIntervalInput) {
+      syncIntervalInput.value = String(sync.data.syncInterval);
+    }
+
+    const simulator = MultiplayerManager.getNetworkSimulator();
+    const lines = [];
+    if (simulator) {
+      const stats = simulator.simStats;
+      lines.push(`Delivered ${stats.delivered}, dropped ${stats.dropped}, reordered ${stats.reordered}`);
+    }
+    if (sync) {
+      lines.push(`Tick rate ${sync.negotiatedTickRate || '-'} Hz, render delay ${Math.round(sync.calculateRenderDelay())} ms`);
+    }
+    statsLine.textContent = lines.join('\n');
+  }, 1000);
+
+  return panel;
+}
 
 // Export for module system
 export {
@@ -265,5 +932,11 @@ export {
   MagnetRangeDebug,
   JumpControl,
   JumpCollider,
-  PlayerCollider
+  PlayerCollider,
+  PeerAvatar,
+  SpatialVoice,
+  NetworkStatsHud,
+  MultiplayerChat,
+  SharedPointer,
+  FollowCamera
 };
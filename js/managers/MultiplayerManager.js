@@ -4,10 +4,123 @@
  * This manager is responsible for:
  * - Establishing connections between users
  * - Synchronizing player positions and states
- * - Managing positional audio
+ * - Managing positional audio and voice chat
  * - Handling shared physics interactions
+ *
+ * Networking goes through a Transport (see js/network/). By default this is
+ * a WebSocketTransport talking to the local relay in server/relay-server.js;
+ * `?transport=webrtc` switches to a peer-to-peer WebRTC mesh that uses the
+ * relay only for signaling, and `?transport=local` connects tabs of the same
+ * browser over a BroadcastChannel with no server at all. `?netsim=<preset>`
+ * (or `networkConditions` in init()) wraps the transport in a
+ * NetworkSimulator to add latency, jitter, loss and a bandwidth cap.
+ *
+ * Sessions are scoped to named rooms (`?room=CODE`); the relay never forwards
+ * traffic between rooms. joinRoom() and createRoom() switch rooms at runtime.
+ *
+ * If the connection drops, the manager reconnects with exponential backoff.
+ * The relay holds a dropped client's place for a grace window; rejoining
+ * within it resumes the same session under the same ID, so peers never see
+ * us leave. Reliable physics messages sent while offline are queued and
+ * flushed once the session resumes.
+ *
+ * Every incoming message is checked against the catalog in
+ * js/network/Protocol.js before it is handled; malformed and unknown
+ * messages are dropped and counted in droppedMessages. Peers exchange a
+ * 'hello' with their protocol version when they meet, and a peer whose
+ * version we can't talk to is left out of the session.
+ *
+ * Rooms can be protected with a password or signed join tokens, which the
+ * relay checks on join. The moderator (elected by PhysicsSyncManager: the
+ * session host, unless that is the headless physics host, in which case the
+ * longest-present user) can moderate: kickPeer() removes a user,
+ * setPeerMuted() silences their voice for everyone.
+ *
+ * startRecording() records everything sent and received (PhysicsSyncManager
+ * traffic included) into a downloadable file. startReplay() plays such a
+ * file back offline through a ReplayTransport: the recorded messages reach
+ * handlePeerMessage() as if live, under the recording user's ID.
+ *
+ * sendChat() and sendEmote() carry text chat and avatar emotes; both show
+ * on the sender's avatar (a speech bubble, an animation) for everyone.
+ * sendPointer() shares a pointer ray, drawn as a beam from the sender's
+ * avatar, and sendMarker() drops a temporary marker everyone sees.
+ *
+ * Spectators (setSpectator(), `?spectator=true`) join without an avatar body
+ * and can't own physics objects. Anyone can followPeer() to look through
+ * another user's eyes (the follow-camera component moves the view), and
+ * startPresenting() asks everyone to follow us; each user can
+ * stopFollowing() at any time.
+ *
+ * Voice is opt-in: enablePositionalAudio() captures the microphone and opens
+ * audio-only WebRTC connections to other voice-enabled peers (see
+ * js/network/VoiceChannel.js). Each remote voice plays through a PannerNode;
+ * the spatial-voice component moves the panners and the listener every frame.
  */
 
+import WebSocketTransport from '../network/WebSocketTransport.js';
+import WebRTCTransport from '../network/WebRTCTransport.js';
+import BroadcastChannelTransport from '../network/BroadcastChannelTransport.js';
+import NetworkSimulator from '../network/NetworkSimulator.js';
+import VoiceChannel from '../network/VoiceChannel.js';
+import RoomDirectory from '../network/RoomDirectory.js';
+import Protocol from '../network/Protocol.js';
+import SessionRecorder from '../network/SessionRecorder.js';
+import ReplayTransport from '../network/ReplayTransport.js';
+
+const DEFAULT_RELAY_PORT = 8080;
+
+// Reconnect backoff: the delay doubles per attempt, +/-25% so clients that
+// dropped together don't all retry at the same moment
+const RECONNECT_BASE_DELAY = 500; // ms
+const RECONNECT_MAX_DELAY = 15000; // ms
+const MAX_RECONNECT_ATTEMPTS = 10;
+
+// Relay join rejections that retrying won't change; reconnecting stops on these
+const PERMANENT_JOIN_REJECTIONS = new Set([
+  'missing-id', 'invalid-room', 'room-full', 'password-required', 'wrong-password',
+  'token-required', 'invalid-token', 'banned'
+]);
+
+// Reliable messages kept while offline; the oldest are dropped beyond this
+const MAX_QUEUED_MESSAGES = 200;
+
+// localStorage key for the user's avatar appearance
+const AVATAR_STORAGE_KEY = 'vrmobdesk-avatar';
+
+// Peers' appearance values end up in A-Frame material strings and name
+// tags, so only hex colors and short names are taken from them
+const AVATAR_COLOR_PATTERN = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i;
+const MAX_AVATAR_NAME_LENGTH = 32;
+
+// Reusable objects for the per-frame audio updates
+const tempPosition = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const tempScale = new THREE.Vector3();
+const tempForward = new THREE.Vector3();
+const tempUp = new THREE.Vector3();
+
+// Message types only the moderator may send
+const MODERATOR_TYPES = new Set(['kick', 'moderation']);
+
+// Chat messages are cut to this many characters, sent or received
+const MAX_CHAT_LENGTH = 200;
+
+// Chat messages kept in chatLog
+const CHAT_HISTORY = 100;
+
+// Emotes peer avatars can play: name -> label
+const EMOTES = {
+  'wave': 'Wave',
+  'thumbs-up': 'Thumbs up',
+  'point': 'Point'
+};
+
+// Physics message types that are superseded by the next one and may be dropped
+const UNRELIABLE_PHYSICS_TYPES = new Set([
+  'physics-state', 'physics-snapshot', 'physics-snapshot-ack', 'physics-ping', 'physics-pong'
+]);
+
 class MultiplayerManager {
   constructor() {
     this.isConnected = false;
@@ -17,33 +130,139 @@ class MultiplayerManager {
     this.audioEnabled = false;
     this.peerConnections = {};
     this.dataChannels = {};
-    this.audioNodes = {};
+    this.audioNodes = {}; // peerId -> PannerNode
+    this.audioSources = {}; // peerId -> { element, source, analyser, samples }
+    this.voice = null;
+    this.micStream = null;
+    this.micMuted = false;
+    this.pushToTalk = false;
+    this.talking = false;
+    this.voiceSettings = {
+      distanceModel: 'inverse',
+      refDistance: 1,
+      maxDistance: 20,
+      rolloffFactor: 1
+    };
+    this.transport = null;
+    this.serverUrl = null;
+    this.room = 'default';
+    this.roomOptions = {}; // { maxPeers, listed } used if our join creates the room
+    this.roomMaxPeers = null; // Occupancy limit reported by the relay
+    this.roomPassword = null; // Sent with each join; protects a room our join creates
+    this.joinToken = null; // Signed join token for this.room
+    this.transportType = 'websocket';
+    this.networkConditions = null; // Simulated network conditions, or null for none
+    this.resumeToken = null; // From the relay's welcome; lets a reconnect resume the session
+    this.isReconnecting = false;
+    this.reconnectAttempt = 0;
+    this._reconnectTimer = null;
+    this.outgoingQueue = []; // { message, peerId, options } sent while offline
+    this.peerProtocols = new Map(); // peerId -> { protocol, minProtocol, compatible, headless }, from their hello
+    this.droppedMessages = {
+      total: 0,
+      reasons: { invalid: 0, 'unknown-type': 0, incompatible: 0, kicked: 0, unauthorized: 0 },
+      types: {} // message type -> count
+    };
+    this._warnedDrops = new Set(); // 'peer|type|reason' already logged
+    this.hostId = null; // Session host, as elected by PhysicsSyncManager
+    this.moderatorId = null; // Who may kick and mute, as elected by PhysicsSyncManager
+    this.kickedPeers = new Set(); // Removed by the moderator; ignored until the session ends
+    this.mutedPeers = new Set(); // Muted by the moderator, as last announced
+    this.mutedByHost = false;
+    this.avatar = null;
+    this.recorder = null; // SessionRecorder, once recording has been used
+    this.replayRecording = null; // Recording being replayed, or null when live
+    this.replayOptions = {}; // { startAt, speed, paused } for the next replay transport
+    this._liveSession = null; // { localId, room } to restore after a replay
+    this.chatLog = []; // { senderId, name, text, time, isLocal }, oldest first
+    this.spectator = false; // Joined without a body or physics interaction
+    this.followingId = null; // Peer whose view we follow, or null
+    this.presenterId = null; // Who asked everyone to follow them (may be us), or null
     
     // Bind methods to preserve 'this' context
     this.init = this.init.bind(this);
     this.connect = this.connect.bind(this);
     this.disconnect = this.disconnect.bind(this);
+    this.joinRoom = this.joinRoom.bind(this);
+    this.createRoom = this.createRoom.bind(this);
     this.enablePositionalAudio = this.enablePositionalAudio.bind(this);
     this.updatePeerPosition = this.updatePeerPosition.bind(this);
     this.broadcastPosition = this.broadcastPosition.bind(this);
     this.handlePeerMessage = this.handlePeerMessage.bind(this);
+    this.setAvatarAppearance = this.setAvatarAppearance.bind(this);
+    this._onVoiceStream = this._onVoiceStream.bind(this);
+    this._onVoiceStreamEnded = this._onVoiceStreamEnded.bind(this);
+    this._onSendToPeer = this._onSendToPeer.bind(this);
+    this._onBroadcastMessage = this._onBroadcastMessage.bind(this);
+    this._onPeerJoined = this._onPeerJoined.bind(this);
+    this._onPeerLeft = this._onPeerLeft.bind(this);
+    this._reconnect = this._reconnect.bind(this);
+    this._onHostChanged = this._onHostChanged.bind(this);
+    this._onModeratorChanged = this._onModeratorChanged.bind(this);
   }
   
   /**
    * Initialize the multiplayer system
+   * @param {Object} [options] - Multiplayer options
+   * @param {string} [options.serverUrl] - Relay server URL (defaults to ?server= or ws://<host>:8080)
+   * @param {string} [options.room] - Room to join (defaults to ?room= or 'default')
+   * @param {number} [options.maxPeers] - Maximum occupancy if the room is new (defaults to ?maxPeers= or the relay default)
+   * @param {string} [options.transport] - 'websocket', 'webrtc' or 'local' (defaults to ?transport= or 'websocket')
+   * @param {string} [options.password] - Room password
+   * @param {string} [options.joinToken] - Signed join token for the room (defaults to ?token=)
+   * @param {Object} [options.avatar] - Avatar appearance { name, color, handColor }
+   * @param {boolean} [options.spectator] - Join as a spectator (defaults to ?spectator=true)
+   * @param {Object} [options.networkConditions] - Simulate a bad network (see NetworkSimulator; defaults to ?netsim= params)
    * @returns {MultiplayerManager} The manager instance
    */
-  init() {
+  init(options = {}) {
     console.log('Initializing multiplayer manager');
     
     // Generate a random user ID
     this.localId = 'user_' + Math.floor(Math.random() * 10000);
     console.log(`Generated local user ID: ${this.localId}`);
     
+    // Resolve relay server address
+    const params = new URLSearchParams(window.location.search);
+    this.serverUrl = options.serverUrl ||
+      params.get('server') ||
+      `ws://${window.location.hostname || 'localhost'}:${DEFAULT_RELAY_PORT}`;
+    this.room = RoomDirectory.normalizeCode(options.room || params.get('room')) || 'default';
+    this.roomOptions = {
+      maxPeers: options.maxPeers || parseInt(params.get('maxPeers'), 10) || undefined,
+      listed: true
+    };
+    this.transportType = options.transport || params.get('transport') || 'websocket';
+    this.roomPassword = options.password || null;
+    this.joinToken = options.joinToken || params.get('token') || null;
+    this.networkConditions = options.networkConditions || NetworkSimulator.conditionsFromParams(params);
+    this.spectator = options.spectator !== undefined
+      ? !!options.spectator
+      : params.get('spectator') === 'true';
+    
+    // Avatar appearance: defaults < saved < URL params < explicit options
+    this.avatar = {
+      name: this.localId,
+      color: this._colorForId(this.localId),
+      handColor: '#ffd2b3',
+      ...this._loadSavedAvatar(),
+      ...(params.get('name') && { name: params.get('name') }),
+      ...(params.get('color') && { color: params.get('color') }),
+      ...options.avatar
+    };
+    
     // Setup event listeners for multiplayer events
     document.addEventListener('connect-multiplayer', this.connect);
     document.addEventListener('disconnect-multiplayer', this.disconnect);
     
+    // Outgoing physics traffic from PhysicsSyncManager (scene events bubble to document)
+    document.addEventListener('send-to-peer', this._onSendToPeer);
+    document.addEventListener('broadcast-message', this._onBroadcastMessage);
+    
+    // The moderator kicks and mutes
+    document.addEventListener('host-changed', this._onHostChanged);
+    document.addEventListener('moderator-changed', this._onModeratorChanged);
+    
     // Emit initialization event
     const event = new CustomEvent('multiplayer-initialized', { 
       detail: { localId: this.localId } 
@@ -57,65 +276,353 @@ class MultiplayerManager {
    * Connect to multiplayer server
    */
   connect() {
-    if (this.isConnected) {
+    if (this.isConnected || this.transport || this.isReconnecting) {
       console.log('Already connected to multiplayer server');
       return;
     }
     
-    console.log('Connecting to multiplayer server...');
+    console.log(`Connecting to multiplayer server at ${this.serverUrl} (room: ${this.room}, transport: ${this.transportType})...`);
     
-    // This will be implemented with actual WebRTC or WebSocket connection logic
-    // For now, we'll simulate a connection
-    setTimeout(() => {
-      this.isConnected = true;
-      console.log('Connected to multiplayer server (simulated)');
+    // A fresh join never resumes an earlier session
+    this.resumeToken = null;
+    
+    this._openTransport().then(result => {
+      if (!result) return; // Switched rooms while joining
       
-      // Start position broadcasting
-      this._startPositionBroadcast();
+      console.log(`Connected to multiplayer server (${result.peers.length} peer(s) already in room ${this.room})`);
+      this._startSession(result.peers);
+    }).catch(error => {
+      console.error('Failed to connect to multiplayer server:', error);
       
-      // Emit connected event
-      const event = new CustomEvent('multiplayer-connected');
+      const event = new CustomEvent('multiplayer-error', {
+        detail: { error: error.message, reason: error.reason || null }
+      });
       document.dispatchEvent(event);
-    }, 1000);
+    });
   }
   
   /**
    * Disconnect from multiplayer server
    */
   disconnect() {
-    if (!this.isConnected) {
+    if (!this.isConnected && !this.transport && !this.isReconnecting) {
       console.log('Not connected to multiplayer server');
       return;
     }
     
     console.log('Disconnecting from multiplayer server...');
     
-    // Stop position broadcasting
-    this._stopPositionBroadcast();
+    this._stopReconnecting();
     
-    // Close all peer connections
-    Object.values(this.peerConnections).forEach(connection => {
-      if (connection && connection.close) {
-        connection.close();
-      }
-    });
+    if (this.transport) {
+      this.transport.disconnect();
+      this._releaseTransport();
+    }
     
-    // Reset state
-    this.isConnected = false;
-    this.peers = [];
-    this.peerConnections = {};
-    this.dataChannels = {};
+    this._resetSession();
+  }
+  
+  /**
+   * Change the simulated network conditions
+   *
+   * Applies immediately if the current transport is simulated; otherwise
+   * from the next connect(). Pass null to stop simulating after reconnecting.
+   * @param {Object|null} conditions - Any of { latency, jitter, loss, reorder, bandwidth }
+   */
+  setNetworkConditions(conditions) {
+    this.networkConditions = conditions ? { ...this.networkConditions, ...conditions } : null;
     
-    // Emit disconnected event
-    const event = new CustomEvent('multiplayer-disconnected');
-    document.dispatchEvent(event);
+    if (conditions && this.transport instanceof NetworkSimulator) {
+      this.transport.setConditions(conditions);
+    }
+  }
+  
+  /**
+   * @returns {NetworkSimulator|null} The active simulator, if the transport is simulated
+   */
+  getNetworkSimulator() {
+    return this.transport instanceof NetworkSimulator ? this.transport : null;
+  }
+  
+  /**
+   * Start recording the session's traffic, discarding any earlier recording
+   * @returns {boolean} False while replaying (a replay isn't recorded again)
+   */
+  startRecording() {
+    if (this.replayRecording) return false;
+    
+    if (!this.recorder) {
+      this.recorder = new SessionRecorder();
+    }
+    this.recorder.start({ localId: this.localId, room: this.room });
+    
+    // Already in a session: start the recording from who is here now
+    if (this.isConnected) {
+      this._record('connected', {
+        peers: this.peers.map(peer => peer.id),
+        maxPeers: this.roomMaxPeers
+      });
+    }
+    
+    console.log(`Recording session in room ${this.room}`);
+    this._emitRecordingChanged();
+    return true;
+  }
+  
+  /**
+   * Stop recording; the recording stays available for downloadRecording()
+   */
+  stopRecording() {
+    if (!this.isRecording()) return;
+    
+    this.recorder.stop();
+    console.log(`Recorded ${this.recorder.getEventCount()} events`);
+    this._emitRecordingChanged();
+  }
+  
+  /**
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return !!(this.recorder && this.recorder.isRecording);
+  }
+  
+  /**
+   * Save the current or last recording as a file
+   * @param {string} [filename] - File name (defaults to one with the room and time)
+   * @returns {boolean} False if nothing has been recorded
+   */
+  downloadRecording(filename) {
+    if (!this.recorder || !this.recorder.hasRecording()) return false;
+    
+    this.recorder.download(filename);
+    return true;
+  }
+  
+  /**
+   * Leave the live session and play a recording back instead
+   * The scene is driven by the recorded traffic as seen by the user who
+   * recorded it, whose ID we take on for the replay.
+   * @param {Object} recording - A recording from SessionRecorder.parse()
+   * @param {Object} [options]
+   * @param {number} [options.speed=1] - Playback rate
+   * @param {boolean} [options.paused=false] - Load without starting playback
+   */
+  startReplay(recording, options = {}) {
+    if (this.isConnected || this.transport || this.isReconnecting) {
+      this.disconnect();
+    }
+    this.stopRecording();
+    
+    if (!this._liveSession) {
+      this._liveSession = { localId: this.localId, room: this.room };
+    }
+    this.replayRecording = recording;
+    this.replayOptions = { startAt: 0, speed: options.speed || 1, paused: !!options.paused };
+    this.localId = recording.localId;
+    this.room = recording.room;
+    
+    console.log(`Replaying session recorded in room ${recording.room} by ${recording.localId}`);
+    this.connect();
+    this._emitReplayChanged();
+  }
+  
+  /**
+   * @returns {ReplayTransport|null} The replay in progress, for play/pause/speed controls
+   */
+  getReplay() {
+    return this.transport instanceof ReplayTransport ? this.transport : null;
+  }
+  
+  /**
+   * Jump to a position in the replay
+   * Forward seeks fast-forward the current replay. The scene can't be
+   * rewound, so seeking backward restarts the replay and fast-forwards
+   * from the beginning. A replay that had reached the end plays on from
+   * the new position.
+   * @param {number} position - Position in ms
+   */
+  seekReplay(position) {
+    const replay = this.getReplay();
+    if (!replay) return;
+    
+    if (replay.seek(position)) return;
+    
+    this.replayOptions = {
+      startAt: position,
+      speed: replay.speed,
+      paused: !replay.isPlaying && !replay.ended
+    };
+    this.disconnect();
+    this.connect();
+  }
+  
+  /**
+   * End the replay and return to the live user ID and room (not connected)
+   */
+  stopReplay() {
+    if (!this.replayRecording) return;
+    
+    if (this.isConnected || this.transport) {
+      this.disconnect();
+    }
+    this.replayRecording = null;
+    this.replayOptions = {};
+    this.localId = this._liveSession.localId;
+    this.room = this._liveSession.room;
+    this._liveSession = null;
+    
+    console.log('Replay stopped');
+    this._emitReplayChanged();
+  }
+  
+  /**
+   * Leave the current room (if any) and join another
+   * @param {string} room - Room name or code
+   * @param {Object} [options]
+   * @param {number} [options.maxPeers] - Maximum occupancy, if this join creates the room
+   * @param {boolean} [options.listed=true] - Show the room in the room list, if this join creates it
+   * @param {string} [options.password] - Password to get in, or to protect the room if this join creates it
+   * @param {string} [options.token] - Signed join token for the room
+   * @returns {boolean} False if the room name is invalid
+   */
+  joinRoom(room, options = {}) {
+    const code = RoomDirectory.normalizeCode(room);
+    if (!code) {
+      document.dispatchEvent(new CustomEvent('multiplayer-error', {
+        detail: { error: `Invalid room code "${room}"`, reason: 'invalid-room' }
+      }));
+      return false;
+    }
+    
+    // Joining a room means going live again
+    this.stopReplay();
+    if (this.isConnected || this.transport || this.isReconnecting) {
+      this.disconnect();
+    }
+    
+    // A token only lets us into the room it was issued for
+    this.joinToken = options.token || (code === this.room ? this.joinToken : null);
+    this.roomPassword = options.password || null;
+    this.room = code;
+    this.roomOptions = {
+      maxPeers: options.maxPeers || this.roomOptions.maxPeers,
+      listed: options.listed !== false
+    };
+    
+    // Keep the address bar shareable and reload-safe
+    const url = new URL(window.location.href);
+    url.searchParams.set('room', code);
+    if (!this.joinToken) {
+      url.searchParams.delete('token');
+    }
+    window.history.replaceState(null, '', url.toString());
+    
+    this.connect();
+    return true;
+  }
+  
+  /**
+   * Create a room with a fresh code and join it
+   * @param {Object} [options] - { maxPeers, listed, password }, as for joinRoom()
+   * @returns {string} The new room code
+   */
+  createRoom(options = {}) {
+    const code = RoomDirectory.generateCode();
+    this.joinRoom(code, options);
+    return code;
+  }
+  
+  /**
+   * Fetch the rooms listed on the relay
+   * @returns {Promise<Object[]>} Resolves with [{ name, occupants, maxPeers, protected }]
+   */
+  listRooms() {
+    return RoomDirectory.listRooms(this.serverUrl);
+  }
+  
+  /**
+   * @returns {string} A link that opens this page in the current room
+   */
+  getInviteLink() {
+    return RoomDirectory.getInviteLink(this.room);
+  }
+  
+  /**
+   * @returns {boolean} True if the local user is the session host
+   */
+  isHost() {
+    return this.isConnected && !!this.hostId && this.hostId === this.localId;
+  }
+  
+  /**
+   * The moderator is the host, unless the host is the headless physics host,
+   * which can't moderate; then it is the longest-present user
+   * @returns {boolean} True if the local user is the moderator
+   */
+  isModerator() {
+    return this.isConnected && !!this.moderatorId && this.moderatorId === this.localId;
+  }
+  
+  /**
+   * @param {string} peerId - A user
+   * @returns {boolean} True if that user is a headless process (the physics host), not a person
+   */
+  isHeadless(peerId) {
+    const protocol = this.peerProtocols.get(peerId);
+    return !!(protocol && protocol.headless);
+  }
+  
+  /**
+   * Remove a user from the session (moderator only)
+   * Every peer drops them; on the relay transports the relay also closes
+   * their connection and bans their ID and join token from the room until
+   * it closes. IDs are picked by the client, so only a room that needs
+   * ID-bound join tokens keeps them out; elsewhere they can reload and rejoin.
+   * @param {string} peerId - The user to remove
+   * @returns {boolean} False if we are not the moderator
+   */
+  kickPeer(peerId) {
+    if (!this.isModerator() || peerId === this.localId) return false;
+    
+    console.log(`MultiplayerManager: Kicking ${peerId}`);
+    this._send({ type: 'kick', target: peerId });
+    this._removeKickedPeer(peerId);
+    return true;
+  }
+  
+  /**
+   * Mute or unmute a user's voice for everyone (moderator only)
+   * @param {string} peerId - The user
+   * @param {boolean} muted - True to mute
+   * @returns {boolean} False if we are not the moderator
+   */
+  setPeerMuted(peerId, muted) {
+    if (!this.isModerator()) return false;
+    
+    const mutedPeers = new Set(this.mutedPeers);
+    if (muted) {
+      mutedPeers.add(peerId);
+    } else {
+      mutedPeers.delete(peerId);
+    }
+    
+    const message = { type: 'moderation', muted: Array.from(mutedPeers) };
+    this._send(message);
+    this._applyModeration(message.muted);
+    return true;
   }
   
   /**
-   * Enable positional audio for multiplayer
+   * Enable positional audio and voice chat for multiplayer
+   *
+   * Must be called from a user gesture (e.g. a click) so the browser lets
+   * the AudioContext start and asks for the microphone. If the microphone
+   * is unavailable, voice still works in listen-only mode.
+   * @returns {Promise} Resolves once voice is set up
    */
   enablePositionalAudio() {
-    if (this.audioEnabled) return;
+    if (this.audioEnabled) return Promise.resolve();
     
     try {
       // Create audio context
@@ -146,183 +653,1710 @@ class MultiplayerManager {
       console.log('Positional audio enabled');
     } catch (error) {
       console.error('Failed to initialize positional audio:', error);
+      return Promise.resolve();
     }
+    
+    return this._captureMicrophone().then(stream => {
+      this.micStream = stream;
+      this._updateMicTrack();
+      this._startVoice();
+    });
   }
   
   /**
-   * Update the position of a peer
-   * @param {string} peerId - The ID of the peer
-   * @param {Object} position - The position {x, y, z}
-   * @param {Object} rotation - The rotation {x, y, z}
+   * Mute or unmute the microphone
+   * @param {boolean} muted - True to stop sending voice
    */
-  updatePeerPosition(peerId, position, rotation) {
-    // Find the peer
-    const peerIndex = this.peers.findIndex(p => p.id === peerId);
-    
-    if (peerIndex === -1) {
-      // New peer, add to list
-      this.peers.push({
-        id: peerId,
-        position,
-        rotation,
-        lastUpdate: Date.now()
-      });
-      
-      // Create peer entity in the scene
-      this._createPeerEntity(peerId, position, rotation);
-    } else {
-      // Update existing peer
-      this.peers[peerIndex].position = position;
-      this.peers[peerIndex].rotation = rotation;
-      this.peers[peerIndex].lastUpdate = Date.now();
-      
-      // Update peer entity in the scene
-      this._updatePeerEntity(peerId, position, rotation);
-    }
-    
-    // Update audio position if enabled
-    if (this.audioEnabled && this.audioNodes[peerId]) {
-      this._updateAudioPosition(peerId, position);
-    }
+  setMicMuted(muted) {
+    this.micMuted = !!muted;
+    this._updateMicTrack();
   }
   
   /**
-   * Broadcast local player position to all peers
+   * Switch between open mic and push-to-talk
+   * @param {boolean} enabled - True to send voice only while talking (see setTalking)
    */
-  broadcastPosition() {
-    if (!this.isConnected) return;
+  setPushToTalk(enabled) {
+    this.pushToTalk = !!enabled;
+    this._updateMicTrack();
+  }
+  
+  /**
+   * Press or release the push-to-talk button
+   * @param {boolean} talking - True while the button is held
+   */
+  setTalking(talking) {
+    this.talking = !!talking;
+    this._updateMicTrack();
+  }
+  
+  /**
+   * Change how voices fade with distance
+   * @param {Object} settings - Any of { distanceModel, refDistance, maxDistance, rolloffFactor }
+   *   (same meaning as the PannerNode properties)
+   */
+  setVoiceSettings(settings) {
+    Object.assign(this.voiceSettings, settings);
+    Object.values(this.audioNodes).forEach(panner => this._applyVoiceSettings(panner));
+  }
+  
+  /**
+   * Move the listener to the camera and each voice to its avatar's head.
+   * Called every frame by the spatial-voice component.
+   */
+  updateSpatialAudio() {
+    if (!this.audioEnabled) return;
     
-    // Get camera position
     const camera = document.querySelector('#camera');
-    if (!camera) return;
-    
-    const position = camera.object3D.position.clone();
-    const rotation = camera.object3D.rotation.clone();
-    
-    // Create message
-    const message = {
-      type: 'position',
-      id: this.localId,
-      position: {
-        x: position.x,
-        y: position.y,
-        z: position.z
-      },
-      rotation: {
-        x: rotation.x,
-        y: rotation.y,
-        z: rotation.z
-      },
-      timestamp: Date.now()
-    };
+    if (camera) {
+      this._updateAudioListener(camera.object3D);
+    }
     
-    // Send to all peers
-    // This will be implemented with actual WebRTC or WebSocket
-    console.log('Broadcasting position:', message);
+    Object.keys(this.audioNodes).forEach(peerId => {
+      const entity = document.querySelector(`#peer-${peerId}`);
+      const avatar = entity && entity.components['peer-avatar'];
+      if (!avatar || !avatar.hasPose) return;
+      
+      avatar.head.object3D.getWorldPosition(tempPosition);
+      this._updateAudioPosition(peerId, tempPosition);
+    });
   }
   
   /**
-   * Handle incoming message from a peer
-   * @param {Object} message - The message
+   * Current loudness of a peer's voice
+   * @param {string} peerId - The ID of the peer
+   * @returns {number} RMS level (0-1), or 0 if no voice is playing
    */
-  handlePeerMessage(message) {
-    if (!message || !message.type) return;
+  getPeerVoiceLevel(peerId) {
+    const audio = this.audioSources[peerId];
+    if (!audio || this.mutedPeers.has(peerId)) return 0;
     
-    switch (message.type) {
-      case 'position':
-        // Update peer position
-        this.updatePeerPosition(
-          message.id,
-          message.position,
-          message.rotation
-        );
-        break;
-        
-      case 'audio':
-        // Handle audio data
-        // This will be implemented with actual WebRTC
-        break;
-        
-      case 'physics':
-        // Handle physics interaction
-        // This will be implemented with actual physics synchronization
-        break;
-        
-      default:
-        console.warn('Unknown message type:', message.type);
+    audio.analyser.getFloatTimeDomainData(audio.samples);
+    let sum = 0;
+    for (let i = 0; i < audio.samples.length; i++) {
+      sum += audio.samples[i] * audio.samples[i];
     }
+    return Math.sqrt(sum / audio.samples.length);
   }
   
   /**
-   * Start broadcasting position at regular intervals
-   * @private
+   * Change the local avatar appearance and share it with peers
+   * @param {Object} appearance - Any of { name, color, handColor }
    */
-  _startPositionBroadcast() {
-    // Broadcast position every 100ms
-    this._positionInterval = setInterval(this.broadcastPosition, 100);
+  setAvatarAppearance(appearance) {
+    this.avatar = { ...this.avatar, ...appearance };
+    
+    // Only persist what the user chose, not generated defaults like the ID-based name
+    try {
+      const saved = { ...this._loadSavedAvatar(), ...appearance };
+      localStorage.setItem(AVATAR_STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+      // Storage can be unavailable (private mode); appearance still applies for this session
+    }
+    
+    if (this.isConnected && this.transport) {
+      this._send({ type: 'avatar', appearance: this.avatar });
+    }
   }
   
   /**
-   * Stop broadcasting position
-   * @private
+   * Send a chat message to everyone in the session
+   * Chat is reliable: messages sent while reconnecting go out on resume.
+   * @param {string} text - The message; cut to MAX_CHAT_LENGTH characters
+   * @returns {boolean} False if the message is empty or we're offline
    */
-  _stopPositionBroadcast() {
-    if (this._positionInterval) {
-      clearInterval(this._positionInterval);
-      this._positionInterval = null;
-    }
+  sendChat(text) {
+    const trimmed = String(text || '').trim().slice(0, MAX_CHAT_LENGTH);
+    if (!trimmed || (!this.isConnected && !this.isReconnecting)) return false;
+    
+    this._sendOrQueue({ type: 'chat', text: trimmed }, null, {});
+    this._addChatMessage(this.localId, trimmed);
+    return true;
   }
   
   /**
-   * Create a new entity for a peer in the scene
-   * @param {string} peerId - The ID of the peer
-   * @param {Object} position - The position {x, y, z}
-   * @param {Object} rotation - The rotation {x, y, z}
-   * @private
+   * Play an emote on our avatar for everyone
+   * @param {string} emote - One of getEmotes()
+   * @returns {boolean} False if the emote is unknown or we're offline
    */
-  _createPeerEntity(peerId, position, rotation) {
-    // Check if entity already exists
-    if (document.querySelector(`#peer-${peerId}`)) return;
+  sendEmote(emote) {
+    if (!Object.prototype.hasOwnProperty.call(EMOTES, emote) || !this.isConnected) return false;
     
-    // Create entity
-    const entity = document.createElement('a-entity');
-    entity.id = `peer-${peerId}`;
-    entity.setAttribute('position', `${position.x} ${position.y} ${position.z}`);
-    entity.setAttribute('rotation', `${rotation.x} ${rotation.y} ${rotation.z}`);
-    
-    // Add avatar model
-    const avatar = document.createElement('a-box');
-    avatar.setAttribute('color', '#00aaff');
-    avatar.setAttribute('scale', '0.5 0.5 0.5');
-    entity.appendChild(avatar);
-    
-    // Add name tag
-    const nameTag = document.createElement('a-text');
-    nameTag.setAttribute('value', peerId);
-    nameTag.setAttribute('position', '0 0.75 0');
-    nameTag.setAttribute('align', 'center');
-    nameTag.setAttribute('scale', '0.5 0.5 0.5');
-    entity.appendChild(nameTag);
-    
-    // Add to scene
-    document.querySelector('a-scene').appendChild(entity);
-    
-    console.log(`Created peer entity for ${peerId}`);
+    this._send({ type: 'emote', emote });
+    this._playEmote(this.localId, emote);
+    return true;
   }
   
   /**
-   * Update the position and rotation of a peer entity
-   * @param {string} peerId - The ID of the peer
-   * @param {Object} position - The position {x, y, z}
-   * @param {Object} rotation - The rotation {x, y, z}
-   * @private
+   * @returns {Object[]} The emotes, as { id, label }
    */
-  _updatePeerEntity(peerId, position, rotation) {
-    const entity = document.querySelector(`#peer-${peerId}`);
-    if (!entity) return;
+  getEmotes() {
+    return Object.entries(EMOTES).map(([id, label]) => ({ id, label }));
+  }
+  
+  /**
+   * Share where we are pointing, or stop pointing
+   * Updates are unreliable (the next one supersedes them); stopping is reliable.
+   * @param {Object|null} origin - World position the ray starts from {x, y, z}, or null to stop
+   * @param {Object} [target] - World position the ray ends at {x, y, z}
+   */
+  sendPointer(origin, target) {
+    if (!this.isConnected) return;
     
-    entity.setAttribute('position', `${position.x} ${position.y} ${position.z}`);
-    entity.setAttribute('rotation', `${rotation.x} ${rotation.y} ${rotation.z}`);
+    if (!origin) {
+      this._send({ type: 'pointer', active: false });
+      return;
+    }
+    this._send({
+      type: 'pointer',
+      active: true,
+      origin: { x: origin.x, y: origin.y, z: origin.z },
+      target: { x: target.x, y: target.y, z: target.z }
+    }, null, { reliable: false });
+  }
+  
+  /**
+   * Drop a marker everyone sees for a few seconds
+   * @param {Object} position - World position {x, y, z}
+   * @returns {boolean} False if we're offline
+   */
+  sendMarker(position) {
+    if (!this.isConnected) return false;
+    
+    const marker = { x: position.x, y: position.y, z: position.z };
+    this._send({ type: 'marker', position: marker });
+    this._showMarker(this.localId, marker);
+    return true;
+  }
+  
+  /**
+   * Spectate (no avatar body, no physics interaction) or take part
+   * Takes effect immediately, in or out of a session; peers show or hide our avatar.
+   * @param {boolean} spectator - True to spectate
+   */
+  setSpectator(spectator) {
+    spectator = !!spectator;
+    if (spectator === this.spectator) return;
+    
+    this.spectator = spectator;
+    this._sendPresence();
+    document.dispatchEvent(new CustomEvent('multiplayer-spectator-changed', {
+      detail: { spectator }
+    }));
+  }
+  
+  /**
+   * @param {string} [peerId] - A user; defaults to ourselves
+   * @returns {boolean} True if that user is spectating
+   */
+  isSpectator(peerId) {
+    if (!peerId || peerId === this.localId) return this.spectator;
+    
+    const peer = this.peers.find(p => p.id === peerId);
+    return !!(peer && peer.spectator);
+  }
+  
+  /**
+   * Look through another user's eyes until stopFollowing()
+   * The follow-camera component moves our view along with their replicated
+   * camera pose. Following someone ends our own presentation.
+   * @param {string} peerId - The user to follow
+   * @returns {boolean} False if we're offline or there is no such peer
+   */
+  followPeer(peerId) {
+    if (!this.isConnected || !this.peers.some(p => p.id === peerId)) return false;
+    
+    if (this.isPresenting()) {
+      this.stopPresenting();
+    }
+    this._setFollowing(peerId);
+    return true;
+  }
+  
+  /**
+   * Take back control of our view
+   */
+  stopFollowing() {
+    if (!this.followingId) return;
+    this._setFollowing(null);
+  }
+  
+  /**
+   * Follow the current presenter again, e.g. after breaking out
+   * @returns {boolean} False if nobody else is presenting
+   */
+  followPresenter() {
+    if (!this.presenterId || this.isPresenting()) return false;
+    return this.followPeer(this.presenterId);
+  }
+  
+  /**
+   * Ask everyone to follow our view; each of them can break out at any time
+   * Only one user presents at a time: the latest to start takes over.
+   * @returns {boolean} False if we're offline
+   */
+  startPresenting() {
+    if (!this.isConnected) return false;
+    
+    this.presenterId = this.localId;
+    this._send({ type: 'follow-me', active: true });
+    this._setFollowing(null);
+    return true;
+  }
+  
+  /**
+   * Stop presenting; everyone following us gets their view back
+   * While reconnecting, the others are told once the session resumes.
+   */
+  stopPresenting() {
+    if (!this.isPresenting()) return;
+    
+    this.presenterId = null;
+    this._sendOrQueue({ type: 'follow-me', active: false }, null, {});
+    this._emitFollowChanged();
+  }
+  
+  /**
+   * @returns {boolean} True if we asked everyone to follow us
+   */
+  isPresenting() {
+    return !!this.presenterId && this.presenterId === this.localId;
+  }
+  
+  /**
+   * Update the position of a peer
+   * @param {string} peerId - The ID of the peer
+   * @param {Object} position - The head position {x, y, z}
+   * @param {Object} rotation - The head rotation in degrees {x, y, z}
+   * @param {Object} [hands] - Tracked hands { leftHand, rightHand }, each {position, quaternion} or null
+   * @param {number} [timestamp] - Sender's timestamp of the update, in ms
+   */
+  updatePeerPosition(peerId, position, rotation, hands = {}, timestamp) {
+    // Find the peer
+    let peer = this.peers.find(p => p.id === peerId);
+    
+    if (!peer) {
+      // Peer we haven't seen join (e.g. message arrived first), add to list
+      peer = { id: peerId, position: null, rotation: null, lastUpdate: 0 };
+      this.peers.push(peer);
+    }
+    
+    const isFirstUpdate = !peer.position;
+    peer.position = position;
+    peer.rotation = rotation;
+    peer.leftHand = hands.leftHand || null;
+    peer.rightHand = hands.rightHand || null;
+    peer.timestamp = timestamp;
+    peer.lastUpdate = Date.now();
+    
+    if (isFirstUpdate) {
+      // Create peer entity in the scene
+      this._createPeerEntity(peerId, position, rotation);
+    } else {
+      // Queue the pose on the peer's avatar
+      this._updatePeerEntity(peerId, position, rotation, hands, timestamp);
+    }
+  }
+  
+  /**
+   * Broadcast local player position to all peers
+   */
+  broadcastPosition() {
+    if (!this.isConnected || !this.transport) return;
+    
+    // Get camera position
+    const camera = document.querySelector('#camera');
+    if (!camera) return;
+    
+    // World pose, since the camera is nested inside #cameraRig
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    camera.object3D.getWorldPosition(position);
+    camera.object3D.getWorldQuaternion(quaternion);
+    const rotation = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+    
+    // Create message
+    const message = {
+      type: 'position',
+      id: this.localId,
+      position: {
+        x: position.x,
+        y: position.y,
+        z: position.z
+      },
+      // Degrees, to match the A-Frame rotation attribute
+      rotation: {
+        x: THREE.MathUtils.radToDeg(rotation.x),
+        y: THREE.MathUtils.radToDeg(rotation.y),
+        z: THREE.MathUtils.radToDeg(rotation.z)
+      },
+      // Tracked hands in VR; null on desktop/mobile
+      leftHand: this._getHandPose('left'),
+      rightHand: this._getHandPose('right'),
+      // Sender's monotonic clock; receivers only compare it with our earlier updates
+      timestamp: performance.now()
+    };
+    
+    // Send to all peers; positions are superseded every tick, so loss is fine
+    this._send(message, null, { reliable: false });
+  }
+  
+  /**
+   * Handle incoming message from a peer
+   * @param {Object} message - The message
+   */
+  handlePeerMessage(message) {
+    // The relay sets 'from'; fall back to the self-reported ID
+    const senderId = message && (message.from || message.id);
+    
+    const error = Protocol.validate(message);
+    if (error) {
+      this._dropMessage(message, senderId, error.reason, error.detail);
+      return;
+    }
+    
+    const protocol = this.peerProtocols.get(senderId);
+    if (protocol && !protocol.compatible && message.type !== 'hello') {
+      this._dropMessage(message, senderId, 'incompatible');
+      return;
+    }
+    if (this.kickedPeers.has(senderId)) {
+      this._dropMessage(message, senderId, 'kicked');
+      return;
+    }
+    if (MODERATOR_TYPES.has(message.type) && senderId !== this.moderatorId) {
+      this._dropMessage(message, senderId, 'unauthorized');
+      return;
+    }
+    
+    switch (message.type) {
+      case 'hello':
+        this._onPeerHello(senderId, message);
+        break;
+        
+
+      case 'position':
+        // Update peer position
+        this.updatePeerPosition(
+          senderId,
+          message.position,
+          message.rotation,
+          { leftHand: message.leftHand, rightHand: message.rightHand },
+          message.timestamp
+        );
+        break;
+        
+      case 'avatar':
+        // Peer changed (or announced) its appearance
+        this._setPeerAppearance(senderId, message.appearance);
+        break;
+        
+      case 'audio':
+        // Voice signaling is ours; other audio payloads go to whoever handles them
+        if (this.voice && this.voice.handleSignal(senderId, message.data)) break;
+        document.dispatchEvent(new CustomEvent('peer-audio', {
+          detail: { peerId: senderId, data: message.data }
+        }));
+        break;
+        
+      case 'physics':
+        // Forward to PhysicsSyncManager with a trusted sender ID
+        this._emitSceneEvent('physics-message', { ...message.data, senderId });
+        break;
+        
+      case 'kick':
+        this._onKick(senderId, message.target);
+        break;
+        
+      case 'moderation':
+        this._applyModeration(message.muted);
+        break;
+        
+      case 'chat':
+        this._addChatMessage(senderId, message.text);
+        break;
+        
+      case 'emote':
+        this._playEmote(senderId, message.emote);
+        break;
+        
+      case 'pointer':
+        this._setPeerPointer(senderId, message);
+        break;
+        
+      case 'marker':
+        this._showMarker(senderId, message.position);
+        break;
+        
+      case 'presence':
+        this._setPeerPresence(senderId, message);
+        break;
+        
+      case 'follow-me':
+        this._onFollowRequest(senderId, message.active);
+        break;
+    }
+  }
+  
+  /**
+   * Handle the moderator removing a user from the session
+   * @param {string} hostId - The moderator
+   * @param {string} target - The user removed
+   * @private
+   */
+  _onKick(hostId, target) {
+    if (target !== this.localId) {
+      this._removeKickedPeer(target);
+      return;
+    }
+    
+    console.warn(`MultiplayerManager: Removed from room ${this.room} by the moderator (${hostId})`);
+    const room = this.room;
+    this.disconnect();
+    document.dispatchEvent(new CustomEvent('multiplayer-kicked', {
+      detail: { room, by: hostId }
+    }));
+  }
+  
+  /**
+   * Leave a kicked user out of the session and ignore it from now on
+   * @param {string} peerId - The user
+   * @private
+   */
+  _removeKickedPeer(peerId) {
+    this.kickedPeers.add(peerId);
+    if (this.peers.some(p => p.id === peerId)) {
+      this._onPeerLeft(peerId);
+    }
+  }
+  
+  /**
+   * Apply the moderator's list of muted users
+   * @param {string[]} muted - Everyone the moderator has muted
+   * @private
+   */
+  _applyModeration(muted) {
+    this.mutedPeers = new Set(muted);
+    
+    const mutedByHost = this.mutedPeers.has(this.localId);
+    if (mutedByHost !== this.mutedByHost) {
+      this.mutedByHost = mutedByHost;
+      console.log(`MultiplayerManager: ${mutedByHost ? 'Muted' : 'Unmuted'} by the moderator`);
+      this._updateMicTrack();
+    }
+    Object.keys(this.audioSources).forEach(peerId => this._routePeerVoice(peerId));
+    
+    document.dispatchEvent(new CustomEvent('multiplayer-moderation-changed', {
+      detail: { muted: Array.from(this.mutedPeers) }
+    }));
+  }
+  
+  /**
+   * Log a chat message and show it over the sender's avatar
+   * @param {string} senderId - Who sent it (our own ID for local messages)
+   * @param {string} text - The message
+   * @private
+   */
+  _addChatMessage(senderId, text) {
+    const trimmed = text.trim().slice(0, MAX_CHAT_LENGTH);
+    if (!trimmed) return;
+    
+    const isLocal = senderId === this.localId;
+    const peer = this.peers.find(p => p.id === senderId);
+    const name = isLocal
+      ? this.avatar.name
+      : (peer && peer.appearance && peer.appearance.name) || senderId;
+    const entry = { senderId, name, text: trimmed, time: Date.now(), isLocal };
+    
+    this.chatLog.push(entry);
+    if (this.chatLog.length > CHAT_HISTORY) {
+      this.chatLog.shift();
+    }
+    
+    const entity = document.querySelector(`#peer-${senderId}`);
+    const avatar = entity && entity.components['peer-avatar'];
+    if (avatar) {
+      avatar.showBubble(trimmed);
+    }
+    
+    document.dispatchEvent(new CustomEvent('multiplayer-chat', { detail: entry }));
+  }
+  
+  /**
+   * Play an emote on the sender's avatar
+   * @param {string} senderId - Who sent it (our own ID for local emotes)
+   * @param {string} emote - The emote; unknown ones (from newer clients) are ignored
+   * @private
+   */
+  _playEmote(senderId, emote) {
+    if (!Object.prototype.hasOwnProperty.call(EMOTES, emote)) return;
+    
+    const entity = document.querySelector(`#peer-${senderId}`);
+    const avatar = entity && entity.components['peer-avatar'];
+    if (avatar) {
+      avatar.playEmote(emote);
+    }
+    
+    document.dispatchEvent(new CustomEvent('multiplayer-emote', {
+      detail: { senderId, emote, isLocal: senderId === this.localId }
+    }));
+  }
+  
+  /**
+   * Show or hide a peer's pointer beam
+   * @param {string} peerId - The ID of the peer
+   * @param {Object} message - The pointer message
+   * @private
+   */
+  _setPeerPointer(peerId, message) {
+    const entity = document.querySelector(`#peer-${peerId}`);
+    const avatar = entity && entity.components['peer-avatar'];
+    if (!avatar) return;
+    
+    if (message.active && message.origin && message.target) {
+      avatar.setPointer(message.origin, message.target);
+    } else {
+      avatar.setPointer(null);
+    }
+  }
+  
+  /**
+   * Announce a marker to the scene, where the shared-pointer component shows it
+   * @param {string} senderId - Who dropped it (our own ID for local markers)
+   * @param {Object} position - World position {x, y, z}
+   * @private
+   */
+  _showMarker(senderId, position) {
+    const isLocal = senderId === this.localId;
+    const peer = this.peers.find(p => p.id === senderId);
+    const appearance = isLocal ? this.avatar : (peer && peer.appearance) || {};
+    
+    this._emitSceneEvent('shared-marker', {
+      senderId,
+      position,
+      name: appearance.name || senderId,
+      color: appearance.color || this._colorForId(senderId),
+      isLocal
+    });
+  }
+  
+  /**
+   * Store whether a peer spectates and whom it follows, and show or hide its avatar
+   * @param {string} peerId - The ID of the peer
+   * @param {Object} message - The presence message
+   * @private
+   */
+  _setPeerPresence(peerId, message) {
+    let peer = this.peers.find(p => p.id === peerId);
+    if (!peer) {
+      peer = { id: peerId, position: null, rotation: null, lastUpdate: 0 };
+      this.peers.push(peer);
+    }
+    peer.spectator = message.spectator;
+    peer.following = message.following;
+    this._updatePeerVisibility(peerId);
+    
+    document.dispatchEvent(new CustomEvent('multiplayer-presence-changed', {
+      detail: { peerId, spectator: peer.spectator, following: peer.following }
+    }));
+  }
+  
+  /**
+   * Start following a presenter, or stop when they stop
+   * @param {string} presenterId - Who sent the request
+   * @param {boolean} active - True to follow them, false when they stop presenting
+   * @private
+   */
+  _onFollowRequest(presenterId, active) {
+    if (active) {
+      // Takes over from any earlier presenter, including us
+      this.presenterId = presenterId;
+      this._setFollowing(presenterId);
+    } else if (this.presenterId === presenterId) {
+      this.presenterId = null;
+      this._setFollowing(this.followingId === presenterId ? null : this.followingId);
+    }
+  }
+  
+  /**
+   * Change whose view we follow, tell peers and the follow-camera component
+   * @param {string|null} peerId - The peer to follow, or null for our own view
+   * @private
+   */
+  _setFollowing(peerId) {
+    const previous = this.followingId;
+    this.followingId = peerId;
+    if (peerId !== previous) {
+      [previous, peerId].forEach(id => id && this._updatePeerVisibility(id));
+      this._sendPresence();
+    }
+    this._emitFollowChanged();
+  }
+  
+  /**
+   * Tell peers whether we spectate and whom we follow
+   * @param {string} [peerId] - Send only to this peer
+   * @private
+   */
+  _sendPresence(peerId) {
+    if (!this.isConnected || !this.transport) return;
+    this._send({ type: 'presence', spectator: this.spectator, following: this.followingId }, peerId);
+  }
+  
+  /**
+   * Hide the avatar of a spectator, of anyone looking through someone else's
+   * eyes, and of whoever we follow (our camera would be inside their head)
+   * @param {string} peerId - The ID of the peer
+   * @private
+   */
+  _updatePeerVisibility(peerId) {
+    const peer = this.peers.find(p => p.id === peerId);
+    const entity = document.querySelector(`#peer-${peerId}`);
+    if (!peer || !entity) return;
+    
+    entity.setAttribute('peer-avatar', 'hidden', this._isAvatarHidden(peer));
+  }
+  
+  /**
+   * @param {Object} peer - An entry of this.peers
+   * @returns {boolean} True if the peer's avatar body should not be drawn
+   * @private
+   */
+  _isAvatarHidden(peer) {
+    return !!peer.spectator || !!peer.following || peer.id === this.followingId;
+  }
+  
+  /**
+   * Tell the UI and the follow-camera component who we follow and who presents
+   * @private
+   */
+  _emitFollowChanged() {
+    document.dispatchEvent(new CustomEvent('multiplayer-follow-changed', {
+      detail: {
+        following: this.followingId,
+        presenter: this.presenterId,
+        presenting: this.isPresenting()
+      }
+    }));
+  }
+  
+  /**
+   * Track the session host
+   * @param {CustomEvent} evt - The host-changed event from PhysicsSyncManager
+   * @private
+   */
+  _onHostChanged(evt) {
+    this.hostId = evt.detail.hostId;
+  }
+  
+  /**
+   * Track the moderator, whose kick and moderation messages we accept
+   * @param {CustomEvent} evt - The moderator-changed event from PhysicsSyncManager
+   * @private
+   */
+  _onModeratorChanged(evt) {
+    this.moderatorId = evt.detail.moderatorId;
+  }
+  
+  /**
+   * Record the protocol a peer speaks, and leave it out if we can't talk to it
+   * Peers that never send a hello (clients from before the handshake) are
+   * kept; their messages are still validated one by one.
+   * @param {string} peerId - The peer
+   * @param {Object} hello - Its hello message
+   * @private
+   */
+  _onPeerHello(peerId, hello) {
+    const compatible = Protocol.isCompatible(hello);
+    const headless = !!hello.headless;
+    const known = this.peerProtocols.get(peerId);
+    if (known && known.protocol === hello.protocol && known.compatible === compatible &&
+        known.headless === headless) return;
+    
+    if (!compatible) {
+      console.warn(`MultiplayerManager: ${peerId} speaks protocol ${hello.protocol} (accepts ${hello.minProtocol}+), ` +
+        `we speak ${Protocol.VERSION} (accept ${Protocol.MIN_VERSION}+); leaving it out of the session`);
+      
+      // Same as if it had left; its messages are dropped from now on
+      this._onPeerLeft(peerId);
+      document.dispatchEvent(new CustomEvent('multiplayer-peer-incompatible', {
+        detail: { peerId, protocol: hello.protocol, minProtocol: hello.minProtocol }
+      }));
+    }
+    
+    this.peerProtocols.set(peerId, {
+      protocol: hello.protocol,
+      minProtocol: hello.minProtocol,
+      compatible,
+      headless
+    });
+    
+    // The headless physics host can't moderate; PhysicsSyncManager re-elects
+    if (headless) {
+      document.dispatchEvent(new CustomEvent('multiplayer-peer-headless', {
+        detail: { peerId }
+      }));
+    }
+  }
+  
+  /**
+   * Count a message that won't be handled, and log it once per peer, type and reason
+   * @param {Object} message - The message
+   * @param {string} senderId - Who sent it
+   * @param {string} reason - 'invalid', 'unknown-type', 'incompatible', 'kicked' or 'unauthorized'
+   * @param {string} [detail] - What was wrong, for the log
+   * @private
+   */
+  _dropMessage(message, senderId, reason, detail) {
+    let type = message && typeof message.type === 'string' ? message.type : '(none)';
+    if (type === 'physics' && message.data && typeof message.data.type === 'string') {
+      type = message.data.type;
+    }
+    
+    const stats = this.droppedMessages;
+    stats.total++;
+    stats.reasons[reason]++;
+    stats.types[type] = (stats.types[type] || 0) + 1;
+    
+    // A misbehaving client would otherwise flood the console
+    const key = `${senderId}|${type}|${reason}`;
+    if (this._warnedDrops.has(key)) return;
+    this._warnedDrops.add(key);
+    console.warn(`MultiplayerManager: Dropped ${reason} message from ${senderId}${detail ? `: ${detail}` : ` (${type})`}`);
+  }
+  
+  /**
+   * Forward a PhysicsSyncManager 'send-to-peer' event to the transport
+   * @param {CustomEvent} evt - Event with detail { peerId, message }
+   * @private
+   */
+  _onSendToPeer(evt) {
+    const message = evt.detail.message;
+    this._sendOrQueue({ type: 'physics', data: message }, evt.detail.peerId, {
+      reliable: !UNRELIABLE_PHYSICS_TYPES.has(message.type)
+    });
+  }
+  
+  /**
+   * Forward a PhysicsSyncManager 'broadcast-message' event to the transport
+   * @param {CustomEvent} evt - Event with detail { message }
+   * @private
+   */
+  _onBroadcastMessage(evt) {
+    const message = evt.detail.message;
+    this._sendOrQueue({ type: 'physics', data: message }, null, {
+      reliable: !UNRELIABLE_PHYSICS_TYPES.has(message.type)
+    });
+  }
+  
+  /**
+   * Whether a transport-level message is sent reliably
+   * @param {Object} message - The message as it travels on the transport
+   * @returns {boolean} False for messages that are superseded by the next one
+   * @private
+   */
+  _isReliableMessage(message) {
+    if (message.type === 'position') return false;
+    if (message.type === 'pointer') return !message.active;
+    if (message.type === 'physics') {
+      return !(message.data && UNRELIABLE_PHYSICS_TYPES.has(message.data.type));
+    }
+    return true;
+  }
+  
+  /**
+   * Create the transport selected by transportType, wrapped in a
+   * NetworkSimulator if network conditions are being simulated (or a
+   * ReplayTransport while replaying a recording)
+   * @returns {Transport} A new, unconnected transport
+   * @private
+   */
+  _createTransport() {
+    if (this.replayRecording) {
+      const replay = new ReplayTransport(this.replayRecording, this.replayOptions);
+      replay.on('state', () => this._emitReplayChanged());
+      return replay;
+    }
+    
+    const transport = this._createBaseTransport();
+    if (!this.networkConditions) return transport;
+    
+    console.log('Simulating network conditions:', this.networkConditions);
+    return new NetworkSimulator(transport, this.networkConditions, {
+      isReliable: message => this._isReliableMessage(message)
+    });
+  }
+  
+  /**
+   * Create the network transport selected by transportType
+   * @returns {Transport} A new, unconnected transport
+   * @private
+   */
+  _createBaseTransport() {
+    const options = {
+      url: this.serverUrl,
+      room: this.room,
+      maxPeers: this.roomOptions.maxPeers,
+      listed: this.roomOptions.listed,
+      resumeToken: this.resumeToken,
+      password: this.roomPassword,
+      token: this.joinToken
+    };
+    
+    switch (this.transportType) {
+      case 'webrtc':
+        return new WebRTCTransport(options);
+        
+      case 'websocket':
+        return new WebSocketTransport(options);
+        
+      case 'local':
+        return new BroadcastChannelTransport(options);
+        
+      default:
+        console.warn(`Unknown transport '${this.transportType}', falling back to websocket`);
+        return new WebSocketTransport(options);
+    }
+  }
+  
+  /**
+   * Handle a peer joining the room
+   * @param {string} peerId - The ID of the peer
+   * @private
+   */
+  _onPeerJoined(peerId) {
+    // Already left out after its hello, or kicked
+    const protocol = this.peerProtocols.get(peerId);
+    if ((protocol && !protocol.compatible) || this.kickedPeers.has(peerId)) return;
+    
+    console.log(`Peer joined: ${peerId}`);
+    
+    if (!this.peers.some(p => p.id === peerId)) {
+      this.peers.push({ id: peerId, position: null, rotation: null, lastUpdate: Date.now() });
+    }
+    
+    // Protocol handshake; the peer sends its own when it sees us
+    this._send(Protocol.createHello(), peerId);
+    
+    // Newcomers need our appearance before our first position arrives
+    this._send({ type: 'avatar', appearance: this.avatar }, peerId);
+    
+    // Who the moderator has muted, from whoever moderates now
+    if (this.isModerator() && this.mutedPeers.size > 0) {
+      this._send({ type: 'moderation', muted: Array.from(this.mutedPeers) }, peerId);
+    }
+    
+    // Whether we spectate or follow someone, and our presentation if we give one
+    this._sendPresence(peerId);
+    if (this.isPresenting()) {
+      this._send({ type: 'follow-me', active: true }, peerId);
+    }
+    this._emitSceneEvent('peer-connected', { id: peerId });
+  }
+  
+  /**
+   * Handle a peer leaving the room
+   * @param {string} peerId - The ID of the peer
+   * @private
+   */
+  _onPeerLeft(peerId) {
+    console.log(`Peer left: ${peerId}`);
+    
+    // Their presentation ends with them, and we can't follow them any more
+    if (this.presenterId === peerId || this.followingId === peerId) {
+      if (this.presenterId === peerId) {
+        this.presenterId = null;
+      }
+      this._setFollowing(this.followingId === peerId ? null : this.followingId);
+    }
+    
+    this.peerProtocols.delete(peerId);
+    this.peers = this.peers.filter(p => p.id !== peerId);
+    this._removePeerEntity(peerId);
+    if (this.voice) {
+      this.voice.removePeer(peerId);
+    }
+    this._detachPeerAudio(peerId);
+    
+    this._emitSceneEvent('peer-disconnected', { id: peerId });
+  }
+  
+  /**
+   * Create the transport and join the room
+   * @returns {Promise<Object|null>} Resolves with { peers, maxPeers, resumed },
+   *   or null if another connect or a disconnect replaced this one meanwhile
+   * @private
+   */
+  _openTransport() {
+    const transport = this._createTransport();
+    
+    // Recorded before anything handles them, exactly as they arrived
+    transport.on('message', message => this._record('in', { message }));
+    transport.on('peer-joined', peerId => this._record('peer-joined', { peerId }));
+    transport.on('peer-left', peerId => this._record('peer-left', { peerId }));
+    
+    transport.on('message', this.handlePeerMessage);
+    transport.on('peer-joined', this._onPeerJoined);
+    transport.on('peer-left', this._onPeerLeft);
+    transport.on('close', () => {
+      // A transport we already replaced no longer matters
+      if (this.transport === transport) this._onTransportClose();
+    });
+    this.transport = transport;
+    
+    // The mesh transport owns the live connection maps; expose them here
+    const baseTransport = transport.inner || transport;
+    if (baseTransport.peerConnections) {
+      this.peerConnections = baseTransport.peerConnections;
+      this.dataChannels = baseTransport.dataChannels;
+    }
+    
+    return transport.connect(this.localId).then(result => {
+      if (this.transport !== transport) return null;
+      
+      this.roomMaxPeers = result.maxPeers || null;
+      this.resumeToken = result.resumeToken || null;
+      return result;
+    }, error => {
+      if (this.transport !== transport) return null;
+      
+      this._releaseTransport();
+      throw error;
+    });
+  }
+  
+  /**
+   * Forget the current transport and the connection maps it owned
+   * @private
+   */
+  _releaseTransport() {
+    this.transport = null;
+    this.peerConnections = {};
+    this.dataChannels = {};
+  }
+  
+  /**
+   * Start a session on a freshly joined transport
+   * @param {string[]} peers - Peers already in the room, oldest first
+   * @private
+   */
+  _startSession(peers) {
+    this.isConnected = true;
+    this._record('connected', { peers, maxPeers: this.roomMaxPeers });
+    
+    // Start position broadcasting
+    this._startPositionBroadcast();
+    
+    // Emit connected event
+    const event = new CustomEvent('multiplayer-connected', {
+      detail: {
+        localId: this.localId,
+        room: this.room,
+        maxPeers: this.roomMaxPeers,
+        peers: peers.slice()
+      }
+    });
+    document.dispatchEvent(event);
+    
+    // Tell everyone what we look like
+    this._send({ type: 'avatar', appearance: this.avatar });
+    
+    // Voice was enabled before connecting
+    if (this.voice) {
+      this.voice.announce();
+    }
+    
+    // Announce peers that were already in the room
+    peers.forEach(peerId => this._onPeerJoined(peerId));
+  }
+  
+  /**
+   * Pick up a session the relay kept for us while we were offline
+   * The other peers never saw us leave; only the peers that came or went
+   * in the meantime need announcing.
+   * @param {string[]} peers - Peers in the room now
+   * @private
+   */
+  _resumeSession(peers) {
+    this.isConnected = true;
+    this._record('resumed', { peers });
+    
+    const current = new Set(peers);
+    this.peers
+      .filter(peer => !current.has(peer.id))
+      .forEach(peer => this._onPeerLeft(peer.id));
+    peers
+      .filter(peerId => !this.peers.some(peer => peer.id === peerId))
+      .forEach(peerId => this._onPeerJoined(peerId));
+    
+    this._startPositionBroadcast();
+    this._send({ type: 'avatar', appearance: this.avatar });
+    this._sendPresence();
+    
+    // Voice connections are peer-to-peer and usually survive; this reaches anyone new
+    if (this.voice) {
+      this.voice.announce();
+    }
+    
+    this._flushOutgoingQueue();
+    
+    document.dispatchEvent(new CustomEvent('multiplayer-resumed', {
+      detail: {
+        localId: this.localId,
+        room: this.room,
+        maxPeers: this.roomMaxPeers,
+        peers: peers.slice()
+      }
+    }));
+  }
+  
+  /**
+   * Handle the transport closing unexpectedly: keep the session and reconnect
+   * @private
+   */
+  _onTransportClose() {
+    console.warn('Connection to multiplayer server lost, reconnecting...');
+    this._releaseTransport();
+    this.isConnected = false;
+    this._stopPositionBroadcast();
+    
+    this.isReconnecting = true;
+    this.reconnectAttempt = 0;
+    this._scheduleReconnect();
+  }
+  
+  /**
+   * Wait out the backoff delay, then try to reconnect
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this.reconnectAttempt >= MAX_RECONNECT_ATTEMPTS) {
+      console.error(`Could not reconnect to multiplayer server after ${MAX_RECONNECT_ATTEMPTS} attempts`);
+      this._stopReconnecting();
+      this._resetSession();
+      
+      document.dispatchEvent(new CustomEvent('multiplayer-error', {
+        detail: { error: 'Lost connection to the multiplayer server', reason: null }
+      }));
+      return;
+    }
+    
+    const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempt));
+    const delay = Math.round(backoff * (0.75 + Math.random() * 0.5));
+    this.reconnectAttempt++;
+    
+    console.log(`Reconnect attempt ${this.reconnectAttempt} in ${delay}ms`);
+    document.dispatchEvent(new CustomEvent('multiplayer-reconnecting', {
+      detail: { attempt: this.reconnectAttempt, delay }
+    }));
+    
+    this._reconnectTimer = setTimeout(this._reconnect, delay);
+  }
+  
+  /**
+   * Rejoin the room, resuming the session if the relay still holds our place
+   * @private
+   */
+  _reconnect() {
+    this._reconnectTimer = null;
+    
+    this._openTransport().then(result => {
+      if (!result) return;
+      
+      this.isReconnecting = false;
+      this.reconnectAttempt = 0;
+      
+      if (result.resumed) {
+        console.log(`Resumed session in room ${this.room}`);
+        this._resumeSession(result.peers);
+        return;
+      }
+      
+      // Too late: the others saw us leave, so start over as a newcomer
+      console.log(`Rejoined room ${this.room} as a new session`);
+      this.outgoingQueue = [];
+      this._resetSession();
+      this._startSession(result.peers);
+    }).catch(error => {
+      if (!this.isReconnecting) return;
+      
+      if (PERMANENT_JOIN_REJECTIONS.has(error.reason)) {
+        // Kicked, locked out or full: retrying only hides why
+        console.error(`Could not rejoin room ${this.room}: ${error.reason}`);
+        this._stopReconnecting();
+        this._resetSession();
+        
+        document.dispatchEvent(new CustomEvent('multiplayer-error', {
+          detail: { error: error.message, reason: error.reason }
+        }));
+        return;
+      }
+      
+      console.warn(`Reconnect attempt ${this.reconnectAttempt} failed:`, error.message);
+      this._scheduleReconnect();
+    });
+  }
+  
+  /**
+   * Cancel any pending reconnect
+   * @private
+   */
+  _stopReconnecting() {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this.isReconnecting = false;
+    this.reconnectAttempt = 0;
+    this.outgoingQueue = [];
+  }
+  
+  /**
+   * Send a message on the current transport, recording it if recording
+   * @param {Object} message - The message
+   * @param {string|null} [peerId] - Target peer, or everyone if omitted
+   * @param {Object} [options] - Transport send options
+   * @private
+   */
+  _send(message, peerId, options) {
+    this._record('out', {
+      message,
+      to: peerId || null,
+      reliable: !options || options.reliable !== false
+    });
+    this.transport.send(message, peerId, options);
+  }
+  
+  /**
+   * Add an event to the session recording, if one is running
+   * @param {string} kind - The event kind (see SessionRecorder)
+   * @param {Object} [fields] - The event's fields
+   * @private
+   */
+  _record(kind, fields) {
+    if (this.recorder && this.recorder.isRecording) {
+      this.recorder.record(kind, fields);
+    }
+  }
+  
+  /**
+   * Send a message now, or queue it while reconnecting if it must arrive
+   * @param {Object} message - The message
+   * @param {string|null} peerId - Target peer, or null for everyone
+   * @param {Object} options - Transport send options
+   * @private
+   */
+  _sendOrQueue(message, peerId, options) {
+    if (this.isConnected && this.transport) {
+      this._send(message, peerId, options);
+      return;
+    }
+    if (!this.isReconnecting || options.reliable === false) return;
+    
+    this.outgoingQueue.push({ message, peerId, options });
+    if (this.outgoingQueue.length > MAX_QUEUED_MESSAGES) {
+      this.outgoingQueue.shift();
+    }
+  }
+  
+  /**
+   * Send everything queued while offline, oldest first
+   * @private
+   */
+  _flushOutgoingQueue() {
+    const queue = this.outgoingQueue;
+    this.outgoingQueue = [];
+    
+    if (queue.length > 0) {
+      console.log(`Sending ${queue.length} message(s) queued while offline`);
+    }
+    queue.forEach(({ message, peerId, options }) => {
+      this._send(message, peerId, options);
+    });
+  }
+  
+  /**
+   * Tear down all session state and notify listeners
+   * @private
+   */
+  _resetSession() {
+    this._record('disconnected');
+    
+    // Stop position broadcasting
+    this._stopPositionBroadcast();
+    
+    // Close voice connections; the microphone stays open for the next session
+    if (this.voice) {
+      this.voice.close();
+    }
+    Object.keys(this.audioSources).forEach(peerId => this._detachPeerAudio(peerId));
+    
+    // Remove remote peers from the scene
+    this.peers.forEach(peer => {
+      this._removePeerEntity(peer.id);
+      this._emitSceneEvent('peer-disconnected', { id: peer.id });
+    });
+    
+    // Reset state
+    this.isConnected = false;
+    this.peers = [];
+    this.peerProtocols.clear();
+    this._warnedDrops.clear();
+    this.hostId = null;
+    this.moderatorId = null;
+    this.kickedPeers.clear();
+    this.mutedPeers.clear();
+    if (this.mutedByHost) {
+      this.mutedByHost = false;
+      this._updateMicTrack();
+    }
+    if (this.followingId || this.presenterId) {
+      this.followingId = null;
+      this.presenterId = null;
+      this._emitFollowChanged();
+    }
+    
+    // Emit disconnected event
+    const event = new CustomEvent('multiplayer-disconnected');
+    document.dispatchEvent(event);
+  }
+  
+  /**
+   * Tell the UI the recording started or stopped
+   * @private
+   */
+  _emitRecordingChanged() {
+    document.dispatchEvent(new CustomEvent('multiplayer-recording-changed', {
+      detail: {
+        recording: this.isRecording(),
+        events: this.recorder ? this.recorder.getEventCount() : 0,
+        duration: this.recorder ? this.recorder.getDuration() : 0
+      }
+    }));
+  }
+  
+  /**
+   * Tell the UI the replay started, stopped or changed state
+   * @private
+   */
+  _emitReplayChanged() {
+    const replay = this.getReplay();
+    document.dispatchEvent(new CustomEvent('multiplayer-replay-changed', {
+      detail: {
+        replaying: !!this.replayRecording,
+        playing: !!(replay && replay.isPlaying),
+        ended: !!(replay && replay.ended),
+        position: replay ? replay.position : 0,
+        duration: replay ? replay.duration : 0,
+        speed: replay ? replay.speed : 1
+      }
+    }));
+  }
+  
+  /**
+   * Emit an event on the A-Frame scene (where PhysicsSyncManager listens)
+   * @param {string} name - The event name
+   * @param {Object} detail - The event detail
+   * @private
+   */
+  _emitSceneEvent(name, detail) {
+    const scene = document.querySelector('a-scene');
+    if (scene) {
+      scene.emit(name, detail);
+    }
+  }
+  
+  /**
+   * Start broadcasting position at regular intervals
+   * @private
+   */
+  _startPositionBroadcast() {
+    // Broadcast position every 100ms
+    this._positionInterval = setInterval(this.broadcastPosition, 100);
+  }
+  
+  /**
+   * Stop broadcasting position
+   * @private
+   */
+  _stopPositionBroadcast() {
+    if (this._positionInterval) {
+      clearInterval(this._positionInterval);
+      this._positionInterval = null;
+    }
+  }
+  
+  /**
+   * Create a new avatar entity for a peer in the scene
+   * @param {string} peerId - The ID of the peer
+   * @param {Object} position - The head position {x, y, z}
+   * @param {Object} rotation - The head rotation in degrees {x, y, z}
+   * @private
+   */
+  _createPeerEntity(peerId, position, rotation) {
+    // Check if entity already exists
+    if (document.querySelector(`#peer-${peerId}`)) return;
+    
+    const peer = this.peers.find(p => p.id === peerId);
+    const appearance = (peer && peer.appearance) || {};
+    
+    // Create entity; the avatar poses its parts in world space
+    const entity = document.createElement('a-entity');
+    entity.id = `peer-${peerId}`;
+    entity.setAttribute('peer-avatar', {
+      name: appearance.name || peerId,
+      color: appearance.color || this._colorForId(peerId),
+      handColor: appearance.handColor || '#ffd2b3',
+      hidden: !!peer && this._isAvatarHidden(peer)
+    });
+    
+    // Components initialize asynchronously; apply the latest pose once ready
+    entity.addEventListener('loaded', () => {
+      const latest = this.peers.find(p => p.id === peerId);
+      if (latest && latest.position) {
+        this._updatePeerEntity(peerId, latest.position, latest.rotation, latest, latest.timestamp);
+      }
+    }, { once: true });
+    
+    // Add to scene
+    document.querySelector('a-scene').appendChild(entity);
+    
+    console.log(`Created peer entity for ${peerId}`);
+  }
+  
+  /**
+   * Queue a pose on a peer's avatar; the avatar interpolates between updates
+   * @param {string} peerId - The ID of the peer
+   * @param {Object} position - The head position {x, y, z}
+   * @param {Object} rotation - The head rotation in degrees {x, y, z}
+   * @param {Object} [hands] - Tracked hands { leftHand, rightHand }
+   * @param {number} [timestamp] - Sender's timestamp of the pose
+   * @private
+   */
+  _updatePeerEntity(peerId, position, rotation, hands = {}, timestamp) {
+    const entity = document.querySelector(`#peer-${peerId}`);
+    const avatar = entity && entity.components['peer-avatar'];
+    if (!avatar) return;
+    
+    avatar.addSnapshot({
+      position,
+      rotation,
+      leftHand: hands.leftHand || null,
+      rightHand: hands.rightHand || null
+    }, timestamp);
+  }
+  
+  /**
+   * Store a peer's appearance and apply it to its avatar
+   * Values that don't pass _sanitizeAppearance fall back to the defaults.
+   * @param {string} peerId - The ID of the peer
+   * @param {Object} appearance - { name, color, handColor }
+   * @private
+   */
+  _setPeerAppearance(peerId, appearance) {
+    if (!appearance) return;
+    appearance = this._sanitizeAppearance(appearance);
+    
+    let peer = this.peers.find(p => p.id === peerId);
+    if (!peer) {
+      peer = { id: peerId, position: null, rotation: null, lastUpdate: 0 };
+      this.peers.push(peer);
+    }
+    peer.appearance = appearance;
+    
+    const entity = document.querySelector(`#peer-${peerId}`);
+    if (entity) {
+      entity.setAttribute('peer-avatar', {
+        name: appearance.name || peerId,
+        color: appearance.color || this._colorForId(peerId),
+        handColor: appearance.handColor || '#ffd2b3'
+      });
+    }
+  }
+  
+  /**
+   * Keep only the appearance values that are safe to show
+   * Colors must be hex (#rgb or #rrggbb); anything else could carry more
+   * material properties into the avatar's material string. Names must be
+   * strings and are cut to MAX_AVATAR_NAME_LENGTH.
+   * @param {Object} appearance - A peer's { name, color, handColor }
+   * @returns {Object} The valid values only
+   * @private
+   */
+  _sanitizeAppearance(appearance) {
+    const sanitized = {};
+    if (typeof appearance.name === 'string' && appearance.name.trim()) {
+      sanitized.name = appearance.name.trim().slice(0, MAX_AVATAR_NAME_LENGTH);
+    }
+    ['color', 'handColor'].forEach(key => {
+      if (typeof appearance[key] === 'string' && AVATAR_COLOR_PATTERN.test(appearance[key])) {
+        sanitized[key] = appearance[key];
+      }
+    });
+    return sanitized;
+  }
+  
+  /**
+   * Get the world pose of a tracked hand, if any
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object|null} {position, quaternion} or null when the hand is not tracked
+   * @private
+   */
+  _getHandPose(side) {
+    const scene = document.querySelector('a-scene');
+    if (!scene || !scene.is('vr-mode')) return null;
+    
+    // Prefer the controller; fall back to the handy-controls grip used for hand tracking
+    let source = null;
+    const controller = document.querySelector(side === 'left' ? '#leftHand' : '#rightHand');
+    const trackedControls = controller && controller.components['tracked-controls'];
+    if (trackedControls && trackedControls.controller) {
+      source = controller;
+    } else {
+      const grip = document.querySelector(`#${side}-no-magnet`);
+      if (grip && grip.object3D.visible) {
+        source = grip;
+      }
+    }
+    if (!source) return null;
+    
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    source.object3D.getWorldPosition(position);
+    source.object3D.getWorldQuaternion(quaternion);
+    
+    return {
+      position: { x: position.x, y: position.y, z: position.z },
+      quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+    };
+  }
+  
+  /**
+   * Load the saved avatar appearance
+   * @returns {Object} The saved appearance, or an empty object
+   * @private
+   */
+  _loadSavedAvatar() {
+    try {
+      return JSON.parse(localStorage.getItem(AVATAR_STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+  
+  /**
+   * Derive a stable default color from a user ID
+   * @param {string} id - The user ID
+   * @returns {string} A CSS color
+   * @private
+   */
+  _colorForId(id) {
+    let hash = 0;
+    for (let i = 0; i < id.length; i++) {
+      hash = (hash * 31 + id.charCodeAt(i)) | 0;
+    }
+    return `hsl(${Math.abs(hash) % 360}, 70%, 55%)`;
+  }
+  
+  /**
+   * Remove a peer's entity from the scene
+   * @param {string} peerId - The ID of the peer
+   * @private
+   */
+  _removePeerEntity(peerId) {
+    const entity = document.querySelector(`#peer-${peerId}`);
+    if (entity && entity.parentNode) {
+      entity.parentNode.removeChild(entity);
+    }
+  }
+  
+  /**
+   * Ask for the microphone
+   * @returns {Promise<MediaStream|null>} The stream, or null if unavailable
+   * @private
+   */
+  _captureMicrophone() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      console.warn('Microphone capture not supported, voice chat is listen-only');
+      return Promise.resolve(null);
+    }
+    
+    return navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+    }).catch(error => {
+      console.warn('Microphone unavailable, voice chat is listen-only:', error);
+      return null;
+    });
+  }
+  
+  /**
+   * Start voice connections to other voice-enabled peers
+   * @private
+   */
+  _startVoice() {
+    this.voice = new VoiceChannel({
+      localId: this.localId,
+      send: (data, peerId) => {
+        if (this.transport) {
+          this._send({ type: 'audio', data }, peerId);
+        }
+      },
+      iceServers: this.transport && (this.transport.inner || this.transport).iceServers
+    });
+    this.voice.setLocalStream(this.micStream);
+    this.voice.on('stream', this._onVoiceStream);
+    this.voice.on('stream-ended', this._onVoiceStreamEnded);
+    
+    if (this.isConnected) {
+      this.voice.announce();
+    }
+  }
+  
+  /**
+   * Enable the microphone track only when voice should be sent
+   * @private
+   */
+  _updateMicTrack() {
+    const transmitting = !!this.micStream && !this.micMuted && !this.mutedByHost &&
+      (!this.pushToTalk || this.talking);
+    
+    if (this.micStream) {
+      this.micStream.getAudioTracks().forEach(track => {
+        track.enabled = transmitting;
+      });
+    }
+    
+    document.dispatchEvent(new CustomEvent('voice-state-changed', {
+      detail: {
+        enabled: this.audioEnabled,
+        hasMicrophone: !!this.micStream,
+        muted: this.micMuted,
+        mutedByHost: this.mutedByHost,
+        pushToTalk: this.pushToTalk,
+        transmitting
+      }
+    }));
+  }
+  
+  /**
+   * Route a peer's voice through a panner
+   * @param {string} peerId - The ID of the peer
+   * @param {MediaStream} stream - The peer's voice
+   * @private
+   */
+  _onVoiceStream(peerId, stream) {
+    this._detachPeerAudio(peerId);
+    
+    const context = this.audioContext;
+    
+    // Chrome only feeds remote WebRTC audio into Web Audio while a media element plays it
+    const element = new Audio();
+    element.muted = true;
+    element.srcObject = stream;
+    element.play().catch(() => {});
+    
+    const source = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+    const panner = context.createPanner();
+    panner.panningModel = 'HRTF';
+    this._applyVoiceSettings(panner);
+    
+    panner.connect(context.destination);
+    
+    this.audioNodes[peerId] = panner;
+    this.audioSources[peerId] = {
+      element,
+      source,
+      analyser,
+      samples: new Float32Array(analyser.fftSize)
+    };
+    this._routePeerVoice(peerId);
+    
+    console.log(`Voice connected with ${peerId}`);
+  }
+  
+  /**
+   * Feed a peer's voice to its panner, unless the moderator has muted the peer
+   * @param {string} peerId - The ID of the peer
+   * @private
+   */
+  _routePeerVoice(peerId) {
+    const audio = this.audioSources[peerId];
+    if (!audio) return;
+    
+    audio.source.disconnect();
+    if (this.mutedPeers.has(peerId)) return;
+    
+    audio.source.connect(audio.analyser);
+    audio.source.connect(this.audioNodes[peerId]);
+  }
+  
+  /**
+   * @param {string} peerId - The peer whose voice connection closed
+   * @private
+   */
+  _onVoiceStreamEnded(peerId) {
+    this._detachPeerAudio(peerId);
+  }
+  
+  /**
+   * Stop playing a peer's voice
+   * @param {string} peerId - The ID of the peer
+   * @private
+   */
+  _detachPeerAudio(peerId) {
+    const audio = this.audioSources[peerId];
+    if (audio) {
+      audio.source.disconnect();
+      audio.element.srcObject = null;
+    }
+    if (this.audioNodes[peerId]) {
+      this.audioNodes[peerId].disconnect();
+    }
+    delete this.audioSources[peerId];
+    delete this.audioNodes[peerId];
+  }
+  
+  /**
+   * Apply the distance settings to a panner
+   * @param {PannerNode} panner - The panner
+   * @private
+   */
+  _applyVoiceSettings(panner) {
+    panner.distanceModel = this.voiceSettings.distanceModel;
+    panner.refDistance = this.voiceSettings.refDistance;
+    panner.maxDistance = this.voiceSettings.maxDistance;
+    panner.rolloffFactor = this.voiceSettings.rolloffFactor;
+  }
+  
+  /**
+   * Place the audio listener at an object's world pose
+   * @param {THREE.Object3D} object3D - Usually the camera
+   * @private
+   */
+  _updateAudioListener(object3D) {
+    const listener = this.audioContext.listener;
+    
+    object3D.updateMatrixWorld();
+    object3D.matrixWorld.decompose(tempPosition, tempQuaternion, tempScale);
+    tempForward.set(0, 0, -1).applyQuaternion(tempQuaternion);
+    tempUp.set(0, 1, 0).applyQuaternion(tempQuaternion);
+    
+    if (listener.positionX) {
+      // Modern API
+      listener.positionX.value = tempPosition.x;
+      listener.positionY.value = tempPosition.y;
+      listener.positionZ.value = tempPosition.z;
+      listener.forwardX.value = tempForward.x;
+      listener.forwardY.value = tempForward.y;
+      listener.forwardZ.value = tempForward.z;
+      listener.upX.value = tempUp.x;
+      listener.upY.value = tempUp.y;
+      listener.upZ.value = tempUp.z;
+    } else {
+      // Legacy API
+      listener.setPosition(tempPosition.x, tempPosition.y, tempPosition.z);
+      listener.setOrientation(tempForward.x, tempForward.y, tempForward.z, tempUp.x, tempUp.y, tempUp.z);
+    }
   }
   
   /**
@@ -0,0 +1,303 @@
+/**
+ * BroadcastChannelTransport - Serverless multiplayer between tabs of one browser
+ *
+ * Every tab of the same origin that joins the same room opens a
+ * BroadcastChannel named after the room, and the tabs play the relay's part
+ * among themselves:
+ * - A joining tab says 'hello' and waits briefly for the others to answer,
+ *   which gives it the same join-ordered peer list the relay's welcome has
+ * - Messages are broadcast to all tabs; a tab drops those addressed to
+ *   someone else, and the sender's ID is stamped in `from`
+ * - Tabs say 'bye' when they close, and heartbeats catch tabs that vanish
+ *   without one (crashes, killed processes)
+ * - A tab that was timed out but is still talking (its timers throttled in
+ *   the background, or paused in the debugger) is told it was dropped; it
+ *   leaves and rejoins through the usual reconnect, so every tab agrees on
+ *   who is in the room again
+ *
+ * Messages are serialized to JSON like on the network transports, so
+ * anything that works over the relay works here and vice versa.
+ */
+
+import Transport from './Transport.js';
+
+const CHANNEL_PREFIX = 'vrmobdesk-room-';
+
+// How long a joining tab waits for the others to answer its hello (ms)
+const JOIN_WINDOW = 200;
+
+// Tabs that stay silent this long are considered gone (ms)
+const HEARTBEAT_INTERVAL = 1000;
+const PEER_TIMEOUT = 5000;
+
+class BroadcastChannelTransport extends Transport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} [options.room='default'] - Room to join
+   * @param {number} [options.maxPeers] - Maximum occupancy, if this join creates the room
+   */
+  constructor(options = {}) {
+    super();
+    this.room = options.room || 'default';
+    this.maxPeers = options.maxPeers;
+    this.channel = null;
+    this.joinedAt = 0;
+    this.peers = new Map(); // peerId -> { joinedAt, lastHeard }
+    this._heartbeatTimer = null;
+
+    this._onChannelMessage = this._onChannelMessage.bind(this);
+    this._onPageHide = this._onPageHide.bind(this);
+  }
+
+  /**
+   * Open the channel and join the room
+   * @param {string} localId - The local user ID
+   * @returns {Promise<Object>} Resolves with { peers, maxPeers }
+   */
+  connect(localId) {
+    this.localId = localId;
+
+    if (typeof BroadcastChannel === 'undefined') {
+      return Promise.reject(new Error('BroadcastChannel is not supported in this browser'));
+    }
+
+    this.channel = new BroadcastChannel(CHANNEL_PREFIX + this.room);
+    this.channel.addEventListener('message', this._onChannelMessage);
+    window.addEventListener('pagehide', this._onPageHide);
+
+    this.joinedAt = Date.now();
+    this._replies = [];
+    this._post({ kind: 'hello', joinedAt: this.joinedAt, maxPeers: this.maxPeers });
+
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const replies = this._replies;
+        this._replies = null;
+        if (!this.channel) {
+          reject(new Error('Transport closed before join completed'));
+          return;
+        }
+
+        if (replies.some(reply => reply.from === localId)) {
+          this._close();
+          reject(new Error('Join rejected: id-in-use'));
+          return;
+        }
+
+        // The room keeps the size its first member asked for
+        replies.sort(compareJoinOrder);
+        const maxPeers = replies.length > 0 ? replies[0].maxPeers : this.maxPeers;
+        if (maxPeers && replies.length >= maxPeers) {
+          this._post({ kind: 'bye' });
+          this._close();
+          reject(new Error('Join rejected: room-full'));
+          return;
+        }
+
+        const now = Date.now();
+        replies.forEach(reply => {
+          this.peers.set(reply.from, { joinedAt: reply.joinedAt, lastHeard: now });
+        });
+
+        this.maxPeers = maxPeers;
+        this.isOpen = true;
+        this._heartbeatTimer = setInterval(() => this._heartbeat(), HEARTBEAT_INTERVAL);
+
+        // Tabs that joined in the same window but after us are announced as
+        // newcomers, so every tab agrees on the join order (host election uses it)
+        const self = { from: localId, joinedAt: this.joinedAt };
+        const earlier = replies.filter(reply => compareJoinOrder(reply, self) < 0);
+        const later = replies.filter(reply => compareJoinOrder(reply, self) > 0);
+
+        resolve({ peers: earlier.map(reply => reply.from), maxPeers });
+        setTimeout(() => {
+          later.forEach(reply => {
+            if (this.peers.has(reply.from)) {
+              this.emit('peer-joined', reply.from);
+            }
+          });
+        }, 0);
+      }, JOIN_WINDOW);
+    });
+  }
+
+  /**
+   * Send a message to the other tabs
+   * @param {Object} message - The message to send
+   * @param {string} [peerId] - Target peer, or the whole room if omitted
+   * @param {Object} [options] - Send options (ignored, the channel is always reliable)
+   */
+  send(message, peerId, options) {
+    if (!this.isOpen) return;
+
+    const text = JSON.stringify(message);
+    this._post({ kind: 'message', to: peerId || null, text });
+    this._countSent(text, peerId ? [peerId] : Array.from(this.peers.keys()));
+  }
+
+  /**
+   * Leave the room and close the channel
+   */
+  disconnect() {
+    if (this.channel) {
+      this._post({ kind: 'bye' });
+    }
+    this._close();
+  }
+
+  /**
+   * Close the channel without telling anyone
+   * @private
+   */
+  _close() {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+    window.removeEventListener('pagehide', this._onPageHide);
+
+    if (this.channel) {
+      this.channel.removeEventListener('message', this._onChannelMessage);
+      this.channel.close();
+      this.channel = null;
+    }
+    this.peers.clear();
+    this.isOpen = false;
+  }
+
+  /**
+   * Post a control or data envelope on the channel
+   * @param {Object} envelope - The envelope; `from` is added here
+   * @private
+   */
+  _post(envelope) {
+    if (!this.channel) return;
+    this.channel.postMessage({ ...envelope, from: this.localId });
+  }
+
+  /**
+   * Keep our peers from timing us out, and time out silent peers
+   * @private
+   */
+  _heartbeat() {
+    this._post({ kind: 'heartbeat' });
+
+    const now = Date.now();
+    this.peers.forEach((peer, peerId) => {
+      if (now - peer.lastHeard > PEER_TIMEOUT) {
+        this._removePeer(peerId);
+      }
+    });
+  }
+
+  /**
+   * Forget a peer and report it gone
+   * @param {string} peerId - The peer
+   * @private
+   */
+  _removePeer(peerId) {
+    if (!this.peers.delete(peerId)) return;
+    this.emit('peer-left', peerId);
+  }
+
+  /**
+   * Handle an envelope from another tab
+   * @param {MessageEvent} evt - The channel message event
+   * @private
+   */
+  _onChannelMessage(evt) {
+    const envelope = evt.data;
+    if (!envelope || !envelope.kind || !envelope.from) return;
+
+    const senderId = envelope.from;
+    const peer = this.peers.get(senderId);
+    if (peer) {
+      peer.lastHeard = Date.now();
+    } else if (this.isOpen && senderId !== this.localId &&
+               (envelope.kind === 'heartbeat' || envelope.kind === 'message')) {
+      // We timed this tab out, but it still thinks it is in the room
+      this._post({ kind: 'dropped', to: senderId });
+    }
+
+    switch (envelope.kind) {
+      case 'hello':
+        if (this._replies) {
+          // Two tabs joining at once: both are in the room, ordered by join time
+          if (!this._replies.some(reply => reply.from === senderId)) {
+            this._replies.push({ from: senderId, joinedAt: envelope.joinedAt, maxPeers: envelope.maxPeers });
+          }
+          this._post({ kind: 'here', to: senderId, joinedAt: this.joinedAt, maxPeers: this.maxPeers });
+          return;
+        }
+        if (!this.isOpen) return;
+
+        this._post({ kind: 'here', to: senderId, joinedAt: this.joinedAt, maxPeers: this.maxPeers });
+
+        // A newcomer with our ID gets turned away; don't announce it
+        if (senderId === this.localId || this.peers.has(senderId)) return;
+        if (this.maxPeers && this.peers.size + 1 >= this.maxPeers) return;
+        this.peers.set(senderId, { joinedAt: envelope.joinedAt, lastHeard: Date.now() });
+        this.emit('peer-joined', senderId);
+        break;
+
+      case 'here':
+        if (envelope.to !== this.localId || !this._replies) return;
+        if (!this._replies.some(reply => reply.from === senderId)) {
+          this._replies.push({ from: senderId, joinedAt: envelope.joinedAt, maxPeers: envelope.maxPeers });
+        }
+        break;
+
+      case 'bye':
+        this._removePeer(senderId);
+        break;
+
+      case 'dropped':
+        // Someone timed us out; leave properly and let the reconnect rejoin
+        if (envelope.to !== this.localId || !this.isOpen) return;
+        console.warn(`BroadcastChannelTransport: ${senderId} timed us out, rejoining`);
+        this._post({ kind: 'bye' });
+        this._close();
+        this.emit('close');
+        break;
+
+      case 'message': {
+        if (!this.isOpen || !peer) return;
+        if (envelope.to && envelope.to !== this.localId) return;
+
+        this._countReceived(envelope.text, senderId);
+        let message;
+        try {
+          message = JSON.parse(envelope.text);
+        } catch (error) {
+          console.warn(`BroadcastChannelTransport: Ignoring malformed message from ${senderId}`);
+          return;
+        }
+        if (!message || !message.type) return;
+
+        // The channel envelope identifies the sender, like the relay does
+        message.from = senderId;
+        this.emit('message', message);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Say goodbye when the tab closes, so the others don't wait for a timeout
+   * @private
+   */
+  _onPageHide() {
+    this._post({ kind: 'bye' });
+  }
+}
+
+/**
+ * Sort join replies oldest first; ties (same millisecond) by ID
+ * @param {Object} a - Reply
+ * @param {Object} b - Reply
+ * @returns {number} Sort order
+ */
+function compareJoinOrder(a, b) {
+  if (a.joinedAt !== b.joinedAt) return a.joinedAt - b.joinedAt;
+  return a.from < b.from ? -1 : 1;
+}
+
+export default BroadcastChannelTransport;
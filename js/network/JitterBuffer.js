@@ -0,0 +1,207 @@
+/**
+ * JitterBuffer - Snapshot buffer with adaptive playout delay
+ *
+ * Holds timestamped snapshots from one sender and decides which two to blend
+ * for the current frame. Snapshots are played back a little in the past so
+ * there is usually a newer one to interpolate towards, even when packets
+ * arrive late or unevenly.
+ *
+ * Timestamps only have to be consistent for one sender: the buffer tracks
+ * the sender's clock against the local clock from arrival times, so it works
+ * without a synchronized session clock. The playout delay follows the
+ * measured send interval and arrival jitter.
+ *
+ * The buffer doesn't know what a snapshot contains; sample() returns the two
+ * snapshots and a blend factor, and the caller interpolates.
+ */
+
+// Snapshots kept per sender
+const MAX_SNAPSHOTS = 32;
+
+// Weight of a new packet in the jitter and send interval estimates
+const JITTER_SMOOTHING = 1 / 16;
+
+// How fast the minimum transit estimate creeps back up, so clock drift or a
+// route change doesn't leave it stuck too low
+const TRANSIT_DRIFT = 0.005;
+
+// Playout delay margin, in multiples of the measured jitter
+const JITTER_MARGIN = 2;
+
+// How fast the playout delay follows its target. Growing is quick, so late
+// packets stop running out the buffer; shrinking is slow to avoid visible
+// time warps.
+const DELAY_GROW_RATE = 0.5;
+const DELAY_SHRINK_RATE = 0.02;
+
+class JitterBuffer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.interval=100] - Expected send interval in ms (until measured)
+   * @param {number} [options.minDelay=50] - Lower bound of the playout delay in ms
+   * @param {number} [options.maxDelay=500] - Upper bound of the playout delay in ms
+   * @param {number} [options.maxExtrapolation=250] - How far past the newest snapshot to extrapolate, in ms
+   */
+  constructor(options = {}) {
+    this.minDelay = options.minDelay !== undefined ? options.minDelay : 50;
+    this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 500;
+    this.maxExtrapolation = options.maxExtrapolation !== undefined ? options.maxExtrapolation : 250;
+    this.defaultInterval = options.interval !== undefined ? options.interval : 100;
+
+    this.reset();
+  }
+
+  /**
+   * Forget all snapshots and timing estimates
+   */
+  reset() {
+    this.snapshots = []; // [{ timestamp, state }], oldest first
+    this.transitBase = null; // Smallest (arrival - timestamp) seen, drifting
+    this.jitter = 0; // Smoothed transit above the base, in ms
+    this.interval = this.defaultInterval; // Smoothed send interval, in ms
+    this.playoutDelay = this._clampDelay(this.interval);
+  }
+
+  /**
+   * Add a snapshot
+   * @param {number} timestamp - Sender's timestamp in ms
+   * @param {*} state - The snapshot; passed back unchanged by sample()
+   * @param {number} [arrivalTime] - Local arrival time (defaults to performance.now())
+   * @returns {boolean} False if the snapshot was a duplicate or too old to use
+   */
+  push(timestamp, state, arrivalTime = performance.now()) {
+    if (!Number.isFinite(timestamp)) return false;
+
+    const snapshots = this.snapshots;
+    const newest = snapshots[snapshots.length - 1];
+
+    // Older than everything still buffered: already played out
+    if (snapshots.length > 0 && timestamp < snapshots[0].timestamp) return false;
+
+    this._updateTiming(timestamp, arrivalTime, newest);
+
+    // Insert in timestamp order; packets can be reordered in flight
+    let index = snapshots.length;
+    while (index > 0 && snapshots[index - 1].timestamp > timestamp) {
+      index--;
+    }
+    if (index > 0 && snapshots[index - 1].timestamp === timestamp) return false;
+    snapshots.splice(index, 0, { timestamp, state });
+
+    if (snapshots.length > MAX_SNAPSHOTS) {
+      snapshots.shift();
+    }
+    return true;
+  }
+
+  /**
+   * Pick the snapshots to render at a local time
+   * @param {number} [now] - Local time (defaults to performance.now())
+   * @returns {Object|null} { from, to, alpha, extrapolating }, or null if empty.
+   *   alpha is 0-1 between the two states, and above 1 when extrapolating.
+   */
+  sample(now = performance.now()) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    const renderTime = this.getRenderTime(now);
+
+    if (snapshots.length === 1 || renderTime <= first.timestamp) {
+      return { from: first.state, to: first.state, alpha: 0, extrapolating: false };
+    }
+
+    if (renderTime <= last.timestamp) {
+      let index = 1;
+      while (snapshots[index].timestamp < renderTime) {
+        index++;
+      }
+      const s1 = snapshots[index - 1];
+      const s2 = snapshots[index];
+
+      // Keep one snapshot before the pair in case the playout delay grows
+      if (index > 2) {
+        snapshots.splice(0, index - 2);
+      }
+
+      return {
+        from: s1.state,
+        to: s2.state,
+        alpha: (renderTime - s1.timestamp) / (s2.timestamp - s1.timestamp),
+        extrapolating: false
+      };
+    }
+
+    // Ran past the newest snapshot: carry on along the last two for a while
+    const s1 = snapshots[snapshots.length - 2];
+    const overshoot = Math.min(renderTime - last.timestamp, this.maxExtrapolation);
+    return {
+      from: s1.state,
+      to: last.state,
+      alpha: 1 + overshoot / (last.timestamp - s1.timestamp),
+      extrapolating: true
+    };
+  }
+
+  /**
+   * @param {number} [now] - Local time (defaults to performance.now())
+   * @returns {number} The sender timestamp that should be on screen now
+   */
+  getRenderTime(now = performance.now()) {
+    if (this.transitBase === null) return -Infinity;
+    return now - this.transitBase - this.playoutDelay;
+  }
+
+  /**
+   * @returns {number} Current playout delay in ms
+   */
+  getPlayoutDelay() {
+    return this.playoutDelay;
+  }
+
+  /**
+   * Update transit, jitter and send interval estimates for a new packet
+   * @param {number} timestamp - Sender's timestamp
+   * @param {number} arrivalTime - Local arrival time
+   * @param {Object} [newest] - Newest snapshot before this one
+   * @private
+   */
+  _updateTiming(timestamp, arrivalTime, newest) {
+    // Includes the unknown clock offset, which cancels out in getRenderTime()
+    const transit = arrivalTime - timestamp;
+
+    if (this.transitBase === null) {
+      this.transitBase = transit;
+      return;
+    }
+
+    if (transit < this.transitBase) {
+      this.transitBase = transit;
+    } else {
+      this.transitBase += (transit - this.transitBase) * TRANSIT_DRIFT;
+    }
+
+    this.jitter += ((transit - this.transitBase) - this.jitter) * JITTER_SMOOTHING;
+
+    if (newest && timestamp > newest.timestamp) {
+      this.interval += ((timestamp - newest.timestamp) - this.interval) * JITTER_SMOOTHING;
+    }
+
+    // Room for one send interval plus the usual lateness
+    const target = this._clampDelay(this.interval + this.jitter * JITTER_MARGIN);
+    const rate = target > this.playoutDelay ? DELAY_GROW_RATE : DELAY_SHRINK_RATE;
+    this.playoutDelay += (target - this.playoutDelay) * rate;
+  }
+
+  /**
+   * @param {number} delay - Playout delay in ms
+   * @returns {number} The delay clamped to the configured bounds
+   * @private
+   */
+  _clampDelay(delay) {
+    return Math.min(this.maxDelay, Math.max(this.minDelay, delay));
+  }
+}
+
+export default JitterBuffer;
@@ -0,0 +1,195 @@
+/**
+ * NetworkClock - Shared session clock estimated from ping/pong exchanges
+ *
+ * Every machine's performance.now() starts at its own page load, so raw
+ * timestamps can't be compared across peers. This module keeps an NTP-style
+ * estimate of each peer's clock offset and round-trip time, and exposes a
+ * session clock that reads the same on every machine: the clock of a
+ * reference peer (the host) plus an epoch.
+ *
+ * The epoch keeps the session clock continuous when the reference peer
+ * changes (host migration): pages load at different times, so the new host's
+ * clock can be minutes behind the old one. On a switch the epoch absorbs the
+ * difference, and the host's epoch, carried in its pongs, is adopted by
+ * everyone so peers that join later agree.
+ *
+ * Feed it samples from a four-timestamp exchange:
+ *   t0 - local time the ping was sent
+ *   t1 - peer time the ping was received
+ *   t2 - peer time the pong was sent
+ *   t3 - local time the pong was received
+ */
+
+// Weight of a new sample in the smoothed estimates
+const SMOOTHING = 0.1;
+
+// Samples with a round trip this much slower than usual are mostly queueing
+// delay and would skew the offset
+const RTT_OUTLIER_FACTOR = 2;
+
+class NetworkClock {
+  constructor() {
+    this.peers = new Map(); // peerId -> { offset, rtt, samples }
+    this.referencePeerId = null; // Whose clock is the session clock (null = ours)
+    this.epoch = 0; // Added to the reference peer's clock
+    this.pendingOffset = null; // Session offset held until a new reference peer is measured
+  }
+
+  /**
+   * Add a ping/pong sample for a peer
+   * @param {string} peerId - The peer
+   * @param {number} t0 - Local send time of the ping
+   * @param {number} t1 - Peer receive time of the ping
+   * @param {number} t2 - Peer send time of the pong
+   * @param {number} t3 - Local receive time of the pong
+   * @returns {Object|null} The updated { offset, rtt }, or null if the sample was rejected
+   */
+  addSample(peerId, t0, t1, t2, t3) {
+    if (![t0, t1, t2, t3].every(Number.isFinite)) return null;
+
+    const rtt = Math.max(0, (t3 - t0) - (t2 - t1));
+    const offset = ((t1 - t0) + (t2 - t3)) / 2; // peer clock - local clock
+
+    let estimate = this.peers.get(peerId);
+    if (!estimate) {
+      estimate = { offset, rtt, samples: 1 };
+      this.peers.set(peerId, estimate);
+      this._settleReference(peerId);
+      return estimate;
+    }
+
+    if (estimate.samples > 3 && rtt > estimate.rtt * RTT_OUTLIER_FACTOR) {
+      // Still count it towards RTT so a real slowdown is picked up eventually
+      estimate.rtt += (rtt - estimate.rtt) * SMOOTHING;
+      return null;
+    }
+
+    estimate.offset += (offset - estimate.offset) * SMOOTHING;
+    estimate.rtt += (rtt - estimate.rtt) * SMOOTHING;
+    estimate.samples++;
+    return estimate;
+  }
+
+  /**
+   * Forget a peer
+   * @param {string} peerId - The peer
+   */
+  removePeer(peerId) {
+    if (peerId === this.referencePeerId && this.pendingOffset === null) {
+      // Hold the session clock until the next reference peer takes over
+      this.pendingOffset = this.getSessionOffset();
+    }
+    this.peers.delete(peerId);
+  }
+
+  /**
+   * Forget all peers and fall back to the local clock
+   */
+  reset() {
+    this.peers.clear();
+    this.referencePeerId = null;
+    this.epoch = 0;
+    this.pendingOffset = null;
+  }
+
+  /**
+   * Use a peer's clock as the session clock
+   * The session clock carries on from where it was; until the new reference
+   * peer has been measured it keeps the current offset.
+   * @param {string|null} peerId - The reference peer, or null for the local clock
+   * @returns {boolean} True if the reference peer changed
+   */
+  setReferencePeer(peerId) {
+    if (peerId === this.referencePeerId) return false;
+
+    const sessionOffset = this.getSessionOffset();
+    this.referencePeerId = peerId;
+    this.pendingOffset = sessionOffset;
+    this._settleReference(peerId);
+    return true;
+  }
+
+  /**
+   * Take the reference peer's epoch, so everyone's session clock matches the host's
+   * @param {string} peerId - The peer the epoch came from
+   * @param {number} epoch - That peer's epoch
+   */
+  adoptEpoch(peerId, epoch) {
+    if (peerId !== this.referencePeerId || !Number.isFinite(epoch)) return;
+    if (this.pendingOffset !== null) return;
+    this.epoch = epoch;
+  }
+
+  /**
+   * @returns {number} The epoch added to the reference peer's clock, in ms
+   */
+  getEpoch() {
+    return this.epoch;
+  }
+
+  /**
+   * Pick the epoch that keeps the session clock where it was, once the
+   * reference peer's offset is known
+   * @param {string|null} peerId - The peer that was just switched to or measured
+   * @private
+   */
+  _settleReference(peerId) {
+    if (this.pendingOffset === null || peerId !== this.referencePeerId) return;
+
+    const referenceOffset = peerId ? this.getOffset(peerId) : 0;
+    if (referenceOffset === null) return;
+
+    this.epoch = this.pendingOffset - referenceOffset;
+    this.pendingOffset = null;
+  }
+
+  /**
+   * @param {string} peerId - The peer
+   * @returns {number|null} Smoothed offset (peer clock - local clock) in ms, or null if unknown
+   */
+  getOffset(peerId) {
+    const estimate = this.peers.get(peerId);
+    return estimate ? estimate.offset : null;
+  }
+
+  /**
+   * @param {string} peerId - The peer
+   * @returns {number|null} Smoothed round-trip time in ms, or null if unknown
+   */
+  getRoundTripTime(peerId) {
+    const estimate = this.peers.get(peerId);
+    return estimate ? estimate.rtt : null;
+  }
+
+  /**
+   * Offset from the local clock to the session clock
+   * @returns {number} Milliseconds
+   */
+  getSessionOffset() {
+    if (this.pendingOffset !== null) return this.pendingOffset;
+    if (!this.referencePeerId) return this.epoch;
+    return this.getOffset(this.referencePeerId) + this.epoch;
+  }
+
+  /**
+   * Current session time
+   * @returns {number} Milliseconds on the reference peer's clock plus the epoch
+   */
+  now() {
+    return performance.now() + this.getSessionOffset();
+  }
+
+  /**
+   * Convert a session timestamp to local performance.now() time
+   * @param {number} sessionTime - Session timestamp
+   * @returns {number} Local timestamp
+   */
+  toLocalTime(sessionTime) {
+    return sessionTime - this.getSessionOffset();
+  }
+}
+
+// Create singleton instance
+const instance = new NetworkClock();
+
+export default instance;
@@ -0,0 +1,268 @@
+/**
+ * NetworkSimulator - Transport wrapper that impairs traffic like a bad network
+ *
+ * Wraps any Transport and adds latency, jitter, packet loss, reordering and
+ * a bandwidth cap, so sync and interpolation code can be tuned on localhost.
+ * Conditions apply to both directions at this client: a client with
+ * `latency: 50` adds 100 ms to its round trips, and two such clients add
+ * 200 ms between them.
+ *
+ * Reliable traffic behaves like an ordered, reliable channel: it is delayed
+ * but never dropped or reordered. Only unreliable traffic (sends with
+ * `reliable: false`, or incoming messages the isReliable classifier marks
+ * as such) is lost or reordered. Peer join/leave events travel in order
+ * with the reliable traffic, so nothing from a peer arrives after it left.
+ */
+
+import Transport from './Transport.js';
+
+const DEFAULT_CONDITIONS = {
+  latency: 0, // One-way delay per direction, in ms
+  jitter: 0, // Random +/- variation of the delay, in ms
+  loss: 0, // Probability (0-1) that an unreliable message is dropped
+  reorder: 0, // Probability (0-1) that an unreliable message is held back behind later ones
+  bandwidth: 0 // Link capacity in kbit/s per direction (0 = unlimited)
+};
+
+// Named profiles, selectable with ?netsim=<name>
+const PRESETS = {
+  'good-wifi': { latency: 10, jitter: 5, loss: 0.001, reorder: 0, bandwidth: 0 },
+  'bad-wifi': { latency: 50, jitter: 40, loss: 0.03, reorder: 0.01, bandwidth: 2000 },
+  'mobile-4g': { latency: 40, jitter: 15, loss: 0.01, reorder: 0, bandwidth: 5000 },
+  'mobile-3g': { latency: 150, jitter: 50, loss: 0.02, reorder: 0.005, bandwidth: 750 },
+  'congested': { latency: 100, jitter: 80, loss: 0.08, reorder: 0.03, bandwidth: 256 },
+  'satellite': { latency: 300, jitter: 20, loss: 0.01, reorder: 0, bandwidth: 1000 }
+};
+
+// URL params for individual conditions (override the preset)
+const PARAM_NAMES = {
+  latency: 'netLatency',
+  jitter: 'netJitter',
+  loss: 'netLoss',
+  reorder: 'netReorder',
+  bandwidth: 'netBandwidth'
+};
+
+// Unreliable messages that would wait longer than this for bandwidth are
+// dropped, like a router's full send buffer (ms)
+const MAX_QUEUE_DELAY = 1000;
+
+class NetworkSimulator extends Transport {
+  /**
+   * @param {Transport} inner - The transport to wrap
+   * @param {Object} [conditions] - Initial conditions (see DEFAULT_CONDITIONS)
+   * @param {Object} [options]
+   * @param {Function} [options.isReliable] - isReliable(message) for incoming messages (default: all reliable)
+   */
+  constructor(inner, conditions = {}, options = {}) {
+    super();
+    this.inner = inner;
+    this.stats = inner.stats; // Real traffic; see simStats for what the simulator did to it
+    this.isReliable = options.isReliable || (() => true);
+    this.conditions = { ...DEFAULT_CONDITIONS };
+    this.setConditions(conditions);
+
+    this.links = {
+      outgoing: { busyUntil: 0, lastReliableArrival: 0, reliableQueue: [] },
+      incoming: { busyUntil: 0, lastReliableArrival: 0, reliableQueue: [] }
+    };
+    this.simStats = { delivered: 0, dropped: 0, reordered: 0 };
+    this.timers = new Set();
+
+    inner.on('message', message => {
+      this._schedule('incoming', this.isReliable(message), JSON.stringify(message).length, () => {
+        this.emit('message', message);
+      });
+    });
+    inner.on('peer-joined', peerId => {
+      this._schedule('incoming', true, 0, () => this.emit('peer-joined', peerId));
+    });
+    inner.on('peer-left', peerId => {
+      this._schedule('incoming', true, 0, () => this.emit('peer-left', peerId));
+    });
+    inner.on('close', () => {
+      this._clearTimers();
+      this.isOpen = false;
+      this.emit('close');
+    });
+  }
+
+  /**
+   * Connect the wrapped transport
+   * @param {string} localId - The local user ID
+   * @returns {Promise<Object>} Resolves with the wrapped transport's result
+   */
+  connect(localId) {
+    this.localId = localId;
+    return this.inner.connect(localId).then(result => {
+      this.isOpen = true;
+      return result;
+    });
+  }
+
+  /**
+   * Send a message after the simulated network has had its way with it
+   * @param {Object} message - The message to send
+   * @param {string} [peerId] - Target peer, or all peers if omitted
+   * @param {Object} [options] - Send options, passed through
+   */
+  send(message, peerId, options = {}) {
+    if (!this.isOpen) return;
+
+    const reliable = options.reliable !== false;
+    this._schedule('outgoing', reliable, JSON.stringify(message).length, () => {
+      this.inner.send(message, peerId, options);
+    });
+  }
+
+  /**
+   * Disconnect the wrapped transport; anything still in flight is lost
+   */
+  disconnect() {
+    this._clearTimers();
+    this.inner.disconnect();
+    this.isOpen = false;
+  }
+
+  /**
+   * Change the simulated conditions; applies to messages sent from now on
+   * @param {Object} conditions - Any of { latency, jitter, loss, reorder, bandwidth }
+   */
+  setConditions(conditions) {
+    Object.keys(DEFAULT_CONDITIONS).forEach(key => {
+      const value = Number(conditions[key]);
+      if (conditions[key] === undefined || !Number.isFinite(value)) return;
+
+      const isProbability = key === 'loss' || key === 'reorder';
+      this.conditions[key] = isProbability ? Math.min(1, Math.max(0, value)) : Math.max(0, value);
+    });
+  }
+
+  /**
+   * @returns {Object} A copy of the current conditions
+   */
+  getConditions() {
+    return { ...this.conditions };
+  }
+
+  /**
+   * Named condition profiles
+   * @returns {Object} Preset name -> conditions
+   */
+  static getPresets() {
+    return PRESETS;
+  }
+
+  /**
+   * Read conditions from URL params: `netsim=<preset>` (or `netsim=1` for
+   * none), then `netLatency`, `netJitter`, `netLoss`, `netReorder` and
+   * `netBandwidth` to override single values
+   * @param {URLSearchParams} params - The page's query params
+   * @returns {Object|null} The conditions, or null if no simulation was requested
+   */
+  static conditionsFromParams(params) {
+    const preset = params.get('netsim');
+    const overrides = {};
+    Object.entries(PARAM_NAMES).forEach(([key, name]) => {
+      if (params.has(name)) {
+        overrides[key] = Number(params.get(name));
+      }
+    });
+
+    if (!preset && Object.keys(overrides).length === 0) return null;
+
+    if (preset && !PRESETS[preset] && preset !== '1' && preset !== 'true') {
+      console.warn(`NetworkSimulator: Unknown preset '${preset}', known presets: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    return { ...DEFAULT_CONDITIONS, ...PRESETS[preset], ...overrides };
+  }
+
+  /**
+   * Deliver, delay or drop one message on a link
+   * @param {string} direction - 'outgoing' or 'incoming'
+   * @param {boolean} reliable - Whether the message may be lost or reordered
+   * @param {number} bytes - Message size, for the bandwidth cap
+   * @param {Function} deliver - Delivers the message
+   * @private
+   */
+  _schedule(direction, reliable, bytes, deliver) {
+    const c = this.conditions;
+    const link = this.links[direction];
+
+    // Unimpaired: stay synchronous, exactly like the wrapped transport
+    if (!c.latency && !c.jitter && !c.loss && !c.reorder && !c.bandwidth && this.timers.size === 0) {
+      this.simStats.delivered++;
+      deliver();
+      return;
+    }
+
+    if (!reliable && Math.random() < c.loss) {
+      this.simStats.dropped++;
+      return;
+    }
+
+    const now = performance.now();
+
+    // Bandwidth: messages queue behind each other on the link (1 kbit/s = 1 bit/ms)
+    let sentAt = now;
+    if (c.bandwidth > 0) {
+      const start = Math.max(now, link.busyUntil);
+      if (!reliable && start - now > MAX_QUEUE_DELAY) {
+        this.simStats.dropped++;
+        return;
+      }
+      sentAt = start + (bytes * 8) / c.bandwidth;
+      link.busyUntil = sentAt;
+    }
+
+    const delivered = () => {
+      this.simStats.delivered++;
+      deliver();
+    };
+    let fire = delivered;
+
+    let arrival = sentAt + Math.max(0, c.latency + (Math.random() * 2 - 1) * c.jitter);
+
+    if (reliable) {
+      // Ordered channel: never overtake an earlier reliable message
+      arrival = Math.max(arrival, link.lastReliableArrival);
+      link.lastReliableArrival = arrival;
+
+      // Timers with close deadlines can fire out of order, so each timer
+      // flushes the queue up to its own message instead of delivering it alone
+      const entry = { arrival, deliver: delivered };
+      link.reliableQueue.push(entry);
+      fire = () => {
+        while (link.reliableQueue.length > 0 && link.reliableQueue[0].arrival <= entry.arrival) {
+          link.reliableQueue.shift().deliver();
+        }
+      };
+    } else if (Math.random() < c.reorder) {
+      // Held back long enough for later messages to overtake it
+      arrival += c.latency + c.jitter + 20;
+      this.simStats.reordered++;
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fire();
+    }, arrival - now);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Cancel everything in flight
+   * @private
+   */
+  _clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    Object.values(this.links).forEach(link => {
+      link.busyUntil = 0;
+      link.lastReliableArrival = 0;
+      link.reliableQueue = [];
+    });
+  }
+}
+
+export default NetworkSimulator;
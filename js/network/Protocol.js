@@ -0,0 +1,242 @@
+/**
+ * Protocol - Catalog of multiplayer messages, versioning and validation
+ *
+ * Every message type peers exchange is listed here with the fields it must
+ * carry. MultiplayerManager validates each incoming message against this
+ * catalog before anything acts on it, so a malformed message (or one from a
+ * client that speaks a different protocol) is dropped and counted instead
+ * of throwing halfway through a handler.
+ *
+ * Field rules are strings: a type ('string', 'number', 'boolean', 'object',
+ * 'array', 'null', 'vec3', 'quat', 'string[]'), alternatives joined with
+ * '|', and a trailing '?' for optional fields. A nested object rule
+ * validates a sub-object. Fields not listed are ignored, so adding a field
+ * never breaks older clients.
+ *
+ * Evolving the protocol:
+ * - New optional fields and new message types are compatible: older clients
+ *   drop unknown types and ignore unknown fields.
+ * - Anything else (renamed or retyped fields, new required fields, changed
+ *   meaning) is breaking: bump VERSION, and raise MIN_VERSION to the oldest
+ *   version that can still share a session with this one.
+ */
+
+// Protocol spoken by this client
+const VERSION = 1;
+
+// Oldest protocol this client can share a session with
+const MIN_VERSION = 1;
+
+// Messages on the transport: type -> field rules
+const MESSAGES = {
+  'hello': { protocol: 'number', minProtocol: 'number', headless: 'boolean?' }, // headless: the physics host
+  'position': {
+    position: 'vec3',
+    rotation: 'vec3', // Degrees
+    leftHand: 'object|null?',
+    rightHand: 'object|null?',
+    timestamp: 'number?'
+  },
+  'avatar': { appearance: 'object|null' }, // Contents checked by MultiplayerManager._sanitizeAppearance
+  'audio': { data: 'object' },
+  'physics': { data: 'object' }, // Validated against PHYSICS_MESSAGES
+  'kick': { target: 'string' }, // Host only
+  'moderation': { muted: 'string[]' }, // Host only; the full list each time
+  'chat': { text: 'string' },
+  'emote': { emote: 'string' }, // One of MultiplayerManager's EMOTES
+  'pointer': { active: 'boolean', origin: 'vec3?', target: 'vec3?' }, // origin and target while active
+  'marker': { position: 'vec3' },
+  'presence': { spectator: 'boolean', following: 'string|null' }, // Whose view we follow, if anyone's
+  'follow-me': { active: 'boolean' } // Presenter asks everyone to follow, or lets them go
+};
+
+const PHYSICS_STATE = {
+  position: 'vec3',
+  quaternion: 'quat',
+  linearVelocity: 'object?', // Straight from PhysX; not always a plain {x, y, z}
+  angularVelocity: 'object?',
+  timestamp: 'number?'
+};
+
+// A runtime spawn; isSpawnAllowed() also checks the tag and attributes
+// against what spawns may create
+const SPAWN_DESCRIPTOR = {
+  id: 'string',
+  tag: 'string',
+  parent: 'string|null?',
+  attributes: 'object' // Attribute name -> value
+};
+
+// Spawn descriptors come from other peers, so only A-Frame primitives and
+// these attributes may be created; anything else (a <script>, an on* handler)
+// would run code in every peer's page
+const SPAWN_TAGS = new Set([
+  'a-entity', 'a-box', 'a-sphere', 'a-cylinder', 'a-plane', 'a-torus', 'a-gltf-model'
+]);
+const SPAWN_ATTRIBUTES = new Set([
+  'class', 'position', 'rotation', 'scale', 'visible', 'shadow',
+  'geometry', 'material', 'gltf-model', 'physx-body', 'physx-material',
+  'src', 'color', 'opacity', 'width', 'height', 'depth', 'radius', 'radius-tubular'
+]);
+
+// PhysicsSyncManager messages, carried in a 'physics' message's data
+const PHYSICS_MESSAGES = {
+  'physics-capabilities': { capabilities: 'object' },
+  'physics-tick-rate': { tickRate: 'number' },
+  'physics-state': { objectId: 'string', state: PHYSICS_STATE },
+  'physics-snapshot': { snapshot: 'string' }, // SnapshotCodec, base64
+  'physics-snapshot-ack': { sequence: 'number' },
+  'physics-ownership-request': { objectId: 'string', requestTime: 'number' },
+  'physics-ownership-changed': { objectId: 'string', owner: 'string|null', held: 'boolean?' },
+  'physics-ownership-denied': { objectId: 'string', owner: 'string|null' },
+  'physics-ownership-reclaim': { objectIds: 'string[]' },
+  'physics-world-request': {},
+  'physics-world-snapshot': { entities: 'array', despawned: 'string[]', ownership: 'array', snapshot: 'string' },
+  'physics-entity-spawn': { entity: SPAWN_DESCRIPTOR, owner: 'string|null' },
+  'physics-entity-despawn': { objectId: 'string' },
+  'physics-permissions': { frozen: 'string[]', locked: 'string[]' }, // Moderator only
+  'physics-ping': { sentAt: 'number' },
+  'physics-pong': { pingSentAt: 'number', receivedAt: 'number', sentAt: 'number', epoch: 'number?' }
+};
+
+// Checks for the type names used in field rules
+const TYPE_CHECKS = {
+  'string': value => typeof value === 'string',
+  'number': value => typeof value === 'number' && Number.isFinite(value),
+  'boolean': value => typeof value === 'boolean',
+  'object': value => isObject(value),
+  'array': value => Array.isArray(value),
+  'null': value => value === null,
+  'vec3': value => isObject(value) && ['x', 'y', 'z'].every(key => Number.isFinite(value[key])),
+  'quat': value => isObject(value) && ['x', 'y', 'z', 'w'].every(key => Number.isFinite(value[key])),
+  'string[]': value => Array.isArray(value) && value.every(item => typeof item === 'string')
+};
+
+const Protocol = {
+  VERSION,
+  MIN_VERSION,
+
+  /**
+   * Create the handshake message sent to peers on connect
+   * @returns {Object} The hello message
+   */
+  createHello: function() {
+    return { type: 'hello', protocol: VERSION, minProtocol: MIN_VERSION };
+  },
+
+  /**
+   * Whether a peer's protocol can share a session with ours
+   * Both sides must accept the other's version; the check is symmetric, so
+   * both peers reach the same answer.
+   * @param {Object} hello - The peer's hello message
+   * @returns {boolean} True if compatible
+   */
+  isCompatible: function(hello) {
+    return hello.protocol >= MIN_VERSION && VERSION >= hello.minProtocol;
+  },
+
+  /**
+   * Check a message received from the transport
+   * For 'physics' messages the payload in `data` is checked too.
+   * @param {Object} message - The message
+   * @returns {Object|null} null if valid, otherwise { reason, detail } where
+   *   reason is 'unknown-type' or 'invalid'
+   */
+  validate: function(message) {
+    const error = this._validateAgainst(MESSAGES, message);
+    if (error || message.type !== 'physics') return error;
+
+    return this._validateAgainst(PHYSICS_MESSAGES, message.data);
+  },
+
+  /**
+   * Whether a spawn descriptor only creates what spawns may create
+   * The tag and attribute names must be allowed (SPAWN_TAGS,
+   * SPAWN_ATTRIBUTES), values must be plain strings, numbers or booleans,
+   * and URLs in them (src, url(...)) must pass isAllowedUrl. Shared by
+   * PhysicsSyncManager and the headless host, so both refuse the same spawns.
+   * @param {Object} descriptor - Spawn descriptor (see PhysicsSyncManager.spawnEntity)
+   * @param {Function} isAllowedUrl - url -> boolean
+   * @returns {boolean} True if it may be created
+   */
+  isSpawnAllowed: function(descriptor, isAllowedUrl) {
+    if (!SPAWN_TAGS.has(descriptor.tag || 'a-entity')) return false;
+
+    const attributes = descriptor.attributes || {};
+    if (typeof attributes !== 'object') return false;
+
+    return Object.entries(attributes).every(([name, value]) => {
+      if (!SPAWN_ATTRIBUTES.has(name)) return false; // Also keeps out on* handlers
+      if (!['string', 'number', 'boolean'].includes(typeof value)) return false;
+
+      const text = String(value);
+      const urls = [...text.matchAll(/url\(([^)]*)\)/g)].map(match => match[1]);
+      const srcProperty = /(?:^|;)\s*src\s*:\s*([^;]+)/.exec(text);
+      if (srcProperty) urls.push(srcProperty[1]);
+      if (name === 'src' || name === 'gltf-model') urls.push(text);
+
+      return urls.every(url => isAllowedUrl(url.trim().replace(/^['"]|['"]$/g, '')));
+    });
+  },
+
+  /**
+   * @param {Object} catalog - MESSAGES or PHYSICS_MESSAGES
+   * @param {Object} message - The message
+   * @returns {Object|null} null if valid, otherwise { reason, detail }
+   * @private
+   */
+  _validateAgainst: function(catalog, message) {
+    if (!isObject(message) || typeof message.type !== 'string') {
+      return { reason: 'invalid', detail: 'not a message' };
+    }
+    if (!Object.prototype.hasOwnProperty.call(catalog, message.type)) {
+      return { reason: 'unknown-type', detail: message.type };
+    }
+
+    const detail = this._checkFields(catalog[message.type], message, '');
+    return detail ? { reason: 'invalid', detail: `${message.type}: ${detail}` } : null;
+  },
+
+  /**
+   * @param {Object} fields - Field name -> rule
+   * @param {Object} value - The object to check
+   * @param {string} path - Field path so far, for the error
+   * @returns {string|null} null if valid, otherwise what is wrong
+   * @private
+   */
+  _checkFields: function(fields, value, path) {
+    for (const [name, rule] of Object.entries(fields)) {
+      const fieldPath = path + name;
+      const fieldValue = value[name];
+
+      if (typeof rule === 'object') {
+        if (!isObject(fieldValue)) return `${fieldPath} must be an object`;
+        const nested = this._checkFields(rule, fieldValue, `${fieldPath}.`);
+        if (nested) return nested;
+        continue;
+      }
+
+      const optional = rule.endsWith('?');
+      if (fieldValue === undefined) {
+        if (optional) continue;
+        return `${fieldPath} is missing`;
+      }
+
+      const types = (optional ? rule.slice(0, -1) : rule).split('|');
+      if (!types.some(type => TYPE_CHECKS[type](fieldValue))) {
+        return `${fieldPath} must be ${types.join(' or ')}`;
+      }
+    }
+    return null;
+  }
+};
+
+/**
+ * @param {any} value - Any value
+ * @returns {boolean} True for plain objects (not null, not arrays)
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export default Protocol;
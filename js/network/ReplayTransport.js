@@ -0,0 +1,303 @@
+/**
+ * ReplayTransport - Plays a session recording back as if it were live
+ *
+ * Stands in for a network transport, fed from a SessionRecorder file
+ * instead of a relay. Recorded incoming messages and peer joins/leaves are
+ * emitted at their recorded times, so they go through
+ * MultiplayerManager.handlePeerMessage and on to PhysicsSyncManager's
+ * onPhysicsMessage exactly as they did in the session. Nothing is sent:
+ * the local side's recorded messages only count in the stats, and
+ * anything the replaying client says goes nowhere.
+ *
+ * Playback can be paused, sped up or slowed down, and seeked forward;
+ * seeking delivers everything in between at once. Seeking backward needs a
+ * fresh transport (MultiplayerManager.seekReplay() does that), since the
+ * scene can't be rewound.
+ *
+ * Events, besides the Transport ones:
+ * - 'state' () - playing, paused, seeked, speed changed or reached the end
+ */
+
+import Transport from './Transport.js';
+
+class ReplayTransport extends Transport {
+  /**
+   * @param {Object} recording - A recording from SessionRecorder.parse()
+   * @param {Object} [options]
+   * @param {number} [options.startAt=0] - Position to start from, in ms
+   * @param {number} [options.speed=1] - Playback rate
+   * @param {boolean} [options.paused=false] - Start paused
+   */
+  constructor(recording, options = {}) {
+    super();
+    this.recording = recording;
+    this.events = recording.events;
+    this.duration = Math.max(recording.duration || 0,
+      this.events.length > 0 ? this.events[this.events.length - 1].t : 0);
+    this.startAt = options.startAt || 0;
+    this.speed = options.speed || 1;
+    this.startPaused = !!options.paused;
+
+    this.isPlaying = false;
+    this.ended = false;
+    this.peers = new Set(); // Peers in the session at the current position
+    this.nextIndex = 0; // Next event to deliver
+    this._anchorPosition = 0; // Position when playback last started or changed speed
+    this._anchorTime = 0; // performance.now() at that moment
+    this._timer = null;
+  }
+
+  /**
+   * Join the recorded session
+   * Resolves with the peers present when it started; playback begins on
+   * the next task, once the manager has set the session up.
+   * @param {string} localId - The local user ID (the recording's)
+   * @returns {Promise<Object>} Resolves with { peers, maxPeers }
+   */
+  connect(localId) {
+    this.localId = localId;
+
+    const first = this.events.findIndex(event => event.kind === 'connected');
+    if (first === -1) {
+      return Promise.reject(new Error('Recording contains no session'));
+    }
+
+    const start = this.events[first];
+    this.nextIndex = first + 1;
+    this._anchorPosition = start.t;
+    start.peers.forEach(peerId => this.peers.add(peerId));
+    this.isOpen = true;
+
+    setTimeout(() => {
+      if (!this.isOpen) return;
+      this.seek(Math.max(this.startAt, start.t));
+      if (!this.startPaused) this.play();
+    }, 0);
+
+    return Promise.resolve({ peers: start.peers.slice(), maxPeers: start.maxPeers });
+  }
+
+  /**
+   * Nothing leaves a replay
+   */
+  send(message, peerId, options) {}
+
+  /**
+   * Stop playback and leave the session
+   */
+  disconnect() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.isPlaying = false;
+    this.isOpen = false;
+    this.peers.clear();
+  }
+
+  /**
+   * @returns {number} Current position in the recording, in ms
+   */
+  get position() {
+    if (!this.isPlaying) return this._anchorPosition;
+    const elapsed = (performance.now() - this._anchorTime) * this.speed;
+    return Math.min(this.duration, this._anchorPosition + elapsed);
+  }
+
+  /**
+   * Resume playback (no-op at the end; seek back first)
+   */
+  play() {
+    if (!this.isOpen || this.isPlaying || this.ended) return;
+
+    this._anchorTime = performance.now();
+    this.isPlaying = true;
+    this._schedule();
+    this.emit('state');
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (!this.isPlaying) return;
+
+    this._anchorPosition = this.position;
+    this.isPlaying = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.emit('state');
+  }
+
+  /**
+   * @param {number} speed - Playback rate (1 = as recorded)
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) return;
+
+    this._anchorPosition = this.position;
+    this._anchorTime = performance.now();
+    this.speed = speed;
+    if (this.isPlaying) this._schedule();
+    this.emit('state');
+  }
+
+  /**
+   * Jump forward, delivering every event up to the new position at once
+   * @param {number} position - Target position in ms
+   * @returns {boolean} False if the position is behind the current one
+   */
+  seek(position) {
+    if (!this.isOpen) return false;
+    if (position < this.position) return false;
+
+    const target = Math.min(position, this.duration);
+    this._deliverUntil(target);
+    this._anchorPosition = target;
+    this._anchorTime = performance.now();
+
+    if (target >= this.duration && this.nextIndex >= this.events.length) {
+      this._finish();
+      return true;
+    }
+    if (this.isPlaying) this._schedule();
+    this.emit('state');
+    return true;
+  }
+
+  /**
+   * Wait until the next event is due
+   * @private
+   */
+  _schedule() {
+    clearTimeout(this._timer);
+
+    const position = this.position;
+    const nextTime = this.nextIndex < this.events.length
+      ? this.events[this.nextIndex].t
+      : this.duration;
+    this._timer = setTimeout(() => this._tick(), Math.max(0, (nextTime - position) / this.speed));
+  }
+
+  /**
+   * Deliver whatever is due and wait for the next event
+   * @private
+   */
+  _tick() {
+    this._timer = null;
+    if (!this.isPlaying) return;
+
+    const position = this.position;
+    this._deliverUntil(position);
+
+    if (position >= this.duration && this.nextIndex >= this.events.length) {
+      this._finish();
+      return;
+    }
+    this._schedule();
+  }
+
+  /**
+   * @param {number} position - Deliver events recorded at or before this
+   * @private
+   */
+  _deliverUntil(position) {
+    while (this.isOpen && this.nextIndex < this.events.length &&
+           this.events[this.nextIndex].t <= position) {
+      this._deliver(this.events[this.nextIndex++]);
+    }
+  }
+
+  /**
+   * Stop at the end of the recording
+   * @private
+   */
+  _finish() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._anchorPosition = this.duration;
+    this.isPlaying = false;
+    this.ended = true;
+    this.emit('state');
+  }
+
+  /**
+   * Replay one recorded event
+   * @param {Object} event - The event
+   * @private
+   */
+  _deliver(event) {
+    switch (event.kind) {
+      case 'in': {
+        const text = JSON.stringify(event.message);
+        this._countReceived(text, event.message && event.message.from);
+
+        // A copy, so handlers can't alter the recording
+        const message = JSON.parse(text);
+        this._rebasePong(message, event.t);
+        this.emit('message', message);
+        break;
+      }
+
+      case 'out':
+        this._countSent(JSON.stringify(event.message), event.to ? [event.to] : Array.from(this.peers));
+        break;
+
+      case 'peer-joined':
+        this.peers.add(event.peerId);
+        this.emit('peer-joined', event.peerId);
+        break;
+
+      case 'peer-left':
+        this.peers.delete(event.peerId);
+        this.emit('peer-left', event.peerId);
+        break;
+
+      case 'connected':
+      case 'resumed':
+        this._setPeers(event.peers);
+        break;
+
+      case 'disconnected':
+        this._setPeers([]);
+        break;
+    }
+  }
+
+  /**
+   * Announce the difference between the current peers and a recorded list
+   * @param {string[]} peers - Who is in the session now
+   * @private
+   */
+  _setPeers(peers) {
+    const next = new Set(peers);
+    Array.from(this.peers)
+      .filter(peerId => !next.has(peerId))
+      .forEach(peerId => {
+        this.peers.delete(peerId);
+        this.emit('peer-left', peerId);
+      });
+    peers
+      .filter(peerId => !this.peers.has(peerId))
+      .forEach(peerId => {
+        this.peers.add(peerId);
+        this.emit('peer-joined', peerId);
+      });
+  }
+
+  /**
+   * Move a pong's echoed ping time onto this page's clock
+   * The ping was stamped with the recording page's performance.now(); the
+   * replayed pong gets the same round trip it had in the session, ending now.
+   * @param {Object} message - The incoming message
+   * @param {number} time - When the pong arrived in the recording, in ms
+   * @private
+   */
+  _rebasePong(message, time) {
+    const data = message.type === 'physics' ? message.data : null;
+    if (!data || data.type !== 'physics-pong' || !Number.isFinite(data.pingSentAt)) return;
+
+    const roundTrip = time - (data.pingSentAt - this.recording.clockStart);
+    data.pingSentAt = performance.now() - roundTrip;
+  }
+}
+
+export default ReplayTransport;
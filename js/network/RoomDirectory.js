@@ -0,0 +1,76 @@
+/**
+ * RoomDirectory - Room codes, invite links and the relay's room list
+ *
+ * Room names double as shareable codes. Generated codes avoid characters
+ * that are easy to misread (0/O, 1/I/L) so they can be read out loud.
+ */
+
+// Unambiguous characters for generated room codes
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Same rule as the relay's ROOM_NAME_PATTERN
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const RoomDirectory = {
+  /**
+   * Generate a random room code
+   * @returns {string} A code like 'K7QX2M'
+   */
+  generateCode: function() {
+    const values = new Uint32Array(CODE_LENGTH);
+    crypto.getRandomValues(values);
+
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[values[i] % CODE_ALPHABET.length];
+    }
+    return code;
+  },
+
+  /**
+   * Clean up a room code typed or pasted by a user
+   * @param {string} input - The raw input
+   * @returns {string|null} The room name, or null if it isn't valid
+   */
+  normalizeCode: function(input) {
+    const code = String(input || '').trim();
+    return ROOM_NAME_PATTERN.test(code) ? code : null;
+  },
+
+  /**
+   * Build a link that opens this page in a room
+   * @param {string} room - The room name
+   * @returns {string} The invite URL (keeps other query params, e.g. server and transport)
+   */
+  getInviteLink: function(room) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('multiplayer', 'true');
+    url.searchParams.set('room', room);
+    url.searchParams.delete('token'); // Join tokens are personal; invitees need their own or the password
+    url.hash = '';
+    return url.toString();
+  },
+
+  /**
+   * Fetch the rooms that are open to browse
+   * @param {string} serverUrl - Relay URL (ws:// or wss://)
+   * @returns {Promise<Object[]>} Resolves with [{ name, occupants, maxPeers, protected }]
+   */
+  listRooms: function(serverUrl) {
+    // The relay serves the list over plain HTTP on the same port
+    const url = new URL(serverUrl);
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+    url.pathname = '/rooms';
+    url.search = '';
+
+    return fetch(url.toString()).then(response => {
+      if (!response.ok) {
+        throw new Error(`Room list request failed (${response.status})`);
+      }
+      return response.json();
+    });
+  }
+};
+
+export default RoomDirectory;
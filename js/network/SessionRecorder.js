@@ -0,0 +1,174 @@
+/**
+ * SessionRecorder - Records a multiplayer session's traffic to a file
+ *
+ * MultiplayerManager feeds it every message it sends and receives (which
+ * includes all PhysicsSyncManager traffic), plus peers joining and leaving
+ * and the session starting, resuming and ending. Each event is stamped with
+ * the time since recording started. The result downloads as a JSON file
+ * that ReplayTransport can play back on any machine.
+ *
+ * File layout:
+ *   {
+ *     format: 'vrmobdesk-session', version, protocol, recordedAt,
+ *     localId, room, clockStart, duration,
+ *     events: [{ t, kind, ... }]
+ *   }
+ * clockStart is the recording page's performance.now() when recording
+ * began, so local-clock timestamps inside messages can be placed on the
+ * timeline. Event kinds:
+ *   connected { peers, maxPeers }  - session started (or was already running)
+ *   resumed { peers }              - session picked up after a dropped connection
+ *   disconnected {}
+ *   peer-joined { peerId } / peer-left { peerId }
+ *   in { message }                 - as received, before validation
+ *   out { message, to, reliable }  - to is null for broadcasts
+ */
+
+import Protocol from './Protocol.js';
+
+const FORMAT = 'vrmobdesk-session';
+const FORMAT_VERSION = 1;
+
+// Recording stops by itself after this many events (roughly 20-50 MB of JSON)
+const MAX_EVENTS = 200000;
+
+class SessionRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEvents] - Stop after this many events
+   */
+  constructor(options = {}) {
+    this.maxEvents = options.maxEvents || MAX_EVENTS;
+    this.isRecording = false;
+    this.header = null;
+    this.clockStart = 0;
+    this.events = []; // Serialized events, joined into the file on download
+    this.endTime = 0;
+  }
+
+  /**
+   * Start a new recording, discarding any previous one
+   * @param {Object} session - { localId, room }
+   */
+  start(session) {
+    this.header = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      protocol: Protocol.VERSION,
+      recordedAt: new Date().toISOString(),
+      localId: session.localId,
+      room: session.room
+    };
+    this.clockStart = performance.now();
+    this.events = [];
+    this.endTime = 0;
+    this.isRecording = true;
+  }
+
+  /**
+   * Add an event; stops the recording once it is full
+   * @param {string} kind - The event kind (see above)
+   * @param {Object} [fields] - The event's fields
+   */
+  record(kind, fields = {}) {
+    if (!this.isRecording) return;
+
+    if (this.events.length >= this.maxEvents) {
+      console.warn(`SessionRecorder: Recording full after ${this.maxEvents} events, stopping`);
+      this.stop();
+      return;
+    }
+    this.events.push(JSON.stringify({ t: performance.now() - this.clockStart, kind, ...fields }));
+  }
+
+  /**
+   * Stop recording; the events are kept until the next start()
+   */
+  stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+    this.endTime = performance.now();
+  }
+
+  /**
+   * @returns {boolean} True if there is something to download
+   */
+  hasRecording() {
+    return this.header !== null;
+  }
+
+  /**
+   * @returns {number} Length of the recording so far, in ms
+   */
+  getDuration() {
+    if (!this.header) return 0;
+    return (this.isRecording ? performance.now() : this.endTime) - this.clockStart;
+  }
+
+  /**
+   * @returns {number} Events recorded so far
+   */
+  getEventCount() {
+    return this.events.length;
+  }
+
+  /**
+   * @returns {string} The recording file's contents
+   */
+  serialize() {
+    const header = JSON.stringify({
+      ...this.header,
+      clockStart: this.clockStart,
+      duration: this.getDuration()
+    });
+    // Splice the already serialized events into the header object
+    return `${header.slice(0, -1)},"events":[\n${this.events.join(',\n')}\n]}`;
+  }
+
+  /**
+   * Save the recording through the browser's download prompt
+   * @param {string} [filename] - Defaults to session-<room>-<time>.json
+   */
+  download(filename) {
+    if (!this.header) return;
+
+    const name = filename ||
+      `session-${this.header.room}-${this.header.recordedAt.replace(/[:.]/g, '-')}.json`;
+    const url = URL.createObjectURL(new Blob([this.serialize()], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Read a recording file
+   * @param {string} text - The file's contents
+   * @returns {Object} The recording: the header fields plus parsed `events`
+   * @throws {Error} If the file isn't a recording this version can read
+   */
+  static parse(text) {
+    let recording;
+    try {
+      recording = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Not a session recording (invalid JSON)');
+    }
+
+    if (!recording || recording.format !== FORMAT || !Array.isArray(recording.events)) {
+      throw new Error('Not a session recording');
+    }
+    if (recording.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported recording version ${recording.version}`);
+    }
+    if (recording.protocol !== Protocol.VERSION) {
+      console.warn(`SessionRecorder: Recorded with protocol ${recording.protocol}, this client speaks ${Protocol.VERSION}; some messages may be dropped`);
+    }
+    return recording;
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,435 @@
+/**
+ * SnapshotCodec - Compact binary encoding for physics snapshots
+ *
+ * This module provides:
+ * - Quantization of physics states (millimetre positions, centi-unit velocities)
+ * - Smallest-three quaternion compression into 32 bits
+ * - Per-object delta encoding against a baseline snapshot
+ * - Packing a whole tick's worth of objects into one base64 string
+ *
+ * The snapshot travels as a base64 string inside a regular JSON message, so
+ * the transports and the relay stay text-only.
+ *
+ * Layout (little endian):
+ *   header: uint8 version, uint8 flags, uint16 sequence, uint16 baseline,
+ *           float64 timestamp, uint16 entryCount
+ *   entry:  uint16 netId, uint8 mask,
+ *           [uint8 nameLength, name bytes]     (ENTRY_NAME)
+ *           [3 x int32 | 3 x int16 position]   (ENTRY_POSITION, int16 if ENTRY_POSITION_DELTA)
+ *           [uint32 quaternion]                (ENTRY_QUATERNION)
+ *           [3 x int16 linear velocity]        (ENTRY_LINEAR_VELOCITY)
+ *           [3 x int16 angular velocity]       (ENTRY_ANGULAR_VELOCITY)
+ */
+
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 16;
+const FLAG_HAS_BASELINE = 0x01;
+
+const ENTRY_NAME = 0x01;
+const ENTRY_POSITION = 0x02;
+const ENTRY_POSITION_DELTA = 0x04;
+const ENTRY_QUATERNION = 0x08;
+const ENTRY_LINEAR_VELOCITY = 0x10;
+const ENTRY_ANGULAR_VELOCITY = 0x20;
+
+const POSITION_SCALE = 1000; // 1 mm
+const VELOCITY_SCALE = 100; // 0.01 m/s or rad/s
+const QUATERNION_BITS = 10;
+const QUATERNION_MAX = (1 << QUATERNION_BITS) - 1;
+const QUATERNION_RANGE = Math.SQRT1_2; // Smallest three are within +-1/sqrt(2)
+
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+const MAX_NAME_LENGTH = 255;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Clamp and round a value to an int16
+ * @param {number} value - The value
+ * @returns {number} The int16
+ */
+function toInt16(value) {
+  return Math.max(INT16_MIN, Math.min(INT16_MAX, Math.round(value)));
+}
+
+const SnapshotCodec = {
+  /**
+   * Quantize a physics state as produced by getObjectPhysicsState()
+   * @param {Object} state - { position, quaternion, linearVelocity?, angularVelocity? }
+   * @returns {Object} Quantized state with integer fields
+   */
+  quantizeState(state) {
+    const linear = state.linearVelocity || { x: 0, y: 0, z: 0 };
+    const angular = state.angularVelocity || { x: 0, y: 0, z: 0 };
+
+    return {
+      px: Math.round(state.position.x * POSITION_SCALE),
+      py: Math.round(state.position.y * POSITION_SCALE),
+      pz: Math.round(state.position.z * POSITION_SCALE),
+      q: this.packQuaternion(state.quaternion),
+      vx: toInt16(linear.x * VELOCITY_SCALE),
+      vy: toInt16(linear.y * VELOCITY_SCALE),
+      vz: toInt16(linear.z * VELOCITY_SCALE),
+      ax: toInt16(angular.x * VELOCITY_SCALE),
+      ay: toInt16(angular.y * VELOCITY_SCALE),
+      az: toInt16(angular.z * VELOCITY_SCALE)
+    };
+  },
+
+  /**
+   * Turn a quantized state back into a physics state
+   * @param {Object} quantized - The quantized state
+   * @param {number} timestamp - Sender timestamp for the state
+   * @returns {Object} The physics state
+   */
+  dequantizeState(quantized, timestamp) {
+    return {
+      position: {
+        x: quantized.px / POSITION_SCALE,
+        y: quantized.py / POSITION_SCALE,
+        z: quantized.pz / POSITION_SCALE
+      },
+      quaternion: this.unpackQuaternion(quantized.q),
+      linearVelocity: {
+        x: quantized.vx / VELOCITY_SCALE,
+        y: quantized.vy / VELOCITY_SCALE,
+        z: quantized.vz / VELOCITY_SCALE
+      },
+      angularVelocity: {
+        x: quantized.ax / VELOCITY_SCALE,
+        y: quantized.ay / VELOCITY_SCALE,
+        z: quantized.az / VELOCITY_SCALE
+      },
+      timestamp
+    };
+  },
+
+  /**
+   * Compress a unit quaternion with the smallest-three method
+   * The largest component is dropped (its index takes the top 2 bits) and
+   * rebuilt on decode; the other three get 10 bits each.
+   * @param {Object} quaternion - {x, y, z, w}
+   * @returns {number} Packed uint32
+   */
+  packQuaternion(quaternion) {
+    const components = [quaternion.x, quaternion.y, quaternion.z, quaternion.w];
+    const length = Math.hypot(...components) || 1;
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+      if (Math.abs(components[i]) > Math.abs(components[largest])) {
+        largest = i;
+      }
+    }
+
+    // q and -q are the same rotation; make the dropped component positive
+    const sign = components[largest] < 0 ? -1 : 1;
+
+    let packed = largest;
+    for (let i = 0; i < 4; i++) {
+      if (i === largest) continue;
+      const normalized = (components[i] * sign / length + QUATERNION_RANGE) / (2 * QUATERNION_RANGE);
+      const bits = Math.max(0, Math.min(QUATERNION_MAX, Math.round(normalized * QUATERNION_MAX)));
+      packed = (packed << QUATERNION_BITS) | bits;
+    }
+
+    return packed >>> 0;
+  },
+
+  /**
+   * Expand a smallest-three quaternion
+   * @param {number} packed - Packed uint32
+   * @returns {Object} {x, y, z, w}
+   */
+  unpackQuaternion(packed) {
+    const largest = packed >>> (QUATERNION_BITS * 3);
+    const components = [0, 0, 0, 0];
+    let sumSquares = 0;
+    let shift = QUATERNION_BITS * 2;
+
+    for (let i = 0; i < 4; i++) {
+      if (i === largest) continue;
+      const bits = (packed >>> shift) & QUATERNION_MAX;
+      const value = (bits / QUATERNION_MAX) * 2 * QUATERNION_RANGE - QUATERNION_RANGE;
+      components[i] = value;
+      sumSquares += value * value;
+      shift -= QUATERNION_BITS;
+    }
+
+    components[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+
+    return { x: components[0], y: components[1], z: components[2], w: components[3] };
+  },
+
+  /**
+   * Whether two quantized states are identical
+   * @param {Object} a - Quantized state
+   * @param {Object} b - Quantized state
+   * @returns {boolean} True if nothing changed
+   */
+  statesEqual(a, b) {
+    return a.px === b.px && a.py === b.py && a.pz === b.pz && a.q === b.q &&
+      a.vx === b.vx && a.vy === b.vy && a.vz === b.vz &&
+      a.ax === b.ax && a.ay === b.ay && a.az === b.az;
+  },
+
+  /**
+   * Whether sequence a is newer than sequence b (uint16, wraps around)
+   * @param {number} a - Sequence
+   * @param {number} b - Sequence
+   * @returns {boolean} True if a is newer
+   */
+  isNewerSequence(a, b) {
+    const difference = (a - b) & 0xFFFF;
+    return difference !== 0 && difference < 0x8000;
+  },
+
+  /**
+   * Encode a snapshot
+   * @param {Object} snapshot - The snapshot
+   * @param {number} snapshot.sequence - uint16 sequence number
+   * @param {number|null} snapshot.baseline - Sequence the deltas are against, or null
+   * @param {number} snapshot.timestamp - Sender timestamp (ms)
+   * @param {Array<Object>} snapshot.entries - { netId, name?, state, base? } where state
+   *   and base are quantized; name is required when the receiver may not know the netId yet
+   * @returns {string} Base64 encoded snapshot
+   */
+  encode(snapshot) {
+    // Work out each entry's mask and size first so the buffer is allocated once
+    let size = HEADER_SIZE;
+    const prepared = snapshot.entries.map(entry => {
+      const { state, base } = entry;
+      let mask = 0;
+      let nameBytes = null;
+      size += 3;
+
+      if (entry.name) {
+        nameBytes = textEncoder.encode(entry.name);
+        if (nameBytes.length > MAX_NAME_LENGTH) {
+          throw new Error(`SnapshotCodec: Object ID too long to encode: ${entry.name}`);
+        }
+        mask |= ENTRY_NAME;
+        size += 1 + nameBytes.length;
+      }
+
+      if (!base || state.px !== base.px || state.py !== base.py || state.pz !== base.pz) {
+        mask |= ENTRY_POSITION;
+        const fitsDelta = base &&
+          [state.px - base.px, state.py - base.py, state.pz - base.pz]
+            .every(d => d >= INT16_MIN && d <= INT16_MAX);
+        if (fitsDelta) {
+          mask |= ENTRY_POSITION_DELTA;
+          size += 6;
+        } else {
+          size += 12;
+        }
+      }
+      if (!base || state.q !== base.q) {
+        mask |= ENTRY_QUATERNION;
+        size += 4;
+      }
+      if (!base || state.vx !== base.vx || state.vy !== base.vy || state.vz !== base.vz) {
+        mask |= ENTRY_LINEAR_VELOCITY;
+        size += 6;
+      }
+      if (!base || state.ax !== base.ax || state.ay !== base.ay || state.az !== base.az) {
+        mask |= ENTRY_ANGULAR_VELOCITY;
+        size += 6;
+      }
+
+      return { entry, mask, nameBytes };
+    });
+
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    const hasBaseline = snapshot.baseline !== null && snapshot.baseline !== undefined;
+
+    view.setUint8(0, FORMAT_VERSION);
+    view.setUint8(1, hasBaseline ? FLAG_HAS_BASELINE : 0);
+    view.setUint16(2, snapshot.sequence, true);
+    view.setUint16(4, hasBaseline ? snapshot.baseline : 0, true);
+    view.setFloat64(6, snapshot.timestamp, true);
+    view.setUint16(14, prepared.length, true);
+
+    let offset = HEADER_SIZE;
+    prepared.forEach(({ entry, mask, nameBytes }) => {
+      const { state, base } = entry;
+      view.setUint16(offset, entry.netId, true);
+      view.setUint8(offset + 2, mask);
+      offset += 3;
+
+      if (mask & ENTRY_NAME) {
+        view.setUint8(offset, nameBytes.length);
+        bytes.set(nameBytes, offset + 1);
+        offset += 1 + nameBytes.length;
+      }
+      if (mask & ENTRY_POSITION_DELTA) {
+        view.setInt16(offset, state.px - base.px, true);
+        view.setInt16(offset + 2, state.py - base.py, true);
+        view.setInt16(offset + 4, state.pz - base.pz, true);
+        offset += 6;
+      } else if (mask & ENTRY_POSITION) {
+        view.setInt32(offset, state.px, true);
+        view.setInt32(offset + 4, state.py, true);
+        view.setInt32(offset + 8, state.pz, true);
+        offset += 12;
+      }
+      if (mask & ENTRY_QUATERNION) {
+        view.setUint32(offset, state.q, true);
+        offset += 4;
+      }
+      if (mask & ENTRY_LINEAR_VELOCITY) {
+        view.setInt16(offset, state.vx, true);
+        view.setInt16(offset + 2, state.vy, true);
+        view.setInt16(offset + 4, state.vz, true);
+        offset += 6;
+      }
+      if (mask & ENTRY_ANGULAR_VELOCITY) {
+        view.setInt16(offset, state.ax, true);
+        view.setInt16(offset + 2, state.ay, true);
+        view.setInt16(offset + 4, state.az, true);
+        offset += 6;
+      }
+    });
+
+    return this.toBase64(bytes);
+  },
+
+  /**
+   * Decode a snapshot
+   * Entries come back as partial deltas; merge them onto the baseline
+   * state with applyEntry().
+   * @param {string} encoded - Base64 encoded snapshot
+   * @returns {Object|null} { sequence, baseline, timestamp, entries } or null if unreadable
+   */
+  decode(encoded) {
+    let bytes;
+    try {
+      bytes = this.fromBase64(encoded);
+    } catch (error) {
+      return null;
+    }
+    if (bytes.length < HEADER_SIZE) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint8(0) !== FORMAT_VERSION) return null;
+
+    const hasBaseline = (view.getUint8(1) & FLAG_HAS_BASELINE) !== 0;
+    const snapshot = {
+      sequence: view.getUint16(2, true),
+      baseline: hasBaseline ? view.getUint16(4, true) : null,
+      timestamp: view.getFloat64(6, true),
+      entries: []
+    };
+    const count = view.getUint16(14, true);
+
+    let offset = HEADER_SIZE;
+    try {
+      for (let i = 0; i < count; i++) {
+        const entry = {
+          netId: view.getUint16(offset, true),
+          mask: view.getUint8(offset + 2)
+        };
+        offset += 3;
+
+        if (entry.mask & ENTRY_NAME) {
+          const length = view.getUint8(offset);
+          if (offset + 1 + length > bytes.length) return null;
+          entry.name = textDecoder.decode(bytes.subarray(offset + 1, offset + 1 + length));
+          offset += 1 + length;
+        }
+        if (entry.mask & ENTRY_POSITION_DELTA) {
+          entry.position = [view.getInt16(offset, true), view.getInt16(offset + 2, true), view.getInt16(offset + 4, true)];
+          offset += 6;
+        } else if (entry.mask & ENTRY_POSITION) {
+          entry.position = [view.getInt32(offset, true), view.getInt32(offset + 4, true), view.getInt32(offset + 8, true)];
+          offset += 12;
+        }
+        if (entry.mask & ENTRY_QUATERNION) {
+          entry.q = view.getUint32(offset, true);
+          offset += 4;
+        }
+        if (entry.mask & ENTRY_LINEAR_VELOCITY) {
+          entry.linearVelocity = [view.getInt16(offset, true), view.getInt16(offset + 2, true), view.getInt16(offset + 4, true)];
+          offset += 6;
+        }
+        if (entry.mask & ENTRY_ANGULAR_VELOCITY) {
+          entry.angularVelocity = [view.getInt16(offset, true), view.getInt16(offset + 2, true), view.getInt16(offset + 4, true)];
+          offset += 6;
+        }
+
+        snapshot.entries.push(entry);
+      }
+    } catch (error) {
+      // Truncated buffer (DataView throws RangeError)
+      return null;
+    }
+
+    return snapshot;
+  },
+
+  /**
+   * Rebuild a full quantized state from a decoded entry and its baseline
+   * @param {Object|undefined} base - Quantized baseline state, if the receiver has one
+   * @param {Object} entry - Decoded entry
+   * @returns {Object|null} Quantized state, or null if fields are missing without a baseline
+   */
+  applyEntry(base, entry) {
+    const full = ENTRY_POSITION | ENTRY_QUATERNION | ENTRY_LINEAR_VELOCITY | ENTRY_ANGULAR_VELOCITY;
+    if (!base && ((entry.mask & full) !== full || (entry.mask & ENTRY_POSITION_DELTA))) {
+      return null;
+    }
+
+    const state = base ? { ...base } : {};
+
+    if (entry.position) {
+      if (entry.mask & ENTRY_POSITION_DELTA) {
+        state.px += entry.position[0];
+        state.py += entry.position[1];
+        state.pz += entry.position[2];
+      } else {
+        [state.px, state.py, state.pz] = entry.position;
+      }
+    }
+    if (entry.mask & ENTRY_QUATERNION) {
+      state.q = entry.q;
+    }
+    if (entry.linearVelocity) {
+      [state.vx, state.vy, state.vz] = entry.linearVelocity;
+    }
+    if (entry.angularVelocity) {
+      [state.ax, state.ay, state.az] = entry.angularVelocity;
+    }
+
+    return state;
+  },
+
+  /**
+   * @param {Uint8Array} bytes - Raw bytes
+   * @returns {string} Base64
+   */
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  },
+
+  /**
+   * @param {string} base64 - Base64
+   * @returns {Uint8Array} Raw bytes
+   */
+  fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+};
+
+export default SnapshotCodec;
@@ -0,0 +1,142 @@
+/**
+ * Transport - Base class for multiplayer transports
+ *
+ * A transport moves JSON messages between the local user and the other
+ * peers in a session. MultiplayerManager only talks to this interface, so
+ * backends can be swapped without touching the rest of the code.
+ *
+ * Events (subscribe with on()):
+ * - 'peer-joined' (peerId)
+ * - 'peer-left' (peerId)
+ * - 'message' (message) - message.from is set to the sender's ID
+ * - 'close' ()
+ */
+
+class Transport {
+  constructor() {
+    this.isOpen = false;
+    this.localId = null;
+    this.listeners = {};
+    this.stats = {
+      bytesSent: 0,
+      bytesReceived: 0,
+      messagesSent: 0,
+      messagesReceived: 0,
+      peers: {} // peerId -> { bytesSent, bytesReceived, messagesSent, messagesReceived }
+    };
+  }
+
+  /**
+   * Connect and join the session
+   * @param {string} localId - The local user ID
+   * @returns {Promise<Object>} Resolves with { peers } once joined
+   */
+  connect(localId) {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement connect()`));
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - The message to send
+   * @param {string} [peerId] - Target peer, or all peers if omitted
+   * @param {Object} [options] - Send options
+   * @param {boolean} [options.reliable=true] - Whether delivery must be guaranteed.
+   *   Transports without an unreliable path may ignore this.
+   */
+  send(message, peerId, options) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  /**
+   * Leave the session and release resources
+   */
+  disconnect() {
+    throw new Error(`${this.constructor.name} does not implement disconnect()`);
+  }
+
+  /**
+   * Subscribe to a transport event
+   * @param {string} event - The event name
+   * @param {Function} handler - The handler
+   */
+  on(event, handler) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(handler);
+  }
+
+  /**
+   * Unsubscribe from a transport event
+   * @param {string} event - The event name
+   * @param {Function} handler - The handler
+   */
+  off(event, handler) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+  }
+
+  /**
+   * Notify subscribers of an event
+   * @param {string} event - The event name
+   * @param {...any} args - Arguments for the handlers
+   * @protected
+   */
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`${this.constructor.name}: Error in '${event}' handler:`, error);
+      }
+    });
+  }
+
+  /**
+   * Record an outgoing payload in the transport counters
+   * @param {string} text - The serialized payload
+   * @param {string[]} [peerIds] - The peers it is delivered to; a broadcast counts for each
+   * @protected
+   */
+  _countSent(text, peerIds = []) {
+    this.stats.bytesSent += text.length;
+    this.stats.messagesSent++;
+
+    peerIds.forEach(peerId => {
+      const peerStats = this._peerStats(peerId);
+      peerStats.bytesSent += text.length;
+      peerStats.messagesSent++;
+    });
+  }
+
+  /**
+   * Record an incoming payload in the transport counters
+   * @param {string} text - The serialized payload
+   * @param {string} [peerId] - The sender, if it is a peer
+   * @protected
+   */
+  _countReceived(text, peerId) {
+    this.stats.bytesReceived += text.length;
+    this.stats.messagesReceived++;
+
+    if (peerId) {
+      const peerStats = this._peerStats(peerId);
+      peerStats.bytesReceived += text.length;
+      peerStats.messagesReceived++;
+    }
+  }
+
+  /**
+   * @param {string} peerId - The peer
+   * @returns {Object} The peer's counters, created on first use
+   * @private
+   */
+  _peerStats(peerId) {
+    if (!this.stats.peers[peerId]) {
+      this.stats.peers[peerId] = { bytesSent: 0, bytesReceived: 0, messagesSent: 0, messagesReceived: 0 };
+    }
+    return this.stats.peers[peerId];
+  }
+}
+
+export default Transport;
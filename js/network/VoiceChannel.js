@@ -0,0 +1,268 @@
+/**
+ * VoiceChannel - Peer-to-peer voice over WebRTC audio tracks
+ *
+ * Every pair of peers with voice enabled shares one audio-only
+ * RTCPeerConnection, separate from whatever transport carries game traffic,
+ * so voice works with the relay and the WebRTC mesh alike. Signaling goes
+ * through a send callback (MultiplayerManager wraps it in `audio` messages).
+ *
+ * Handshake: a peer that enables voice sends 'voice-hello' to everyone, and
+ * every voice-enabled peer replies. Of each pair, the peer with the lower ID
+ * makes the offer, so both sides never offer at once.
+ *
+ * Events (subscribe with on()):
+ * - 'stream' (peerId, MediaStream) - a peer's voice arrived
+ * - 'stream-ended' (peerId) - a peer's voice connection closed
+ */
+
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+// Signal kinds handled here; anything else is left for other audio features
+const SIGNAL_KINDS = new Set(['voice-hello', 'voice-offer', 'voice-answer', 'voice-candidate']);
+
+class VoiceChannel {
+  /**
+   * @param {Object} options - Channel options
+   * @param {string} options.localId - The local user ID
+   * @param {Function} options.send - send(data, peerId?) delivers a signal; no peerId means everyone
+   * @param {RTCIceServer[]} [options.iceServers] - STUN/TURN servers
+   */
+  constructor(options) {
+    this.localId = options.localId;
+    this.sendSignal = options.send;
+    this.iceServers = options.iceServers || DEFAULT_ICE_SERVERS;
+    this.localStream = null;
+    this.peerConnections = {};
+    this.pendingCandidates = {};
+    this.listeners = {};
+  }
+
+  /**
+   * Set the microphone stream to send; without one the channel only listens
+   * @param {MediaStream|null} stream - The local audio stream
+   */
+  setLocalStream(stream) {
+    this.localStream = stream;
+  }
+
+  /**
+   * Tell all peers that voice is enabled here
+   */
+  announce() {
+    this.sendSignal({ kind: 'voice-hello' });
+  }
+
+  /**
+   * Handle a signal from a peer
+   * @param {string} peerId - The sender
+   * @param {Object} data - The signal payload
+   * @returns {boolean} True if the signal was a voice signal
+   */
+  handleSignal(peerId, data) {
+    if (!data || !SIGNAL_KINDS.has(data.kind)) return false;
+
+    switch (data.kind) {
+      case 'voice-hello':
+        if (!data.reply) {
+          this.sendSignal({ kind: 'voice-hello', reply: true }, peerId);
+        }
+        if (this.localId < peerId && !this.peerConnections[peerId]) {
+          this._createOffer(peerId);
+        }
+        break;
+
+      case 'voice-offer': {
+        // A renegotiation from scratch, e.g. after the peer reloaded
+        this.removePeer(peerId);
+        const connection = this._createPeerConnection(peerId);
+        connection.setRemoteDescription({ type: 'offer', sdp: data.sdp })
+          .then(() => {
+            // Added after the offer so the track reuses the offered transceiver
+            this._addLocalTracks(connection);
+            return this._flushCandidates(peerId);
+          })
+          .then(() => connection.createAnswer())
+          .then(answer => connection.setLocalDescription(answer))
+          .then(() => {
+            this.sendSignal({ kind: 'voice-answer', sdp: connection.localDescription.sdp }, peerId);
+          })
+          .catch(error => {
+            console.error(`VoiceChannel: Failed to answer offer from ${peerId}:`, error);
+          });
+        break;
+      }
+
+      case 'voice-answer': {
+        const connection = this.peerConnections[peerId];
+        if (!connection) break;
+        connection.setRemoteDescription({ type: 'answer', sdp: data.sdp })
+          .then(() => this._flushCandidates(peerId))
+          .catch(error => {
+            console.error(`VoiceChannel: Failed to apply answer from ${peerId}:`, error);
+          });
+        break;
+      }
+
+      case 'voice-candidate': {
+        const connection = this.peerConnections[peerId];
+        if (!connection) break;
+        if (connection.remoteDescription) {
+          connection.addIceCandidate(data.candidate).catch(error => {
+            console.warn(`VoiceChannel: Failed to add ICE candidate from ${peerId}:`, error);
+          });
+        } else {
+          this.pendingCandidates[peerId].push(data.candidate);
+        }
+        break;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Close a peer's voice connection
+   * @param {string} peerId - The remote peer
+   */
+  removePeer(peerId) {
+    const connection = this.peerConnections[peerId];
+    if (!connection) return;
+
+    connection.close();
+    delete this.peerConnections[peerId];
+    delete this.pendingCandidates[peerId];
+    this.emit('stream-ended', peerId);
+  }
+
+  /**
+   * Close all voice connections; the local stream is kept
+   */
+  close() {
+    Object.keys(this.peerConnections).forEach(peerId => this.removePeer(peerId));
+  }
+
+  /**
+   * Subscribe to a channel event
+   * @param {string} event - The event name
+   * @param {Function} handler - The handler
+   */
+  on(event, handler) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(handler);
+  }
+
+  /**
+   * Unsubscribe from a channel event
+   * @param {string} event - The event name
+   * @param {Function} handler - The handler
+   */
+  off(event, handler) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+  }
+
+  /**
+   * Notify subscribers of an event
+   * @param {string} event - The event name
+   * @param {...any} args - Arguments for the handlers
+   * @protected
+   */
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`VoiceChannel: Error in '${event}' handler:`, error);
+      }
+    });
+  }
+
+  /**
+   * Create the voice connection for a peer
+   * @param {string} peerId - The remote peer
+   * @returns {RTCPeerConnection} The connection
+   * @private
+   */
+  _createPeerConnection(peerId) {
+    const connection = new RTCPeerConnection({ iceServers: this.iceServers });
+    this.peerConnections[peerId] = connection;
+    this.pendingCandidates[peerId] = [];
+
+    connection.onicecandidate = (evt) => {
+      if (evt.candidate) {
+        this.sendSignal({ kind: 'voice-candidate', candidate: evt.candidate.toJSON() }, peerId);
+      }
+    };
+
+    connection.ontrack = (evt) => {
+      const stream = evt.streams[0] || new MediaStream([evt.track]);
+      this.emit('stream', peerId, stream);
+    };
+
+    connection.onconnectionstatechange = () => {
+      if (connection.connectionState === 'failed') {
+        console.warn(`VoiceChannel: Voice connection to ${peerId} failed`);
+      }
+    };
+
+    return connection;
+  }
+
+  /**
+   * Start a voice connection with a peer
+   * @param {string} peerId - The remote peer
+   * @private
+   */
+  _createOffer(peerId) {
+    const connection = this._createPeerConnection(peerId);
+
+    if (this.localStream) {
+      this._addLocalTracks(connection);
+    } else {
+      connection.addTransceiver('audio', { direction: 'recvonly' });
+    }
+
+    connection.createOffer()
+      .then(offer => connection.setLocalDescription(offer))
+      .then(() => {
+        this.sendSignal({ kind: 'voice-offer', sdp: connection.localDescription.sdp }, peerId);
+      })
+      .catch(error => {
+        console.error(`VoiceChannel: Failed to create offer for ${peerId}:`, error);
+      });
+  }
+
+  /**
+   * Add the microphone tracks to a connection
+   * @param {RTCPeerConnection} connection - The connection
+   * @private
+   */
+  _addLocalTracks(connection) {
+    if (!this.localStream) return;
+    this.localStream.getAudioTracks().forEach(track => {
+      connection.addTrack(track, this.localStream);
+    });
+  }
+
+  /**
+   * Apply ICE candidates that arrived before the remote description
+   * @param {string} peerId - The remote peer
+   * @returns {Promise} Resolves once all candidates are added
+   * @private
+   */
+  _flushCandidates(peerId) {
+    const connection = this.peerConnections[peerId];
+    const candidates = this.pendingCandidates[peerId] || [];
+    this.pendingCandidates[peerId] = [];
+
+    return Promise.all(candidates.map(candidate =>
+      connection.addIceCandidate(candidate).catch(error => {
+        console.warn(`VoiceChannel: Failed to add queued ICE candidate from ${peerId}:`, error);
+      })
+    ));
+  }
+}
+
+export default VoiceChannel;
@@ -0,0 +1,375 @@
+/**
+ * WebRTCTransport - Peer-to-peer multiplayer transport over a WebRTC mesh
+ *
+ * Every pair of peers shares one RTCPeerConnection with two data channels:
+ * - 'unreliable' (unordered, no retransmits) for position and physics state
+ * - 'reliable' (ordered) for events
+ *
+ * Offers, answers and ICE candidates travel over a signaling adapter. Any
+ * Transport can act as the adapter; the default is a WebSocketTransport on
+ * the local relay. Until a peer's channel is open, messages to that peer are
+ * sent through the signaling adapter instead, so nothing is lost while the
+ * connection is being negotiated. Messages the relay itself acts on (a
+ * host's kick) always go through the signaling adapter.
+ */
+
+import Transport from './Transport.js';
+import WebSocketTransport from './WebSocketTransport.js';
+
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+// Pre-negotiated channel IDs, so both sides create them without an extra round trip
+const CHANNELS = {
+  reliable: { id: 0, ordered: true },
+  unreliable: { id: 1, ordered: false, maxRetransmits: 0 }
+};
+
+// Message types the relay has to see, not just the peers
+const RELAY_TYPES = new Set(['kick']);
+
+class WebRTCTransport extends Transport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Transport} [options.signaling] - Signaling adapter (defaults to a WebSocketTransport)
+   * @param {string} [options.url] - Relay URL for the default signaling adapter
+   * @param {string} [options.room='default'] - Room for the default signaling adapter
+   * @param {number} [options.maxPeers] - Room size for the default signaling adapter
+   * @param {boolean} [options.listed] - Room listing for the default signaling adapter
+   * @param {string} [options.resumeToken] - Session to resume, for the default signaling adapter
+   * @param {string} [options.password] - Room password, for the default signaling adapter
+   * @param {string} [options.token] - Join token, for the default signaling adapter
+   * @param {RTCIceServer[]} [options.iceServers] - STUN/TURN servers
+   */
+  constructor(options = {}) {
+    super();
+    this.signaling = options.signaling ||
+      new WebSocketTransport({
+        url: options.url,
+        room: options.room,
+        maxPeers: options.maxPeers,
+        listed: options.listed,
+        resumeToken: options.resumeToken,
+        password: options.password,
+        token: options.token
+      });
+    this.iceServers = options.iceServers || DEFAULT_ICE_SERVERS;
+    this.peerIds = new Set();
+    this.peerConnections = {};
+    this.dataChannels = {};
+    this.pendingCandidates = {};
+
+    this._onSignalingMessage = this._onSignalingMessage.bind(this);
+    this._onSignalingPeerJoined = this._onSignalingPeerJoined.bind(this);
+    this._onSignalingPeerLeft = this._onSignalingPeerLeft.bind(this);
+    this._onSignalingClose = this._onSignalingClose.bind(this);
+  }
+
+  /**
+   * Join the session through the signaling adapter and offer to existing peers
+   * @param {string} localId - The local user ID
+   * @returns {Promise<Object>} Resolves with { peers, maxPeers }
+   */
+  connect(localId) {
+    this.localId = localId;
+
+    this.signaling.on('message', this._onSignalingMessage);
+    this.signaling.on('peer-joined', this._onSignalingPeerJoined);
+    this.signaling.on('peer-left', this._onSignalingPeerLeft);
+    this.signaling.on('close', this._onSignalingClose);
+
+    return this.signaling.connect(localId).then(result => {
+      this.isOpen = true;
+      result.peers.forEach(peerId => this.peerIds.add(peerId));
+
+      // The newcomer makes the offers; existing peers wait for them.
+      // This keeps both sides from offering at once.
+      result.peers.forEach(peerId => this._createOffer(peerId));
+
+      return result;
+    });
+  }
+
+  /**
+   * Send a message over the data channels
+   * @param {Object} message - The message to send
+   * @param {string} [peerId] - Target peer, or all peers if omitted
+   * @param {Object} [options] - Send options
+   * @param {boolean} [options.reliable=true] - Use the reliable channel
+   */
+  send(message, peerId, options = {}) {
+    if (!this.isOpen) return;
+
+    const targets = peerId ? [peerId] : Array.from(this.peerIds);
+    const text = JSON.stringify(message);
+
+    if (RELAY_TYPES.has(message.type)) {
+      this.signaling.send(message, peerId, options);
+      this._countSent(text, targets);
+      return;
+    }
+
+    const channelName = options.reliable === false ? 'unreliable' : 'reliable';
+
+    targets.forEach(targetId => {
+      const channels = this.dataChannels[targetId];
+      const channel = channels && channels[channelName];
+
+      if (channel && channel.readyState === 'open') {
+        channel.send(text);
+        this._countSent(text, [targetId]);
+      } else {
+        // Channel not up yet (or never will be), go through the signaling adapter
+        this.signaling.send(message, targetId, options);
+        this._countSent(text, [targetId]);
+      }
+    });
+  }
+
+  /**
+   * Close all peer connections and leave the signaling session
+   */
+  disconnect() {
+    Object.keys(this.peerConnections).forEach(peerId => this._closePeer(peerId));
+    this.peerIds.clear();
+
+    this.signaling.off('message', this._onSignalingMessage);
+    this.signaling.off('peer-joined', this._onSignalingPeerJoined);
+    this.signaling.off('peer-left', this._onSignalingPeerLeft);
+    this.signaling.off('close', this._onSignalingClose);
+    this.signaling.disconnect();
+
+    this.isOpen = false;
+  }
+
+  /**
+   * Create the peer connection and both data channels for a peer
+   * @param {string} peerId - The remote peer
+   * @returns {RTCPeerConnection} The connection
+   * @private
+   */
+  _createPeerConnection(peerId) {
+    if (this.peerConnections[peerId]) {
+      return this.peerConnections[peerId];
+    }
+
+    const connection = new RTCPeerConnection({ iceServers: this.iceServers });
+    this.peerConnections[peerId] = connection;
+    this.pendingCandidates[peerId] = [];
+
+    connection.onicecandidate = (evt) => {
+      if (evt.candidate) {
+        this._sendSignal(peerId, { kind: 'candidate', candidate: evt.candidate.toJSON() });
+      }
+    };
+
+    connection.onconnectionstatechange = () => {
+      if (connection.connectionState === 'failed') {
+        console.warn(`WebRTCTransport: Connection to ${peerId} failed, using relay for this peer`);
+      }
+    };
+
+    this.dataChannels[peerId] = {};
+    Object.entries(CHANNELS).forEach(([name, config]) => {
+      const channel = connection.createDataChannel(name, { negotiated: true, ...config });
+      channel.onmessage = (evt) => this._onChannelMessage(peerId, evt.data);
+      channel.onopen = () => {
+        if (name === 'reliable') {
+          console.log(`WebRTCTransport: Data channels open with ${peerId}`);
+        }
+      };
+      this.dataChannels[peerId][name] = channel;
+    });
+
+    return connection;
+  }
+
+  /**
+   * Start negotiation with a peer
+   * @param {string} peerId - The remote peer
+   * @private
+   */
+  _createOffer(peerId) {
+    const connection = this._createPeerConnection(peerId);
+
+    connection.createOffer()
+      .then(offer => connection.setLocalDescription(offer))
+      .then(() => {
+        this._sendSignal(peerId, { kind: 'offer', sdp: connection.localDescription.sdp });
+      })
+      .catch(error => {
+        console.error(`WebRTCTransport: Failed to create offer for ${peerId}:`, error);
+      });
+  }
+
+  /**
+   * Handle an offer, answer or ICE candidate from a peer
+   * @param {string} peerId - The remote peer
+   * @param {Object} signal - The signal payload
+   * @private
+   */
+  _handleSignal(peerId, signal) {
+    switch (signal.kind) {
+      case 'offer': {
+        // An offer on an established connection means the peer started over,
+        // e.g. after resuming a session with a new transport
+        const existing = this.peerConnections[peerId];
+        if (existing && existing.remoteDescription) {
+          this._closePeer(peerId);
+        }
+
+        const connection = this._createPeerConnection(peerId);
+        connection.setRemoteDescription({ type: 'offer', sdp: signal.sdp })
+          .then(() => this._flushCandidates(peerId))
+          .then(() => connection.createAnswer())
+          .then(answer => connection.setLocalDescription(answer))
+          .then(() => {
+            this._sendSignal(peerId, { kind: 'answer', sdp: connection.localDescription.sdp });
+          })
+          .catch(error => {
+            console.error(`WebRTCTransport: Failed to answer offer from ${peerId}:`, error);
+          });
+        break;
+      }
+
+      case 'answer': {
+        const connection = this.peerConnections[peerId];
+        if (!connection) return;
+        connection.setRemoteDescription({ type: 'answer', sdp: signal.sdp })
+          .then(() => this._flushCandidates(peerId))
+          .catch(error => {
+            console.error(`WebRTCTransport: Failed to apply answer from ${peerId}:`, error);
+          });
+        break;
+      }
+
+      case 'candidate': {
+        const connection = this._createPeerConnection(peerId);
+        if (connection.remoteDescription) {
+          connection.addIceCandidate(signal.candidate).catch(error => {
+            console.warn(`WebRTCTransport: Failed to add ICE candidate from ${peerId}:`, error);
+          });
+        } else {
+          // Candidates can arrive before the offer/answer is applied
+          this.pendingCandidates[peerId].push(signal.candidate);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Apply ICE candidates that arrived before the remote description
+   * @param {string} peerId - The remote peer
+   * @returns {Promise} Resolves once all candidates are added
+   * @private
+   */
+  _flushCandidates(peerId) {
+    const connection = this.peerConnections[peerId];
+    const candidates = this.pendingCandidates[peerId] || [];
+    this.pendingCandidates[peerId] = [];
+
+    return Promise.all(candidates.map(candidate =>
+      connection.addIceCandidate(candidate).catch(error => {
+        console.warn(`WebRTCTransport: Failed to add queued ICE candidate from ${peerId}:`, error);
+      })
+    ));
+  }
+
+  /**
+   * Send a signaling payload to a peer
+   * @param {string} peerId - The remote peer
+   * @param {Object} data - The signal payload
+   * @private
+   */
+  _sendSignal(peerId, data) {
+    this.signaling.send({ type: 'signal', data }, peerId);
+  }
+
+  /**
+   * Close and forget a peer's connection
+   * @param {string} peerId - The remote peer
+   * @private
+   */
+  _closePeer(peerId) {
+    const connection = this.peerConnections[peerId];
+    if (connection) {
+      connection.close();
+    }
+    delete this.peerConnections[peerId];
+    delete this.dataChannels[peerId];
+    delete this.pendingCandidates[peerId];
+  }
+
+  /**
+   * Handle a message arriving on a data channel
+   * @param {string} peerId - The peer the channel belongs to
+   * @param {string} text - The raw message
+   * @private
+   */
+  _onChannelMessage(peerId, text) {
+    this._countReceived(text, peerId);
+
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      console.warn(`WebRTCTransport: Ignoring malformed message from ${peerId}`);
+      return;
+    }
+    if (!message || !message.type) return;
+
+    // The channel identifies the sender, so it overrides anything self-reported
+    message.from = peerId;
+    this.emit('message', message);
+  }
+
+  /**
+   * Handle a message from the signaling adapter
+   * @param {Object} message - The message
+   * @private
+   */
+  _onSignalingMessage(message) {
+    if (message.type === 'signal') {
+      if (message.from && message.data) {
+        this._handleSignal(message.from, message.data);
+      }
+      return;
+    }
+
+    // Regular traffic that was sent through the relay fallback; counted like
+    // channel traffic so a peer without data channels still shows up in the stats
+    this._countReceived(JSON.stringify(message), message.from);
+    this.emit('message', message);
+  }
+
+  /**
+   * @param {string} peerId - The peer that joined signaling
+   * @private
+   */
+  _onSignalingPeerJoined(peerId) {
+    this.peerIds.add(peerId);
+    this.emit('peer-joined', peerId);
+  }
+
+  /**
+   * @param {string} peerId - The peer that left signaling
+   * @private
+   */
+  _onSignalingPeerLeft(peerId) {
+    this.peerIds.delete(peerId);
+    this._closePeer(peerId);
+    this.emit('peer-left', peerId);
+  }
+
+  /**
+   * @private
+   */
+  _onSignalingClose() {
+    Object.keys(this.peerConnections).forEach(peerId => this._closePeer(peerId));
+    this.peerIds.clear();
+    this.isOpen = false;
+    this.emit('close');
+  }
+}
+
+export default WebRTCTransport;
@@ -0,0 +1,229 @@
+/**
+ * WebSocketTransport - Multiplayer transport over the local relay server
+ *
+ * Connects to server/relay-server.js, joins a room and exchanges JSON
+ * messages with every other client in that room. The relay stamps each
+ * forwarded message with the sender's ID in `from`.
+ *
+ * The relay's welcome carries a resume token. Passing it back as
+ * `resumeToken` on a later join, within the relay's grace window after a
+ * dropped connection, resumes the session instead of joining anew.
+ *
+ * Protected rooms need `password` (set by whoever created the room) or a
+ * join `token` signed for the room (see server/join-token.js).
+ */
+
+import Transport from './Transport.js';
+
+class WebSocketTransport extends Transport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.url - Relay server URL (ws:// or wss://)
+   * @param {string} [options.room='default'] - Room to join
+   * @param {number} [options.maxPeers] - Maximum occupancy, if this join creates the room
+   * @param {boolean} [options.listed=true] - Show a room this join creates in the relay's room list
+   * @param {string} [options.resumeToken] - Token from an earlier welcome, to resume that session
+   * @param {string} [options.password] - Room password; protects a room this join creates
+   * @param {string} [options.token] - Signed join token for the room
+   */
+  constructor(options = {}) {
+    super();
+    this.url = options.url;
+    this.room = options.room || 'default';
+    this.maxPeers = options.maxPeers;
+    this.listed = options.listed !== false;
+    this.resumeToken = options.resumeToken || null;
+    this.password = options.password || null;
+    this.token = options.token || null;
+    this.socket = null;
+    this.peerIds = new Set(); // Room members, for the per-peer traffic counters
+
+    this._onSocketMessage = this._onSocketMessage.bind(this);
+    this._onSocketClose = this._onSocketClose.bind(this);
+    this._onPageHide = this._onPageHide.bind(this);
+  }
+
+  /**
+   * Open the socket and join the room
+   * @param {string} localId - The local user ID
+   * @returns {Promise<Object>} Resolves with { peers, maxPeers, resumeToken, resumed } from the relay welcome;
+   *   if the relay turns the join down, rejects with an Error whose `reason` is the relay's
+   *   (room-full, wrong-password, banned, ...)
+   */
+  connect(localId) {
+    this.localId = localId;
+
+    return new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = new WebSocket(this.url);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      this.socket = socket;
+
+      // Settled by the relay's welcome / join-rejected reply
+      this._pendingJoin = { resolve, reject };
+
+      socket.addEventListener('open', () => {
+        this._sendRaw({
+          type: 'join',
+          room: this.room,
+          id: localId,
+          maxPeers: this.maxPeers,
+          listed: this.listed,
+          resume: this.resumeToken || undefined,
+          password: this.password || undefined,
+          token: this.token || undefined
+        });
+      });
+
+      socket.addEventListener('error', () => {
+        if (this._pendingJoin) {
+          this._pendingJoin.reject(new Error(`Could not connect to relay at ${this.url}`));
+          this._pendingJoin = null;
+        }
+      });
+
+      socket.addEventListener('message', this._onSocketMessage);
+      socket.addEventListener('close', this._onSocketClose);
+      window.addEventListener('pagehide', this._onPageHide);
+    });
+  }
+
+  /**
+   * Send a message through the relay
+   * @param {Object} message - The message to send
+   * @param {string} [peerId] - Target peer, or the whole room if omitted
+   * @param {Object} [options] - Send options (ignored, the socket is always reliable)
+   */
+  send(message, peerId, options) {
+    if (!this.isOpen) return;
+    if (peerId) {
+      this._sendRaw({ ...message, to: peerId }, [peerId]);
+    } else {
+      this._sendRaw(message, Array.from(this.peerIds));
+    }
+  }
+
+  /**
+   * Leave the room and close the socket
+   */
+  disconnect() {
+    window.removeEventListener('pagehide', this._onPageHide);
+
+    if (this.socket) {
+      // Without this the relay would hold our place for a reconnect
+      this._sendRaw({ type: 'leave' });
+      this.socket.removeEventListener('message', this._onSocketMessage);
+      this.socket.removeEventListener('close', this._onSocketClose);
+      this.socket.close();
+      this.socket = null;
+    }
+    this.peerIds.clear();
+    this.isOpen = false;
+  }
+
+  /**
+   * Serialize and send a message on the socket
+   * @param {Object} message - The message
+   * @param {string[]} [peerIds] - The peers the relay delivers it to, for the counters
+   * @private
+   */
+  _sendRaw(message, peerIds) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+    const text = JSON.stringify(message);
+    this.socket.send(text);
+    this._countSent(text, peerIds);
+  }
+
+  /**
+   * Handle a message from the relay
+   * @param {MessageEvent} evt - The socket message event
+   * @private
+   */
+  _onSocketMessage(evt) {
+    let message;
+    try {
+      message = JSON.parse(evt.data);
+    } catch (error) {
+      this._countReceived(evt.data);
+      console.warn('WebSocketTransport: Ignoring malformed message from relay');
+      return;
+    }
+    this._countReceived(evt.data, message && message.from);
+    if (!message || !message.type) return;
+
+    switch (message.type) {
+      case 'welcome':
+        this.isOpen = true;
+        this.peerIds = new Set(message.peers || []);
+        if (this._pendingJoin) {
+          this._pendingJoin.resolve({
+            peers: message.peers || [],
+            maxPeers: message.maxPeers,
+            resumeToken: message.resumeToken || null,
+            resumed: !!message.resumed
+          });
+          this._pendingJoin = null;
+        }
+        break;
+
+      case 'join-rejected':
+        if (this._pendingJoin) {
+          const error = new Error(`Relay rejected join: ${message.reason}`);
+          error.reason = message.reason;
+          this._pendingJoin.reject(error);
+          this._pendingJoin = null;
+        }
+        this.disconnect();
+        break;
+
+      case 'peer-joined':
+        this.peerIds.add(message.id);
+        this.emit('peer-joined', message.id);
+        break;
+
+      case 'peer-left':
+        this.peerIds.delete(message.id);
+        this.emit('peer-left', message.id);
+        break;
+
+      default:
+        this.emit('message', message);
+    }
+  }
+
+  /**
+   * Handle the socket closing
+   * @private
+   */
+  _onSocketClose() {
+    const wasOpen = this.isOpen;
+    this.isOpen = false;
+    this.socket = null;
+    this.peerIds.clear();
+    window.removeEventListener('pagehide', this._onPageHide);
+
+    if (this._pendingJoin) {
+      this._pendingJoin.reject(new Error('Relay connection closed before join completed'));
+      this._pendingJoin = null;
+    }
+
+    if (wasOpen) {
+      this.emit('close');
+    }
+  }
+
+  /**
+   * Leave properly when the tab closes, so the others don't wait out the grace window
+   * @private
+   */
+  _onPageHide() {
+    this._sendRaw({ type: 'leave' });
+  }
+}
+
+export default WebSocketTransport;
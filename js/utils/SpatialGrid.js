@@ -0,0 +1,137 @@
+/**
+ * SpatialGrid - Uniform grid for finding objects near a point
+ *
+ * Objects are bucketed by position into square cells on the ground plane
+ * (x/z); height is ignored, since the venue is much wider than it is tall.
+ * A radius query only looks at the cells the radius overlaps, so its cost
+ * depends on how crowded the area is, not on how many objects exist.
+ */
+
+class SpatialGrid {
+  /**
+   * @param {number} [cellSize=5] - Cell edge length in meters
+   */
+  constructor(cellSize = 5) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // cell key -> Set of ids
+    this.entries = new Map(); // id -> { key, x, z }
+  }
+
+  /**
+   * Insert or move an object
+   * @param {string} id - The object ID
+   * @param {Object} position - World position {x, y, z}
+   */
+  update(id, position) {
+    const key = this._cellKey(this._cellIndex(position.x), this._cellIndex(position.z));
+    const entry = this.entries.get(id);
+
+    if (entry) {
+      entry.x = position.x;
+      entry.z = position.z;
+      if (entry.key === key) return;
+      this._removeFromCell(entry.key, id);
+      entry.key = key;
+    } else {
+      this.entries.set(id, { key, x: position.x, z: position.z });
+    }
+
+    if (!this.cells.has(key)) {
+      this.cells.set(key, new Set());
+    }
+    this.cells.get(key).add(id);
+  }
+
+  /**
+   * Remove an object
+   * @param {string} id - The object ID
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    this._removeFromCell(entry.key, id);
+    this.entries.delete(id);
+  }
+
+  /**
+   * Find objects within a radius of a point (on the ground plane)
+   * @param {Object} position - Center {x, y, z}
+   * @param {number} radius - Radius in meters
+   * @param {Function} [callback] - callback(id, distance) for each object found
+   * @returns {Map<string, number>} id -> distance for each object found
+   */
+  query(position, radius, callback) {
+    const found = new Map();
+    const radiusSq = radius * radius;
+
+    const minX = this._cellIndex(position.x - radius);
+    const maxX = this._cellIndex(position.x + radius);
+    const minZ = this._cellIndex(position.z - radius);
+    const maxZ = this._cellIndex(position.z + radius);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(this._cellKey(cx, cz));
+        if (!cell) continue;
+
+        cell.forEach(id => {
+          const entry = this.entries.get(id);
+          const dx = entry.x - position.x;
+          const dz = entry.z - position.z;
+          const distanceSq = dx * dx + dz * dz;
+          if (distanceSq > radiusSq) return;
+
+          const distance = Math.sqrt(distanceSq);
+          found.set(id, distance);
+          if (callback) callback(id, distance);
+        });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Remove everything
+   */
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+
+  /**
+   * @param {number} coordinate - World coordinate
+   * @returns {number} Cell index along that axis
+   * @private
+   */
+  _cellIndex(coordinate) {
+    return Math.floor(coordinate / this.cellSize);
+  }
+
+  /**
+   * @param {number} cx - Cell index along x
+   * @param {number} cz - Cell index along z
+   * @returns {string} Cell key
+   * @private
+   */
+  _cellKey(cx, cz) {
+    return `${cx},${cz}`;
+  }
+
+  /**
+   * @param {string} key - Cell key
+   * @param {string} id - Object ID
+   * @private
+   */
+  _removeFromCell(key, id) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+    cell.delete(id);
+    if (cell.size === 0) {
+      this.cells.delete(key);
+    }
+  }
+}
+
+export default SpatialGrid;
@@ -0,0 +1,80 @@
+/**
+ * join-token - Signed join tokens for the relay
+ *
+ * A token lets its holder into one room until it expires, without the
+ * room's password. It is `<payload>.<signature>`: the payload is base64url
+ * JSON claims, the signature an HMAC-SHA256 of the payload with a secret
+ * shared by whoever issues tokens and the relay (RELAY_SECRET).
+ *
+ * Claims: { room, exp, id? } - exp in seconds since the epoch; with `id`
+ * the token only works for that user ID.
+ *
+ * Usage (prints a token):
+ *   RELAY_SECRET=... node server/join-token.js <room> [ttlSeconds] [id]
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 3600; // seconds
+
+/**
+ * @param {string} secret - The shared secret
+ * @param {string} payload - The encoded payload
+ * @returns {Buffer} The payload's signature
+ */
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest();
+}
+
+/**
+ * Issue a token
+ * @param {string} secret - The shared secret
+ * @param {Object} claims - { room, exp, id? }
+ * @returns {string} The token
+ */
+function createJoinToken(secret, claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(secret, payload).toString('base64url')}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} secret - The shared secret
+ * @param {string} token - The token
+ * @returns {Object|null} The claims, or null if the token is forged, malformed or expired
+ */
+function verifyJoinToken(secret, token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = sign(secret, payload);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+  if (!claims || typeof claims.room !== 'string' || !(claims.exp > Date.now() / 1000)) return null;
+
+  return claims;
+}
+
+if (require.main === module) {
+  const [room, ttl, id] = process.argv.slice(2);
+  const secret = process.env.RELAY_SECRET;
+  if (!room || !secret) {
+    console.error('Usage: RELAY_SECRET=... node server/join-token.js <room> [ttlSeconds] [id]');
+    process.exit(1);
+  }
+
+  const claims = { room, exp: Math.floor(Date.now() / 1000) + (parseInt(ttl, 10) || DEFAULT_TTL) };
+  if (id) claims.id = id;
+  console.log(createJoinToken(secret, claims));
+}
+
+module.exports = { createJoinToken, verifyJoinToken };
@@ -0,0 +1,1232 @@
+/**
+ * physics-host - Headless PhysX host for host-authority sessions
+ *
+ * Joins a relay room like any browser and acts as the PhysicsSyncManager
+ * host, so no user's device has to be. It loads the same PhysX wasm as the
+ * browser (lib/physx.release.wasm, CPU only), builds static colliders and
+ * dynamic bodies from a scene description, and then:
+ * - simulates every unowned body and sends each peer binary snapshots
+ *   (SnapshotCodec, delta encoded against what that peer acknowledged)
+ * - accepts physics-state / physics-snapshot from owners; owned bodies are
+ *   kinematic here and follow what their owner sends, so unowned bodies
+ *   still collide with them
+ * - arbitrates ownership requests for unowned objects and answers world
+ *   snapshot requests from late joiners; ownership changes are only taken
+ *   from the peer giving a body away, so nobody can take one unasked
+ * - picks the session tick rate from the peers' capabilities
+ *
+ * Usage:
+ *   node server/physics-host.js [room] [relayUrl]
+ *   PHYSICS_SCENE=path/to/scene.json ROOM_PASSWORD=... node server/physics-host.js [room] [relayUrl]
+ *
+ * Environment:
+ *   PHYSICS_SCENE - Scene description (default server/scenes/default.json)
+ *   ROOM_PASSWORD - Password the room is created with (or joined with)
+ *   JOIN_TOKEN - Join token for the room; minted from RELAY_SECRET if that is set instead
+ *   PHYSICS_HOST_DEBUG=1 - Log ownership changes
+ *
+ * Needs Node 16 or later (the global performance clock). The browser
+ * modules it shares (js/network/SnapshotCodec.js, Protocol.js) are ES
+ * modules; js/network/package.json marks them as such for Node.
+ *
+ * The host must be the first in the room: PhysicsSyncManager elects the
+ * longest-present member, so start it before anyone joins. Peers have to use
+ * the websocket transport, since messages reach the host through the relay.
+ *
+ * Moderation (kick, mute, freeze, lock) is not the host's: its hello says
+ * it is headless, so peers elect the longest-present person as moderator
+ * instead. This host elects the same one, adopts that moderator's
+ * permissions and enforces them when it arbitrates ownership.
+ *
+ * Scene description (JSON):
+ *   {
+ *     gravity?: {x, y, z},
+ *     statics: [body],
+ *     dynamics: [body]   // ids match the synced (pickupable) entities' ids
+ *   }
+ *   body: { id, position?: {x, y, z}, rotation?: {x, y, z} (degrees, as the
+ *           rotation attribute), mass? (dynamics), friction?, restitution?, shape }
+ *   shape: { type: 'box', halfExtents: {x, y, z} } | { type: 'sphere', radius }
+ *          | { type: 'plane' } (the ground, y = 0), each with an optional
+ *          offset: {x, y, z} from the body's origin
+ * Shapes are primitives; the browser fits its colliders to the models, so
+ * keep the description's sizes close to the models'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { connectWebSocket } = require('./websocket');
+const { createJoinToken } = require('./join-token');
+
+const DEFAULT_RELAY_URL = 'ws://localhost:8080';
+const DEFAULT_ROOM = 'default';
+const DEFAULT_SCENE = path.join(__dirname, 'scenes', 'default.json');
+const HOST_ID = 'physics-host';
+const TOKEN_TTL = 24 * 3600; // seconds, for tokens minted from RELAY_SECRET
+const LIB_DIR = path.join(__dirname, '..', 'lib');
+
+// The Emscripten factory inside lib/physx.min.js (webpack module 651); its
+// only dependencies are Node's fs and path (modules 351 and 606)
+const FACTORY_START = '651:(t,e,i)=>';
+const FACTORY_END = ',351:()=>{}';
+const FACTORY_REQUIRES = { 351: fs, 606: path };
+
+// Tick rate bounds, as PhysicsSyncManager's defaults
+const MIN_TICK_RATE = 20; // Hz
+const MAX_TICK_RATE = 60; // Hz
+const MAX_STEPS_PER_FRAME = 4; // Catch-up steps after a stall, beyond which time is dropped
+
+// Matches PhysicsSyncManager's syncInterval default and ping period
+const SYNC_INTERVAL = 100; // ms
+const PING_INTERVAL = 2000; // ms
+
+// Ownership requests for the same object within this window are a conflict
+const OWNERSHIP_CONFLICT_WINDOW = 50; // ms
+
+// Snapshots kept per peer as delta baselines (sent and received)
+const SNAPSHOT_HISTORY = 32;
+
+// Collision filtering as the browser's physx component sets it up: bodies on
+// layer 1, the ground on layer 2, both colliding with layers 1-4
+const BODY_FILTER = [1 << 1, 0b11110];
+const GROUND_FILTER = [1 << 2, 0b11110];
+
+// Material defaults of the physx-body component
+const DEFAULT_FRICTION = 0.2;
+const DEFAULT_RESTITUTION = 0.2;
+
+// Oldest Node major version with everything the host uses
+const MIN_NODE_VERSION = 16;
+
+// Runtime spawns without a primitive geometry get a box this size
+const DEFAULT_HALF_EXTENT = 0.25; // m
+
+// As PhysicsSyncManager: runtime spawns one user may have at once
+const MAX_SPAWNS_PER_PEER = 32;
+
+// Browser modules shared with the host, loaded by startPhysicsHost()
+let SnapshotCodec = null;
+let Protocol = null;
+
+/**
+ * Load the PhysX wasm module
+ * lib/physx.min.js bundles the browser's physx component together with the
+ * Emscripten glue for the wasm. The glue is taken out of the bundle and run
+ * here, so the host simulates with exactly the PhysX build the browsers use.
+ * @returns {Promise<Object>} The PhysX module
+ */
+function loadPhysX() {
+  const bundle = fs.readFileSync(path.join(LIB_DIR, 'physx.min.js'), 'utf8');
+  const start = bundle.indexOf(FACTORY_START);
+  const end = bundle.indexOf(FACTORY_END, start);
+  if (start === -1 || end === -1) {
+    return Promise.reject(new Error('PhysX factory not found in lib/physx.min.js'));
+  }
+
+  // The module body is `{...}`; run it as a CommonJS module with its own parameter names
+  const body = bundle.slice(start + FACTORY_START.length + 1, end - 1);
+  const module = { exports: {} };
+  new Function('t', 'e', 'i', body)(module, module.exports, id => FACTORY_REQUIRES[id] || {});
+
+  return module.exports({
+    wasmBinary: fs.readFileSync(path.join(LIB_DIR, 'physx.release.wasm')),
+    print: () => {},
+    printErr: message => console.error(`PhysX: ${message}`)
+  });
+}
+
+/**
+ * Convert a rotation attribute (degrees, YXZ order) to a quaternion
+ * @param {Object} [rotation] - {x, y, z} in degrees
+ * @returns {Object} {x, y, z, w}
+ */
+function eulerToQuaternion(rotation) {
+  const { x = 0, y = 0, z = 0 } = rotation || {};
+  const toHalfRadians = Math.PI / 360;
+  const c1 = Math.cos(x * toHalfRadians), s1 = Math.sin(x * toHalfRadians);
+  const c2 = Math.cos(y * toHalfRadians), s2 = Math.sin(y * toHalfRadians);
+  const c3 = Math.cos(z * toHalfRadians), s3 = Math.sin(z * toHalfRadians);
+
+  return {
+    x: s1 * c2 * c3 + c1 * s2 * s3,
+    y: c1 * s2 * c3 - s1 * c2 * s3,
+    z: c1 * c2 * s3 - s1 * s2 * c3,
+    w: c1 * c2 * c3 + s1 * s2 * s3
+  };
+}
+
+/**
+ * Parse an A-Frame style attribute string ("key: value; key: value")
+ * @param {string} [value] - The attribute value
+ * @returns {Object} key -> string value
+ */
+function parseProperties(value) {
+  const properties = {};
+  String(value || '').split(';').forEach(part => {
+    const index = part.indexOf(':');
+    if (index === -1) return;
+    properties[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  });
+  return properties;
+}
+
+/**
+ * Parse an "x y z" attribute
+ * @param {string} [value] - The attribute value
+ * @returns {Object|undefined} {x, y, z}, or undefined if unset
+ */
+function parseVec3(value) {
+  if (typeof value !== 'string') return undefined;
+  const [x = 0, y = 0, z = 0] = value.trim().split(/\s+/).map(Number);
+  return { x: x || 0, y: y || 0, z: z || 0 };
+}
+
+/**
+ * Whether a URL in a spawn descriptor is one the browsers accept
+ * PhysicsSyncManager allows the page's own origin; the host doesn't know
+ * it, so only element references and relative URLs pass.
+ * @param {string} url - The URL
+ * @returns {boolean} True if allowed
+ */
+function isPageUrl(url) {
+  return url.startsWith('#') || !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+/**
+ * Describe a runtime spawn's body from its attributes
+ * Only dynamic physx-body entities are simulated. The collider comes from a
+ * box or sphere geometry; anything else gets a small box.
+ * @param {Object} descriptor - PhysicsSyncManager spawn descriptor
+ * @returns {Object|null} A scene description body, or null if it has no dynamic body
+ */
+function describeSpawnedBody(descriptor) {
+  const attributes = descriptor.attributes || {};
+  const body = parseProperties(attributes['physx-body']);
+  if (!attributes['physx-body'] || (body.type && body.type !== 'dynamic')) return null;
+
+  const geometry = parseProperties(attributes.geometry);
+  const scale = parseVec3(attributes.scale) || { x: 1, y: 1, z: 1 };
+  let shape;
+  if (geometry.primitive === 'sphere' || body.shape === 'sphere') {
+    const radius = parseFloat(geometry.radius) || (geometry.primitive === 'sphere' ? 1 : DEFAULT_HALF_EXTENT);
+    shape = { type: 'sphere', radius: radius * Math.max(scale.x, scale.y, scale.z) };
+  } else if (geometry.primitive === 'box') {
+    shape = {
+      type: 'box',
+      halfExtents: {
+        x: (parseFloat(geometry.width) || 1) * scale.x / 2,
+        y: (parseFloat(geometry.height) || 1) * scale.y / 2,
+        z: (parseFloat(geometry.depth) || 1) * scale.z / 2
+      }
+    };
+  } else {
+    shape = { type: 'box', halfExtents: { x: DEFAULT_HALF_EXTENT, y: DEFAULT_HALF_EXTENT, z: DEFAULT_HALF_EXTENT } };
+  }
+
+  return {
+    id: descriptor.id,
+    position: parseVec3(attributes.position),
+    rotation: parseVec3(attributes.rotation),
+    mass: parseFloat(body.mass) || 1,
+    shape
+  };
+}
+
+/**
+ * @param {Object} vector - A PhysX vector
+ * @returns {Object} A plain {x, y, z}
+ */
+function toVec3(vector) {
+  return { x: vector.x, y: vector.y, z: vector.z };
+}
+
+/**
+ * A headless PhysicsSyncManager host
+ *
+ * Emits:
+ * - 'close' when the relay connection is gone
+ */
+class PhysicsHost extends EventEmitter {
+  /**
+   * @param {Object} PhysX - The loaded PhysX module
+   * @param {Object} description - The scene description
+   * @param {Object} [options]
+   * @param {boolean} [options.debug=false] - Log ownership changes
+   */
+  constructor(PhysX, description, options = {}) {
+    super();
+    this.PhysX = PhysX;
+    this.id = HOST_ID;
+    this.debug = !!options.debug;
+    this.connection = null;
+
+    this.bodies = new Map(); // objectId -> body entry (see addBody)
+    this.nextNetId = 0;
+    this.spawnedEntities = new Map(); // objectId -> spawn descriptor
+    this.spawners = new Map(); // objectId -> who spawned it, for MAX_SPAWNS_PER_PEER
+    this.despawnedIds = new Set(); // Scene objects removed at runtime
+    this.peers = new Map(); // peerId -> peer entry (see _onPeerJoined)
+    this.ownershipRequests = new Map(); // objectId -> { requests, timer }
+    this.frozenPeers = new Set(); // Users the moderator has barred from owning objects
+    this.lockedObjects = new Set(); // Objects only we may own
+
+    this.tickRate = MAX_TICK_RATE;
+    this.lastStepTime = 0;
+    this.timers = [];
+
+    this._createWorld(description);
+  }
+
+  /**
+   * Join a relay room as its first member and start simulating
+   * @param {string} url - The relay's WebSocket URL
+   * @param {string} room - The room name
+   * @param {Object} [credentials] - { password?, token? }
+   * @returns {Promise<void>} Rejects if the relay refuses us or the room is occupied
+   */
+  async connect(url, room, credentials = {}) {
+    const connection = await connectWebSocket(url);
+    this.connection = connection;
+
+    const welcome = await new Promise((resolve, reject) => {
+      connection.once('message', text => {
+        let message = null;
+        try {
+          message = JSON.parse(text);
+        } catch (error) {
+          // Handled below
+        }
+        if (message && message.type === 'welcome') {
+          resolve(message);
+        } else {
+          reject(new Error(`Relay rejected join: ${message && message.reason}`));
+        }
+      });
+      connection.once('close', () => reject(new Error(`Relay at ${url} closed the connection`)));
+
+      connection.send(JSON.stringify({
+        type: 'join',
+        room,
+        id: this.id,
+        listed: true,
+        password: credentials.password || undefined,
+        token: credentials.token || undefined
+      }));
+    });
+
+    if (welcome.peers.length > 0) {
+      this.disconnect();
+      throw new Error(`Room "${room}" already has members; the physics host has to join first`);
+    }
+
+    connection.on('message', text => this._onRelayMessage(text));
+    connection.on('close', () => {
+      this._stop();
+      this.emit('close');
+    });
+
+    this.lastStepTime = performance.now();
+    this._startStepping();
+    this.timers.push(setInterval(() => this._syncBodies(), SYNC_INTERVAL));
+    this.timers.push(setInterval(() => this._broadcastPhysics({ type: 'physics-ping', sentAt: performance.now() }), PING_INTERVAL));
+
+    console.log(`PhysicsHost: Hosting room "${room}" with ${this.bodies.size} dynamic bodies`);
+  }
+
+  /**
+   * Leave the room and stop simulating
+   */
+  disconnect() {
+    this._stop();
+    if (this.connection) {
+      this.connection.send(JSON.stringify({ type: 'leave' }));
+      this.connection.close();
+      this.connection = null;
+    }
+  }
+
+  /**
+   * Create the PhysX scene and its actors
+   * @param {Object} description - The scene description
+   * @private
+   */
+  _createWorld(description) {
+    const PhysX = this.PhysX;
+    const foundation = PhysX.PxCreateFoundation(
+      PhysX.PX_PHYSICS_VERSION, new PhysX.PxDefaultAllocator(), new PhysX.PxDefaultErrorCallback()
+    );
+    this.physics = PhysX.PxCreatePhysics(PhysX.PX_PHYSICS_VERSION, foundation, new PhysX.PxTolerancesScale(), false, null);
+    PhysX.PxInitExtensions(this.physics, null);
+
+    // Contacts aren't reported anywhere; the scene just needs a callback
+    const callback = PhysX.PxSimulationEventCallback.implement({
+      onContactBegin() {}, onContactEnd() {}, onContactPersist() {},
+      onTriggerBegin() {}, onTriggerEnd() {}, onConstraintBreak() {}
+    });
+    this.scene = this.physics.createScene(PhysX.getDefaultSceneDesc(this.physics.getTolerancesScale(), 0, callback));
+    this.scene.setGravity(description.gravity || { x: 0, y: -9.8, z: 0 });
+    this.shapeFlags = new PhysX.PxShapeFlags(PhysX.PxShapeFlag.eSCENE_QUERY_SHAPE.value | PhysX.PxShapeFlag.eSIMULATION_SHAPE.value);
+
+    (description.statics || []).forEach(body => {
+      const actor = this.physics.createRigidStatic(this._createPose(body));
+      actor.attachShape(this._createShape(body));
+      this.scene.addActor(actor, null);
+    });
+
+    (description.dynamics || []).forEach(body => this.addBody(body, null));
+  }
+
+  /**
+   * Add a dynamic body
+   * @param {Object} body - A scene description body
+   * @param {string|null} owner - Initial owner; owned bodies start kinematic
+   */
+  addBody(body, owner) {
+    if (!body.id || this.bodies.has(body.id)) return;
+
+    const actor = this.physics.createRigidDynamic(this._createPose(body));
+    actor.attachShape(this._createShape(body));
+    actor.setMassAndUpdateInertia(body.mass || 1);
+    this.scene.addActor(actor, null);
+
+    this.bodies.set(body.id, {
+      actor,
+      netId: this.nextNetId++ & 0xFFFF,
+      authority: null, // Who simulates it; null means us
+      held: false,
+      lastState: null // Latest state from its owner, applied when it comes back to us
+    });
+    if (owner) {
+      this._setOwnership(body.id, owner, false);
+    }
+  }
+
+  /**
+   * Remove a dynamic body
+   * @param {string} objectId - The object ID
+   */
+  removeBody(objectId) {
+    const body = this.bodies.get(objectId);
+    if (!body) return;
+
+    this.scene.removeActor(body.actor, true);
+    body.actor.release();
+    this.bodies.delete(objectId);
+  }
+
+  /**
+   * @param {Object} body - A scene description body
+   * @returns {Object} PhysX transform
+   * @private
+   */
+  _createPose(body) {
+    return {
+      translation: body.position || { x: 0, y: 0, z: 0 },
+      rotation: eulerToQuaternion(body.rotation)
+    };
+  }
+
+  /**
+   * Create a body's collider
+   * @param {Object} body - A scene description body
+   * @returns {Object} PhysX shape
+   * @private
+   */
+  _createShape(body) {
+    const PhysX = this.PhysX;
+    const spec = body.shape || {};
+    let geometry;
+    let filter = BODY_FILTER;
+    let rotation = { x: 0, y: 0, z: 0, w: 1 };
+
+    switch (spec.type) {
+      case 'sphere':
+        geometry = new PhysX.PxSphereGeometry(spec.radius);
+        break;
+      case 'plane':
+        // PhysX planes face +x; turn it to face up
+        geometry = new PhysX.PxPlaneGeometry();
+        rotation = { x: 0, y: 0, z: Math.SQRT1_2, w: Math.SQRT1_2 };
+        filter = GROUND_FILTER;
+        break;
+      case 'box':
+        geometry = new PhysX.PxBoxGeometry(spec.halfExtents.x, spec.halfExtents.y, spec.halfExtents.z);
+        break;
+      default:
+        throw new Error(`Body ${body.id} has an unknown shape type: ${spec.type}`);
+    }
+
+    const friction = body.friction !== undefined ? body.friction : DEFAULT_FRICTION;
+    const restitution = body.restitution !== undefined ? body.restitution : DEFAULT_RESTITUTION;
+    const material = this.physics.createMaterial(friction, friction, restitution);
+    const shape = this.physics.createShape(geometry, material, true, this.shapeFlags);
+
+    const filterData = new PhysX.PxFilterData(filter[0], filter[1], 0, 0);
+    shape.setQueryFilterData(filterData);
+    shape.setSimulationFilterData(filterData);
+    shape.setLocalPose({ translation: spec.offset || { x: 0, y: 0, z: 0 }, rotation });
+
+    return shape;
+  }
+
+  /**
+   * Step the simulation at the session tick rate
+   * @private
+   */
+  _startStepping() {
+    clearInterval(this.stepTimer);
+    this.stepTimer = setInterval(() => {
+      const step = 1000 / this.tickRate;
+      const now = performance.now();
+      let steps = Math.floor((now - this.lastStepTime) / step);
+      if (steps > MAX_STEPS_PER_FRAME) {
+        this.lastStepTime = now - step * MAX_STEPS_PER_FRAME;
+        steps = MAX_STEPS_PER_FRAME;
+      }
+
+      for (let i = 0; i < steps; i++) {
+        this.scene.simulate(step / 1000, true);
+        this.scene.fetchResults(true);
+        this.lastStepTime += step;
+      }
+    }, 1000 / this.tickRate);
+  }
+
+  /**
+   * @private
+   */
+  _stop() {
+    clearInterval(this.stepTimer);
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.ownershipRequests.forEach(entry => clearTimeout(entry.timer));
+    this.ownershipRequests.clear();
+  }
+
+  /**
+   * Send a message through the relay
+   * @param {Object} message - The message
+   * @param {string} [peerId] - Target peer, or the whole room if omitted
+   * @private
+   */
+  _send(message, peerId) {
+    if (!this.connection) return;
+    this.connection.send(JSON.stringify(peerId ? { ...message, to: peerId } : message));
+  }
+
+  /**
+   * Send a PhysicsSyncManager message to one peer
+   * Our clock is the session clock, so timestamps are plain performance.now().
+   * @param {string} peerId - The peer
+   * @param {Object} data - The physics message
+   * @private
+   */
+  _sendPhysics(peerId, data) {
+    this._send({ type: 'physics', data: { ...data, senderId: this.id, timestamp: performance.now() } }, peerId);
+  }
+
+  /**
+   * Send a PhysicsSyncManager message to everyone
+   * @param {Object} data - The physics message
+   * @private
+   */
+  _broadcastPhysics(data) {
+    if (this.peers.size === 0) return;
+    this._send({ type: 'physics', data: { ...data, senderId: this.id, timestamp: performance.now() } });
+  }
+
+  /**
+   * Handle a message from the relay
+   * @param {string} text - The raw message
+   * @private
+   */
+  _onRelayMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+
+    switch (message.type) {
+      case 'peer-joined':
+        this._onPeerJoined(message.id);
+        break;
+      case 'peer-left':
+        this._onPeerLeft(message.id);
+        break;
+      default:
+        this._onPeerMessage(message);
+    }
+  }
+
+  /**
+   * @param {string} peerId - The peer that joined
+   * @private
+   */
+  _onPeerJoined(peerId) {
+    this.peers.set(peerId, {
+      id: peerId,
+      compatible: true, // Until its hello says otherwise
+      spectator: false, // As its presence says
+      capabilities: null,
+      outgoing: { nextSequence: 0, ackedSequence: null, sent: new Map() },
+      incoming: { latestSequence: null, received: new Map(), netIds: new Map() }
+    });
+
+    this._send({ ...Protocol.createHello(), headless: true }, peerId);
+    this._sendPhysics(peerId, {
+      type: 'physics-capabilities',
+      capabilities: {
+        isMobile: false,
+        headless: true,
+        recommendedTickRate: MAX_TICK_RATE,
+        maxTickRate: MAX_TICK_RATE,
+        minTickRate: MIN_TICK_RATE,
+        connection: null
+      }
+    });
+    this._negotiateTickRate();
+
+    console.log(`PhysicsHost: ${peerId} joined (${this.peers.size} connected)`);
+  }
+
+  /**
+   * @param {string} peerId - The peer that left
+   * @private
+   */
+  _onPeerLeft(peerId) {
+    if (!this.peers.delete(peerId)) return;
+
+    // Whatever it was simulating falls back to us
+    this.bodies.forEach((body, objectId) => {
+      if (body.authority === peerId) {
+        this._setOwnership(objectId, null, false);
+      }
+    });
+    this._negotiateTickRate();
+
+    console.log(`PhysicsHost: ${peerId} left (${this.peers.size} connected)`);
+  }
+
+  /**
+   * Validate and dispatch a message from a peer
+   * @param {Object} message - The message, with `from` set by the relay
+   * @private
+   */
+  _onPeerMessage(message) {
+    const peer = this.peers.get(message.from);
+    if (!peer || Protocol.validate(message)) return;
+
+    if (message.type === 'hello') {
+      peer.compatible = Protocol.isCompatible(message);
+      if (!peer.compatible) {
+        console.warn(`PhysicsHost: ${peer.id} speaks protocol ${message.protocol}, which we can't share a session with`);
+      }
+      return;
+    }
+    if (!peer.compatible) return;
+
+    if (message.type === 'presence') {
+      peer.spectator = message.spectator;
+      return;
+    }
+    if (message.type !== 'physics') return;
+
+    this._onPhysicsMessage(peer, message.data);
+  }
+
+  /**
+   * Handle a PhysicsSyncManager message
+   * @param {Object} peer - The sending peer entry
+   * @param {Object} message - The physics message
+   * @private
+   */
+  _onPhysicsMessage(peer, message) {
+    const receivedAt = performance.now();
+
+    switch (message.type) {
+      case 'physics-capabilities':
+        peer.capabilities = message.capabilities;
+        this._negotiateTickRate();
+        break;
+
+      case 'physics-state':
+        this._applyState(message.objectId, message.state, peer.id);
+        break;
+
+      case 'physics-snapshot':
+        this._onSnapshot(peer, message.snapshot);
+        break;
+
+      case 'physics-snapshot-ack':
+        if (peer.outgoing.sent.has(message.sequence) && (peer.outgoing.ackedSequence === null ||
+            SnapshotCodec.isNewerSequence(message.sequence, peer.outgoing.ackedSequence))) {
+          peer.outgoing.ackedSequence = message.sequence;
+        }
+        break;
+
+      case 'physics-ownership-request':
+        this._onOwnershipRequest(message.objectId, peer.id, message.requestTime);
+        break;
+
+      case 'physics-ownership-changed':
+        this._onOwnershipChanged(message.objectId, message.owner, message.held, peer.id);
+        break;
+
+      case 'physics-ownership-reclaim':
+        message.objectIds.forEach(objectId => {
+          const body = this.bodies.get(objectId);
+          // Only the claimant's own objects, or ones left unowned, go back;
+          // anyone else's owner answers the claimant
+          if (!body || (body.authority && body.authority !== peer.id)) return;
+          if (!this._canOwn(objectId, peer.id)) {
+            this._denyOwnership(objectId, peer.id, body.authority);
+            return;
+          }
+          this._setOwnership(objectId, peer.id, true);
+        });
+        break;
+
+      case 'physics-world-request':
+        this._sendWorldSnapshot(peer.id);
+        break;
+
+      case 'physics-entity-spawn':
+        // The spawner owns what it spawns, whoever the message names
+        this._onEntitySpawn(message.entity, message.owner ? peer.id : null, peer.id);
+        break;
+
+      case 'physics-entity-despawn':
+        this._onEntityDespawn(message.objectId, peer.id);
+        break;
+
+      case 'physics-permissions':
+        if (peer.id === this._getModeratorId()) {
+          this._applyPermissions(message.frozen, message.locked);
+        }
+        break;
+
+      case 'physics-ping':
+        this._sendPhysics(peer.id, {
+          type: 'physics-pong',
+          pingSentAt: message.sentAt,
+          receivedAt,
+          sentAt: performance.now()
+        });
+        break;
+    }
+  }
+
+  /**
+   * Pick the lowest tick rate any peer recommends and announce it
+   * @private
+   */
+  _negotiateTickRate() {
+    let tickRate = MAX_TICK_RATE;
+    this.peers.forEach(peer => {
+      const recommended = peer.capabilities && peer.capabilities.recommendedTickRate;
+      if (Number.isFinite(recommended)) {
+        tickRate = Math.min(tickRate, recommended);
+      }
+    });
+    tickRate = Math.max(tickRate, MIN_TICK_RATE);
+
+    if (tickRate !== this.tickRate) {
+      this.tickRate = tickRate;
+      this._startStepping();
+      console.log(`PhysicsHost: Tick rate ${tickRate}Hz`);
+    }
+    this._broadcastPhysics({ type: 'physics-tick-rate', tickRate });
+  }
+
+  /**
+   * Follow a state from an object's owner
+   * @param {string} objectId - The object ID
+   * @param {Object} state - The physics state
+   * @param {string} senderId - The sender
+   * @private
+   */
+  _applyState(objectId, state, senderId) {
+    const body = this.bodies.get(objectId);
+    if (!body || body.authority !== senderId) return;
+
+    body.lastState = state;
+    body.actor.setKinematicTarget({ translation: state.position, rotation: state.quaternion });
+  }
+
+  /**
+   * Handle a binary snapshot from an owner
+   * @param {Object} peer - The sending peer entry
+   * @param {string} encoded - The base64 encoded snapshot
+   * @private
+   */
+  _onSnapshot(peer, encoded) {
+    const snapshot = SnapshotCodec.decode(encoded);
+    if (!snapshot) return;
+
+    const incoming = peer.incoming;
+    let baseline = null;
+    if (snapshot.baseline !== null) {
+      baseline = incoming.received.get(snapshot.baseline);
+      if (!baseline) return; // The sender falls back to full states
+    }
+
+    const stored = new Map(baseline || []);
+    const changed = [];
+    snapshot.entries.forEach(entry => {
+      if (entry.name) {
+        incoming.netIds.set(entry.netId, entry.name);
+      }
+      const objectId = incoming.netIds.get(entry.netId);
+      const state = objectId && SnapshotCodec.applyEntry(stored.get(objectId), entry);
+      if (!state) return;
+
+      stored.set(objectId, state);
+      changed.push(objectId);
+    });
+
+    incoming.received.set(snapshot.sequence, stored);
+    if (incoming.received.size > SNAPSHOT_HISTORY) {
+      incoming.received.delete(incoming.received.keys().next().value);
+    }
+    this._sendPhysics(peer.id, { type: 'physics-snapshot-ack', sequence: snapshot.sequence });
+
+    // A late, out-of-order snapshot still serves as a baseline but is not applied
+    if (incoming.latestSequence !== null &&
+        !SnapshotCodec.isNewerSequence(snapshot.sequence, incoming.latestSequence)) {
+      return;
+    }
+    incoming.latestSequence = snapshot.sequence;
+
+    changed.forEach(objectId => {
+      this._applyState(objectId, SnapshotCodec.dequantizeState(stored.get(objectId), snapshot.timestamp), peer.id);
+    });
+  }
+
+  /**
+   * Quantized state of a body as we simulate it
+   * @param {Object} body - The body entry
+   * @returns {Object} Quantized state
+   * @private
+   */
+  _captureState(body) {
+    const pose = body.actor.getGlobalPose();
+    return SnapshotCodec.quantizeState({
+      position: toVec3(pose.translation),
+      quaternion: { x: pose.rotation.x, y: pose.rotation.y, z: pose.rotation.z, w: pose.rotation.w },
+      linearVelocity: toVec3(body.actor.getLinearVelocity()),
+      angularVelocity: toVec3(body.actor.getAngularVelocity())
+    });
+  }
+
+  /**
+   * Send every peer the bodies we simulate that changed since its last ack
+   * @private
+   */
+  _syncBodies() {
+    if (this.peers.size === 0) return;
+
+    const states = new Map();
+    this.bodies.forEach((body, objectId) => {
+      if (!body.authority) {
+        states.set(objectId, this._captureState(body));
+      }
+    });
+
+    const timestamp = performance.now();
+    this.peers.forEach(peer => {
+      if (peer.compatible) {
+        this._sendSnapshot(peer, states, timestamp);
+      }
+    });
+  }
+
+  /**
+   * Encode and send one peer's snapshot, delta encoded against its last ack
+   * @param {Object} peer - The peer entry
+   * @param {Map} states - objectId -> quantized state
+   * @param {number} timestamp - Snapshot time on the session clock
+   * @private
+   */
+  _sendSnapshot(peer, states, timestamp) {
+    const outgoing = peer.outgoing;
+    const baseline = outgoing.ackedSequence !== null ? outgoing.sent.get(outgoing.ackedSequence) : null;
+
+    // What the peer holds after applying this one; removed bodies drop out
+    const stored = new Map();
+    if (baseline) {
+      baseline.forEach((state, objectId) => {
+        if (this.bodies.has(objectId)) {
+          stored.set(objectId, state);
+        }
+      });
+    }
+
+    const entries = [];
+    states.forEach((state, objectId) => {
+      const base = stored.get(objectId);
+      stored.set(objectId, state);
+      if (base && SnapshotCodec.statesEqual(base, state)) return;
+
+      entries.push({
+        netId: this.bodies.get(objectId).netId,
+        // The peer only knows our netId for objects in a snapshot it acked
+        name: base ? null : objectId,
+        state,
+        base
+      });
+    });
+    if (entries.length === 0) return;
+
+    const sequence = outgoing.nextSequence;
+    outgoing.nextSequence = (sequence + 1) & 0xFFFF;
+    const snapshot = SnapshotCodec.encode({
+      sequence,
+      baseline: baseline ? outgoing.ackedSequence : null,
+      timestamp,
+      entries
+    });
+
+    outgoing.sent.set(sequence, stored);
+    if (outgoing.sent.size > SNAPSHOT_HISTORY) {
+      outgoing.sent.delete(outgoing.sent.keys().next().value);
+    }
+    this._sendPhysics(peer.id, { type: 'physics-snapshot', snapshot });
+  }
+
+  /**
+   * Send a late joiner every body, ownership and runtime spawns
+   * @param {string} peerId - The joining peer
+   * @private
+   */
+  _sendWorldSnapshot(peerId) {
+    const entries = [];
+    const ownership = [];
+    this.bodies.forEach((body, objectId) => {
+      entries.push({ netId: body.netId, name: objectId, state: this._captureState(body) });
+      if (body.authority) {
+        ownership.push({ objectId, owner: body.authority, held: body.held });
+      }
+    });
+
+    this._sendPhysics(peerId, {
+      type: 'physics-world-snapshot',
+      entities: Array.from(this.spawnedEntities.values()),
+      despawned: Array.from(this.despawnedIds),
+      ownership,
+      snapshot: SnapshotCodec.encode({ sequence: 0, baseline: null, timestamp: performance.now(), entries })
+    });
+  }
+
+  /**
+   * Arbiter side: collect an ownership request, resolving conflicts after a short window
+   * @param {string} objectId - The object ID
+   * @param {string} requesterId - Who is asking
+   * @param {number} requestTime - When they asked, on the session clock (ours)
+   * @private
+   */
+  _onOwnershipRequest(objectId, requesterId, requestTime) {
+    const body = this.bodies.get(objectId);
+
+    if (body && body.authority === requesterId) {
+      // Ownership reached them before their request reached us; confirm it
+      this._setOwnership(objectId, requesterId, true);
+      this._broadcastPhysics({ type: 'physics-ownership-changed', objectId, owner: requesterId, held: true });
+      return;
+    }
+    if (!body || body.authority || !this._canOwn(objectId, requesterId)) {
+      // Stale or not permitted; if owned, its owner arbitrates
+      this._denyOwnership(objectId, requesterId, body ? body.authority : null);
+      return;
+    }
+
+    let entry = this.ownershipRequests.get(objectId);
+    if (!entry) {
+      entry = {
+        requests: [],
+        timer: setTimeout(() => this._resolveOwnershipRequests(objectId), OWNERSHIP_CONFLICT_WINDOW)
+      };
+      this.ownershipRequests.set(objectId, entry);
+    }
+    entry.requests.push({
+      requesterId,
+      requestTime: Number.isFinite(requestTime) ? requestTime : performance.now()
+    });
+  }
+
+  /**
+   * Arbiter side: grant the earliest request (ties to the lowest ID) and deny the rest
+   * @param {string} objectId - The object ID
+   * @private
+   */
+  _resolveOwnershipRequests(objectId) {
+    const entry = this.ownershipRequests.get(objectId);
+    this.ownershipRequests.delete(objectId);
+    const body = this.bodies.get(objectId);
+    if (!entry || !body) return;
+
+    // Requesters that left meanwhile can't take it
+    const requests = entry.requests
+      .filter(request => this.peers.has(request.requesterId))
+      .sort((a, b) => (a.requestTime - b.requestTime) || (a.requesterId < b.requesterId ? -1 : 1));
+    const winner = body.authority ? null : requests[0];
+
+    requests.forEach(request => {
+      if (request !== winner) {
+        this._denyOwnership(objectId, request.requesterId, winner ? winner.requesterId : body.authority);
+      }
+    });
+    if (!winner) return;
+
+    this._setOwnership(objectId, winner.requesterId, true);
+    this._broadcastPhysics({ type: 'physics-ownership-changed', objectId, owner: winner.requesterId, held: true });
+  }
+
+  /**
+   * @param {string} objectId - The object ID
+   * @param {string} requesterId - Who asked
+   * @param {string|null} owner - Who owns it instead
+   * @private
+   */
+  _denyOwnership(objectId, requesterId, owner) {
+    this._sendPhysics(requesterId, { type: 'physics-ownership-denied', objectId, owner });
+  }
+
+  /**
+   * Apply an ownership change a peer announced
+   * Only the peer simulating a body may give it away (release, hand back or
+   * hand over); everything else goes through our arbitration. Anyone else's
+   * change, or a hand-over the moderator's permissions forbid, is refused
+   * and everyone is told who really owns the body.
+   * @param {string} objectId - The object ID
+   * @param {string|null} owner - The announced owner
+   * @param {boolean} held - Whether the owner is holding it
+   * @param {string} senderId - Who announced it
+   * @private
+   */
+  _onOwnershipChanged(objectId, owner, held, senderId) {
+    const body = this.bodies.get(objectId);
+    if (!body) return;
+
+    if (body.authority !== senderId || (owner && !this._canOwn(objectId, owner))) {
+      if (this.debug) {
+        console.log(`PhysicsHost: Refused ${senderId}'s ownership change of ${objectId} (owner: ${body.authority})`);
+      }
+      this._broadcastPhysics({ type: 'physics-ownership-changed', objectId, owner: body.authority, held: body.held });
+      return;
+    }
+    this._setOwnership(objectId, owner, held);
+  }
+
+  /**
+   * The moderator: the longest-present peer that isn't spectating, as
+   * PhysicsSyncManager elects it (we are headless, so never us)
+   * @returns {string|null} The moderator's ID, or null if nobody is here
+   * @private
+   */
+  _getModeratorId() {
+    let first = null;
+    for (const peer of this.peers.values()) {
+      if (!peer.spectator) return peer.id;
+      first = first || peer.id;
+    }
+    return first;
+  }
+
+  /**
+   * Whether the moderator's permissions let a user own an object
+   * As PhysicsSyncManager's canOwn: spectators own nothing, frozen users
+   * nothing, and locked objects only us. Nobody (null) is always allowed.
+   * @param {string} objectId - The object ID
+   * @param {string|null} userId - The would-be owner
+   * @returns {boolean} True if allowed
+   * @private
+   */
+  _canOwn(objectId, userId) {
+    if (!userId || userId === this.id) return true;
+    const peer = this.peers.get(userId);
+    if (peer && peer.spectator) return false;
+    return !this.frozenPeers.has(userId) && !this.lockedObjects.has(objectId);
+  }
+
+  /**
+   * Adopt the moderator's permissions and take back bodies their owners
+   * may no longer hold; the moderator tells everyone they are unowned
+   * @param {string[]} frozen - Frozen users
+   * @param {string[]} locked - Locked object IDs
+   * @private
+   */
+  _applyPermissions(frozen, locked) {
+    this.frozenPeers = new Set(frozen);
+    this.lockedObjects = new Set(locked);
+
+    this.bodies.forEach((body, objectId) => {
+      if (!this._canOwn(objectId, body.authority)) {
+        this._setOwnership(objectId, null, false);
+      }
+    });
+
+    if (this.debug) {
+      console.log(`PhysicsHost: Permissions: ${frozen.length} frozen user(s), ${locked.length} locked object(s)`);
+    }
+  }
+
+  /**
+   * Record an ownership change, switching the body between following its
+   * owner (kinematic) and our simulation
+   * @param {string} objectId - The object ID
+   * @param {string|null} owner - The new owner, or null for us
+   * @param {boolean} held - Whether the owner is holding it
+   * @private
+   */
+  _setOwnership(objectId, owner, held) {
+    const body = this.bodies.get(objectId);
+    if (!body) return;
+
+    // Only we simulate on our behalf; the host owning it is the same as nobody
+    const authority = owner && owner !== this.id ? owner : null;
+    const previous = body.authority;
+    body.authority = authority;
+    body.held = !!(authority && held);
+    if (previous === authority) return;
+
+    const kinematicFlag = this.PhysX.PxRigidBodyFlag.eKINEMATIC;
+    if (authority && !previous) {
+      body.actor.setRigidBodyFlag(kinematicFlag, true);
+    } else if (!authority) {
+      // Pick up where the owner left it, with the velocity it last had
+      body.actor.setRigidBodyFlag(kinematicFlag, false);
+      const state = body.lastState;
+      if (state) {
+        body.actor.setGlobalPose({ translation: state.position, rotation: state.quaternion }, true);
+        if (state.linearVelocity) body.actor.setLinearVelocity(state.linearVelocity, true);
+        if (state.angularVelocity) body.actor.setAngularVelocity(state.angularVelocity, true);
+      }
+      body.actor.wakeUp();
+    }
+    body.lastState = null;
+
+    if (this.debug) {
+      console.log(`PhysicsHost: Ownership of ${objectId}: ${previous} -> ${authority} (held: ${body.held})`);
+    }
+  }
+
+  /**
+   * Add a body for a runtime spawn
+   * Refused as PhysicsSyncManager refuses it: the spawner must be allowed to
+   * own objects and under MAX_SPAWNS_PER_PEER, and the descriptor must pass
+   * Protocol.isSpawnAllowed.
+   * @param {Object} descriptor - PhysicsSyncManager spawn descriptor
+   * @param {string|null} owner - The spawner, who simulates it until it settles
+   * @param {string} spawnerId - Who sent the spawn
+   * @private
+   */
+  _onEntitySpawn(descriptor, owner, spawnerId) {
+    if (!descriptor.id || this.spawnedEntities.has(descriptor.id)) return;
+    if (!this._canOwn(descriptor.id, spawnerId) || !Protocol.isSpawnAllowed(descriptor, isPageUrl)) return;
+
+    let count = 0;
+    this.spawners.forEach(spawner => {
+      if (spawner === spawnerId) count++;
+    });
+    if (count >= MAX_SPAWNS_PER_PEER) return;
+
+    this.spawnedEntities.set(descriptor.id, descriptor);
+    this.spawners.set(descriptor.id, spawnerId);
+
+    const body = describeSpawnedBody(descriptor);
+    if (body) {
+      this.addBody(body, owner);
+    }
+  }
+
+  /**
+   * Remove a body on its owner's behalf
+   * As in PhysicsSyncManager, only an object's owner or the host (us) may
+   * remove it; unowned bodies are ours, so nobody else removes those.
+   * @param {string} objectId - The object ID
+   * @param {string} senderId - Who asked
+   * @private
+   */
+  _onEntityDespawn(objectId, senderId) {
+    const body = this.bodies.get(objectId);
+    if (!body || body.authority !== senderId) return;
+
+    this.removeBody(objectId);
+    if (this.spawnedEntities.has(objectId)) {
+      this.spawnedEntities.delete(objectId);
+      this.spawners.delete(objectId);
+    } else {
+      this.despawnedIds.add(objectId);
+    }
+  }
+}
+
+/**
+ * Load PhysX and the scene, and start hosting a room
+ * @param {Object} [options]
+ * @param {string} [options.url] - Relay WebSocket URL
+ * @param {string} [options.room] - Room name
+ * @param {string} [options.scene] - Scene description path
+ * @param {string} [options.password] - Room password
+ * @param {string} [options.token] - Join token
+ * @param {boolean} [options.debug] - Log ownership changes
+ * @returns {Promise<PhysicsHost>} The connected host
+ */
+async function startPhysicsHost(options = {}) {
+  const nodeVersion = parseInt(process.versions.node, 10);
+  if (nodeVersion < MIN_NODE_VERSION) {
+    throw new Error(`Node ${MIN_NODE_VERSION} or later is required (this is ${process.versions.node})`);
+  }
+
+  const [codec, protocol, PhysX] = await Promise.all([
+    import('../js/network/SnapshotCodec.js'),
+    import('../js/network/Protocol.js'),
+    loadPhysX()
+  ]);
+  SnapshotCodec = codec.default;
+  Protocol = protocol.default;
+
+  const description = JSON.parse(fs.readFileSync(options.scene || DEFAULT_SCENE, 'utf8'));
+  const host = new PhysicsHost(PhysX, description, { debug: options.debug });
+  await host.connect(options.url || DEFAULT_RELAY_URL, options.room || DEFAULT_ROOM, {
+    password: options.password,
+    token: options.token
+  });
+  return host;
+}
+
+if (require.main === module) {
+  const room = process.argv[2] || DEFAULT_ROOM;
+  const secret = process.env.RELAY_SECRET;
+  let token = process.env.JOIN_TOKEN;
+  if (!token && secret) {
+    token = createJoinToken(secret, { room, exp: Math.floor(Date.now() / 1000) + TOKEN_TTL, id: HOST_ID });
+  }
+
+  startPhysicsHost({
+    room,
+    url: process.argv[3],
+    scene: process.env.PHYSICS_SCENE,
+    password: process.env.ROOM_PASSWORD,
+    token,
+    debug: process.env.PHYSICS_HOST_DEBUG === '1'
+  }).then(host => {
+    host.on('close', () => {
+      console.error('PhysicsHost: Lost the relay connection');
+      process.exit(1);
+    });
+    process.on('SIGINT', () => {
+      host.disconnect();
+      process.exit(0);
+    });
+  }, error => {
+    console.error(`PhysicsHost: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { PhysicsHost, startPhysicsHost, loadPhysX };
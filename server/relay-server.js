@@ -0,0 +1,571 @@
+/**
+ * relay-server - Local WebSocket relay for VRMOBDESK multiplayer
+ *
+ * Fans out messages between clients connected to the same room. The relay
+ * does not interpret game state; it only tracks who is in which room and
+ * forwards `hello`, `position`, `physics`, `audio`, `avatar`, `moderation`,
+ * `chat`, `emote`, `pointer`, `marker`, `presence` and `follow-me` messages,
+ * plus `signal` messages used for WebRTC offer/answer/ICE exchange.
+ *
+ * Usage:
+ *   node server/relay-server.js [port]
+ *   RELAY_SECRET=... [RELAY_REQUIRE_TOKEN=1] node server/relay-server.js [port]
+ *
+ * Rooms are created by their first joiner, who also sets the room's maximum
+ * occupancy and whether it shows up in the room list. A room disappears when
+ * its last client leaves. Messages never cross rooms.
+ *
+ * A client whose connection drops without a 'leave' keeps its place for
+ * RESUME_GRACE. Rejoining with the resume token from its welcome within
+ * that window takes the place back: the others never see it leave, and it
+ * keeps its position in the join order. Messages for it meanwhile are held
+ * (up to MAX_HELD_MESSAGES, without superseded updates such as positions)
+ * and delivered after its welcome. After the window it is reported as
+ * having left.
+ *
+ * Access control:
+ * - A room's creator can set a password; later joins must give it.
+ * - With RELAY_SECRET set, a signed join token (see join-token.js) for the
+ *   room is accepted instead of the password. RELAY_REQUIRE_TOKEN=1 makes a
+ *   token mandatory for every join.
+ * - The room's moderator (its longest-present connected member that isn't
+ *   spectating or headless, the same user PhysicsSyncManager elects) can
+ *   kick others. The kicked client is disconnected. Its ID is banned from the room until the room closes,
+ *   and so is the join token it came in with. Client IDs are picked by the client, so
+ *   the ban only keeps someone out for good in token-only rooms with tokens bound to an ID.
+ *
+ * Client protocol (JSON text frames):
+ *   -> { type: 'join', room, id, maxPeers?, listed?, resume?, password?, token? }
+ *   <- { type: 'welcome', id, room, peers: [ids], maxPeers, resumeToken, resumed }
+ *   <- { type: 'join-rejected', reason }   (missing-id, invalid-room, id-in-use, room-full,
+ *                                           password-required, wrong-password, token-required,
+ *                                           invalid-token, banned)
+ *   <- { type: 'peer-joined', id } / { type: 'peer-left', id }
+ *   -> { type: 'hello' | 'position' | 'physics' | 'audio' | 'avatar' | 'signal' | 'moderation'
+ *            | 'chat' | 'emote' | 'pointer' | 'marker' | 'presence' | 'follow-me', to?, ... }
+ *   <- the same message with `from` set to the sender's id
+ *   -> { type: 'kick', target }   (moderator only; relayed, then the target is removed)
+ *   -> { type: 'leave' }   (before closing on purpose)
+ *
+ * HTTP:
+ *   GET /rooms -> [{ name, occupants, maxPeers, protected }] for listed rooms
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { attachWebSocketServer } = require('./websocket');
+const { verifyJoinToken } = require('./join-token');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_ROOM = 'default';
+
+// Occupancy limits; the creator picks maxPeers up to MAX_ROOM_SIZE
+const DEFAULT_MAX_PEERS = 8;
+const MAX_ROOM_SIZE = 32;
+
+// Room names double as shareable codes, so keep them URL-safe
+const ROOM_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// How long a dropped client's place is held for it to resume (ms)
+const RESUME_GRACE = 15000;
+
+// Messages held for a dropped member during RESUME_GRACE; the oldest are dropped beyond this
+const MAX_HELD_MESSAGES = 200;
+
+// Messages not worth holding: superseded by the next one, or (signal) tied
+// to a peer connection that won't survive the drop
+const UNHELD_TYPES = new Set(['position', 'audio', 'pointer', 'signal']);
+const UNHELD_PHYSICS_TYPES = new Set([
+  'physics-state', 'physics-snapshot', 'physics-snapshot-ack', 'physics-ping', 'physics-pong'
+]);
+
+// Message types forwarded between clients
+const RELAYED_TYPES = new Set([
+  'hello', 'position', 'physics', 'audio', 'avatar', 'signal', 'moderation',
+  'chat', 'emote', 'pointer', 'marker', 'presence', 'follow-me'
+]);
+
+// room name -> { clients: Map(clientId -> member), maxPeers, listed, password, banned, bannedTokens }
+// member: { connection, client, token, joinToken, graceTimer, held, spectator, headless }; connection
+// and client are null while a dropped member's place is being held, and held
+// collects the messages it misses meanwhile. spectator
+// comes from the member's last presence message, headless from its hello.
+// joinToken is the join token the member was let in with, if any.
+// password: { salt, hash } or null; banned / bannedTokens: Sets of kicked client IDs / their join tokens
+const rooms = new Map();
+
+// Set by createRelayServer()
+const access = { secret: null, requireToken: false };
+
+/**
+ * Send a JSON message to a connection
+ * @param {WebSocketConnection} connection - The target connection
+ * @param {Object} message - The message
+ */
+function sendJSON(connection, message) {
+  connection.send(JSON.stringify(message));
+}
+
+/**
+ * Send a message to everyone in a room except the sender
+ * @param {string} roomName - The room
+ * @param {Object} message - The message
+ * @param {string} [exceptId] - Client ID to skip
+ */
+function broadcastToRoom(roomName, message, exceptId) {
+  const room = rooms.get(roomName);
+  if (!room) return;
+
+  const text = JSON.stringify(message);
+  room.clients.forEach((member, clientId) => {
+    if (clientId !== exceptId) {
+      sendToMember(member, message, text);
+    }
+  });
+}
+
+/**
+ * Send a message to a member, or hold it while the member's place is held
+ * Only relayed client messages are held: the resume welcome already lists
+ * who is in the room, so peer-joined / peer-left would be stale.
+ * @param {Object} member - The room's entry for the client
+ * @param {Object} message - The message
+ * @param {string} [text] - The message already serialized
+ */
+function sendToMember(member, message, text = JSON.stringify(message)) {
+  if (member.connection) {
+    member.connection.send(text);
+    return;
+  }
+  if (!member.graceTimer || !message.from || !isHeld(message)) return;
+
+  member.held.push({ from: message.from, text });
+  if (member.held.length > MAX_HELD_MESSAGES) {
+    member.held.shift();
+  }
+}
+
+/**
+ * @param {Object} message - A relayed message
+ * @returns {boolean} True if a dropped member should still get it on resume
+ */
+function isHeld(message) {
+  if (UNHELD_TYPES.has(message.type)) return false;
+  if (message.type === 'physics') {
+    return !(message.data && UNHELD_PHYSICS_TYPES.has(message.data.type));
+  }
+  return true;
+}
+
+/**
+ * Handle a client's join request
+ * @param {WebSocketConnection} connection - The client connection
+ * @param {Object} client - Per-connection state
+ * @param {Object} message - The join message
+ */
+function handleJoin(connection, client, message) {
+  if (client.id) return; // Already joined
+
+  const id = typeof message.id === 'string' && message.id ? message.id : null;
+  const roomName = typeof message.room === 'string' && message.room ? message.room : DEFAULT_ROOM;
+
+  if (!id) {
+    sendJSON(connection, { type: 'join-rejected', reason: 'missing-id' });
+    return;
+  }
+
+  if (!ROOM_NAME_PATTERN.test(roomName)) {
+    sendJSON(connection, { type: 'join-rejected', reason: 'invalid-room' });
+    return;
+  }
+
+  let room = rooms.get(roomName);
+  const existing = room && room.clients.get(id);
+  if (existing) {
+    // The resume token proves this is the client that passed the checks below
+    if (message.resume && message.resume === existing.token) {
+      resumeMember(connection, client, roomName, id, existing);
+    } else {
+      sendJSON(connection, { type: 'join-rejected', reason: 'id-in-use' });
+    }
+    return;
+  }
+
+  const denied = checkAccess(room, roomName, id, message);
+  if (denied) {
+    sendJSON(connection, { type: 'join-rejected', reason: denied });
+    return;
+  }
+  if (room && room.clients.size >= room.maxPeers) {
+    sendJSON(connection, { type: 'join-rejected', reason: 'room-full' });
+    return;
+  }
+
+  if (!room) {
+    room = {
+      clients: new Map(),
+      maxPeers: clampMaxPeers(message.maxPeers),
+      listed: message.listed !== false,
+      password: typeof message.password === 'string' && message.password ? hashPassword(message.password) : null,
+      banned: new Set(),
+      bannedTokens: new Set()
+    };
+    rooms.set(roomName, room);
+  }
+
+  const peers = Array.from(room.clients.keys());
+  const member = {
+    connection,
+    client,
+    token: crypto.randomBytes(16).toString('hex'),
+    joinToken: access.secret && typeof message.token === 'string' ? message.token : null, // Checked above
+    graceTimer: null,
+    held: [],
+    spectator: false,
+    headless: false
+  };
+  room.clients.set(id, member);
+  client.id = id;
+  client.room = roomName;
+
+  sendJSON(connection, {
+    type: 'welcome',
+    id,
+    room: roomName,
+    peers,
+    maxPeers: room.maxPeers,
+    resumeToken: member.token,
+    resumed: false
+  });
+  broadcastToRoom(roomName, { type: 'peer-joined', id }, id);
+
+  console.log(`Relay: ${id} joined room "${roomName}" (${room.clients.size}/${room.maxPeers} connected)`);
+}
+
+/**
+ * Decide whether a join may proceed
+ * A valid token for the room replaces the password; RELAY_REQUIRE_TOKEN
+ * makes one mandatory. Rooms that don't exist yet only need the token.
+ * @param {Object|undefined} room - The room, if it exists
+ * @param {string} roomName - The room name
+ * @param {string} id - The joining client's ID
+ * @param {Object} message - The join message
+ * @returns {string|null} The rejection reason, or null to let the client in
+ */
+function checkAccess(room, roomName, id, message) {
+  if (room && (room.banned.has(id) || room.bannedTokens.has(message.token))) return 'banned';
+
+  let tokenValid = false;
+  if (access.secret && message.token) {
+    const claims = verifyJoinToken(access.secret, message.token);
+    tokenValid = !!claims && claims.room === roomName && (!claims.id || claims.id === id);
+    if (!tokenValid) return 'invalid-token';
+  }
+  if (access.requireToken && !tokenValid) return 'token-required';
+
+  if (room && room.password && !tokenValid) {
+    if (typeof message.password !== 'string' || !message.password) return 'password-required';
+    if (!checkPassword(room.password, message.password)) return 'wrong-password';
+  }
+  return null;
+}
+
+/**
+ * @param {string} password - A room password
+ * @returns {Object} { salt, hash }; the password itself is never kept
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return { salt, hash: crypto.scryptSync(password, salt, 32) };
+}
+
+/**
+ * @param {Object} stored - { salt, hash } from hashPassword()
+ * @param {string} password - The password given at join
+ * @returns {boolean} True if it matches
+ */
+function checkPassword(stored, password) {
+  return crypto.timingSafeEqual(stored.hash, crypto.scryptSync(password, stored.salt, 32));
+}
+
+/**
+ * Give a returning client its held place back
+ * @param {WebSocketConnection} connection - The new connection
+ * @param {Object} client - Per-connection state of the new connection
+ * @param {string} roomName - The room
+ * @param {string} id - The client ID
+ * @param {Object} member - The room's entry for the client
+ */
+function resumeMember(connection, client, roomName, id, member) {
+  clearTimeout(member.graceTimer);
+  member.graceTimer = null;
+
+  if (member.connection) {
+    // The client noticed the drop before we did; the old socket is dead
+    member.client.id = null;
+    member.connection.close();
+  }
+
+  member.connection = connection;
+  member.client = client;
+  client.id = id;
+  client.room = roomName;
+
+  const room = rooms.get(roomName);
+  const peers = Array.from(room.clients.keys()).filter(peerId => peerId !== id);
+  sendJSON(connection, {
+    type: 'welcome',
+    id,
+    room: roomName,
+    peers,
+    maxPeers: room.maxPeers,
+    resumeToken: member.token,
+    resumed: true
+  });
+
+  // What it missed, from senders still in the room
+  const held = member.held;
+  member.held = [];
+  held.forEach(({ from, text }) => {
+    if (room.clients.has(from)) {
+      connection.send(text);
+    }
+  });
+
+  console.log(`Relay: ${id} resumed its session in room "${roomName}"${held.length ? ` (${held.length} held message(s))` : ''}`);
+}
+
+/**
+ * Forward a game message to one peer or the whole room
+ * @param {Object} client - Per-connection state of the sender
+ * @param {Object} message - The message
+ */
+function handleRelay(client, message) {
+  if (!client.id) return; // Must join first
+
+  // Never trust the client's claimed identity
+  message.from = client.id;
+
+  // Spectators and the headless physics host don't moderate (see getRoomModerator)
+  if (message.type === 'presence' || message.type === 'hello') {
+    const room = rooms.get(client.room);
+    const member = room && room.clients.get(client.id);
+    if (member && message.type === 'presence') member.spectator = !!message.spectator;
+    if (member && message.type === 'hello') member.headless = !!message.headless;
+  }
+
+  if (message.to) {
+    const room = rooms.get(client.room);
+    const target = room && room.clients.get(message.to);
+    if (target) {
+      sendToMember(target, message);
+    }
+  } else {
+    broadcastToRoom(client.room, message, client.id);
+  }
+}
+
+/**
+ * Remove a member on the moderator's behalf
+ * The kick is relayed to the whole room first, target included, so a
+ * well-behaved client leaves on its own; then the relay closes the
+ * target's connection and bans its ID, and the join token it used, from
+ * the room either way. A client can rejoin under a new ID unless the room
+ * needs a token it can't get again (one bound to its ID).
+ * @param {Object} client - Per-connection state of the sender
+ * @param {Object} message - The kick message
+ */
+function handleKick(client, message) {
+  if (!client.id) return;
+
+  const room = rooms.get(client.room);
+  if (!room || getRoomModerator(room) !== client.id) return;
+  if (typeof message.target !== 'string' || message.target === client.id) return;
+
+  const target = room.clients.get(message.target);
+  if (!target) return;
+
+  delete message.to; // Everyone has to know
+  handleRelay(client, message);
+
+  room.banned.add(message.target);
+  if (target.joinToken) {
+    room.bannedTokens.add(target.joinToken);
+  }
+  if (target.client) {
+    target.client.id = null; // Its close must not hold the place for a resume
+  }
+  if (target.connection) {
+    target.connection.close();
+  }
+  removeMember(client.room, message.target);
+
+  console.log(`Relay: ${client.id} kicked ${message.target} from room "${client.room}"`);
+}
+
+/**
+ * The room's moderator: its longest-present member that is connected and
+ * not headless. Spectators only moderate when every such member spectates.
+ * @param {Object} room - The room
+ * @returns {string|null} The moderator's ID
+ */
+function getRoomModerator(room) {
+  let spectatorId = null;
+  for (const [id, member] of room.clients) {
+    if (!member.connection || member.headless) continue;
+    if (!member.spectator) return id;
+    if (!spectatorId) spectatorId = id;
+  }
+  return spectatorId;
+}
+
+/**
+ * Remove a client that left on purpose
+ * @param {Object} client - Per-connection state
+ */
+function handleLeave(client) {
+  if (!client.id) return;
+
+  removeMember(client.room, client.id);
+  client.id = null;
+}
+
+/**
+ * Hold the place of a client whose connection dropped, so it can resume
+ * @param {Object} client - Per-connection state
+ */
+function handleDrop(client) {
+  if (!client.id) return;
+
+  const id = client.id;
+  const roomName = client.room;
+  const room = rooms.get(roomName);
+  const member = room && room.clients.get(id);
+  client.id = null;
+  if (!member || member.client !== client) return;
+
+  member.connection = null;
+  member.client = null;
+  member.held = [];
+  member.graceTimer = setTimeout(() => removeMember(roomName, id), RESUME_GRACE);
+
+  console.log(`Relay: ${id} dropped from room "${roomName}", holding its place for ${RESUME_GRACE / 1000}s`);
+}
+
+/**
+ * Remove a client from its room and notify the others
+ * @param {string} roomName - The room
+ * @param {string} id - The client ID
+ */
+function removeMember(roomName, id) {
+  const room = rooms.get(roomName);
+  const member = room && room.clients.get(id);
+  if (!member) return;
+
+  clearTimeout(member.graceTimer);
+  room.clients.delete(id);
+  broadcastToRoom(roomName, { type: 'peer-left', id });
+
+  if (room.clients.size === 0) {
+    rooms.delete(roomName);
+  }
+
+  console.log(`Relay: ${id} left room "${roomName}"`);
+}
+
+/**
+ * Clamp a requested room size to the allowed range
+ * @param {*} value - The requested maximum occupancy
+ * @returns {number} The room's maximum occupancy
+ */
+function clampMaxPeers(value) {
+  const maxPeers = parseInt(value, 10);
+  if (!maxPeers) return DEFAULT_MAX_PEERS;
+  return Math.min(MAX_ROOM_SIZE, Math.max(1, maxPeers));
+}
+
+/**
+ * List the rooms that are open to browse
+ * @returns {Object[]} [{ name, occupants, maxPeers, protected }]
+ */
+function listRooms() {
+  const list = [];
+  rooms.forEach((room, name) => {
+    if (room.listed) {
+      list.push({ name, occupants: room.clients.size, maxPeers: room.maxPeers, protected: !!room.password });
+    }
+  });
+  return list;
+}
+
+/**
+ * Create the relay server
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Secret for verifying join tokens (defaults to RELAY_SECRET)
+ * @param {boolean} [options.requireToken] - Reject joins without a valid token (defaults to RELAY_REQUIRE_TOKEN=1)
+ * @returns {http.Server} The (not yet listening) server
+ */
+function createRelayServer(options = {}) {
+  access.secret = options.secret || process.env.RELAY_SECRET || null;
+  access.requireToken = options.requireToken !== undefined
+    ? !!options.requireToken
+    : process.env.RELAY_REQUIRE_TOKEN === '1';
+  if (access.requireToken && !access.secret) {
+    throw new Error('RELAY_REQUIRE_TOKEN needs RELAY_SECRET to verify tokens with');
+  }
+
+  const server = http.createServer((request, response) => {
+    if (request.method === 'GET' && request.url.split('?')[0] === '/rooms') {
+      // The page is usually served from another origin than the relay
+      response.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      });
+      response.end(JSON.stringify(listRooms()));
+      return;
+    }
+
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end('VRMOBDESK relay server\n');
+  });
+
+  attachWebSocketServer(server, connection => {
+    const client = { id: null, room: null };
+
+    connection.on('message', text => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        return; // Ignore malformed messages
+      }
+      if (!message || typeof message.type !== 'string') return;
+
+      if (message.type === 'join') {
+        handleJoin(connection, client, message);
+      } else if (message.type === 'leave') {
+        handleLeave(client);
+      } else if (message.type === 'kick') {
+        handleKick(client, message);
+      } else if (RELAYED_TYPES.has(message.type)) {
+        handleRelay(client, message);
+      }
+    });
+
+    connection.on('close', () => handleDrop(client));
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.PORT, 10) || DEFAULT_PORT;
+  createRelayServer().listen(port, () => {
+    console.log(`VRMOBDESK relay server listening on ws://localhost:${port}`);
+    if (access.secret) {
+      console.log(`Join tokens enabled${access.requireToken ? ' and required' : ''}`);
+    }
+  });
+}
+
+module.exports = { createRelayServer };
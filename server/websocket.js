@@ -0,0 +1,351 @@
+/**
+ * websocket - Minimal WebSocket (RFC 6455) support for the local relay
+ *
+ * Implemented on top of Node's built-in http module so the relay runs with
+ * plain `node` and no npm install. Only what the relay needs is supported:
+ * text frames, fragmented messages, ping/pong and close. The client side
+ * (connectWebSocket) lets server-side processes such as the headless
+ * physics host join a room like any browser.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const EventEmitter = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024; // 1 MB per message is plenty for sync traffic
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+/**
+ * A single WebSocket connection
+ *
+ * Emits:
+ * - 'message' (string) for every complete text message
+ * - 'close' once the underlying socket is gone
+ */
+class WebSocketConnection extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - The upgraded socket
+   * @param {Object} [options]
+   * @param {boolean} [options.mask=false] - Mask outgoing frames and expect unmasked ones (we are the client)
+   */
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.mask = !!options.mask;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentOpcode = null;
+    this.fragmentLength = 0; // Bytes of the fragmented message so far
+    this.isOpen = true;
+
+    socket.on('data', chunk => this._onData(chunk));
+    socket.on('end', () => this._onClose()); // The peer half-closed; http upgrades allow half-open sockets
+    socket.on('close', () => this._onClose());
+    socket.on('error', () => this._onClose());
+  }
+
+  /**
+   * Send a text message
+   * @param {string} text - The message to send
+   */
+  send(text) {
+    if (!this.isOpen) return;
+    this._writeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  /**
+   * Close the connection
+   * @param {number} [code=1000] - The close code
+   */
+  close(code = 1000) {
+    if (!this.isOpen) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this._writeFrame(OPCODES.CLOSE, payload);
+    this.socket.end();
+    this._onClose();
+  }
+
+  /**
+   * Write a single frame, masked if we are the client
+   * @param {number} opcode - The frame opcode
+   * @param {Buffer} payload - The frame payload
+   * @private
+   */
+  _writeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.alloc(2);
+      header[1] = payload.length;
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN + opcode
+
+    if (this.mask) {
+      const key = crypto.randomBytes(4);
+      const masked = Buffer.alloc(payload.length);
+      for (let i = 0; i < payload.length; i++) {
+        masked[i] = payload[i] ^ key[i % 4];
+      }
+      header[1] |= 0x80;
+      header = Buffer.concat([header, key]);
+      payload = masked;
+    }
+
+    try {
+      this.socket.write(Buffer.concat([header, payload]));
+    } catch (error) {
+      this._onClose();
+    }
+  }
+
+  /**
+   * Accumulate incoming bytes and parse as many frames as are complete
+   * @param {Buffer} chunk - Raw socket data
+   * @private
+   */
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 2) {
+      const first = this.buffer[0];
+      const second = this.buffer[1];
+      const fin = (first & 0x80) !== 0;
+      const opcode = first & 0x0F;
+      const masked = (second & 0x80) !== 0;
+      let length = second & 0x7F;
+      let offset = 2;
+
+      // RFC 6455 5.1: clients mask every frame, servers none; we mask
+      // exactly when we are the client
+      if (masked === this.mask) {
+        this.close(1002); // Protocol error
+        return;
+      }
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      // RFC 6455 5.5: control frames are never fragmented and carry at most 125 bytes
+      if (opcode >= OPCODES.CLOSE && (!fin || length > 125)) {
+        this.close(1002); // Protocol error
+        return;
+      }
+
+      if (length > MAX_MESSAGE_SIZE) {
+        this.close(1009); // Message too big
+        return;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+
+      const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= this.buffer[maskOffset + (i % 4)];
+        }
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+
+      this._handleFrame(fin, opcode, payload);
+      if (!this.isOpen) return;
+    }
+  }
+
+  /**
+   * Handle one parsed frame
+   * @param {boolean} fin - Whether this is the final fragment
+   * @param {number} opcode - The frame opcode
+   * @param {Buffer} payload - The unmasked payload
+   * @private
+   */
+  _handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.TEXT:
+      case OPCODES.BINARY:
+        if (this.fragmentOpcode !== null) {
+          this.close(1002); // A new message in the middle of a fragmented one
+          return;
+        }
+        if (fin) {
+          this.emit('message', payload.toString('utf8'));
+        } else {
+          this.fragmentOpcode = opcode;
+          this.fragments = [payload];
+          this.fragmentLength = payload.length;
+        }
+        break;
+
+      case OPCODES.CONTINUATION:
+        if (this.fragmentOpcode === null) {
+          this.close(1002); // Nothing to continue
+          return;
+        }
+        this.fragmentLength += payload.length;
+        if (this.fragmentLength > MAX_MESSAGE_SIZE) {
+          this.close(1009); // Message too big
+          return;
+        }
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.fragmentOpcode = null;
+          this.fragmentLength = 0;
+          this.emit('message', message);
+        }
+        break;
+
+      case OPCODES.PING:
+        this._writeFrame(OPCODES.PONG, payload);
+        break;
+
+      case OPCODES.PONG:
+        break;
+
+      case OPCODES.CLOSE:
+        this.close();
+        break;
+
+      default:
+        this.close(1002); // Protocol error
+    }
+  }
+
+  /**
+   * Mark the connection closed and notify listeners once
+   * @private
+   */
+  _onClose() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.socket.destroy();
+    this.emit('close');
+  }
+}
+
+/**
+ * Attach WebSocket upgrade handling to an http server
+ * @param {http.Server} server - The http server
+ * @param {Function} onConnection - Called with (connection, request) for each new client
+ */
+function attachWebSocketServer(server, onConnection) {
+  server.on('upgrade', (request, socket, head) => {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+
+    if (!key || upgrade !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1')
+      .update(key + HANDSHAKE_GUID)
+      .digest('base64');
+
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    socket.setNoDelay(true);
+    const connection = new WebSocketConnection(socket);
+    onConnection(connection, request);
+
+    // Frames the client sent right behind its handshake
+    if (head.length > 0) {
+      connection._onData(head);
+    }
+  });
+}
+
+/**
+ * Open a client connection to a WebSocket server
+ * @param {string} url - ws:// URL (wss is not supported)
+ * @returns {Promise<WebSocketConnection>} Resolves once the handshake completes
+ */
+function connectWebSocket(url) {
+  return new Promise((resolve, reject) => {
+    const { protocol, hostname, port, pathname, search } = new URL(url);
+    if (protocol !== 'ws:') {
+      reject(new Error(`Unsupported WebSocket URL: ${url}`));
+      return;
+    }
+
+    const key = crypto.randomBytes(16).toString('base64');
+    const request = http.request({
+      hostname,
+      port: port || 80,
+      path: pathname + search,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13'
+      }
+    });
+
+    request.on('upgrade', (response, socket, head) => {
+      const expected = crypto.createHash('sha1')
+        .update(key + HANDSHAKE_GUID)
+        .digest('base64');
+      if (response.headers['sec-websocket-accept'] !== expected) {
+        socket.destroy();
+        reject(new Error(`Bad WebSocket handshake from ${url}`));
+        return;
+      }
+
+      socket.setNoDelay(true);
+      const connection = new WebSocketConnection(socket, { mask: true });
+      resolve(connection);
+
+      // Frames that came with the handshake; parsed once the caller has
+      // had a chance to listen for messages
+      if (head.length > 0) {
+        setImmediate(() => connection._onData(head));
+      }
+    });
+
+    request.on('response', response => {
+      response.resume();
+      reject(new Error(`${url} answered ${response.statusCode} instead of upgrading`));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+module.exports = {
+  WebSocketConnection,
+  attachWebSocketServer,
+  connectWebSocket
+};